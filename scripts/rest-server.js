@@ -0,0 +1,515 @@
+#!/usr/bin/env node
+
+/**
+ * Reference server for the REST storage backend (src/utils/restStorage.js).
+ * Uses only Node's standard library and keeps everything in one JSON file,
+ * so a team can share threads and annotations without Firebase:
+ *
+ *   PORT=4000 DATA_FILE=./annotation-data.json node rest-server.js
+ *
+ * Then build the app with REACT_APP_STORAGE_BACKEND=rest and
+ * REACT_APP_REST_API_URL=http://localhost:4000. See README.md for the endpoints.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.PORT) || 4000;
+const DATA_FILE = path.resolve(process.env.DATA_FILE || path.join(__dirname, 'annotation-data.json'));
+// Origin allowed to call the API from a browser; * allows any
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || '*';
+// Request bodies above this size are refused
+const MAX_BODY_BYTES = 50 * 1024 * 1024;
+
+const EMPTY_DATA = { users: {}, sessions: {}, threads: {}, settings: {}, project: {} };
+
+// Same roles and permissions as src/utils/roles.js; the first account becomes an admin
+const ROLES = ['annotator', 'reviewer', 'admin'];
+const DEFAULT_ROLE = 'annotator';
+const ROLE_PERMISSIONS = {
+  annotator: [],
+  reviewer: ['moderateAnnotations', 'assignThreads'],
+  admin: ['moderateAnnotations', 'assignThreads', 'editThreads', 'deleteThreads', 'editRubric', 'replaceData', 'manageRoles']
+};
+
+// Presence isn't worth persisting; it goes stale within minutes anyway
+const presence = new Map();
+// Responses of the open event streams
+const eventStreams = new Set();
+// Comment lines sent this often keep idle event streams from being closed by proxies
+const KEEP_ALIVE_MS = 30000;
+
+function loadData() {
+  if (!fs.existsSync(DATA_FILE)) {
+    return JSON.parse(JSON.stringify(EMPTY_DATA));
+  }
+  return { ...EMPTY_DATA, ...JSON.parse(fs.readFileSync(DATA_FILE, 'utf8')) };
+}
+
+const data = loadData();
+
+// Write to a temporary file first so a crash mid-write never leaves a truncated data file
+function saveData() {
+  const tempFile = `${DATA_FILE}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(data, null, 2));
+  fs.renameSync(tempFile, DATA_FILE);
+}
+
+class HttpError extends Error {
+  constructor(status, message, code) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Same key as getAnnotationKey in src/utils/helpers.js
+function getAnnotationKey(annotation) {
+  return annotation.id || `${annotation.createdByUid || annotation.createdBy || ''}@${annotation.timestamp || ''}`;
+}
+
+function hashPassword(password, salt) {
+  return crypto.scryptSync(password, salt, 64).toString('hex');
+}
+
+function toPublicUser(user) {
+  return { uid: user.uid, email: user.email, displayName: null };
+}
+
+function getRole(user) {
+  return ROLES.includes(user.role) ? user.role : DEFAULT_ROLE;
+}
+
+function requirePermission(user, permission) {
+  if (!ROLE_PERMISSIONS[getRole(user)].includes(permission)) {
+    throw new HttpError(403, `The ${getRole(user)} role can't do this`, 'permission-denied');
+  }
+}
+
+// Authors change their own annotations, moderators anyone's
+function requireAnnotationChange(user, annotation) {
+  if (annotation && annotation.createdByUid !== user.uid) {
+    requirePermission(user, 'moderateAnnotations');
+  }
+}
+
+// Only roles that assign threads can change who a thread is assigned to
+function requireAssigneesChange(user, stored, thread) {
+  const getAssigneeUids = (value) => (Array.isArray(value && value.assignees) ? value.assignees : [])
+    .map(assignee => assignee && assignee.uid)
+    .join(',');
+  if (getAssigneeUids(stored) !== getAssigneeUids(thread)) {
+    requirePermission(user, 'assignThreads');
+  }
+}
+
+// Fields annotation writes keep up to date; assignees are checked on their own
+const ANNOTATION_FIELDS = ['annotations', 'annotationCount', 'isAnnotated', 'revision', 'updatedAt',
+  'lastModifiedBy', 'lastModifiedByUid', 'assignees'];
+
+// JSON with sorted keys, so equal values compare equal whatever their key order
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// Only roles that edit threads can add them or change their title, metadata or messages
+function requireThreadEdit(user, stored, thread) {
+  if (!stored) {
+    requirePermission(user, 'editThreads');
+    return;
+  }
+  const keys = new Set([...Object.keys(stored), ...Object.keys(thread)]);
+  // A summary leaves the stored messages as they are
+  if (!Array.isArray(thread.messages)) {
+    keys.delete('messages');
+  }
+  ANNOTATION_FIELDS.forEach(key => keys.delete(key));
+  if ([...keys].some(key => canonicalJson(stored[key]) !== canonicalJson(thread[key]))) {
+    requirePermission(user, 'editThreads');
+  }
+}
+
+function createSession(user) {
+  const token = crypto.randomBytes(32).toString('hex');
+  data.sessions[token] = user.uid;
+  saveData();
+  return { token, user: toPublicUser(user) };
+}
+
+// Same as getMessageMetadata in src/utils/helpers.js
+function getMessageMetadata(messages) {
+  const values = {};
+  messages.forEach(message => {
+    Object.entries(message.metadata || {}).forEach(([key, value]) => {
+      if (value === undefined || value === null || value === '') return;
+      values[key] = values[key] || new Set();
+      values[key].add(String(value));
+    });
+  });
+  return Object.keys(values).sort().reduce((result, key) => {
+    result[key] = Array.from(values[key]).sort();
+    return result;
+  }, {});
+}
+
+// Every thread, or only those updated after an ISO time
+function getThreadsUpdatedAfter(updatedAfter) {
+  const threads = Object.values(data.threads);
+  return updatedAfter ? threads.filter(thread => (thread.updatedAt || '') > updatedAfter) : threads;
+}
+
+// Thread without messages and annotations, with their counts and the metadata of its messages
+function toSummary(thread) {
+  const { messages, annotations, ...summary } = thread;
+  return {
+    ...summary,
+    messageCount: Array.isArray(messages) ? messages.length : 0,
+    messageMetadata: getMessageMetadata(Array.isArray(messages) ? messages : []),
+    annotationCount: Array.isArray(annotations) ? annotations.length : 0
+  };
+}
+
+function getThreadOrFail(threadId) {
+  const thread = data.threads[threadId];
+  if (!thread) {
+    throw new HttpError(404, `Thread ${threadId} not found`, 'not-found');
+  }
+  return thread;
+}
+
+function checkRevision(threadId, expectedRevision) {
+  const revision = data.threads[threadId]?.revision || 0;
+  if (revision !== Number(expectedRevision)) {
+    throw new HttpError(409, `Thread ${threadId} changed remotely during sync`, 'revision-mismatch');
+  }
+}
+
+function sendEvent(response, type, payload) {
+  response.write(`event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+}
+
+function broadcast(type, payload) {
+  for (const response of eventStreams) {
+    sendEvent(response, type, payload);
+  }
+}
+
+function broadcastThreads(savedThreads, deletedIds = []) {
+  broadcast('threads', { savedThreads: savedThreads.map(toSummary), deletedIds });
+}
+
+function broadcastPresence() {
+  broadcast('presence', [...presence.values()]);
+}
+
+/**
+ * Change one annotation of a thread and the thread's derived fields
+ * @param {Object} user - Signed-in user
+ * @param {string} threadId - Thread ID
+ * @param {string} annotationId - Annotation key
+ * @param {Function} change - Called with the stored annotation (or null); returns the new one, or null to delete it
+ * @returns {Object} { revision }
+ */
+function changeAnnotation(user, threadId, annotationId, change) {
+  const thread = getThreadOrFail(threadId);
+  const annotations = Array.isArray(thread.annotations) ? thread.annotations : [];
+  const stored = annotations.find(annotation => getAnnotationKey(annotation) === annotationId) || null;
+  requireAnnotationChange(user, stored);
+  const next = change(stored);
+  const others = annotations.filter(annotation => annotation !== stored);
+  const updated = next ? [...others, next] : others;
+
+  Object.assign(thread, {
+    annotations: updated,
+    annotationCount: updated.length,
+    isAnnotated: updated.length > 0,
+    revision: (thread.revision || 0) + 1,
+    updatedAt: new Date().toISOString(),
+    lastModifiedBy: user.email,
+    lastModifiedByUid: user.uid
+  });
+  saveData();
+  broadcastThreads([thread]);
+  return { revision: thread.revision };
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'Request body too large'));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => {
+      if (chunks.length === 0) {
+        resolve({});
+        return;
+      }
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (error) {
+        reject(new HttpError(400, 'Request body is not valid JSON'));
+      }
+    });
+    request.on('error', reject);
+  });
+}
+
+function getUser(token) {
+  const uid = token && data.sessions[token];
+  const user = uid && data.users[uid];
+  if (!user) {
+    throw new HttpError(401, 'Not signed in', 'unauthenticated');
+  }
+  return user;
+}
+
+function getBearerToken(request) {
+  const header = request.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+// Routes: [method, path pattern, needs a signed-in user, handler(context)];
+// context has { user, params, query, body, token } and the handler returns the JSON reply (null for none)
+const routes = [
+  ['POST', /^\/auth\/signup$/, false, ({ body }) => {
+    const email = String(body.email || '').trim().toLowerCase();
+    if (!email || !body.password || String(body.password).length < 6) {
+      throw new HttpError(400, 'An email and a password of at least 6 characters are required', 'invalid-argument');
+    }
+    if (Object.values(data.users).some(user => user.email === email)) {
+      throw new HttpError(409, 'An account with this email already exists', 'already-exists');
+    }
+    const salt = crypto.randomBytes(16).toString('hex');
+    const user = {
+      uid: crypto.randomUUID(),
+      email,
+      role: Object.keys(data.users).length === 0 ? 'admin' : DEFAULT_ROLE,
+      salt,
+      passwordHash: hashPassword(String(body.password), salt),
+      createdAt: new Date().toISOString()
+    };
+    data.users[user.uid] = user;
+    return createSession(user);
+  }],
+  ['POST', /^\/auth\/signin$/, false, ({ body }) => {
+    const email = String(body.email || '').trim().toLowerCase();
+    const user = Object.values(data.users).find(candidate => candidate.email === email);
+    const matches = user && crypto.timingSafeEqual(
+      Buffer.from(hashPassword(String(body.password || ''), user.salt), 'hex'),
+      Buffer.from(user.passwordHash, 'hex')
+    );
+    if (!matches) {
+      throw new HttpError(401, 'Wrong email or password', 'unauthenticated');
+    }
+    return createSession(user);
+  }],
+  ['POST', /^\/auth\/signout$/, true, ({ token }) => {
+    delete data.sessions[token];
+    saveData();
+    return null;
+  }],
+  ['GET', /^\/me$/, true, ({ user }) => ({ ...toPublicUser(user), role: getRole(user) })],
+  ['GET', /^\/users$/, true, () => (
+    Object.values(data.users).map(user => ({ uid: user.uid, email: user.email, role: getRole(user) }))
+  )],
+  ['PUT', /^\/users\/([^/]+)\/role$/, true, ({ user, params, body }) => {
+    requirePermission(user, 'manageRoles');
+    const target = data.users[params[0]];
+    if (!target) {
+      throw new HttpError(404, `User ${params[0]} not found`, 'not-found');
+    }
+    if (!ROLES.includes(body.role)) {
+      throw new HttpError(400, `Role must be one of ${ROLES.join(', ')}`, 'invalid-argument');
+    }
+    target.role = body.role;
+    saveData();
+    return null;
+  }],
+  ['GET', /^\/threads$/, true, ({ query }) => getThreadsUpdatedAfter(query.get('updatedAfter')).map(toSummary)],
+  ['GET', /^\/thread-count$/, true, () => ({ count: Object.keys(data.threads).length })],
+  ['GET', /^\/threads\/([^/]+)$/, true, ({ params }) => getThreadOrFail(params[0])],
+  ['PUT', /^\/threads\/([^/]+)$/, true, ({ user, params, body }) => {
+    const [threadId] = params;
+    if (!body.thread || body.thread.id !== threadId) {
+      throw new HttpError(400, 'The body needs the thread with a matching id', 'invalid-argument');
+    }
+    checkRevision(threadId, body.expectedRevision);
+    const stored = data.threads[threadId];
+    requireAssigneesChange(user, stored, body.thread);
+    requireThreadEdit(user, stored, body.thread);
+    // Other users' annotations stay as stored; only the caller's own come from the thread sent
+    const sent = Array.isArray(body.thread.annotations) ? body.thread.annotations : [];
+    const annotations = [
+      ...(stored?.annotations || []).filter(annotation => annotation.createdByUid !== user.uid),
+      ...sent.filter(annotation => annotation.createdByUid === user.uid)
+    ];
+    const thread = {
+      ...body.thread,
+      // Server time, so clients can ask for the threads updated since one they saw
+      updatedAt: new Date().toISOString(),
+      // A summary leaves the stored messages as they are
+      messages: Array.isArray(body.thread.messages) ? body.thread.messages : stored?.messages || [],
+      annotations,
+      annotationCount: annotations.length,
+      isAnnotated: annotations.length > 0,
+      lastModifiedBy: user.email,
+      lastModifiedByUid: user.uid
+    };
+    data.threads[threadId] = thread;
+    saveData();
+    broadcastThreads([thread]);
+    return { annotations };
+  }],
+  ['DELETE', /^\/threads\/([^/]+)$/, true, ({ user, params, query }) => {
+    requirePermission(user, 'deleteThreads');
+    const [threadId] = params;
+    checkRevision(threadId, query.get('expectedRevision') || 0);
+    delete data.threads[threadId];
+    saveData();
+    broadcastThreads([], [threadId]);
+    return null;
+  }],
+  ['POST', /^\/threads\/([^/]+)\/annotations$/, true, ({ user, params, body }) => {
+    if (!body.annotation) {
+      throw new HttpError(400, 'The body needs an annotation', 'invalid-argument');
+    }
+    // New annotations are always the caller's own
+    const annotation = { ...body.annotation, createdBy: user.email, createdByUid: user.uid };
+    return changeAnnotation(user, params[0], getAnnotationKey(annotation), stored => {
+      if (stored && stored.createdByUid !== user.uid) {
+        throw new HttpError(409, `Annotation ${getAnnotationKey(annotation)} already exists`, 'already-exists');
+      }
+      return annotation;
+    });
+  }],
+  ['PATCH', /^\/threads\/([^/]+)\/annotations\/([^/]+)$/, true, ({ user, params, body }) => (
+    changeAnnotation(user, params[0], params[1], stored => {
+      if (!stored) {
+        throw new HttpError(404, `Annotation ${params[1]} not found`, 'not-found');
+      }
+      // An edit never changes who made the annotation
+      return { ...stored, ...(body.changes || {}), createdBy: stored.createdBy, createdByUid: stored.createdByUid };
+    })
+  )],
+  ['DELETE', /^\/threads\/([^/]+)\/annotations\/([^/]+)$/, true, ({ user, params }) => (
+    changeAnnotation(user, params[0], params[1], () => null)
+  )],
+  ['GET', /^\/settings$/, true, ({ user }) => ({ settings: data.settings[user.uid] || null })],
+  ['PUT', /^\/settings$/, true, ({ user, body }) => {
+    data.settings[user.uid] = body.settings || {};
+    saveData();
+    return null;
+  }],
+  ['GET', /^\/project\/rubric$/, true, () => ({ rubric: data.project.rubric || null })],
+  ['PUT', /^\/project\/rubric$/, true, ({ user, body }) => {
+    requirePermission(user, 'editRubric');
+    if (!body.rubric || !Array.isArray(body.rubric.criteria)) {
+      throw new HttpError(400, 'The body needs a rubric with criteria', 'invalid-argument');
+    }
+    data.project.rubric = body.rubric;
+    saveData();
+    return null;
+  }],
+  ['PUT', /^\/presence$/, true, ({ user, body }) => {
+    presence.set(user.uid, { uid: user.uid, name: user.email, threadId: body.threadId || null, updatedAt: Date.now() });
+    broadcastPresence();
+    return null;
+  }],
+  ['DELETE', /^\/presence$/, true, ({ user }) => {
+    presence.delete(user.uid);
+    broadcastPresence();
+    return null;
+  }]
+];
+
+// Server-sent events: every thread (or those updated after `updatedAfter`) and presence entry first,
+// then changes as they happen
+function openEventStream(request, response, query) {
+  getUser(query.get('token'));
+  response.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'Access-Control-Allow-Origin': ALLOWED_ORIGIN
+  });
+  eventStreams.add(response);
+  sendEvent(response, 'threads', { savedThreads: getThreadsUpdatedAfter(query.get('updatedAfter')).map(toSummary), deletedIds: [] });
+  sendEvent(response, 'presence', [...presence.values()]);
+  const keepAlive = setInterval(() => response.write(': keep-alive\n\n'), KEEP_ALIVE_MS);
+  request.on('close', () => {
+    clearInterval(keepAlive);
+    eventStreams.delete(response);
+  });
+}
+
+function sendJson(response, status, payload) {
+  response.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': ALLOWED_ORIGIN
+  });
+  response.end(payload === null ? '' : JSON.stringify(payload));
+}
+
+async function handleRequest(request, response) {
+  const url = new URL(request.url, `http://${request.headers.host || 'localhost'}`);
+
+  if (request.method === 'OPTIONS') {
+    response.writeHead(204, {
+      'Access-Control-Allow-Origin': ALLOWED_ORIGIN,
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Authorization, Content-Type'
+    });
+    response.end();
+    return;
+  }
+
+  try {
+    if (request.method === 'GET' && url.pathname === '/events') {
+      openEventStream(request, response, url.searchParams);
+      return;
+    }
+
+    const route = routes
+      .map(([method, pattern, needsUser, handler]) => ({ method, match: url.pathname.match(pattern), needsUser, handler }))
+      .find(candidate => candidate.method === request.method && candidate.match);
+    if (!route) {
+      throw new HttpError(404, `No route for ${request.method} ${url.pathname}`, 'not-found');
+    }
+
+    const token = getBearerToken(request);
+    const context = {
+      token,
+      user: route.needsUser ? getUser(token) : null,
+      params: route.match.slice(1).map(decodeURIComponent),
+      query: url.searchParams,
+      body: ['POST', 'PUT', 'PATCH'].includes(request.method) ? await readBody(request) : {}
+    };
+    const result = route.handler(context);
+    sendJson(response, result === null ? 204 : 200, result);
+  } catch (error) {
+    if (!(error instanceof HttpError)) {
+      console.error(`Error handling ${request.method} ${url.pathname}:`, error);
+    }
+    sendJson(response, error.status || 500, { error: error.message, code: error.code || 'internal' });
+  }
+}
+
+http.createServer(handleRequest).listen(PORT, () => {
+  console.log(`Annotation storage server listening on http://localhost:${PORT}`);
+  console.log(`Data file: ${DATA_FILE}`);
+});
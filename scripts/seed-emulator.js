@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+
+/**
+ * Seed the local Firebase emulators with accounts for each role and threads, so the
+ * shared-access features can be developed and demoed offline. Start the
+ * emulators first (`npm run emulators` in the project root), then:
+ *
+ *   node seed-emulator.js [threads.json]
+ *
+ * threads.json is an array of threads in the app's format (e.g. the output of
+ * export-threads.js); without it a few demo threads are written. Writes go
+ * through the emulators' REST APIs as the owner, so security rules don't apply.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Same project and ports as src/utils/firebase.js and firebase.json
+const PROJECT_ID = 'demo-annotation-tool';
+const FIRESTORE_HOST = process.env.FIRESTORE_EMULATOR_HOST || 'localhost:8081';
+const AUTH_HOST = process.env.FIREBASE_AUTH_EMULATOR_HOST || 'localhost:9099';
+
+const DOCUMENTS_URL = `http://${FIRESTORE_HOST}/v1/projects/${PROJECT_ID}/databases/(default)/documents`;
+const AUTH_URL = `http://${AUTH_HOST}/identitytoolkit.googleapis.com/v1`;
+
+const PASSWORD = process.env.SEED_PASSWORD || 'password';
+// Roles as in src/utils/roles.js
+const ACCOUNTS = [
+  { email: 'annotator1@example.com', role: 'annotator' },
+  { email: 'annotator2@example.com', role: 'annotator' },
+  { email: 'reviewer@example.com', role: 'reviewer' },
+  { email: 'admin@example.com', role: 'admin' }
+];
+
+function demoThreads(annotators) {
+  const [first, second] = annotators;
+  const now = new Date().toISOString();
+  const annotation = (annotator, rating, notes) => ({
+    id: `seed-${annotator.uid}-${rating}`,
+    timestamp: now,
+    createdBy: annotator.email,
+    createdByUid: annotator.uid,
+    values: { rating },
+    notes,
+    tags: []
+  });
+
+  return [
+    {
+      id: 'seed-thread-1',
+      title: 'Opening hours',
+      createdAt: now,
+      updatedAt: now,
+      messages: [
+        { role: 'human', content: 'When is the leasing office open?', timestamp: now, type: 'message' },
+        { role: 'ai', content: 'The leasing office is open Monday to Friday, 9am to 5pm.', timestamp: now, type: 'message' }
+      ],
+      annotations: [
+        annotation(first, 'good', 'Clear and complete'),
+        annotation(second, 'bad', 'Does not mention weekend hours')
+      ]
+    },
+    {
+      id: 'seed-thread-2',
+      title: 'Maintenance request',
+      createdAt: now,
+      updatedAt: now,
+      messages: [
+        { role: 'human', content: 'My sink is leaking, who do I call?', timestamp: now, type: 'message' },
+        { role: 'ai', content: 'You can submit a maintenance request in the resident portal under "Service".', timestamp: now, type: 'message' }
+      ],
+      annotations: [annotation(first, 'good', '')]
+    },
+    {
+      id: 'seed-thread-3',
+      title: 'Parking',
+      createdAt: now,
+      updatedAt: now,
+      messages: [
+        { role: 'human', content: 'Is there guest parking?', timestamp: now, type: 'message' },
+        { role: 'ai', content: 'Yes, guests can park in the marked spots near the entrance for up to 24 hours.', timestamp: now, type: 'message' }
+      ],
+      annotations: []
+    }
+  ];
+}
+
+// Same key as getAnnotationKey in src/utils/helpers.js
+function getAnnotationKey(annotation) {
+  return annotation.id || `${annotation.createdByUid || annotation.createdBy || ''}@${annotation.timestamp || ''}`;
+}
+
+// Firestore REST values are typed; undefined fields are left out like the SDK does
+function toValue(value) {
+  if (value === null) return { nullValue: null };
+  if (typeof value === 'boolean') return { booleanValue: value };
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? { integerValue: String(value) } : { doubleValue: value };
+  }
+  if (typeof value === 'string') return { stringValue: value };
+  if (Array.isArray(value)) return { arrayValue: { values: value.filter(item => item !== undefined).map(toValue) } };
+  return { mapValue: { fields: toFields(value) } };
+}
+
+function toFields(object) {
+  const fields = {};
+  Object.entries(object).forEach(([key, value]) => {
+    if (value !== undefined) fields[key] = toValue(value);
+  });
+  return fields;
+}
+
+async function callEmulator(url, options) {
+  let response;
+  try {
+    response = await fetch(url, options);
+  } catch (error) {
+    throw new Error(`Could not reach the emulators at ${url}; start them with \`npm run emulators\` first`);
+  }
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(data.error?.message || `Request to ${url} failed with status ${response.status}`);
+    error.emulatorMessage = data.error?.message;
+    throw error;
+  }
+  return data;
+}
+
+async function writeDocument(documentPath, data, timestampFields = []) {
+  const fields = toFields(data);
+  // Stored as timestamps like the app's serverTimestamp(), so incremental syncs can query on them
+  timestampFields
+    .filter(field => data[field])
+    .forEach(field => { fields[field] = { timestampValue: new Date(data[field]).toISOString() }; });
+  await callEmulator(`${DOCUMENTS_URL}/${documentPath}`, {
+    method: 'PATCH',
+    headers: {
+      'Content-Type': 'application/json',
+      // The emulator lets the owner bypass security rules
+      Authorization: 'Bearer owner'
+    },
+    body: JSON.stringify({ fields })
+  });
+}
+
+// Create an account, or sign in to an existing one, and return { uid, email }
+async function ensureAccount(email) {
+  const body = { email, password: PASSWORD, returnSecureToken: true };
+  const post = (endpoint) => callEmulator(`${AUTH_URL}/${endpoint}?key=demo-api-key`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  try {
+    const { localId } = await post('accounts:signUp');
+    return { uid: localId, email };
+  } catch (error) {
+    if (error.emulatorMessage !== 'EMAIL_EXISTS') throw error;
+    const { localId } = await post('accounts:signInWithPassword');
+    return { uid: localId, email };
+  }
+}
+
+// Same layout as firebaseStorage.js: thread document, messages document, one document per annotation
+async function writeThread(thread) {
+  const { messages = [], annotations = [], ...threadData } = thread;
+  const annotationList = Array.isArray(annotations) ? annotations : [annotations];
+  await writeDocument(`threads/${encodeURIComponent(thread.id)}`, {
+    ...threadData,
+    messageCount: messages.length,
+    annotationCount: annotationList.length,
+    isAnnotated: annotationList.length > 0,
+    revision: thread.revision || 1,
+    updatedAt: thread.updatedAt || new Date().toISOString()
+  }, ['updatedAt']);
+  await writeDocument(`threadMessages/${encodeURIComponent(thread.id)}`, { messages });
+  for (const annotation of annotationList) {
+    await writeDocument(
+      `threads/${encodeURIComponent(thread.id)}/annotations/${encodeURIComponent(getAnnotationKey(annotation))}`,
+      annotation
+    );
+  }
+}
+
+async function main() {
+  const annotators = [];
+  for (const { email, role } of ACCOUNTS) {
+    const account = await ensureAccount(email);
+    await writeDocument(`users/${account.uid}`, { email, role });
+    annotators.push(account);
+  }
+  console.log(`Accounts (password "${PASSWORD}"): ${ACCOUNTS.map(({ email, role }) => `${email} (${role})`).join(', ')}`);
+
+  const threadsFile = process.argv[2];
+  let threads = demoThreads(annotators);
+  if (threadsFile) {
+    const parsed = JSON.parse(fs.readFileSync(path.resolve(threadsFile), 'utf8'));
+    threads = Array.isArray(parsed) ? parsed : parsed.threads || [];
+  }
+
+  let written = 0;
+  for (const thread of threads) {
+    if (!thread.id) {
+      console.warn('Skipping a thread without an id');
+      continue;
+    }
+    await writeThread(thread);
+    written++;
+  }
+  console.log(`Wrote ${written} threads to the Firestore emulator (project ${PROJECT_ID})`);
+}
+
+main().catch((error) => {
+  console.error('Seeding failed:', error.message);
+  process.exit(1);
+});
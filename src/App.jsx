@@ -1,60 +1,94 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { Box, Snackbar, Alert, TextField, Button as MuiButton, Typography, CircularProgress, IconButton } from '@mui/material';
 import {
   Panel,
-  PanelGroup,
-  PanelResizeHandle
+  PanelGroup
 } from 'react-resizable-panels';
+import ResizeHandle from './components/ResizeHandle';
 import ThreadList from './components/ThreadList';
 import ConversationView from './components/ConversationView';
+import ComparisonView from './components/ComparisonView';
 import AnnotationPanel from './components/AnnotationPanel';
 import Header from './components/Header';
 import { mockThreads } from './utils/mockData';
 import CsvImportDialog from './components/CsvImportDialog';
 import DeleteConfirmDialog from './components/DeleteConfirmDialog';
 import SettingsDialog from './components/SettingsDialog';
+import AssignmentDialog from './components/AssignmentDialog';
+import AgreementDialog from './components/AgreementDialog';
+import ExportDialog from './components/ExportDialog';
+import ImportConflictsDialog from './components/ImportConflictsDialog';
+import SyncConflictsDialog from './components/SyncConflictsDialog';
 import Login from './components/Login';
 import * as storageService from './utils/storageService';
-import { initStorage, isAuthenticated, signOut, syncToRemote, getCurrentUser } from './utils/storageService';
+import {
+  initStorage,
+  isAuthenticated,
+  signOut,
+  syncWithRemote,
+  resolveSyncConflicts,
+  retryFailedWrites,
+  subscribeOutbox,
+  subscribeLocalChanges,
+  subscribeSettings,
+  onAuthStateChanged,
+  getCurrentUser,
+  getUserProfile
+} from './utils/storageService';
 import { v4 as uuidv4 } from 'uuid';
 import StorageDebug from './utils/storageDebug';
 import { Button, Dialog, DialogTitle, DialogContent, DialogActions } from '@mui/material';
 import { Add as AddIcon, Settings as SettingsIcon, ImportExport as ImportExportIcon, CloudUpload as CloudUploadIcon, Close as CloseIcon } from '@mui/icons-material';
-import { convertAnnotationsToCSV } from './utils/helpers';
-import { auth } from './utils/firebase';
+import {
+  convertAnnotationsToCSV,
+  convertAnnotationsToJSON,
+  convertSpansToJSONL,
+  downloadFile,
+  collectMetadataValues,
+  getMessageMetadata,
+  threadMatchesMetadata,
+  normalizeAnnotations,
+  getAnnotationKey
+} from './utils/helpers';
+import { DEFAULT_RUBRIC, getRubric } from './utils/rubric';
+import {
+  convertComparisonsToJSONL,
+  convertRatingsToDPOJSONL,
+  convertThreadsToSFTJSONL,
+  SFT_FORMATS
+} from './utils/trainingExport';
+import { findImportConflicts, mergeImportedThreads, formatImportSummary } from './utils/importMerge';
+import { formatSyncSummary } from './utils/syncEngine';
+import { startLiveUpdates, updatePresence, stopPresence, subscribePresence } from './utils/collaboration';
+import { ROLES, DEFAULT_ROLE, PERMISSIONS, hasPermission, canChangeAnnotation, generateFirestoreRules } from './utils/roles';
+import { isAssignedTo, isQueuedFor, findNextQueuedIndex } from './utils/assignments';
+
+// Threads fetched per page of the thread list
+const THREADS_PAGE_SIZE = 100;
 
-// Custom resize handle component
-const ResizeHandle = () => (
-  <PanelResizeHandle
-    className="resize-handle"
-    style={{
-      width: '8px',
-      background: '#f0f0f0',
-      cursor: 'col-resize',
-      display: 'flex',
-      justifyContent: 'center',
-      alignItems: 'center',
-    }}
-  >
-    <div
-      style={{
-        width: '4px',
-        height: '30px',
-        background: '#ccc',
-        borderRadius: '2px',
-      }}
-    />
-  </PanelResizeHandle>
-);
+/**
+ * Thread without its messages, as thread list pages hold them
+ * @param {Object} thread - Thread object
+ * @returns {Object} Thread summary
+ */
+const toThreadSummary = ({ messages, ...summary }) => ({
+  ...summary,
+  messageCount: messages ? messages.length : summary.messageCount || 0,
+  messageMetadata: messages ? getMessageMetadata(messages) : summary.messageMetadata || {}
+});
 
 const App = () => {
   const [threads, setThreads] = useState([]);
   const [selectedThread, setSelectedThread] = useState(null);
   const [selectedThreadIndex, setSelectedThreadIndex] = useState(0);
-  const [filter, setFilter] = useState('all'); // 'all', 'annotated', 'unannotated'
+  const [filter, setFilter] = useState('all'); // 'all', 'annotated', 'unannotated', 'queue'
+  const [metadataFilters, setMetadataFilters] = useState([]); // [{ key, value }]
   const [sortOrder, setSortOrder] = useState('newest'); // 'newest', 'oldest'
   const [csvImportDialogOpen, setCsvImportDialogOpen] = useState(false);
+  const [pendingImport, setPendingImport] = useState(null); // { importedThreads, conflicts }
   const [settingsDialogOpen, setSettingsDialogOpen] = useState(false);
+  const [assignDialogOpen, setAssignDialogOpen] = useState(false);
+  const [agreementDialogOpen, setAgreementDialogOpen] = useState(false);
   const [notification, setNotification] = useState({ open: false, message: '', severity: 'info' });
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
   const [threadToDelete, setThreadToDelete] = useState(null);
@@ -66,15 +100,107 @@ const App = () => {
   const [newThreadTitle, setNewThreadTitle] = useState('');
   const [authenticated, setAuthenticated] = useState(false);
   const [authLoading, setAuthLoading] = useState(true);
+  const [userRole, setUserRole] = useState(DEFAULT_ROLE);
   const [syncDialogOpen, setSyncDialogOpen] = useState(false);
   const [syncStatus, setSyncStatus] = useState('idle'); // 'idle', 'syncing', 'success', 'error'
+  const [syncConflicts, setSyncConflicts] = useState(null); // threads edited on both sides, awaiting a choice
+  const [outboxStatus, setOutboxStatus] = useState({ pending: 0, failed: 0, online: true, replaying: false });
+  const [listReloadKey, setListReloadKey] = useState(0); // bumped when a sync brings in threads not yet listed
+  const [viewersByThread, setViewersByThread] = useState({}); // other signed-in users, by the thread they have open
   const [setupHelpOpen, setSetupHelpOpen] = useState(false);
+  const [rubric, setRubric] = useState(DEFAULT_RUBRIC);
+  const [selectedMessageId, setSelectedMessageId] = useState(null);
+  const [exportDialogOpen, setExportDialogOpen] = useState(false);
+  const [comparisonThreadId, setComparisonThreadId] = useState(null);
+  const [threadsCursor, setThreadsCursor] = useState(null); // null once the last page is loaded
+  const [loadingMoreThreads, setLoadingMoreThreads] = useState(false);
+  
+  // Last version of each thread known to be in storage; any other version is dirty
+  const persistedThreadsRef = useRef(new Map());
+  
+  // The latest j/k handlers, so the keydown listener always navigates the current list and queue
+  const keyboardNavigationRef = useRef({ next: () => {}, previous: () => {} });
+  
+  const markThreadsPersisted = (persistedThreads) => {
+    persistedThreads.forEach(thread => persistedThreadsRef.current.set(thread.id, thread));
+  };
   
   // Initialize storage
   useEffect(() => {
     initStorage();
   }, []);
 
+  // Follow pending cloud writes and the threads syncs change underneath the list
+  useEffect(() => {
+    const unsubscribeOutbox = subscribeOutbox(setOutboxStatus);
+    const unsubscribeChanges = subscribeLocalChanges(applyLocalSyncChanges);
+    return () => {
+      unsubscribeOutbox();
+      unsubscribeChanges();
+    };
+  }, []);
+  
+  // Bring this device up to date with the cloud after signing in
+  useEffect(() => {
+    if (!authenticated) return;
+    
+    syncWithRemote()
+      .then(result => {
+        if (result.conflicts.length > 0) {
+          showNotification(`${result.conflicts.length} threads were edited here and in the cloud. Use Sync to choose which versions to keep.`, 'warning');
+        }
+      })
+      .catch(error => console.error('Error syncing after sign-in:', error));
+  }, [authenticated]);
+
+  // See other annotators' edits and whereabouts while signed in
+  useEffect(() => {
+    if (!authenticated) return;
+    
+    const stopLiveUpdates = startLiveUpdates();
+    const unsubscribePresence = subscribePresence(setViewersByThread);
+    window.addEventListener('beforeunload', stopPresence);
+    return () => {
+      stopLiveUpdates();
+      unsubscribePresence();
+      window.removeEventListener('beforeunload', stopPresence);
+      setViewersByThread({});
+    };
+  }, [authenticated]);
+  
+  useEffect(() => {
+    if (authenticated) {
+      updatePresence(selectedThread?.id || null);
+    }
+  }, [authenticated, selectedThread?.id]);
+
+  // Load the signed-in user's role; without signing in, threads stay in this browser and nothing is gated
+  useEffect(() => {
+    if (!authenticated) {
+      setUserRole(ROLES.ADMIN);
+      // Queues belong to signed-in users
+      setFilter(current => (current === 'queue' ? 'all' : current));
+      return;
+    }
+    setUserRole(DEFAULT_ROLE);
+    getUserProfile()
+      .then(profile => setUserRole(profile.role))
+      .catch(error => console.error('Error loading user role:', error));
+  }, [authenticated]);
+
+  const canEditThreads = hasPermission(userRole, PERMISSIONS.EDIT_THREADS);
+  const canDeleteThreads = hasPermission(userRole, PERMISSIONS.DELETE_THREADS);
+  const canAssignThreads = authenticated && hasPermission(userRole, PERMISSIONS.ASSIGN_THREADS);
+  // Whose queue "My queue" and Next follow
+  const currentUserId = authenticated ? getCurrentUser()?.uid || null : null;
+  const canDeleteAnnotation = (annotation) => canChangeAnnotation(userRole, annotation, getCurrentUser()?.uid);
+
+  // Load the annotation rubric from settings, and again when settings arrive from the backend
+  useEffect(() => {
+    getRubric().then(setRubric);
+    return subscribeSettings(() => getRubric().then(setRubric));
+  }, []);
+
   // Check authentication state
   useEffect(() => {
     const checkAuth = () => {
@@ -84,8 +210,8 @@ const App = () => {
       setAuthLoading(false);
     };
     
-    // Use Firebase's auth state observer to get reliable auth state updates
-    const unsubscribe = auth.onAuthStateChanged((user) => {
+    // Use the backend's auth state observer to get reliable auth state updates
+    const unsubscribe = onAuthStateChanged((user) => {
       console.log('Auth state changed:', user ? 'logged in' : 'logged out');
       setAuthenticated(!!user);
       setAuthLoading(false);
@@ -97,20 +223,33 @@ const App = () => {
     return () => unsubscribe();
   }, []);
   
+  // Storage query for the thread list; the annotated and queue filters and sort order are applied by the backend
+  const getPageOptions = () => ({
+    sortOrder,
+    annotated: filter === 'all' || filter === 'queue' ? undefined : filter === 'annotated',
+    queuedFor: filter === 'queue' ? currentUserId : undefined,
+    limit: THREADS_PAGE_SIZE
+  });
+  
   useEffect(() => {
-    // Load threads using storage service
+    // Load the first page of thread summaries using storage service
     const loadThreads = async () => {
       try {
         console.log("Loading threads...");
-        const storedThreads = await storageService.getThreads();
+        const { threads: pageThreads, cursor } = await storageService.getThreadsPage(getPageOptions());
         const currentStorageType = 'Hybrid (IndexedDB/Firebase)';
         setStorageType(currentStorageType);
         
-        if (storedThreads && storedThreads.length > 0) {
-          console.log(`Loaded ${storedThreads.length} threads successfully`);
-          setThreads(storedThreads);
-          setSelectedThread(storedThreads[0]);
-          setSelectedThreadIndex(0);
+        // An empty filtered list is a real result; only an empty workspace gets the mock data
+        if (pageThreads.length > 0 || filter !== 'all') {
+          console.log(`Loaded ${pageThreads.length} threads successfully`);
+          persistedThreadsRef.current = new Map();
+          markThreadsPersisted(pageThreads);
+          setThreads(pageThreads);
+          setThreadsCursor(cursor);
+          if (pageThreads.length > 0) {
+            openThread(pageThreads[0], 0);
+          }
         } else {
           console.log("No threads found, using mock data");
           // Load mock threads if no stored threads found
@@ -118,7 +257,7 @@ const App = () => {
         }
       } catch (error) {
         console.error('Error loading threads:', error);
-        showNotification('Error loading data from Firebase. This might be due to missing database setup or permissions. Click "Setup Help" for instructions.', 'error');
+        showNotification('Error loading threads from this browser\'s storage: ' + error.message, 'error');
         loadMockThreads();
       }
     };
@@ -126,27 +265,120 @@ const App = () => {
     if (authenticated || !isAuthenticated()) {
       loadThreads();
     }
-  }, [authenticated]);
+  }, [authenticated, filter, sortOrder, listReloadKey]);
+  
+  const loadMoreThreads = async () => {
+    if (!threadsCursor || loadingMoreThreads) return;
+    
+    setLoadingMoreThreads(true);
+    try {
+      const { threads: pageThreads, cursor } = await storageService.getThreadsPage({
+        ...getPageOptions(),
+        cursor: threadsCursor
+      });
+      markThreadsPersisted(pageThreads);
+      setThreads(current => {
+        const loadedIds = new Set(current.map(thread => thread.id));
+        return [...current, ...pageThreads.filter(thread => !loadedIds.has(thread.id))];
+      });
+      setThreadsCursor(cursor);
+    } catch (error) {
+      console.error('Error loading more threads:', error);
+      showNotification('Error loading more threads', 'error');
+    } finally {
+      setLoadingMoreThreads(false);
+    }
+  };
+  
+  // Fetch the messages of a thread summary the first time it is shown
+  const loadThreadMessages = async (thread) => {
+    if (!thread || thread.messages) return;
+    
+    try {
+      const messages = await storageService.getThreadMessages(thread.id);
+      const persisted = persistedThreadsRef.current;
+      setThreads(current => current.map(t => {
+        if (t.id !== thread.id || t.messages) return t;
+        const withMessages = { ...t, messages };
+        // Loading messages is not a change; keep the thread clean if it was
+        if (persisted.get(t.id) === t) persisted.set(t.id, withMessages);
+        return withMessages;
+      }));
+      setSelectedThread(current => (
+        current?.id === thread.id && !current.messages ? { ...current, messages } : current
+      ));
+    } catch (error) {
+      console.error(`Error loading messages of thread ${thread.id}:`, error);
+      showNotification('Error loading thread messages', 'error');
+    }
+  };
+  
+  const openThread = (thread, index) => {
+    setSelectedThread(thread);
+    if (index !== undefined) {
+      setSelectedThreadIndex(index);
+    }
+    loadThreadMessages(thread);
+  };
+  
+  const handleCompareThread = (threadId) => {
+    setComparisonThreadId(threadId);
+    loadThreadMessages(threads.find(thread => thread.id === threadId));
+  };
+  
+  // Stored threads with their unsaved in-memory versions taking precedence
+  const preferLoadedVersions = (storedThreads) => {
+    const loadedById = new Map(threads.map(thread => [thread.id, thread]));
+    return storedThreads.map(stored => {
+      const loaded = loadedById.get(stored.id);
+      if (!loaded) return stored;
+      return loaded.messages ? loaded : { ...loaded, messages: stored.messages };
+    });
+  };
+  
+  // Every stored thread with its messages, with unsaved in-memory versions taking precedence.
+  // The list only holds the loaded pages, so exports read from storage.
+  const getAllThreads = async () => {
+    const storedThreads = await storageService.getThreads();
+    const storedIds = new Set(storedThreads.map(thread => thread.id));
+    
+    return [
+      ...preferLoadedVersions(storedThreads),
+      ...threads.filter(thread => !storedIds.has(thread.id))
+    ];
+  };
   
   const loadMockThreads = () => {
     setThreads(mockThreads);
+    setThreadsCursor(null);
     if (mockThreads.length > 0) {
       setSelectedThread(mockThreads[0]);
       setSelectedThreadIndex(0);
     }
   };
   
-  // Save threads to storage whenever they change
+  // Save only the threads that changed since they were last stored
   useEffect(() => {
+    const persisted = persistedThreadsRef.current;
+    const currentIds = new Set(threads.map(thread => thread.id));
+    for (const threadId of persisted.keys()) {
+      if (!currentIds.has(threadId)) persisted.delete(threadId);
+    }
+    
+    const dirtyThreads = threads.filter(thread => persisted.get(thread.id) !== thread);
+    if (dirtyThreads.length === 0) return;
+    
+    // Mark them up front so another change during the writes doesn't queue these versions again
+    markThreadsPersisted(dirtyThreads);
+    
     const saveData = async () => {
-      if (threads.length > 0) {
+      for (const thread of dirtyThreads) {
         try {
-          // Save each thread individually to avoid overwriting
-          for (const thread of threads) {
-            await storageService.saveThread(thread);
-          }
+          await storageService.saveThread(thread);
         } catch (error) {
-          console.error('Error saving threads:', error);
+          console.error(`Error saving thread ${thread.id}:`, error);
+          // Leave it dirty so the next change retries the write
+          if (persisted.get(thread.id) === thread) persisted.delete(thread.id);
         }
       }
     };
@@ -154,6 +386,16 @@ const App = () => {
     saveData();
   }, [threads]);
 
+  // Message selection only applies to the thread it was made in
+  useEffect(() => {
+    setSelectedMessageId(null);
+    
+    // A thread can't be compared with itself
+    if (selectedThread?.id === comparisonThreadId) {
+      setComparisonThreadId(null);
+    }
+  }, [selectedThread?.id]);
+
   // Handle keyboard navigation (j/k keys)
   useEffect(() => {
     const handleKeyDown = (e) => {
@@ -162,24 +404,34 @@ const App = () => {
       }
       
       if (e.key === 'j') {
-        handleNavigateNext();
+        keyboardNavigationRef.current.next();
       } else if (e.key === 'k') {
-        handleNavigatePrevious();
+        keyboardNavigationRef.current.previous();
       }
     };
     
     window.addEventListener('keydown', handleKeyDown);
     return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [selectedThreadIndex]);
+  }, []);
   
   // Filter threads based on current filter setting
   let filteredThreads = threads.filter(thread => {
+    if (!threadMatchesMetadata(thread, metadataFilters)) return false;
     if (filter === 'all') return true;
     if (filter === 'annotated') return thread.isAnnotated;
     if (filter === 'unannotated') return !thread.isAnnotated;
+    if (filter === 'queue') return isQueuedFor(thread, currentUserId);
     return true;
   });
   
+  // Metadata keys and values offered as thread list filters
+  const metadataOptions = useMemo(() => collectMetadataValues(threads), [threads]);
+  
+  // Thread B when comparing two threads side by side (thread A is the selected thread)
+  const comparisonThread = comparisonThreadId
+    ? threads.find(thread => thread.id === comparisonThreadId) || null
+    : null;
+  
   // Sort threads based on current sort order
   filteredThreads = [...filteredThreads].sort((a, b) => {
     const dateA = a.createdAt ? new Date(a.createdAt).getTime() : 0;
@@ -212,10 +464,9 @@ const App = () => {
     const thread = threads.find(t => t.id === threadId);
     if (thread) {
       console.log(`Found thread:`, thread.title || thread.id);
-      setSelectedThread(thread);
       const index = filteredThreads.findIndex(t => t.id === threadId);
+      openThread(thread, index !== -1 ? index : undefined);
       if (index !== -1) {
-        setSelectedThreadIndex(index);
         console.log(`Set selected thread index to: ${index}`);
       }
     } else {
@@ -229,32 +480,43 @@ const App = () => {
       const currentUser = getCurrentUser();
       const userEmail = currentUser?.email || 'Anonymous';
       const userId = currentUser?.uid || 'anonymous';
+      const annotation = {
+        id: uuidv4(),
+        timestamp: new Date().toISOString(),
+        createdBy: userEmail,
+        createdByUid: userId,
+        ...annotationData
+      };
+      
+      // Store just this annotation, so annotators adding to the same thread don't overwrite each other
+      let stored = false;
+      try {
+        stored = await storageService.addAnnotation(threadId, annotation);
+      } catch (error) {
+        // Not stored yet (e.g. a sample thread): the dirty-thread effect saves the whole thread
+      }
       
-      // Update thread with annotation data
       const updatedThreads = threads.map(thread => {
         if (thread.id === threadId) {
-          // Update the thread
-          const updatedThread = {
+          return {
             ...thread,
             isAnnotated: true,
-            annotations: [...(thread.annotations || []), {
-              id: uuidv4(),
-              timestamp: new Date().toISOString(),
-              createdBy: userEmail,
-              createdByUid: userId,
-              ...annotationData
-            }]
+            annotations: [...normalizeAnnotations(thread), annotation]
           };
-          
-          // Save to storage
-          storageService.updateThread(threadId, updatedThread);
-          
-          return updatedThread;
         }
         return thread;
       });
       
+      if (stored) {
+        markThreadsPersisted(updatedThreads.filter(thread => thread.id === threadId));
+      }
       setThreads(updatedThreads);
+      
+      // Keep the open thread in sync so new annotations and message badges show up
+      if (selectedThread && selectedThread.id === threadId) {
+        setSelectedThread(updatedThreads.find(t => t.id === threadId));
+      }
+      
       showNotification('Annotation saved', 'success');
     } catch (error) {
       console.error('Error saving annotation:', error);
@@ -262,14 +524,55 @@ const App = () => {
     }
   };
   
+  // Highlighted spans are stored as annotations of type 'span'
+  const handleAddSpan = (threadId, span) => {
+    handleAnnotationSave(threadId, {
+      type: 'span',
+      ...span
+    });
+  };
+  
+  // Rewritten assistant replies are stored as annotations of type 'correction'
+  const handleProposeCorrection = (threadId, correction) => {
+    handleAnnotationSave(threadId, {
+      type: 'correction',
+      ...correction
+    });
+  };
+  
   const handleNavigateNext = () => {
+    // With threads assigned to them, annotators go through their queue and skip what they've done
+    if (currentUserId && threads.some(thread => isAssignedTo(thread, currentUserId))) {
+      navigateQueue();
+      return;
+    }
+    
     if (filteredThreads.length === 0 || selectedThreadIndex >= filteredThreads.length - 1) {
+      // At the end of the loaded pages, fetch the next one
+      loadMoreThreads();
       return;
     }
     
     const nextIndex = selectedThreadIndex + 1;
-    setSelectedThreadIndex(nextIndex);
-    setSelectedThread(filteredThreads[nextIndex]);
+    openThread(filteredThreads[nextIndex], nextIndex);
+  };
+  
+  const navigateQueue = () => {
+    let nextIndex = findNextQueuedIndex(filteredThreads, selectedThreadIndex, currentUserId);
+    if (nextIndex === -1 && threadsCursor) {
+      // Later pages may hold more of the queue
+      loadMoreThreads();
+      return;
+    }
+    if (nextIndex === -1) {
+      // Wrap around to queued threads above the current one
+      nextIndex = findNextQueuedIndex(filteredThreads, -1, currentUserId);
+    }
+    if (nextIndex === -1 || nextIndex === selectedThreadIndex) {
+      showNotification('No more threads in your queue', 'success');
+      return;
+    }
+    openThread(filteredThreads[nextIndex], nextIndex);
   };
   
   const handleNavigatePrevious = () => {
@@ -278,10 +581,11 @@ const App = () => {
     }
     
     const prevIndex = selectedThreadIndex - 1;
-    setSelectedThreadIndex(prevIndex);
-    setSelectedThread(filteredThreads[prevIndex]);
+    openThread(filteredThreads[prevIndex], prevIndex);
   };
   
+  keyboardNavigationRef.current = { next: handleNavigateNext, previous: handleNavigatePrevious };
+  
   // Import dialog handlers
   const handleImportClick = () => {
     setCsvImportDialogOpen(true);
@@ -310,42 +614,86 @@ const App = () => {
       return;
     }
     
+    // Ask how to handle threads we already have before writing anything. Only the stored
+    // threads an incoming one could match are read, not every thread.
+    let existingThreads;
+    try {
+      existingThreads = preferLoadedVersions(await storageService.findImportCandidates(importedThreads));
+    } catch (error) {
+      showNotification('Error checking the import for threads already stored', 'error');
+      return;
+    }
+    const conflicts = findImportConflicts(existingThreads, importedThreads);
+    if (conflicts.length > 0) {
+      setCsvImportDialogOpen(false);
+      setPendingImport({ importedThreads, conflicts, existingThreads });
+      return;
+    }
+    
+    await commitImport(importedThreads, existingThreads);
+  };
+  
+  const commitImport = async (importedThreads, existingThreads, resolutions = {}, defaultResolution) => {
     try {
-      // Always add imported threads as new threads with unique IDs
-      const combinedThreads = [...threads];
-      let addedCount = 0;
+      // New threads get unique IDs; matches are skipped, updated or kept as copies
+      const { threads: combinedThreads, counts, addedIds, updatedIds } = mergeImportedThreads(
+        existingThreads,
+        importedThreads,
+        resolutions,
+        defaultResolution
+      );
       
-      importedThreads.forEach(importedThread => {
-        // Assign a new unique ID to each imported thread
-        const newThread = {
-          ...importedThread,
-          id: uuidv4(), // Generate new UUID
-          createdAt: importedThread.createdAt || new Date().toISOString(),
-          isAnnotated: importedThread.isAnnotated || false
-        };
-        
-        // Add as a new thread
-        combinedThreads.push(newThread);
-        addedCount++;
-      });
+      const changedIds = new Set([...addedIds, ...updatedIds]);
+      const changedThreads = combinedThreads.filter(thread => changedIds.has(thread.id));
+      const updatedById = new Map(
+        changedThreads.filter(thread => updatedIds.includes(thread.id)).map(thread => [thread.id, thread])
+      );
+      // New threads join the list as summaries, except the one opened below
+      const openImported = !selectedThread && addedIds.length > 0
+        ? changedThreads.find(thread => thread.id === addedIds[0])
+        : null;
+      const addedThreads = changedThreads
+        .filter(thread => !updatedById.has(thread.id))
+        .map(thread => (thread === openImported ? thread : toThreadSummary(thread)));
+      const listedThreads = [
+        ...threads.filter(thread => updatedById.has(thread.id)).map(thread => updatedById.get(thread.id)),
+        ...addedThreads
+      ];
+      
+      // The batched save below stores the changed threads, so the dirty-thread effect skips them
+      markThreadsPersisted(listedThreads);
       
-      setThreads(combinedThreads);
+      setThreads([...threads.map(thread => updatedById.get(thread.id) || thread), ...addedThreads]);
       
       // If we don't already have a selected thread, select the first imported one
-      if (!selectedThread && importedThreads.length > 0) {
-        const lastImportedIndex = combinedThreads.length - importedThreads.length;
-        setSelectedThread(combinedThreads[lastImportedIndex]);
-        setSelectedThreadIndex(lastImportedIndex);
+      if (openImported) {
+        setSelectedThread(openImported);
+        setSelectedThreadIndex(0);
+      } else if (selectedThread && updatedById.has(selectedThread.id)) {
+        // Keep the open thread in sync if its messages were updated
+        setSelectedThread(updatedById.get(selectedThread.id));
       }
       
-      // Save to storage
-      await storageService.saveThreads(combinedThreads);
-      
-      // Close dialog and show success notification
+      // Close dialogs while the changed threads are written in batches
       setCsvImportDialogOpen(false);
+      setPendingImport(null);
+      
+      const saved = await storageService.saveThreadsInBatches(changedThreads, {
+        onProgress: (done, total) => {
+          if (done < total) {
+            setNotification({ open: true, message: `Saving imported threads: ${done} of ${total}`, severity: 'info' });
+          }
+        }
+      });
+      if (!saved) {
+        // Leave them dirty so the next change retries the writes
+        listedThreads.forEach(thread => persistedThreadsRef.current.delete(thread.id));
+        throw new Error('Failed to save imported threads');
+      }
+      
       setNotification({
         open: true,
-        message: `Import successful: ${addedCount} threads added`,
+        message: `Import complete: ${formatImportSummary(counts)}`,
         severity: 'success'
       });
     } catch (error) {
@@ -366,8 +714,47 @@ const App = () => {
     setNotification({...notification, open: false});
   };
   
+  // Open a thread from the agreement report, adding it to the list if its page isn't loaded
+  const handleOpenReportThread = async (threadId) => {
+    const loaded = threads.find(thread => thread.id === threadId);
+    if (loaded) {
+      handleThreadSelect(threadId);
+      return;
+    }
+    try {
+      const thread = await storageService.getThread(threadId);
+      if (!thread) {
+        showNotification('That thread is no longer stored', 'warning');
+        return;
+      }
+      markThreadsPersisted([thread]);
+      setThreads(current => [thread, ...current.filter(existing => existing.id !== threadId)]);
+      openThread(thread);
+    } catch (error) {
+      console.error(`Error opening thread ${threadId}:`, error);
+      showNotification('Error opening thread', 'error');
+    }
+  };
+  
+  // Save the assignments from the assignment dialog and show them in the list
+  const handleAssignThreads = async (assignments) => {
+    const assignedThreads = await storageService.assignThreads(assignments);
+    const assigneesById = new Map(assignedThreads.map(thread => [thread.id, thread.assignees]));
+    
+    const updatedThreads = threads.map(thread => (
+      assigneesById.has(thread.id) ? { ...thread, assignees: assigneesById.get(thread.id) } : thread
+    ));
+    markThreadsPersisted(updatedThreads.filter(thread => assigneesById.has(thread.id)));
+    setThreads(updatedThreads);
+    if (selectedThread && assigneesById.has(selectedThread.id)) {
+      setSelectedThread({ ...selectedThread, assignees: assigneesById.get(selectedThread.id) });
+    }
+    showNotification(`Assigned ${assignedThreads.length} thread${assignedThreads.length === 1 ? '' : 's'}`, 'success');
+  };
+  
   // Delete thread handlers
   const handleDeleteThread = (threadId) => {
+    if (!canDeleteThreads) return;
     setThreadToDelete(threadId);
     setDeleteDialogOpen(true);
   };
@@ -386,6 +773,7 @@ const App = () => {
       setThreads(updatedThreads);
       
       // Also remove from storage
+      persistedThreadsRef.current.delete(threadId);
       await storageService.deleteThread(threadId);
       
       // Select a new thread if needed
@@ -393,8 +781,7 @@ const App = () => {
         if (updatedThreads.length > 0) {
           // Select an adjacent thread if possible
           const newIndex = Math.min(selectedThreadIndex, updatedThreads.length - 1);
-          setSelectedThreadIndex(newIndex);
-          setSelectedThread(updatedThreads[newIndex]);
+          openThread(updatedThreads[newIndex], newIndex);
         } else {
           // No threads left
           setSelectedThread(null);
@@ -425,8 +812,18 @@ const App = () => {
     try {
       console.log(`Deleting annotation at index ${annotationIndex} from thread ${threadId}`);
       
-      // Use the dedicated storage method for deleting annotations
-      const result = await storageService.deleteAnnotation(threadId, annotationIndex);
+      // Storage removes annotations by ID; the panel passes their position
+      const thread = threads.find(t => t.id === threadId);
+      const annotation = thread ? normalizeAnnotations(thread)[annotationIndex] : null;
+      if (!annotation) {
+        console.error(`No annotation at index ${annotationIndex} in thread ${threadId}`);
+        return;
+      }
+      if (!canDeleteAnnotation(annotation)) {
+        showNotification('Only reviewers and admins can delete other annotators\' annotations', 'warning');
+        return;
+      }
+      const result = await storageService.deleteAnnotation(threadId, getAnnotationKey(annotation));
       
       if (!result) {
         console.error('Failed to delete annotation using storage manager');
@@ -441,14 +838,7 @@ const App = () => {
       // Update local state if storage update was successful
       const updatedThreads = threads.map(thread => {
         if (thread.id === threadId) {
-          // Create a copy of annotations without the deleted one
-          const updatedAnnotations = Array.isArray(thread.annotations) 
-            ? [...thread.annotations] 
-            : thread.annotations ? [thread.annotations] : [];
-          
-          if (updatedAnnotations.length > annotationIndex) {
-            updatedAnnotations.splice(annotationIndex, 1);
-          }
+          const updatedAnnotations = normalizeAnnotations(thread).filter(existing => existing !== annotation);
           
           return {
             ...thread,
@@ -459,6 +849,9 @@ const App = () => {
         return thread;
       });
       
+      // Storage already has this version
+      markThreadsPersisted(updatedThreads.filter(thread => thread.id === threadId));
+      
       // Update state
       setThreads(updatedThreads);
       
@@ -524,7 +917,8 @@ const App = () => {
   // Force save all data
   const forceStorageSave = async () => {
     try {
-      const result = await StorageDebug.forceSave(threads);
+      // Force save rewrites the whole store, so it needs every thread, not just the loaded pages
+      const result = await StorageDebug.forceSave(await getAllThreads());
       showNotification(result.message, result.success ? 'success' : 'error');
       console.log('Force save result:', result);
     } catch (error) {
@@ -636,12 +1030,15 @@ const App = () => {
         setSelectedThread(updatedThread);
       }
       
-      // Save to storage
-      const saveResult = await storageService.saveThreads(updatedThreads);
-      if (!saveResult) {
-        showNotification('Warning: Thread renamed but may not be saved', 'warning');
-      } else {
+      // Save just the renamed thread
+      const renamedThread = updatedThreads.find(t => t.id === threadToRename.id);
+      markThreadsPersisted([renamedThread]);
+      try {
+        await storageService.saveThread(renamedThread);
         showNotification('Thread renamed successfully', 'success');
+      } catch (saveError) {
+        persistedThreadsRef.current.delete(renamedThread.id);
+        showNotification('Warning: Thread renamed but may not be saved', 'warning');
       }
     } catch (error) {
       console.error('Error renaming thread:', error);
@@ -651,10 +1048,13 @@ const App = () => {
     }
   };
 
-  const handleExportAllAnnotations = () => {
+  const handleExportAllAnnotations = async (format = 'csv', options = {}) => {
     try {
+      // Exports cover every stored thread with its messages, not just the loaded pages
+      const allThreads = await getAllThreads();
+      
       // Filter out threads without annotations
-      const annotatedThreads = threads.filter(thread => 
+      const annotatedThreads = allThreads.filter(thread => 
         thread.annotations && 
         (Array.isArray(thread.annotations) ? thread.annotations.length > 0 : true)
       );
@@ -664,20 +1064,52 @@ const App = () => {
         return;
       }
       
-      // Convert to CSV
-      const csvContent = convertAnnotationsToCSV(annotatedThreads);
-      
-      // Create a download link
-      const dataUri = 'data:text/csv;charset=utf-8,' + encodeURIComponent(csvContent);
-      const exportFileName = `all-annotations-${new Date().toISOString().slice(0, 10)}.csv`;
+      const dateStamp = new Date().toISOString().slice(0, 10);
       
-      const linkElement = document.createElement('a');
-      linkElement.setAttribute('href', dataUri);
-      linkElement.setAttribute('download', exportFileName);
-      document.body.appendChild(linkElement);
-      linkElement.click();
-      document.body.removeChild(linkElement);
+      if (format === 'sft_openai' || format === 'sft_anthropic') {
+        const sftFormat = format === 'sft_anthropic' ? SFT_FORMATS.ANTHROPIC : SFT_FORMATS.OPENAI;
+        const sftContent = convertThreadsToSFTJSONL(annotatedThreads, { ...options.sft, format: sftFormat, rubric });
+        if (!sftContent) {
+          showNotification('No threads match the selected rating and tag filters', 'warning');
+          return;
+        }
+        downloadFile(sftContent, `sft-${sftFormat}-${dateStamp}.jsonl`, 'application/jsonl');
+      } else if (format === 'dpo') {
+        const dpoContent = convertRatingsToDPOJSONL(annotatedThreads, { ...options.preference, rubric });
+        if (!dpoContent) {
+          showNotification('No good/bad pairs found for threads sharing a prompt', 'warning');
+          return;
+        }
+        downloadFile(dpoContent, `dpo-pairs-${dateStamp}.jsonl`, 'application/jsonl');
+      } else if (format === 'pairs') {
+        // Compared threads may not carry annotations themselves, so pass all threads
+        const pairsContent = convertComparisonsToJSONL(allThreads);
+        if (!pairsContent) {
+          showNotification('No A/B comparisons with a preference found to export', 'warning');
+          return;
+        }
+        downloadFile(pairsContent, `comparison-pairs-${dateStamp}.jsonl`, 'application/jsonl');
+      } else if (format === 'spans') {
+        downloadFile(
+          convertSpansToJSONL(annotatedThreads),
+          `span-annotations-${dateStamp}.jsonl`,
+          'application/jsonl'
+        );
+      } else if (format === 'json') {
+        downloadFile(
+          convertAnnotationsToJSON(annotatedThreads),
+          `all-annotations-${dateStamp}.json`,
+          'application/json'
+        );
+      } else {
+        downloadFile(
+          convertAnnotationsToCSV(annotatedThreads, rubric),
+          `all-annotations-${dateStamp}.csv`,
+          'text/csv'
+        );
+      }
       
+      setExportDialogOpen(false);
       showNotification('Annotations exported successfully', 'success');
     } catch (error) {
       console.error('Error exporting annotations:', error);
@@ -713,6 +1145,8 @@ const App = () => {
   
   const handleLogout = async () => {
     try {
+      // Presence can only be removed while still signed in
+      await stopPresence();
       await signOut();
       setAuthenticated(false);
       showNotification('Successfully logged out', 'success');
@@ -732,11 +1166,14 @@ const App = () => {
     setSyncDialogOpen(true);
     
     try {
-      const syncCount = await syncToRemote();
+      const result = await syncWithRemote();
       setSyncStatus('success');
       setTimeout(() => {
         setSyncDialogOpen(false);
-        showNotification(`Successfully synced ${syncCount} threads to the cloud`, 'success');
+        if (result.conflicts.length > 0) {
+          setSyncConflicts(result.conflicts);
+        }
+        showNotification(`Sync complete: ${formatSyncSummary(result)}`, result.skipped > 0 ? 'warning' : 'success');
       }, 1500);
     } catch (error) {
       console.error('Sync error:', error);
@@ -748,6 +1185,66 @@ const App = () => {
     }
   };
 
+  const handleResolveSyncConflicts = async (choices, defaultSide) => {
+    const conflicts = syncConflicts;
+    setSyncConflicts(null);
+    
+    try {
+      const result = await resolveSyncConflicts(conflicts, choices, defaultSide);
+      if (result.skipped > 0) {
+        showNotification(`Resolved ${result.resolved} threads; ${result.skipped} changed again and will come back on the next sync`, 'warning');
+      } else {
+        showNotification(`Resolved ${result.resolved} conflicting thread${result.resolved === 1 ? '' : 's'}`, 'success');
+      }
+    } catch (error) {
+      console.error('Error resolving sync conflicts:', error);
+      showNotification('Error resolving sync conflicts: ' + error.message, 'error');
+    }
+  };
+  
+  const handleRetryWrites = async () => {
+    try {
+      await retryFailedWrites();
+    } catch (error) {
+      console.error('Error retrying failed writes:', error);
+      showNotification('Error retrying cloud writes: ' + error.message, 'error');
+    }
+  };
+  
+  // Bring in the threads a sync (or an outbox replay) wrote to IndexedDB
+  const applyLocalSyncChanges = ({ savedThreads, deletedIds }) => {
+    const savedById = new Map(savedThreads.map(thread => [thread.id, thread]));
+    const deleted = new Set(deletedIds);
+    const persisted = persistedThreadsRef.current;
+    
+    setThreads(current => {
+      const listedIds = new Set(current.map(thread => thread.id));
+      // Threads new to this device go where the list's sort and filter put them
+      if (savedThreads.some(thread => !listedIds.has(thread.id))) {
+        setListReloadKey(key => key + 1);
+      }
+      const next = current
+        .filter(thread => !deleted.has(thread.id))
+        .map(thread => {
+          const saved = savedById.get(thread.id);
+          if (!saved) return thread;
+          // Keep summaries as summaries so the list stays light
+          return thread.messages ? saved : toThreadSummary(saved);
+        });
+      next.forEach(thread => {
+        if (savedById.has(thread.id)) persisted.set(thread.id, thread);
+      });
+      return next;
+    });
+    
+    setSelectedThread(current => {
+      if (!current) return current;
+      if (deleted.has(current.id)) return null;
+      const saved = savedById.get(current.id);
+      return saved && current.messages ? saved : current;
+    });
+  };
+
   // Function to show setup help
   const showSetupHelp = () => {
     setSetupHelpOpen(true);
@@ -811,23 +1308,15 @@ const App = () => {
             fontSize: '0.85rem',
             mb: 2
           }}>
-            {`rules_version = '2';
-service cloud.firestore {
-  match /databases/{database}/documents {
-    // Allow authenticated users to read and write their own data
-    match /threads/{threadId} {
-      allow read, write: if request.auth != null && request.auth.uid == resource.data.userId;
-      allow create: if request.auth != null && request.resource.data.userId == request.auth.uid;
-    }
-    
-    // Other collections
-    match /users/{userId} {
-      allow read, write: if request.auth != null && request.auth.uid == userId;
-    }
-  }
-}`}
+            {generateFirestoreRules()}
           </Box>
           
+          <Typography variant="body2" paragraph>
+            Everyone starts as an annotator. To make the first admin, add a document with your user ID
+            to the <code>users</code> collection in the console with the field <code>role</code> set
+            to <code>admin</code>; admins can then assign roles in Settings.
+          </Typography>
+          
           <Typography variant="subtitle1" gutterBottom sx={{ mt: 2, fontWeight: 'bold' }}>
             3. After Setup
           </Typography>
@@ -872,25 +1361,29 @@ service cloud.firestore {
   return (
     <Box sx={{ display: 'flex', flexDirection: 'column', height: '100vh' }}>
       <Header 
-        onImportClick={handleImportClick} 
+        onImportClick={canEditThreads ? handleImportClick : undefined}
         onSettingsClick={handleSettingsClick}
-        onAddThread={handleAddThread}
+        onAssignClick={canAssignThreads ? () => setAssignDialogOpen(true) : undefined}
+        onAgreementClick={() => setAgreementDialogOpen(true)}
+        onAddThread={canEditThreads ? handleAddThread : undefined}
         onRunDiagnostics={runStorageDiagnostics}
         onForceSave={forceStorageSave}
         isDebugMode={isDebugMode}
         setIsDebugMode={setIsDebugMode}
-        onExportAnnotations={handleExportAllAnnotations}
+        onExportAnnotations={() => setExportDialogOpen(true)}
         storageType={storageType}
         isAuthenticated={authenticated}
         onLogout={handleLogout}
         onSync={handleSyncToRemote}
+        onRetryWrites={handleRetryWrites}
+        outboxStatus={outboxStatus}
         onSetupHelp={() => setSetupHelpOpen(true)}
         currentUser={getCurrentUser()?.email || 'Guest'}
       />
       
       {/* Sync Dialog */}
       <Dialog open={syncDialogOpen} maxWidth="xs" fullWidth>
-        <DialogTitle>Syncing Data to Cloud</DialogTitle>
+        <DialogTitle>Syncing with the Cloud</DialogTitle>
         <DialogContent>
           <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center', py: 3 }}>
             {syncStatus === 'syncing' && (
@@ -899,7 +1392,7 @@ service cloud.firestore {
                   <CloudUploadIcon color="primary" sx={{ fontSize: 48 }} />
                 </Box>
                 <Typography variant="body1" gutterBottom>
-                  Syncing your data to the cloud...
+                  Syncing this device with the cloud...
                 </Typography>
               </>
             )}
@@ -910,7 +1403,7 @@ service cloud.firestore {
                   <CloudUploadIcon color="success" sx={{ fontSize: 48 }} />
                 </Box>
                 <Typography variant="body1" gutterBottom>
-                  Data successfully synced!
+                  Sync complete!
                 </Typography>
               </>
             )}
@@ -942,7 +1435,18 @@ service cloud.firestore {
                 sortOrder={sortOrder}
                 onSortOrderChange={handleSortOrderChange}
                 onDeleteThread={handleDeleteThread}
-                onRenameThread={handleRenameThread}
+                canDeleteThreads={canDeleteThreads}
+                onRenameThread={canEditThreads ? handleRenameThread : undefined}
+                comparisonThreadId={comparisonThreadId}
+                onCompareThread={handleCompareThread}
+                metadataOptions={metadataOptions}
+                metadataFilters={metadataFilters}
+                onMetadataFiltersChange={setMetadataFilters}
+                hasMore={!!threadsCursor}
+                loadingMore={loadingMoreThreads}
+                onLoadMore={loadMoreThreads}
+                viewersByThread={viewersByThread}
+                currentUserId={currentUserId}
                 panelTitle="Threads"
               />
             </Box>
@@ -952,10 +1456,23 @@ service cloud.firestore {
           
           <Panel defaultSize={50} minSize={30}>
             <Box sx={{ height: '100%', display: 'flex', flexDirection: 'column' }}>
-              <ConversationView 
-                thread={selectedThread} 
-                panelTitle="Thread Detail"
-              />
+              {comparisonThread && selectedThread ? (
+                <ComparisonView
+                  threadA={selectedThread}
+                  threadB={comparisonThread}
+                  onExitComparison={() => setComparisonThreadId(null)}
+                />
+              ) : (
+                <ConversationView 
+                  thread={selectedThread} 
+                  panelTitle="Thread Detail"
+                  selectedMessageId={selectedMessageId}
+                  onMessageSelect={setSelectedMessageId}
+                  onAddSpan={handleAddSpan}
+                  onProposeCorrection={handleProposeCorrection}
+                  spanLabels={rubric.spanLabels}
+                />
+              )}
             </Box>
           </Panel>
           
@@ -969,10 +1486,16 @@ service cloud.firestore {
                 onPrevious={handleNavigatePrevious}
                 onNext={handleNavigateNext}
                 onDeleteAnnotation={handleDeleteAnnotation}
+                canDeleteAnnotation={canDeleteAnnotation}
                 hasPrevious={filteredThreads.length > 0 && selectedThreadIndex > 0}
-                hasNext={filteredThreads.length > 0 && selectedThreadIndex < filteredThreads.length - 1}
+                hasNext={filteredThreads.length > 0 && (selectedThreadIndex < filteredThreads.length - 1 || !!threadsCursor)}
                 panelTitle="Annotations"
                 previousTags={getAllUniqueTags()}
+                rubric={rubric}
+                selectedMessageId={selectedMessageId}
+                onClearMessageSelection={() => setSelectedMessageId(null)}
+                comparisonThread={comparisonThread}
+                viewers={viewersByThread[selectedThread?.id] || []}
               />
             </Box>
           </Panel>
@@ -984,10 +1507,52 @@ service cloud.firestore {
         onClose={handleImportClose}
         onImport={handleImportThreads}
       />
+      
+      <SyncConflictsDialog
+        open={!!syncConflicts}
+        conflicts={syncConflicts || []}
+        onCancel={() => setSyncConflicts(null)}
+        onConfirm={handleResolveSyncConflicts}
+      />
+      
+      <ImportConflictsDialog
+        open={!!pendingImport}
+        importedCount={pendingImport?.importedThreads.length}
+        conflicts={pendingImport?.conflicts}
+        onCancel={() => setPendingImport(null)}
+        onConfirm={(resolutions, defaultResolution) =>
+          commitImport(pendingImport.importedThreads, pendingImport.existingThreads, resolutions, defaultResolution)
+        }
+      />
 
       <SettingsDialog
         open={settingsDialogOpen}
         onClose={handleSettingsClose}
+        rubric={rubric}
+        onRubricChange={setRubric}
+        userRole={userRole}
+        isAuthenticated={authenticated}
+      />
+
+      <AssignmentDialog
+        open={assignDialogOpen}
+        onClose={() => setAssignDialogOpen(false)}
+        thread={selectedThread}
+        onAssign={handleAssignThreads}
+      />
+
+      <AgreementDialog
+        open={agreementDialogOpen}
+        onClose={() => setAgreementDialogOpen(false)}
+        rubric={rubric}
+        onOpenThread={handleOpenReportThread}
+      />
+
+      <ExportDialog
+        open={exportDialogOpen}
+        onClose={() => setExportDialogOpen(false)}
+        onExport={handleExportAllAnnotations}
+        availableTags={getAllUniqueTags()}
       />
 
       <DeleteConfirmDialog
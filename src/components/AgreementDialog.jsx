@@ -0,0 +1,253 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  IconButton,
+  Typography,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Box,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  List,
+  ListItemButton,
+  ListItemText,
+  Chip,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import CloseIcon from '@mui/icons-material/Close';
+import { getThreadsPage } from '../utils/storageService';
+import { computeAgreementReport, getAgreementCriteria, AGREEMENT_METRICS } from '../utils/agreement';
+
+const formatScore = (value) => (value === null ? 'n/a' : value.toFixed(2));
+
+const formatPercent = (value) => (value === null ? 'n/a' : `${Math.round(value * 100)}%`);
+
+const Stat = ({ label, value, hint }) => (
+  <Paper variant="outlined" sx={{ p: 1.5, flex: '1 1 140px' }}>
+    <Typography variant="caption" color="text.secondary">{label}</Typography>
+    <Typography variant="h6">{value}</Typography>
+    {hint && <Typography variant="caption" color="text.secondary">{hint}</Typography>}
+  </Paper>
+);
+
+const AgreementDialog = ({ open, onClose, rubric, onOpenThread }) => {
+  const [threads, setThreads] = useState(null);
+  const [error, setError] = useState(null);
+  const [criterionId, setCriterionId] = useState('');
+
+  const criteria = getAgreementCriteria(rubric);
+  const criterion = criteria.find(item => item.id === criterionId) || criteria[0] || null;
+
+  // Read every stored thread's annotations when the dialog opens
+  useEffect(() => {
+    if (!open) return;
+    setThreads(null);
+    setError(null);
+    getThreadsPage({ limit: Infinity })
+      .then(({ threads: storedThreads }) => setThreads(storedThreads))
+      .catch(loadError => {
+        console.error('Error loading threads for the agreement report:', loadError);
+        setError(`Error loading threads: ${loadError.message}`);
+        setThreads([]);
+      });
+  }, [open]);
+
+  const report = useMemo(
+    () => (threads && criterion ? computeAgreementReport(threads, { criterion }) : null),
+    [threads, criterion?.id, criterion?.type]
+  );
+
+  const handleOpenThread = (threadId) => {
+    onOpenThread(threadId);
+    onClose();
+  };
+
+  const renderReport = () => {
+    if (report.overlappingThreadCount === 0) {
+      return (
+        <Alert severity="info">
+          No thread has a {criterion.label} from two or more annotators yet
+          ({report.ratedThreadCount} threads rated by one). Assign threads to several annotators to measure agreement.
+        </Alert>
+      );
+    }
+
+    return (
+      <>
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 3 }}>
+          <Stat
+            label="Overlapping threads"
+            value={report.overlappingThreadCount}
+            hint={`of ${report.ratedThreadCount} rated, ${report.annotators.length} annotators`}
+          />
+          <Stat label="Pairwise agreement" value={formatPercent(report.percentAgreement)} />
+          <Stat label="Fleiss' kappa" value={formatScore(report.fleissKappa)} />
+          <Stat
+            label="Krippendorff's alpha"
+            value={formatScore(report.krippendorffAlpha)}
+            hint={report.metric === AGREEMENT_METRICS.INTERVAL ? 'interval' : 'nominal'}
+          />
+          <Stat label="Mean Cohen's kappa" value={formatScore(report.meanCohensKappa)} hint="over pairs" />
+        </Box>
+
+        <Typography variant="subtitle1" gutterBottom>By annotator pair</Typography>
+        <TableContainer component={Paper} variant="outlined" sx={{ mb: 3 }}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Annotators</TableCell>
+                <TableCell align="right">Shared threads</TableCell>
+                <TableCell align="right">Agreement</TableCell>
+                <TableCell align="right">Cohen's kappa</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {report.pairs.map(pair => (
+                <TableRow key={pair.annotators.join('|')}>
+                  <TableCell sx={{ wordBreak: 'break-word' }}>{pair.annotators.join(' & ')}</TableCell>
+                  <TableCell align="right">{pair.sharedThreads}</TableCell>
+                  <TableCell align="right">{formatPercent(pair.percentAgreement)}</TableCell>
+                  <TableCell align="right">{formatScore(pair.cohensKappa)}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+
+        {report.tags.length > 0 && (
+          <>
+            <Typography variant="subtitle1" gutterBottom>By tag</Typography>
+            <TableContainer component={Paper} variant="outlined" sx={{ mb: 3 }}>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Tag</TableCell>
+                    <TableCell align="right">Threads tagged</TableCell>
+                    <TableCell align="right">By everyone</TableCell>
+                    <TableCell align="right">Agreement</TableCell>
+                    <TableCell align="right">Krippendorff's alpha</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {report.tags.map(tag => (
+                    <TableRow key={tag.tag}>
+                      <TableCell>{tag.tag}</TableCell>
+                      <TableCell align="right">{tag.threads}</TableCell>
+                      <TableCell align="right">{tag.unanimousThreads}</TableCell>
+                      <TableCell align="right">{formatPercent(tag.percentAgreement)}</TableCell>
+                      <TableCell align="right">{formatScore(tag.krippendorffAlpha)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </>
+        )}
+
+        <Typography variant="subtitle1" gutterBottom>Most disputed threads</Typography>
+        {report.disputedThreads.length === 0 ? (
+          <DialogContentText>Every overlapping thread got the same {criterion.label} from all its annotators.</DialogContentText>
+        ) : (
+          <Paper variant="outlined">
+            <List dense disablePadding>
+              {report.disputedThreads.map(entry => (
+                <ListItemButton key={entry.threadId} onClick={() => handleOpenThread(entry.threadId)} divider>
+                  <ListItemText
+                    primary={entry.title}
+                    secondary={
+                      <Box component="span" sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 0.5 }}>
+                        {entry.ratings.map(rating => (
+                          <Chip
+                            key={rating.annotator}
+                            component="span"
+                            size="small"
+                            variant="outlined"
+                            label={`${rating.annotator}: ${rating.value}`}
+                          />
+                        ))}
+                      </Box>
+                    }
+                  />
+                  <Typography variant="body2" color="text.secondary" sx={{ ml: 2 }}>
+                    {formatPercent(entry.disagreement)}
+                  </Typography>
+                </ListItemButton>
+              ))}
+            </List>
+          </Paper>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>
+        Annotator Agreement
+        <IconButton
+          aria-label="close"
+          onClick={onClose}
+          sx={{ position: 'absolute', right: 8, top: 8 }}
+        >
+          <CloseIcon />
+        </IconButton>
+      </DialogTitle>
+
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        {criteria.length === 0 ? (
+          <Alert severity="info">
+            The rubric has no binary, choice, Likert or numeric criteria to compare.
+          </Alert>
+        ) : (
+          <>
+            <DialogContentText sx={{ mb: 2 }}>
+              Compares the thread ratings of annotators who rated the same threads, using each
+              annotator's latest rating. Kappa and alpha are 1 for perfect agreement and 0 for chance level.
+            </DialogContentText>
+
+            <FormControl size="small" sx={{ minWidth: 240, mb: 3 }}>
+              <InputLabel id="agreement-criterion-label">Criterion</InputLabel>
+              <Select
+                labelId="agreement-criterion-label"
+                value={criterion.id}
+                label="Criterion"
+                onChange={(e) => setCriterionId(e.target.value)}
+              >
+                {criteria.map(item => (
+                  <MenuItem key={item.id} value={item.id}>{item.label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+
+            {!report ? (
+              <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+                <CircularProgress size={24} />
+              </Box>
+            ) : renderReport()}
+          </>
+        )}
+      </DialogContent>
+
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default AgreementDialog;
@@ -6,8 +6,6 @@ import {
   Button, 
   Chip,
   Paper,
-  ToggleButtonGroup,
-  ToggleButton,
   InputAdornment,
   IconButton,
   Divider,
@@ -17,7 +15,8 @@ import {
   List,
   ListItem,
   ListItemText,
-  Tooltip
+  Tooltip,
+  Alert
 } from '@mui/material';
 import AddIcon from '@mui/icons-material/Add';
 import ThumbUpIcon from '@mui/icons-material/ThumbUp';
@@ -27,7 +26,21 @@ import ArrowBackIcon from '@mui/icons-material/ArrowBack';
 import ArrowForwardIcon from '@mui/icons-material/ArrowForward';
 import DeleteIcon from '@mui/icons-material/Delete';
 import PanelHeader from './PanelHeader';
-import { formatTimestamp } from '../utils/helpers';
+import RubricCriterionField from './RubricCriterionField';
+import ComparisonForm from './ComparisonForm';
+import { describeViewers } from '../utils/collaboration';
+import { formatTimestamp, truncateText, findMessageById, getAnnotationLevel } from '../utils/helpers';
+import {
+  DEFAULT_RUBRIC,
+  RATING_CRITERION_ID,
+  COMPARISON_PREFERENCES,
+  getEmptyValues,
+  getMissingRequiredCriteria,
+  getAnnotationValues,
+  formatCriterionValue,
+  isPositiveRating,
+  isValueEmpty
+} from '../utils/rubric';
 
 const AnnotationPanel = ({ 
   thread, 
@@ -35,12 +48,18 @@ const AnnotationPanel = ({
   onPrevious, 
   onNext,
   onDeleteAnnotation,
+  canDeleteAnnotation = () => true,
   hasPrevious = true,
   hasNext = true,
   panelTitle = "Annotations",
-  previousTags = []
+  previousTags = [],
+  rubric = DEFAULT_RUBRIC,
+  selectedMessageId = null,
+  onClearMessageSelection,
+  comparisonThread = null,
+  viewers = []
 }) => {
-  const [rating, setRating] = useState(null); // 'good', 'bad'
+  const [values, setValues] = useState(() => getEmptyValues(rubric));
   const [notes, setNotes] = useState('');
   const [tags, setTags] = useState([]);
   const [newTag, setNewTag] = useState('');
@@ -48,16 +67,17 @@ const AnnotationPanel = ({
   useEffect(() => {
     // Reset form when thread changes
     if (thread) {
-      setRating(null);
+      setValues(getEmptyValues(rubric));
       setNotes('');
       setTags([]);
     }
-  }, [thread?.id]);
+  }, [thread?.id, rubric]);
   
-  const handleRatingChange = (event, newRating) => {
-    if (newRating !== null) {
-      setRating(newRating);
-    }
+  const handleValueChange = (criterionId, newValue) => {
+    setValues(prevValues => ({
+      ...prevValues,
+      [criterionId]: newValue
+    }));
   };
   
   const handleNotesChange = (event) => {
@@ -95,16 +115,27 @@ const AnnotationPanel = ({
     if (!thread) return;
     
     const annotation = {
-      rating,
+      rubricId: rubric.id,
+      values,
       notes,
       tags,
       timestamp: new Date().toISOString()
     };
     
+    // Attach the annotation to the selected message instead of the whole thread
+    if (selectedMessageId) {
+      annotation.messageId = selectedMessageId;
+    }
+    
+    // Mirror the overall verdict so good/bad filters and exports keep working
+    if (!isValueEmpty(values[RATING_CRITERION_ID])) {
+      annotation.rating = values[RATING_CRITERION_ID];
+    }
+    
     onSave(thread.id, annotation);
     
     // Reset form after saving
-    setRating(null);
+    setValues(getEmptyValues(rubric));
     setNotes('');
     setTags([]);
   };
@@ -121,6 +152,43 @@ const AnnotationPanel = ({
     }
   };
   
+  // Show the overall rating of a saved annotation, thumbs up for the rating criterion's first option
+  const renderRatingChip = (annotation) => {
+    const rating = getAnnotationValues(annotation)[RATING_CRITERION_ID];
+    if (isValueEmpty(rating)) return null;
+    
+    const positive = isPositiveRating(rubric, annotation);
+    // Ratings that aren't one of the criterion's options (e.g. from an older rubric) get a plain chip
+    if (positive === null) {
+      return <Chip label={formatCriterionValue(rating)} size="small" variant="outlined" />;
+    }
+    return (
+      <Chip
+        icon={positive ? <ThumbUpIcon /> : <ThumbDownIcon />}
+        label={formatCriterionValue(rating)}
+        color={positive ? 'success' : 'error'}
+        size="small"
+        variant="outlined"
+      />
+    );
+  };
+  
+  // Show the non-rating criterion values of a saved annotation as chips
+  const renderCriterionChips = (annotation) => {
+    const annotationValues = getAnnotationValues(annotation);
+    
+    return rubric.criteria
+      .filter(criterion => criterion.id !== RATING_CRITERION_ID && !isValueEmpty(annotationValues[criterion.id]))
+      .map(criterion => (
+        <Chip
+          key={criterion.id}
+          label={`${criterion.label}: ${formatCriterionValue(annotationValues[criterion.id])}`}
+          size="small"
+          variant="outlined"
+        />
+      ));
+  };
+  
   if (!thread) {
     return (
       <Box className="annotation-panel" sx={{ display: 'flex', flexDirection: 'column', height: '100%' }}>
@@ -147,12 +215,28 @@ const AnnotationPanel = ({
   
   // Filter out already selected tags from previous tags
   const availablePreviousTags = previousTags.filter(tag => !tags.includes(tag));
+  
+  const missingCriteria = getMissingRequiredCriteria(rubric, values);
+  
+  const selectedMessage = findMessageById(thread, selectedMessageId);
+  
+  // Describe a message by its position and role, e.g. "#3 ai"
+  const describeMessage = (messageId) => {
+    const target = findMessageById(thread, messageId);
+    return target ? `#${target.index + 1} ${target.message.role || target.message.type}` : messageId;
+  };
 
   return (
     <Box className="annotation-panel" sx={{ display: 'flex', flexDirection: 'column', height: '100%' }}>
       <PanelHeader title={panelTitle} />
       
       <Box sx={{ p: 2, flexGrow: 1, overflow: 'auto' }}>
+        {viewers.length > 0 && (
+          <Alert severity="info" sx={{ mb: 2 }}>
+            {describeViewers(viewers)}. Their annotations appear here as they save them.
+          </Alert>
+        )}
+        
         {previousAnnotations.length > 0 && (
           <Accordion sx={{ mb: 3 }}>
             <AccordionSummary expandIcon={<ExpandMoreIcon />}>
@@ -176,39 +260,75 @@ const AnnotationPanel = ({
                       justifyContent: 'space-between', 
                       mb: 1
                     }}>
-                      <Typography variant="subtitle2" color="text.secondary">
-                        {annotation.createdBy || annotation.reviewer?.name || 'Anonymous'}
-                      </Typography>
+                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                        <Typography variant="subtitle2" color="text.secondary">
+                          {annotation.createdBy || annotation.reviewer?.name || 'Anonymous'}
+                        </Typography>
+                        {annotation.messageId && (
+                          <Chip
+                            label={`Message ${describeMessage(annotation.messageId)}`}
+                            size="small"
+                            color="info"
+                            variant="outlined"
+                          />
+                        )}
+                      </Box>
                       <Box sx={{ display: 'flex', alignItems: 'center' }}>
                         <Typography variant="caption" color="text.secondary" sx={{ mr: 1 }}>
                           {formatTimestamp(annotation.timestamp)}
                         </Typography>
-                        <Tooltip title="Delete annotation">
-                          <IconButton 
-                            size="small" 
-                            color="error"
-                            onClick={(event) => handleDeleteAnnotation(index, event)}
-                            sx={{ 
-                              p: 0.5,
-                              '&:hover': { bgcolor: 'rgba(244, 67, 54, 0.08)' }
-                            }}
-                          >
-                            <DeleteIcon fontSize="small" />
-                          </IconButton>
-                        </Tooltip>
+                        {canDeleteAnnotation(annotation) && (
+                          <Tooltip title="Delete annotation">
+                            <IconButton 
+                              size="small" 
+                              color="error"
+                              onClick={(event) => handleDeleteAnnotation(index, event)}
+                              sx={{ 
+                                p: 0.5,
+                                '&:hover': { bgcolor: 'rgba(244, 67, 54, 0.08)' }
+                              }}
+                            >
+                              <DeleteIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                        )}
                       </Box>
                     </Box>
                     
-                    <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
-                      <Chip
-                        icon={annotation.rating === 'good' ? <ThumbUpIcon /> : <ThumbDownIcon />}
-                        label={annotation.rating === 'good' ? 'Good' : 'Bad'}
-                        color={annotation.rating === 'good' ? 'success' : 'error'}
-                        size="small"
-                        variant="outlined"
-                      />
+                    <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 0.5, mb: 1 }}>
+                      {renderRatingChip(annotation)}
+                      {renderCriterionChips(annotation)}
+                      {getAnnotationLevel(annotation) === 'span' && (
+                        <Chip
+                          label={`Highlight: ${annotation.label}`}
+                          size="small"
+                          color="warning"
+                          variant="outlined"
+                        />
+                      )}
                     </Box>
                     
+                    {getAnnotationLevel(annotation) === 'comparison' && (
+                      <Typography variant="body2" sx={{ mb: 1 }}>
+                        {COMPARISON_PREFERENCES.find(option => option.value === annotation.preference)?.label || annotation.preference}
+                        {' vs '}{annotation.comparedThreadId}
+                        {annotation.reasons?.length > 0 && ` (${annotation.reasons.join(', ')})`}
+                      </Typography>
+                    )}
+                    
+                    {getAnnotationLevel(annotation) === 'correction' && (
+                      <Typography variant="body2" sx={{ mb: 1, fontStyle: 'italic' }}>
+                        Correction: "{truncateText(annotation.correctedContent, 120)}"
+                      </Typography>
+                    )}
+                    
+                    {getAnnotationLevel(annotation) === 'span' && (
+                      <Typography variant="body2" sx={{ mb: 1, fontStyle: 'italic' }}>
+                        "{truncateText(annotation.text, 120)}"
+                        {annotation.comment && ` — ${annotation.comment}`}
+                      </Typography>
+                    )}
+                    
                     {annotation.notes && (
                       <Typography variant="body2" sx={{ mb: 1 }}>
                         {annotation.notes}
@@ -235,124 +355,127 @@ const AnnotationPanel = ({
           </Accordion>
         )}
         
-        <Typography variant="h6" gutterBottom>
-          Rate Conversation
-        </Typography>
-        
-        <Paper elevation={0} sx={{ p: 2, mb: 3, bgcolor: '#f5f5f5', borderRadius: 2 }}>
-          <ToggleButtonGroup
-            value={rating}
-            exclusive
-            onChange={handleRatingChange}
-            aria-label="conversation rating"
-            fullWidth
-            sx={{ mb: 2 }}
-          >
-            <ToggleButton 
-              value="good" 
-              aria-label="good rating" 
-              sx={{ 
-                color: rating === 'good' ? 'white' : '#66bb6a',
-                bgcolor: rating === 'good' ? '#66bb6a' : 'transparent',
-                '&:hover': {
-                  bgcolor: rating === 'good' ? '#66bb6a' : 'rgba(102, 187, 106, 0.1)'
-                }
-              }}
-            >
-              <ThumbUpIcon sx={{ mr: 1 }} />
-              Good
-            </ToggleButton>
-            <ToggleButton 
-              value="bad" 
-              aria-label="bad rating"
-              sx={{ 
-                color: rating === 'bad' ? 'white' : '#f44336',
-                bgcolor: rating === 'bad' ? '#f44336' : 'transparent',
-                '&:hover': {
-                  bgcolor: rating === 'bad' ? '#f44336' : 'rgba(244, 67, 54, 0.1)'
-                }
-              }}
-            >
-              <ThumbDownIcon sx={{ mr: 1 }} />
-              Bad
-            </ToggleButton>
-          </ToggleButtonGroup>
-        </Paper>
-        
-        <Typography variant="h6" gutterBottom>
-          Notes
-        </Typography>
-        <TextField
-          fullWidth
-          multiline
-          rows={4}
-          placeholder="Add your notes here..."
-          variant="outlined"
-          value={notes}
-          onChange={handleNotesChange}
-          sx={{ mb: 3 }}
-        />
-        
-        <Typography variant="h6" gutterBottom>
-          Add Tags
-        </Typography>
-        <Box sx={{ mb: 2 }}>
-          <TextField
-            fullWidth
-            placeholder="Add tags (press Enter to add)"
-            variant="outlined"
-            value={newTag}
-            onChange={handleNewTagChange}
-            onKeyPress={handleKeyPress}
-            InputProps={{
-              endAdornment: (
-                <InputAdornment position="end">
-                  <IconButton
-                    onClick={handleAddTag}
-                    edge="end"
-                    color="primary"
-                    disabled={!newTag.trim()}
-                  >
-                    <AddIcon />
-                  </IconButton>
-                </InputAdornment>
-              ),
-            }}
-            sx={{ mb: 2 }}
+        {comparisonThread ? (
+          <ComparisonForm
+            threadA={thread}
+            threadB={comparisonThread}
+            reasons={rubric.comparisonReasons}
+            onSave={onSave}
           />
-          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
-            {tags.map((tag, index) => (
-              <Chip
-                key={index}
-                label={tag}
-                onDelete={() => handleDeleteTag(tag)}
-                color="primary"
+        ) : (
+          <>
+            <Typography variant="h6" gutterBottom>
+              {selectedMessage ? 'Rate Message' : 'Rate Conversation'}
+            </Typography>
+
+            {selectedMessage && (
+              <Paper variant="outlined" sx={{ p: 1.5, mb: 2, borderColor: '#2196f3' }}>
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                  <Typography variant="subtitle2">
+                    Annotating message {describeMessage(selectedMessageId)}
+                  </Typography>
+                  {onClearMessageSelection && (
+                    <Button size="small" onClick={onClearMessageSelection}>
+                      Whole thread
+                    </Button>
+                  )}
+                </Box>
+                {typeof selectedMessage.message.content === 'string' && (
+                  <Typography variant="body2" color="text.secondary">
+                    {truncateText(selectedMessage.message.content, 120)}
+                  </Typography>
+                )}
+              </Paper>
+            )}
+
+            <Paper elevation={0} sx={{ p: 2, pb: 0, mb: 3, bgcolor: '#f5f5f5', borderRadius: 2 }}>
+              {rubric.criteria.map(criterion => (
+                <RubricCriterionField
+                  key={criterion.id}
+                  criterion={criterion}
+                  value={values[criterion.id]}
+                  onChange={(newValue) => handleValueChange(criterion.id, newValue)}
+                />
+              ))}
+            </Paper>
+
+            <Typography variant="h6" gutterBottom>
+              Notes
+            </Typography>
+            <TextField
+              fullWidth
+              multiline
+              rows={4}
+              placeholder="Add your notes here..."
+              variant="outlined"
+              value={notes}
+              onChange={handleNotesChange}
+              sx={{ mb: 3 }}
+            />
+
+            <Typography variant="h6" gutterBottom>
+              Add Tags
+            </Typography>
+            <Box sx={{ mb: 2 }}>
+              <TextField
+                fullWidth
+                placeholder="Add tags (press Enter to add)"
                 variant="outlined"
+                value={newTag}
+                onChange={handleNewTagChange}
+                onKeyPress={handleKeyPress}
+                InputProps={{
+                  endAdornment: (
+                    <InputAdornment position="end">
+                      <IconButton
+                        onClick={handleAddTag}
+                        edge="end"
+                        color="primary"
+                        disabled={!newTag.trim()}
+                      >
+                        <AddIcon />
+                      </IconButton>
+                    </InputAdornment>
+                  ),
+                }}
+                sx={{ mb: 2 }}
               />
-            ))}
-          </Box>
-
-          {availablePreviousTags.length > 0 && (
-            <Box sx={{ mt: 2 }}>
-              <Typography variant="subtitle2" color="text.secondary" gutterBottom>
-                Previously used tags:
-              </Typography>
               <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
-                {availablePreviousTags.map((tag, index) => (
+                {tags.map((tag, index) => (
                   <Chip
                     key={index}
                     label={tag}
-                    onClick={() => handleSelectPreviousTag(tag)}
-                    color="default"
+                    onDelete={() => handleDeleteTag(tag)}
+                    color="primary"
                     variant="outlined"
-                    size="small"
-                    sx={{ cursor: 'pointer' }}
                   />
                 ))}
               </Box>
+
+              {availablePreviousTags.length > 0 && (
+                <Box sx={{ mt: 2 }}>
+                  <Typography variant="subtitle2" color="text.secondary" gutterBottom>
+                    Previously used tags:
+                  </Typography>
+                  <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+                    {availablePreviousTags.map((tag, index) => (
+                      <Chip
+                        key={index}
+                        label={tag}
+                        onClick={() => handleSelectPreviousTag(tag)}
+                        color="default"
+                        variant="outlined"
+                        size="small"
+                        sx={{ cursor: 'pointer' }}
+                      />
+                    ))}
+                  </Box>
+                </Box>
+              )}
             </Box>
-          )}
-        </Box>
+        
+          </>
+        )}
         
         <Divider sx={{ my: 2 }} />
         
@@ -366,14 +489,17 @@ const AnnotationPanel = ({
           >
             Back
           </Button>
-          <Button 
-            variant="contained" 
-            color="primary" 
-            onClick={handleSave}
-            disabled={!rating}
-          >
-            Submit Annotation
-          </Button>
+          {/* While comparing, the comparison form has its own save button */}
+          {!comparisonThread && (
+            <Button 
+              variant="contained" 
+              color="primary" 
+              onClick={handleSave}
+              disabled={missingCriteria.length > 0}
+            >
+              Submit Annotation
+            </Button>
+          )}
           <Button 
             variant="outlined" 
             color="primary"
@@ -0,0 +1,236 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  IconButton,
+  Typography,
+  ToggleButton,
+  ToggleButtonGroup,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  Select,
+  MenuItem,
+  TextField,
+  Checkbox,
+  Box,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import CloseIcon from '@mui/icons-material/Close';
+import { getUsers, getThreadsPage } from '../utils/storageService';
+import { ROLES, ROLE_LABELS } from '../utils/roles';
+import {
+  ASSIGNMENT_STRATEGIES,
+  ASSIGNMENT_STRATEGY_LABELS,
+  getAssignees,
+  distributeThreads
+} from '../utils/assignments';
+
+// Which stored threads a batch assignment covers
+const BATCH_SCOPES = {
+  UNASSIGNED: 'unassigned',
+  ALL: 'all'
+};
+
+const toAssignee = (user) => ({ uid: user.uid, email: user.email || null });
+
+const AssignmentDialog = ({ open, onClose, thread, onAssign }) => {
+  const [mode, setMode] = useState('thread'); // 'thread', 'batch'
+  const [users, setUsers] = useState(null);
+  const [storedThreads, setStoredThreads] = useState(null);
+  const [error, setError] = useState(null);
+  const [threadAssignees, setThreadAssignees] = useState([]); // uids
+  const [batchAnnotators, setBatchAnnotators] = useState([]); // uids
+  const [scope, setScope] = useState(BATCH_SCOPES.UNASSIGNED);
+  const [strategy, setStrategy] = useState(ASSIGNMENT_STRATEGIES.ROUND_ROBIN);
+  const [perThread, setPerThread] = useState(1);
+  const [saving, setSaving] = useState(false);
+
+  // Load the team and every stored thread's assignees when the dialog opens
+  useEffect(() => {
+    if (!open) return;
+    setMode(thread ? 'thread' : 'batch');
+    setThreadAssignees(getAssignees(thread).map(assignee => assignee.uid));
+    setError(null);
+    setUsers(null);
+    setStoredThreads(null);
+
+    getUsers()
+      .then(loadedUsers => {
+        setUsers(loadedUsers);
+        const annotators = loadedUsers.filter(user => user.role === ROLES.ANNOTATOR);
+        setBatchAnnotators((annotators.length > 0 ? annotators : loadedUsers).map(user => user.uid));
+      })
+      .catch(loadError => {
+        console.error('Error loading users:', loadError);
+        setUsers([]);
+        setError(`Error loading users: ${loadError.message}`);
+      });
+    getThreadsPage({ limit: Infinity })
+      .then(({ threads }) => setStoredThreads(threads))
+      .catch(loadError => {
+        console.error('Error loading threads:', loadError);
+        setStoredThreads([]);
+      });
+  }, [open, thread?.id]);
+
+  const toggle = (list, uid) => (list.includes(uid) ? list.filter(id => id !== uid) : [...list, uid]);
+
+  const batchThreads = (storedThreads || []).filter(stored =>
+    scope === BATCH_SCOPES.ALL || getAssignees(stored).length === 0
+  );
+  const perThreadCount = Math.min(Math.max(1, perThread), Math.max(1, batchAnnotators.length));
+
+  const handleAssign = async () => {
+    const usersById = new Map((users || []).map(user => [user.uid, user]));
+    let assignments;
+    if (mode === 'thread') {
+      assignments = new Map([[thread.id, threadAssignees.filter(uid => usersById.has(uid)).map(uid => toAssignee(usersById.get(uid)))]]);
+    } else {
+      const annotators = batchAnnotators.filter(uid => usersById.has(uid)).map(uid => toAssignee(usersById.get(uid)));
+      assignments = distributeThreads(batchThreads.map(stored => stored.id), annotators, { strategy, perThread: perThreadCount });
+    }
+
+    setSaving(true);
+    try {
+      await onAssign(assignments);
+      onClose();
+    } catch (assignError) {
+      setError(`Error assigning threads: ${assignError.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderUserCheckboxes = (selected, onChange) => (
+    <Box sx={{ display: 'flex', flexDirection: 'column', maxHeight: 240, overflow: 'auto' }}>
+      {users.map(user => (
+        <FormControlLabel
+          key={user.uid}
+          control={<Checkbox size="small" checked={selected.includes(user.uid)} onChange={() => onChange(toggle(selected, user.uid))} />}
+          label={`${user.email || user.uid} (${ROLE_LABELS[user.role] || user.role})`}
+        />
+      ))}
+    </Box>
+  );
+
+  const canAssign = mode === 'thread'
+    ? !!thread
+    : batchThreads.length > 0 && batchAnnotators.length > 0;
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>
+        Assign Threads
+        <IconButton
+          aria-label="close"
+          onClick={onClose}
+          sx={{ position: 'absolute', right: 8, top: 8 }}
+        >
+          <CloseIcon />
+        </IconButton>
+      </DialogTitle>
+
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        <ToggleButtonGroup
+          value={mode}
+          exclusive
+          onChange={(e, value) => value && setMode(value)}
+          size="small"
+          fullWidth
+          sx={{ mb: 2 }}
+        >
+          <ToggleButton value="thread" disabled={!thread}>THIS THREAD</ToggleButton>
+          <ToggleButton value="batch">BATCH</ToggleButton>
+        </ToggleButtonGroup>
+
+        {!users ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : mode === 'thread' ? (
+          <>
+            <DialogContentText sx={{ mb: 1 }}>
+              Annotators for "{thread?.title || thread?.id}". It stays in each one's queue until they annotate it.
+            </DialogContentText>
+            {renderUserCheckboxes(threadAssignees, setThreadAssignees)}
+          </>
+        ) : (
+          <>
+            <DialogContentText sx={{ mb: 2 }}>
+              Split stored threads across annotators. Each thread goes to the chosen number of different annotators.
+            </DialogContentText>
+
+            <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
+              <FormControl size="small" sx={{ flex: 1 }}>
+                <InputLabel id="assignment-scope-label">Threads</InputLabel>
+                <Select
+                  labelId="assignment-scope-label"
+                  value={scope}
+                  label="Threads"
+                  onChange={(e) => setScope(e.target.value)}
+                >
+                  <MenuItem value={BATCH_SCOPES.UNASSIGNED}>Unassigned threads</MenuItem>
+                  <MenuItem value={BATCH_SCOPES.ALL}>All threads (replaces assignments)</MenuItem>
+                </Select>
+              </FormControl>
+
+              <FormControl size="small" sx={{ flex: 1 }}>
+                <InputLabel id="assignment-strategy-label">Strategy</InputLabel>
+                <Select
+                  labelId="assignment-strategy-label"
+                  value={strategy}
+                  label="Strategy"
+                  onChange={(e) => setStrategy(e.target.value)}
+                >
+                  {Object.values(ASSIGNMENT_STRATEGIES).map(value => (
+                    <MenuItem key={value} value={value}>{ASSIGNMENT_STRATEGY_LABELS[value]}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+
+              <TextField
+                size="small"
+                type="number"
+                label="Annotators per thread"
+                value={perThread}
+                onChange={(e) => setPerThread(Number(e.target.value) || 1)}
+                inputProps={{ min: 1, max: Math.max(1, batchAnnotators.length) }}
+                sx={{ width: 170 }}
+              />
+            </Box>
+
+            <Typography variant="subtitle2">Annotators</Typography>
+            {renderUserCheckboxes(batchAnnotators, setBatchAnnotators)}
+
+            <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+              {storedThreads
+                ? `${batchThreads.length} threads, each to ${perThreadCount} of ${batchAnnotators.length} annotators`
+                : 'Counting threads...'}
+            </Typography>
+          </>
+        )}
+      </DialogContent>
+
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleAssign}
+          disabled={!users || !canAssign || saving}
+        >
+          {saving ? 'Assigning...' : 'Assign'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default AssignmentDialog;
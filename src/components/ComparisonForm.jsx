@@ -0,0 +1,114 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  TextField,
+  Button,
+  Chip,
+  Paper,
+  ToggleButtonGroup,
+  ToggleButton
+} from '@mui/material';
+import { COMPARISON_PREFERENCES, DEFAULT_COMPARISON_REASONS } from '../utils/rubric';
+
+const ComparisonForm = ({ threadA, threadB, reasons = DEFAULT_COMPARISON_REASONS, onSave }) => {
+  const [preference, setPreference] = useState(null);
+  const [selectedReasons, setSelectedReasons] = useState([]);
+  const [notes, setNotes] = useState('');
+
+  // Reset the form whenever a different pair is being compared
+  useEffect(() => {
+    setPreference(null);
+    setSelectedReasons([]);
+    setNotes('');
+  }, [threadA?.id, threadB?.id]);
+
+  const handleToggleReason = (reason) => {
+    setSelectedReasons(selectedReasons.includes(reason)
+      ? selectedReasons.filter(item => item !== reason)
+      : [...selectedReasons, reason]);
+  };
+
+  const handleSave = () => {
+    onSave(threadA.id, {
+      type: 'comparison',
+      comparedThreadId: threadB.id,
+      preference,
+      reasons: selectedReasons,
+      notes,
+      timestamp: new Date().toISOString()
+    });
+
+    setPreference(null);
+    setSelectedReasons([]);
+    setNotes('');
+  };
+
+  return (
+    <Box>
+      <Typography variant="h6" gutterBottom>
+        Which response is better?
+      </Typography>
+
+      <Paper elevation={0} sx={{ p: 2, mb: 3, bgcolor: '#f5f5f5', borderRadius: 2 }}>
+        <ToggleButtonGroup
+          value={preference}
+          exclusive
+          onChange={(event, newValue) => {
+            if (newValue !== null) setPreference(newValue);
+          }}
+          aria-label="comparison preference"
+          orientation="vertical"
+          fullWidth
+        >
+          {COMPARISON_PREFERENCES.map(option => (
+            <ToggleButton key={option.value} value={option.value}>
+              {option.label}
+            </ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+      </Paper>
+
+      <Typography variant="h6" gutterBottom>
+        Reasons
+      </Typography>
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 3 }}>
+        {reasons.map(reason => (
+          <Chip
+            key={reason}
+            label={reason}
+            onClick={() => handleToggleReason(reason)}
+            color={selectedReasons.includes(reason) ? 'primary' : 'default'}
+            variant={selectedReasons.includes(reason) ? 'filled' : 'outlined'}
+          />
+        ))}
+      </Box>
+
+      <Typography variant="h6" gutterBottom>
+        Notes
+      </Typography>
+      <TextField
+        fullWidth
+        multiline
+        rows={3}
+        placeholder="Explain the preference..."
+        variant="outlined"
+        value={notes}
+        onChange={(e) => setNotes(e.target.value)}
+        sx={{ mb: 3 }}
+      />
+
+      <Button
+        variant="contained"
+        color="primary"
+        fullWidth
+        onClick={handleSave}
+        disabled={!preference}
+      >
+        Submit Comparison
+      </Button>
+    </Box>
+  );
+};
+
+export default ComparisonForm;
@@ -0,0 +1,48 @@
+import React from 'react';
+import { Box, Button, Chip } from '@mui/material';
+import { Panel, PanelGroup } from 'react-resizable-panels';
+import CloseIcon from '@mui/icons-material/Close';
+import ConversationView from './ConversationView';
+import ResizeHandle from './ResizeHandle';
+import { getSharedPrefixLength } from '../utils/helpers';
+
+const ComparisonView = ({ threadA, threadB, onExitComparison }) => {
+  // Messages both threads start with are collapsed so only the candidates differ
+  const sharedPrefixLength = getSharedPrefixLength(threadA?.messages, threadB?.messages);
+
+  return (
+    <Box sx={{ height: '100%', display: 'flex', flexDirection: 'column' }}>
+      <PanelGroup direction="horizontal">
+        <Panel defaultSize={50} minSize={25}>
+          <Box sx={{ height: '100%', display: 'flex', flexDirection: 'column' }}>
+            <ConversationView
+              thread={threadA}
+              panelTitle={`A: ${threadA?.title || threadA?.id || ''}`}
+              sharedPrefixLength={sharedPrefixLength}
+              headerActions={<Chip label="A" color="primary" size="small" />}
+            />
+          </Box>
+        </Panel>
+
+        <ResizeHandle />
+
+        <Panel defaultSize={50} minSize={25}>
+          <Box sx={{ height: '100%', display: 'flex', flexDirection: 'column' }}>
+            <ConversationView
+              thread={threadB}
+              panelTitle={`B: ${threadB?.title || threadB?.id || ''}`}
+              sharedPrefixLength={sharedPrefixLength}
+              headerActions={
+                <Button size="small" startIcon={<CloseIcon />} onClick={onExitComparison}>
+                  Exit comparison
+                </Button>
+              }
+            />
+          </Box>
+        </Panel>
+      </PanelGroup>
+    </Box>
+  );
+};
+
+export default ComparisonView;
@@ -1,16 +1,42 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { 
   Box, 
   Typography, 
   Paper, 
   Divider, 
   IconButton, 
-  Collapse 
+  Collapse,
+  Chip,
+  Tooltip,
+  Button,
+  CircularProgress
 } from '@mui/material';
 import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
 import ExpandLessIcon from '@mui/icons-material/ExpandLess';
+import RateReviewIcon from '@mui/icons-material/RateReview';
+import CommentIcon from '@mui/icons-material/Comment';
+import EditNoteIcon from '@mui/icons-material/EditNote';
+import DataObjectIcon from '@mui/icons-material/DataObject';
 import PanelHeader from './PanelHeader';
-import { formatDate, formatTimestamp } from '../utils/helpers';
+import HighlightableText from './HighlightableText';
+import SpanLabelPopover from './SpanLabelPopover';
+import CorrectionDiff from './CorrectionDiff';
+import CorrectionEditor from './CorrectionEditor';
+import MetadataDrawer from './MetadataDrawer';
+import {
+  formatDate,
+  formatTimestamp,
+  getMessageId,
+  normalizeAnnotations,
+  getAnnotationLevel,
+  getLatestCorrections
+} from '../utils/helpers';
+import {
+  RATING_CRITERION_ID,
+  getAnnotationValues,
+  formatCriterionValue,
+  isValueEmpty
+} from '../utils/rubric';
 
 const CollapsibleSection = ({ children, title, defaultExpanded = true }) => {
   const [expanded, setExpanded] = useState(defaultExpanded);
@@ -42,7 +68,107 @@ const CollapsibleSection = ({ children, title, defaultExpanded = true }) => {
   );
 };
 
-const ConversationView = ({ thread, panelTitle = "Thread Detail" }) => {
+// Badge summarizing the message-level annotations attached to a message
+const MessageAnnotationBadge = ({ annotations }) => {
+  if (!annotations || annotations.length === 0) return null;
+  
+  const getRating = (annotation) => getAnnotationValues(annotation)[RATING_CRITERION_ID];
+  const hasBad = annotations.some(annotation => getRating(annotation) === 'bad');
+  const allGood = annotations.every(annotation => getRating(annotation) === 'good');
+  // The overall rating reads as is; other criteria are prefixed with their id
+  const describe = (annotation) => [
+    ...Object.entries(getAnnotationValues(annotation))
+      .filter(([, value]) => !isValueEmpty(value))
+      .map(([criterionId, value]) => (
+        criterionId === RATING_CRITERION_ID ? formatCriterionValue(value) : `${criterionId}: ${formatCriterionValue(value)}`
+      )),
+    ...(annotation.tags || [])
+  ].join(', ') || 'annotated';
+  const summary = annotations.map(describe).join(' | ');
+  
+  return (
+    <Tooltip title={summary}>
+      <Chip
+        icon={<CommentIcon />}
+        label={annotations.length}
+        size="small"
+        color={hasBad ? 'error' : allGood ? 'success' : 'default'}
+        variant="outlined"
+        sx={{ ml: 1, height: 20, '& .MuiChip-label': { px: 0.75 } }}
+      />
+    </Tooltip>
+  );
+};
+
+// Latest proposed correction of an assistant message, as a diff or the clean text
+const MessageCorrection = ({ original, correction }) => {
+  const [showDiff, setShowDiff] = useState(true);
+  
+  return (
+    <Paper 
+      className="message correction-message" 
+      elevation={0} 
+      sx={{ 
+        p: 2, 
+        mt: 1,
+        borderRadius: 2, 
+        bgcolor: '#f1f8e9', 
+        maxWidth: '80%',
+        borderLeft: '4px solid #8bc34a'
+      }}
+    >
+      <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
+        <Typography variant="subtitle2" color="text.secondary">
+          Proposed correction
+        </Typography>
+        <Typography variant="caption" color="text.secondary" sx={{ ml: 1 }}>
+          {formatTimestamp(correction.timestamp)}
+        </Typography>
+        <Box sx={{ flexGrow: 1 }} />
+        <Button size="small" onClick={() => setShowDiff(!showDiff)}>
+          {showDiff ? 'Show corrected' : 'Show diff'}
+        </Button>
+      </Box>
+      {showDiff ? (
+        <CorrectionDiff original={original} corrected={correction.correctedContent} />
+      ) : (
+        <Typography variant="body1" sx={{ whiteSpace: 'pre-wrap' }}>
+          {correction.correctedContent}
+        </Typography>
+      )}
+      {correction.notes && (
+        <Typography variant="body2" color="text.secondary" sx={{ mt: 1, fontStyle: 'italic' }}>
+          {correction.notes}
+        </Typography>
+      )}
+    </Paper>
+  );
+};
+
+const ConversationView = ({ 
+  thread, 
+  panelTitle = "Thread Detail",
+  selectedMessageId = null,
+  onMessageSelect,
+  onAddSpan,
+  onProposeCorrection,
+  spanLabels = [],
+  sharedPrefixLength = 0,
+  headerActions = null
+}) => {
+  const [pendingSpan, setPendingSpan] = useState(null);
+  const [editingMessageId, setEditingMessageId] = useState(null);
+  // Metadata drawer: null when closed, otherwise { messageId } (null messageId shows everything)
+  const [metadataView, setMetadataView] = useState(null);
+  
+  // Drop a half-finished highlight or correction when switching threads
+  useEffect(() => {
+    setPendingSpan(null);
+    setEditingMessageId(null);
+    setMetadataView(null);
+  }, [thread?.id]);
+  
+
   if (!thread) {
     return (
       <Box className="conversation-view" sx={{ display: 'flex', flexDirection: 'column', height: '100%' }}>
@@ -56,222 +182,383 @@ const ConversationView = ({ thread, panelTitle = "Thread Detail" }) => {
     );
   }
   
-  return (
-    <Box className="conversation-view" sx={{ display: 'flex', flexDirection: 'column', height: '100%' }}>
-      <PanelHeader title={panelTitle} />
-      
-      <Box className="conversation-content" sx={{ p: 2, flexGrow: 1, overflow: 'auto' }}>
-        {thread.messages && thread.messages.map((message, index) => {
-          // Normalize role values to handle different formats
-          const normalizedRole = (message.role || '').toLowerCase();
-          const isHuman = normalizedRole === 'human' || normalizedRole === 'user';
-          const isAI = normalizedRole === 'ai' || normalizedRole === 'assistant';
-          const isToolCall = message.type === 'tool_call';
-          const isToolResponse = message.type === 'tool_response';
-          const isInstructions = normalizedRole === 'instructions';
-          const isTool = normalizedRole === 'tool' && !isToolResponse;
-          const isError = normalizedRole === 'error';
-          
-          return (
-            <Box key={index} sx={{ mb: 3 }}>
-              <Box 
+  // Group message-level annotations and highlighted spans by the message they target
+  const messageAnnotations = {};
+  const messageSpans = {};
+  normalizeAnnotations(thread).forEach(annotation => {
+    if (!annotation.messageId) return;
+    const level = getAnnotationLevel(annotation);
+    if (level === 'correction') return;
+    const target = level === 'span' ? messageSpans : messageAnnotations;
+    if (!target[annotation.messageId]) {
+      target[annotation.messageId] = [];
+    }
+    target[annotation.messageId].push(annotation);
+  });
+  
+  const corrections = getLatestCorrections(thread);
+  const hasMetadata = (thread.metadata && Object.keys(thread.metadata).length > 0) ||
+    (thread.messages || []).some(message => message.metadata && Object.keys(message.metadata).length > 0);
+  
+  const handleSaveCorrection = (message, messageId, { correctedContent, notes }) => {
+    onProposeCorrection(thread.id, {
+      messageId,
+      originalContent: message.content,
+      correctedContent,
+      notes
+    });
+    setEditingMessageId(null);
+  };
+  
+  const handleSaveSpan = (span) => {
+    onAddSpan(thread.id, span);
+    setPendingSpan(null);
+    window.getSelection()?.removeAllRanges();
+  };
+  
+  // Render plain message text with persistent highlights and span selection
+  const renderMessageText = (message, messageId) => {
+    if (typeof message.content !== 'string') {
+      return <Typography variant="body1">{JSON.stringify(message.content)}</Typography>;
+    }
+    
+    return (
+      <Typography variant="body1" component="div">
+        <HighlightableText
+          text={message.content}
+          spans={messageSpans[messageId]}
+          onSelectText={onAddSpan ? (selection) => setPendingSpan({ ...selection, messageId }) : undefined}
+        />
+      </Typography>
+    );
+  };
+  
+  const messages = thread.messages || [];
+  
+  const renderMessage = (message, index) => {
+    const messageId = getMessageId(message, index);
+    const isSelected = messageId === selectedMessageId;
+    // Normalize role values to handle different formats
+    const normalizedRole = (message.role || '').toLowerCase();
+    const isHuman = normalizedRole === 'human' || normalizedRole === 'user';
+    const isAI = normalizedRole === 'ai' || normalizedRole === 'assistant';
+    const isToolCall = message.type === 'tool_call';
+    const isToolResponse = message.type === 'tool_response';
+    const isInstructions = normalizedRole === 'instructions';
+    const isTool = normalizedRole === 'tool' && !isToolResponse;
+    const isError = normalizedRole === 'error';
+    const canCorrect = isAI && typeof message.content === 'string' && !!onProposeCorrection;
+    const correction = corrections[messageId];
+    
+    return (
+      <Box 
+        key={messageId} 
+        className={`message-row ${isSelected ? 'selected' : ''}`}
+        sx={{ 
+          mb: 3,
+          ...(isSelected ? {
+            outline: '2px solid #2196f3',
+            outlineOffset: '4px',
+            borderRadius: 1
+          } : {})
+        }}
+      >
+        <Box 
+          sx={{ 
+            display: 'flex', 
+            justifyContent: isHuman ? 'flex-end' : 'flex-start',
+            alignItems: 'center',
+            mb: 0.5
+          }}
+        >
+          <Typography 
+            variant="subtitle2" 
+            color="text.secondary"
+            sx={{ textTransform: 'capitalize' }}
+          >
+            {isHuman ? 'User' : isAI ? 'Assistant' : message.role}
+          </Typography>
+          <Typography 
+            variant="caption" 
+            color="text.secondary" 
+            sx={{ ml: 1 }}
+          >
+            {formatTimestamp(message.timestamp)}
+          </Typography>
+          <MessageAnnotationBadge annotations={messageAnnotations[messageId]} />
+          {message.metadata && Object.keys(message.metadata).length > 0 && (
+            <Tooltip title="Message metadata">
+              <IconButton
+                size="small"
+                onClick={() => setMetadataView({ messageId })}
+                sx={{ ml: 0.5, p: 0.25 }}
+              >
+                <DataObjectIcon fontSize="small" />
+              </IconButton>
+            </Tooltip>
+          )}
+          {onMessageSelect && (
+            <Tooltip title={isSelected ? 'Stop annotating this message' : 'Annotate this message'}>
+              <IconButton
+                size="small"
+                color={isSelected ? 'primary' : 'default'}
+                onClick={() => onMessageSelect(isSelected ? null : messageId)}
+                sx={{ ml: 0.5, p: 0.25 }}
+              >
+                <RateReviewIcon fontSize="small" />
+              </IconButton>
+            </Tooltip>
+          )}
+          {canCorrect && (
+            <Tooltip title={correction ? 'Revise correction' : 'Propose correction'}>
+              <IconButton
+                size="small"
+                color={editingMessageId === messageId ? 'primary' : 'default'}
+                onClick={() => setEditingMessageId(editingMessageId === messageId ? null : messageId)}
+                sx={{ ml: 0.5, p: 0.25 }}
+              >
+                <EditNoteIcon fontSize="small" />
+              </IconButton>
+            </Tooltip>
+          )}
+        </Box>
+        
+        {isHuman && (
+          <Paper 
+            className="message human-message" 
+            elevation={1} 
+            sx={{ 
+              p: 2, 
+              borderRadius: 2, 
+              bgcolor: '#e3f2fd', 
+              maxWidth: '80%', 
+              ml: 'auto'
+            }}
+          >
+            {renderMessageText(message, messageId)}
+          </Paper>
+        )}
+        
+        {isAI && (
+          <Paper 
+            className="message ai-message" 
+            elevation={1} 
+            sx={{ 
+              p: 2, 
+              borderRadius: 2, 
+              bgcolor: '#f5f5f5', 
+              maxWidth: '80%'
+            }}
+          >
+            {renderMessageText(message, messageId)}
+          </Paper>
+        )}
+        
+        {isAI && correction && editingMessageId !== messageId && (
+          <MessageCorrection original={message.content} correction={correction} />
+        )}
+        
+        {canCorrect && editingMessageId === messageId && (
+          <CorrectionEditor
+            original={message.content}
+            initialValue={correction?.correctedContent}
+            onSave={(values) => handleSaveCorrection(message, messageId, values)}
+            onCancel={() => setEditingMessageId(null)}
+          />
+        )}
+        
+        {isInstructions && (
+          <Paper 
+            className="message instructions-message" 
+            elevation={1} 
+            sx={{ 
+              p: 2, 
+              borderRadius: 2, 
+              bgcolor: '#fff8e1', 
+              maxWidth: '80%',
+              borderLeft: '4px solid #ffc107'
+            }}
+          >
+            <CollapsibleSection title="Instructions" defaultExpanded={false}>
+              <Typography 
+                variant="body2" 
+                component="pre" 
                 sx={{ 
-                  display: 'flex', 
-                  justifyContent: isHuman ? 'flex-end' : 'flex-start',
-                  mb: 0.5
+                  whiteSpace: 'pre-wrap',
+                  fontSize: '0.85rem'
                 }}
               >
-                <Typography 
-                  variant="subtitle2" 
-                  color="text.secondary"
-                  sx={{ textTransform: 'capitalize' }}
-                >
-                  {isHuman ? 'User' : isAI ? 'Assistant' : message.role}
-                </Typography>
-                <Typography 
-                  variant="caption" 
-                  color="text.secondary" 
-                  sx={{ ml: 1 }}
-                >
-                  {formatTimestamp(message.timestamp)}
-                </Typography>
-              </Box>
-              
-              {isHuman && (
-                <Paper 
-                  className="message human-message" 
-                  elevation={1} 
-                  sx={{ 
-                    p: 2, 
-                    borderRadius: 2, 
-                    bgcolor: '#e3f2fd', 
-                    maxWidth: '80%', 
-                    ml: 'auto'
-                  }}
-                >
-                  <Typography variant="body1">{message.content}</Typography>
-                </Paper>
-              )}
-              
-              {isAI && (
-                <Paper 
-                  className="message ai-message" 
-                  elevation={1} 
-                  sx={{ 
-                    p: 2, 
-                    borderRadius: 2, 
-                    bgcolor: '#f5f5f5', 
-                    maxWidth: '80%'
-                  }}
-                >
-                  <Typography variant="body1">{message.content}</Typography>
-                </Paper>
-              )}
-              
-              {isInstructions && (
-                <Paper 
-                  className="message instructions-message" 
-                  elevation={1} 
-                  sx={{ 
-                    p: 2, 
-                    borderRadius: 2, 
-                    bgcolor: '#fff8e1', 
-                    maxWidth: '80%',
-                    borderLeft: '4px solid #ffc107'
-                  }}
-                >
-                  <CollapsibleSection title="Instructions" defaultExpanded={false}>
-                    <Typography 
-                      variant="body2" 
-                      component="pre" 
-                      sx={{ 
-                        whiteSpace: 'pre-wrap',
-                        fontSize: '0.85rem'
-                      }}
-                    >
-                      {message.content}
-                    </Typography>
-                  </CollapsibleSection>
-                </Paper>
-              )}
-              
-              {isTool && (
-                <Paper 
-                  className="message tool-message" 
-                  elevation={1} 
-                  sx={{ 
-                    p: 2, 
-                    borderRadius: 2, 
-                    bgcolor: '#e8f5e9', 
-                    maxWidth: '80%',
-                    borderLeft: '4px solid #4caf50',
-                    fontFamily: 'monospace'
-                  }}
-                >
-                  <CollapsibleSection title="Tool Call" defaultExpanded={false}>
-                    <Typography 
-                      variant="body2" 
-                      component="pre" 
-                      sx={{ 
-                        whiteSpace: 'pre-wrap',
-                        fontSize: '0.85rem'
-                      }}
-                    >
-                      {message.content}
-                    </Typography>
-                  </CollapsibleSection>
-                </Paper>
-              )}
-              
-              {isError && (
-                <Paper 
-                  className="message error-message" 
-                  elevation={1} 
-                  sx={{ 
-                    p: 2, 
-                    borderRadius: 2, 
-                    bgcolor: '#ffebee', 
-                    maxWidth: '80%',
-                    borderLeft: '4px solid #f44336'
-                  }}
-                >
-                  <CollapsibleSection title="Error" defaultExpanded={false}>
-                    <Typography 
-                      variant="body2" 
-                      component="pre" 
-                      sx={{ 
-                        whiteSpace: 'pre-wrap',
-                        fontSize: '0.85rem'
-                      }}
-                    >
-                      {message.content}
-                    </Typography>
-                  </CollapsibleSection>
-                </Paper>
-              )}
-              
-              {isToolCall && (
-                <Paper 
-                  className="tool-call" 
-                  elevation={1} 
-                  sx={{ 
-                    p: 2, 
-                    borderRadius: 2, 
-                    bgcolor: '#f0f7ff', 
-                    maxWidth: '80%',
-                    fontFamily: 'monospace'
-                  }}
-                >
-                  <CollapsibleSection title="Tool Call" defaultExpanded={false}>
-                    <Typography variant="body2" gutterBottom>
-                      Call ID: {message.callId}
-                    </Typography>
-                    <Typography variant="body2" gutterBottom>
-                      Tool Name: {message.toolName}
-                    </Typography>
-                    {message.parameters && (
-                      <Box mt={1}>
-                        <Typography variant="body2" fontWeight="bold">Parameters:</Typography>
-                        <pre style={{ whiteSpace: 'pre-wrap', fontSize: '0.85rem' }}>
-                          {JSON.stringify(message.parameters, null, 2)}
-                        </pre>
-                      </Box>
-                    )}
-                  </CollapsibleSection>
-                </Paper>
-              )}
-              
-              {isToolResponse && (
-                <Paper 
-                  className="tool-response" 
-                  elevation={1} 
-                  sx={{ 
-                    p: 2, 
-                    borderRadius: 2, 
-                    bgcolor: '#f5f5f5', 
-                    maxWidth: '80%',
-                    borderLeft: '4px solid #4caf50'
-                  }}
-                >
-                  <CollapsibleSection title="Tool Response" defaultExpanded={false}>
-                    <Typography variant="body2" component="pre" 
-                      sx={{ 
-                        whiteSpace: 'pre-wrap',
-                        fontFamily: 'monospace',
-                        fontSize: '0.85rem'
-                      }}
-                    >
-                      {typeof message.content === 'object' 
-                        ? JSON.stringify(message.content, null, 2) 
-                        : message.content}
-                    </Typography>
-                  </CollapsibleSection>
-                </Paper>
+                {message.content}
+              </Typography>
+            </CollapsibleSection>
+          </Paper>
+        )}
+        
+        {isTool && (
+          <Paper 
+            className="message tool-message" 
+            elevation={1} 
+            sx={{ 
+              p: 2, 
+              borderRadius: 2, 
+              bgcolor: '#e8f5e9', 
+              maxWidth: '80%',
+              borderLeft: '4px solid #4caf50',
+              fontFamily: 'monospace'
+            }}
+          >
+            <CollapsibleSection title="Tool Call" defaultExpanded={false}>
+              <Typography 
+                variant="body2" 
+                component="pre" 
+                sx={{ 
+                  whiteSpace: 'pre-wrap',
+                  fontSize: '0.85rem'
+                }}
+              >
+                {message.content}
+              </Typography>
+            </CollapsibleSection>
+          </Paper>
+        )}
+        
+        {isError && (
+          <Paper 
+            className="message error-message" 
+            elevation={1} 
+            sx={{ 
+              p: 2, 
+              borderRadius: 2, 
+              bgcolor: '#ffebee', 
+              maxWidth: '80%',
+              borderLeft: '4px solid #f44336'
+            }}
+          >
+            <CollapsibleSection title="Error" defaultExpanded={false}>
+              <Typography 
+                variant="body2" 
+                component="pre" 
+                sx={{ 
+                  whiteSpace: 'pre-wrap',
+                  fontSize: '0.85rem'
+                }}
+              >
+                {message.content}
+              </Typography>
+            </CollapsibleSection>
+          </Paper>
+        )}
+        
+        {isToolCall && (
+          <Paper 
+            className="tool-call" 
+            elevation={1} 
+            sx={{ 
+              p: 2, 
+              borderRadius: 2, 
+              bgcolor: '#f0f7ff', 
+              maxWidth: '80%',
+              fontFamily: 'monospace'
+            }}
+          >
+            <CollapsibleSection title="Tool Call" defaultExpanded={false}>
+              <Typography variant="body2" gutterBottom>
+                Call ID: {message.callId}
+              </Typography>
+              <Typography variant="body2" gutterBottom>
+                Tool Name: {message.toolName}
+              </Typography>
+              {message.parameters && (
+                <Box mt={1}>
+                  <Typography variant="body2" fontWeight="bold">Parameters:</Typography>
+                  <pre style={{ whiteSpace: 'pre-wrap', fontSize: '0.85rem' }}>
+                    {JSON.stringify(message.parameters, null, 2)}
+                  </pre>
+                </Box>
               )}
-            </Box>
-          );
-        })}
+            </CollapsibleSection>
+          </Paper>
+        )}
+        
+        {isToolResponse && (
+          <Paper 
+            className="tool-response" 
+            elevation={1} 
+            sx={{ 
+              p: 2, 
+              borderRadius: 2, 
+              bgcolor: '#f5f5f5', 
+              maxWidth: '80%',
+              borderLeft: '4px solid #4caf50'
+            }}
+          >
+            <CollapsibleSection title="Tool Response" defaultExpanded={false}>
+              <Typography variant="body2" component="pre" 
+                sx={{ 
+                  whiteSpace: 'pre-wrap',
+                  fontFamily: 'monospace',
+                  fontSize: '0.85rem'
+                }}
+              >
+                {typeof message.content === 'object' 
+                  ? JSON.stringify(message.content, null, 2) 
+                  : message.content}
+              </Typography>
+            </CollapsibleSection>
+          </Paper>
+        )}
+      </Box>
+    );
+  };
+  
+  return (
+    <Box className="conversation-view" sx={{ display: 'flex', flexDirection: 'column', height: '100%' }}>
+      <PanelHeader title={panelTitle}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          {hasMetadata && (
+            <Button
+              size="small"
+              startIcon={<DataObjectIcon />}
+              onClick={() => setMetadataView({ messageId: null })}
+            >
+              Metadata
+            </Button>
+          )}
+          {headerActions}
+        </Box>
+      </PanelHeader>
+      
+      <Box className="conversation-content" sx={{ p: 2, flexGrow: 1, overflow: 'auto' }}>
+        {/* Threads from the list are summaries until their messages are loaded */}
+        {!thread.messages && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+            <CircularProgress size={28} />
+          </Box>
+        )}
+        {sharedPrefixLength > 0 && (
+          <CollapsibleSection 
+            title={`Shared context (${sharedPrefixLength} message${sharedPrefixLength === 1 ? '' : 's'})`} 
+            defaultExpanded={false}
+          >
+            {messages.slice(0, sharedPrefixLength).map(renderMessage)}
+          </CollapsibleSection>
+        )}
+        {messages.slice(sharedPrefixLength).map((message, index) => renderMessage(message, index + sharedPrefixLength))}
       </Box>
+      
+      <SpanLabelPopover
+        selection={pendingSpan}
+        labels={spanLabels}
+        onSave={handleSaveSpan}
+        onClose={() => setPendingSpan(null)}
+      />
+      
+      <MetadataDrawer
+        open={!!metadataView}
+        onClose={() => setMetadataView(null)}
+        thread={thread}
+        focusedMessageId={metadataView?.messageId}
+      />
     </Box>
   );
 };
@@ -0,0 +1,29 @@
+import React from 'react';
+import { Box } from '@mui/material';
+import { diffWords } from '../utils/helpers';
+
+const PART_STYLES = {
+  removed: { bgcolor: '#ffebee', color: '#c62828', textDecoration: 'line-through' },
+  added: { bgcolor: '#e8f5e9', color: '#2e7d32' }
+};
+
+// Inline word diff between an original message and its correction
+const CorrectionDiff = ({ original = '', corrected = '' }) => {
+  const parts = diffWords(original, corrected);
+
+  return (
+    <Box sx={{ whiteSpace: 'pre-wrap', typography: 'body1' }}>
+      {parts.map((part, index) => (
+        part.type === 'equal'
+          ? <span key={index}>{part.text}</span>
+          : (
+            <Box key={index} component="span" sx={{ ...PART_STYLES[part.type], borderRadius: 0.5 }}>
+              {part.text}
+            </Box>
+          )
+      ))}
+    </Box>
+  );
+};
+
+export default CorrectionDiff;
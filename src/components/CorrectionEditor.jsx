@@ -0,0 +1,70 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  TextField,
+  Typography,
+  Paper,
+  FormControlLabel,
+  Switch
+} from '@mui/material';
+import CorrectionDiff from './CorrectionDiff';
+
+const CorrectionEditor = ({ original = '', initialValue, onSave, onCancel }) => {
+  const [correctedContent, setCorrectedContent] = useState(initialValue ?? original);
+  const [notes, setNotes] = useState('');
+  const [showDiff, setShowDiff] = useState(false);
+
+  const isUnchanged = correctedContent.trim() === original.trim();
+
+  const handleSave = () => {
+    onSave({ correctedContent, notes });
+  };
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2, mt: 1, maxWidth: '80%', borderColor: '#2196f3' }}>
+      <Typography variant="subtitle2" gutterBottom>
+        Propose correction
+      </Typography>
+      <TextField
+        fullWidth
+        multiline
+        minRows={4}
+        autoFocus
+        value={correctedContent}
+        onChange={(e) => setCorrectedContent(e.target.value)}
+        placeholder="Write the reply the assistant should have given..."
+        sx={{ mb: 2 }}
+      />
+      <TextField
+        fullWidth
+        size="small"
+        label="Notes (optional)"
+        value={notes}
+        onChange={(e) => setNotes(e.target.value)}
+        sx={{ mb: 1 }}
+      />
+      <FormControlLabel
+        control={<Switch size="small" checked={showDiff} onChange={(e) => setShowDiff(e.target.checked)} />}
+        label="Preview changes"
+      />
+      {showDiff && (
+        <Box sx={{ p: 1.5, my: 1, bgcolor: '#fafafa', borderRadius: 1 }}>
+          <CorrectionDiff original={original} corrected={correctedContent} />
+        </Box>
+      )}
+      <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1, mt: 1 }}>
+        <Button onClick={onCancel}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleSave}
+          disabled={!correctedContent.trim() || isUnchanged}
+        >
+          Save Correction
+        </Button>
+      </Box>
+    </Paper>
+  );
+};
+
+export default CorrectionEditor;
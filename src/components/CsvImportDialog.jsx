@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   Button,
   Dialog,
@@ -37,8 +37,29 @@ import MessageIcon from '@mui/icons-material/Message';
 import AccessTimeIcon from '@mui/icons-material/AccessTime';
 import ForumIcon from '@mui/icons-material/Forum';
 import ContentPasteIcon from '@mui/icons-material/ContentPaste';
+import DataObjectIcon from '@mui/icons-material/DataObject';
+import ViewStreamIcon from '@mui/icons-material/ViewStream';
 import Papa from 'papaparse';
-import { v4 as uuidv4 } from 'uuid';
+import CsvMappingStep from './CsvMappingStep';
+import ImportValidationReport from './ImportValidationReport';
+import {
+  parseThreadsJSON,
+  parseThreadsJSONL,
+  getThreadPreviewRows
+} from '../utils/threadImport';
+import {
+  MAPPING_SAMPLE_ROWS,
+  buildMapping,
+  buildRoleMapping,
+  getDistinctRoleValues,
+  validateMapping
+} from '../utils/csvMapping';
+import { getMappingPresets, saveMappingPreset, deleteMappingPreset } from '../utils/csvMappingPresets';
+import {
+  validateThreads,
+  applyValidationDecisions,
+  getDecisionsError
+} from '../utils/importValidation';
 
 // CSV format expected:
 // message_id,thread_id,role,timestamp,content
@@ -48,6 +69,25 @@ import { v4 as uuidv4 } from 'uuid';
 // msg_126,thread_123,Tool,2023-05-01T10:16:10Z,search_for_data...
 // msg_127,thread_123,Error,2023-05-01T10:16:15Z,Error: ValueError...
 // ... and so on
+//
+// Other layouts are supported through the column mapping step (see utils/csvMapping.js)
+//
+// The JSON and JSONL tabs accept thread objects (see utils/threadImport.js)
+
+// Tab indices
+const TAB_CSV_FILE = 0;
+const TAB_CSV_PASTE = 1;
+const TAB_JSON = 2;
+const TAB_JSONL = 3;
+
+const JSON_TABS = [TAB_JSON, TAB_JSONL];
+
+const TAB_SOURCE_NAMES = {
+  [TAB_CSV_FILE]: 'CSV',
+  [TAB_CSV_PASTE]: 'CSV',
+  [TAB_JSON]: 'JSON',
+  [TAB_JSONL]: 'JSONL'
+};
 
 const CsvImportDialog = ({ open, onClose, onImport }) => {
   const [file, setFile] = useState(null);
@@ -55,22 +95,166 @@ const CsvImportDialog = ({ open, onClose, onImport }) => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [preview, setPreview] = useState(null);
-  const [activeTab, setActiveTab] = useState(0);
+  const [activeTab, setActiveTab] = useState(TAB_CSV_FILE);
+  const [jsonText, setJsonText] = useState('');
+  const [parsedThreads, setParsedThreads] = useState(null);
+  const [headers, setHeaders] = useState(null);
+  const [sampleRows, setSampleRows] = useState([]);
+  const [mapping, setMapping] = useState(null);
+  const [presets, setPresets] = useState([]);
+  const [selectedPresetId, setSelectedPresetId] = useState('');
+  const [importProgress, setImportProgress] = useState(null);
+  const [validation, setValidation] = useState(null);
+  const [validationActions, setValidationActions] = useState({});
+  const [validationOverrides, setValidationOverrides] = useState({});
+  const workerRef = useRef(null);
+  // Threads the worker has posted, and the position of each by id
+  const importedThreadsRef = useRef({ threads: [], indexById: new Map() });
+
+  const isJsonTab = JSON_TABS.includes(activeTab);
+
+  // Load saved mapping presets whenever the dialog opens
+  useEffect(() => {
+    if (open) {
+      getMappingPresets().then(setPresets);
+    }
+  }, [open]);
+
+  // Stop a running CSV import, e.g. on cancel or when the dialog unmounts
+  const stopWorker = () => {
+    if (workerRef.current) {
+      workerRef.current.terminate();
+      workerRef.current = null;
+    }
+    importedThreadsRef.current = { threads: [], indexById: new Map() };
+  };
+
+  useEffect(() => stopWorker, []);
+
+  const clearCsvMapping = () => {
+    setHeaders(null);
+    setSampleRows([]);
+    setMapping(null);
+  };
+
+  // Read the headers and a sample of rows to set up the column mapping
+  const parseCsvSample = (source) => {
+    Papa.parse(source, {
+      preview: MAPPING_SAMPLE_ROWS,
+      header: true,
+      skipEmptyLines: true,
+      complete: (results) => {
+        const fields = results.meta.fields || [];
+        const preset = presets.find(item => item.id === selectedPresetId);
+        setHeaders(fields);
+        setSampleRows(results.data);
+        setMapping(buildMapping(fields, results.data, preset));
+        setPreview(results.data.slice(0, 3));
+      },
+      error: (error) => {
+        setError('Error parsing CSV: ' + error.message);
+      }
+    });
+  };
+
+  const handleColumnChange = (fieldKey, column) => {
+    const columns = { ...mapping.columns, [fieldKey]: column };
+    const roles = fieldKey === 'role'
+      ? buildRoleMapping(getDistinctRoleValues(sampleRows, column), mapping.roles)
+      : mapping.roles;
+    setMapping({ columns, roles });
+  };
+
+  const handleRoleChange = (value, role) => {
+    setMapping({ ...mapping, roles: { ...mapping.roles, [value]: role } });
+  };
+
+  const handleSelectPreset = (presetId) => {
+    setSelectedPresetId(presetId);
+    if (headers) {
+      const preset = presets.find(item => item.id === presetId);
+      setMapping(buildMapping(headers, sampleRows, preset));
+    }
+  };
+
+  const handleSavePreset = async (name) => {
+    try {
+      const updatedPresets = await saveMappingPreset(name, mapping);
+      setPresets(updatedPresets);
+      setSelectedPresetId(updatedPresets.find(preset => preset.name === name)?.id || '');
+    } catch (err) {
+      console.error('Error saving mapping preset:', err);
+      setError('Error saving mapping preset');
+    }
+  };
+
+  const handleDeletePreset = async (presetId) => {
+    try {
+      setPresets(await deleteMappingPreset(presetId));
+      setSelectedPresetId('');
+    } catch (err) {
+      console.error('Error deleting mapping preset:', err);
+      setError('Error deleting mapping preset');
+    }
+  };
 
   const handleTabChange = (event, newValue) => {
     setActiveTab(newValue);
     // Clear previous data when switching tabs
     setFile(null);
     setCsvText('');
+    setJsonText('');
+    setParsedThreads(null);
+    clearCsvMapping();
     setPreview(null);
     setError('');
   };
 
+  // Parse JSON or JSONL text into threads and show their first messages
+  const parseJsonSource = (text) => {
+    if (!text.trim()) {
+      setParsedThreads(null);
+      setPreview(null);
+      setError('');
+      return;
+    }
+
+    try {
+      const threads = activeTab === TAB_JSONL ? parseThreadsJSONL(text) : parseThreadsJSON(text);
+      setParsedThreads(threads);
+      setPreview(getThreadPreviewRows(threads));
+      setError('');
+    } catch (err) {
+      setParsedThreads(null);
+      setPreview(null);
+      setError(`Error parsing ${activeTab === TAB_JSONL ? 'JSONL' : 'JSON'}: ${err.message}`);
+    }
+  };
+
+  const handleJsonFileChange = async (event) => {
+    const selectedFile = event.target.files[0];
+    // Allow selecting the same file again after clearing
+    event.target.value = '';
+    if (!selectedFile) return;
+
+    setFile(selectedFile);
+    setJsonText('');
+    parseJsonSource(await selectedFile.text());
+  };
+
+  const handleJsonTextChange = (event) => {
+    const text = event.target.value;
+    setFile(null);
+    setJsonText(text);
+    parseJsonSource(text);
+  };
+
   const handleFileChange = (event) => {
     const selectedFile = event.target.files[0];
     if (!selectedFile) {
       setFile(null);
       setPreview(null);
+      clearCsvMapping();
       return;
     }
 
@@ -78,23 +262,15 @@ const CsvImportDialog = ({ open, onClose, onImport }) => {
       setError('Please select a valid CSV file');
       setFile(null);
       setPreview(null);
+      clearCsvMapping();
       return;
     }
 
     setError('');
     setFile(selectedFile);
     
-    // Preview the first few rows
-    Papa.parse(selectedFile, {
-      preview: 3,
-      header: true,
-      complete: (results) => {
-        setPreview(results.data);
-      },
-      error: (error) => {
-        setError('Error parsing CSV: ' + error.message);
-      }
-    });
+    // Preview the first few rows and set up the column mapping
+    parseCsvSample(selectedFile);
   };
 
   const handleTextChange = (event) => {
@@ -103,132 +279,189 @@ const CsvImportDialog = ({ open, onClose, onImport }) => {
     
     if (!text.trim()) {
       setPreview(null);
+      clearCsvMapping();
       return;
     }
     
     // Preview the first few rows of the pasted content
-    Papa.parse(text, {
-      preview: 3,
-      header: true,
-      complete: (results) => {
-        setPreview(results.data);
-      },
-      error: (error) => {
-        setError('Error parsing CSV: ' + error.message);
-      }
-    });
+    parseCsvSample(text);
+  };
+
+  const clearValidation = () => {
+    setValidation(null);
+    setValidationActions({});
+    setValidationOverrides({});
+  };
+
+  const finishImport = (importedThreads) => {
+    // Source ids are only matched against threads imported from the same file or kind of pasted text
+    const importSource = file ? file.name : `pasted ${TAB_SOURCE_NAMES[activeTab]}`;
+    onImport(importedThreads.map(thread => ({ ...thread, importSource })));
+    setFile(null);
+    setCsvText('');
+    setJsonText('');
+    setParsedThreads(null);
+    setPreview(null);
+    clearCsvMapping();
+    clearValidation();
+  };
+
+  // Dry run: review problems first, or import straight away if there are none
+  const reviewImport = (importedThreads, problems) => {
+    if (problems.length === 0) {
+      finishImport(importedThreads);
+      return;
+    }
+    setValidation({ threads: importedThreads, problems });
+    setValidationActions({});
+    setValidationOverrides({});
+  };
+
+  const handleValidationActionChange = (type, decision) => {
+    // Choosing a new action for all problems of a kind replaces the per-row choices
+    if (decision.action !== validationActions[type]?.action) {
+      const overrides = { ...validationOverrides };
+      validation.problems.forEach((problem, index) => {
+        if (problem.type === type) delete overrides[index];
+      });
+      setValidationOverrides(overrides);
+    }
+    setValidationActions({ ...validationActions, [type]: decision });
+  };
+
+  const handleValidationOverrideChange = (index, decision) => {
+    setValidationOverrides({ ...validationOverrides, [index]: decision });
+  };
+
+  const handleConfirmValidation = () => {
+    const decisionsError = getDecisionsError(validation.problems, validationActions, validationOverrides);
+    if (decisionsError) {
+      setError(decisionsError);
+      return;
+    }
+    const { threads: importedThreads } = applyValidationDecisions(
+      validation.threads,
+      validation.problems,
+      validationActions,
+      validationOverrides
+    );
+    if (importedThreads.length === 0) {
+      setError('Every thread was skipped; there is nothing left to import');
+      return;
+    }
+    setError('');
+    finishImport(importedThreads);
   };
 
   const handleImport = () => {
-    if (activeTab === 0 && !file) {
+    if (validation) {
+      handleConfirmValidation();
+      return;
+    }
+
+    if (isJsonTab) {
+      if (!parsedThreads) {
+        setError('Please select or paste a file with conversations first');
+        return;
+      }
+      reviewImport(parsedThreads, validateThreads(parsedThreads));
+      return;
+    }
+
+    if (activeTab === TAB_CSV_FILE && !file) {
       setError('Please select a file first');
       return;
     }
     
-    if (activeTab === 1 && !csvText.trim()) {
+    if (activeTab === TAB_CSV_PASTE && !csvText.trim()) {
       setError('Please paste CSV content first');
       return;
     }
 
+    const mappingError = mapping ? validateMapping(mapping) : 'Could not read the CSV headers';
+    if (mappingError) {
+      setError(mappingError);
+      return;
+    }
+
     setLoading(true);
     setError('');
     
     // Choose the source based on active tab
-    const source = activeTab === 0 ? file : csvText;
+    const source = activeTab === TAB_CSV_FILE ? file : csvText;
 
-    Papa.parse(source, {
-      header: true,
-      complete: (results) => {
-        if (results.errors.length > 0) {
-          setError(`Error parsing CSV: ${results.errors[0].message}`);
-          setLoading(false);
-          return;
-        }
+    // Parse and group in a worker so large files don't block the page
+    stopWorker();
+    const worker = new Worker(new URL('../workers/csvImport.worker.js', import.meta.url));
+    workerRef.current = worker;
+    setImportProgress({ rows: 0, threads: 0, bytes: 0, totalBytes: 0 });
 
-        try {
-          // Validate and transform the data to match the thread structure
-          const importedThreads = [];
-          const now = new Date().toISOString();
-          
-          // Process by conversation threads
-          // Group by thread ID
-          const threadGroups = {};
-          
-          results.data.forEach(row => {
-            // Skip empty rows
-            if (!row.content && !row.message_id) return;
-            
-            const threadId = row.thread_id || 'default';
-            if (!threadGroups[threadId]) {
-              threadGroups[threadId] = [];
+    worker.onmessage = (event) => {
+      const message = event.data;
+      switch (message.type) {
+        case 'progress':
+          setImportProgress(message);
+          break;
+        case 'batch': {
+          // A thread continued by later rows comes again and replaces its earlier copy
+          const { threads: importedThreads, indexById } = importedThreadsRef.current;
+          message.threads.forEach(thread => {
+            if (indexById.has(thread.id)) {
+              importedThreads[indexById.get(thread.id)] = thread;
+            } else {
+              indexById.set(thread.id, importedThreads.length);
+              importedThreads.push(thread);
             }
-            threadGroups[threadId].push(row);
           });
-          
-          // Create thread objects
-          Object.keys(threadGroups).forEach(threadId => {
-            const messages = threadGroups[threadId]
-              .filter(row => row.content || row.message_id)
-              .map((row, index) => {
-                const content = row.content || '';
-                // Map role values: convert "User" to "human" and "Assistant" to "ai"
-                let role = (row.role || '').toLowerCase();
-                
-                // Primary roles
-                if (role === 'user') role = 'human';
-                if (role === 'assistant') role = 'ai';
-                
-                // Additional roles - keep as is with lowercase
-                // The UI will handle displaying these special roles
-                // 'instructions', 'tool', 'error' are now supported as-is
-                
-                let timestamp = row.timestamp || now;
-                
-                return {
-                  id: row.message_id || `msg_${uuidv4()}`,
-                  role: role,
-                  content,
-                  timestamp,
-                  type: 'message'
-                };
-              });
-            
-            if (messages.length > 0) {
-              importedThreads.push({
-                id: threadId === 'default' ? `thread_${uuidv4()}` : threadId,
-                createdAt: messages[0].timestamp || now,
-                updatedAt: now,
-                isAnnotated: false,
-                messages,
-                annotations: []
-              });
-            }
-          });
-          
-          onImport(importedThreads);
-          setFile(null);
-          setCsvText('');
-          setPreview(null);
-          setLoading(false);
-        } catch (err) {
-          console.error('CSV import error:', err);
-          setError(`Error processing CSV data: ${err.message}`);
+          break;
+        }
+        case 'done': {
+          const importedThreads = importedThreadsRef.current.threads;
+          stopWorker();
+          setImportProgress(null);
           setLoading(false);
+          reviewImport(importedThreads, message.problems || []);
+          break;
         }
-      },
-      error: (error) => {
-        setError('Error parsing CSV: ' + error.message);
-        setLoading(false);
+        case 'error':
+          stopWorker();
+          setImportProgress(null);
+          setError(message.message);
+          setLoading(false);
+          break;
+        default:
+          break;
       }
-    });
+    };
+    worker.onerror = (event) => {
+      console.error('CSV import worker error:', event);
+      stopWorker();
+      setImportProgress(null);
+      setError(`Error processing CSV data: ${event.message || 'the import worker failed'}`);
+      setLoading(false);
+    };
+
+    worker.postMessage({ type: 'start', source, mapping });
+  };
+
+  const handleCancelImport = () => {
+    stopWorker();
+    setImportProgress(null);
+    setLoading(false);
   };
 
   const handleDialogClose = () => {
+    handleCancelImport();
+    clearValidation();
     setFile(null);
     setCsvText('');
+    setJsonText('');
+    setParsedThreads(null);
+    clearCsvMapping();
+    setSelectedPresetId('');
     setPreview(null);
     setError('');
-    setActiveTab(0);
+    setActiveTab(TAB_CSV_FILE);
     onClose();
   };
 
@@ -249,7 +482,7 @@ const CsvImportDialog = ({ open, onClose, onImport }) => {
       fullWidth
     >
       <DialogTitle sx={{ borderBottom: 1, borderColor: 'divider', pb: 1 }}>
-        Import Conversations from CSV
+        Import Conversations
         <IconButton
           aria-label="close"
           onClick={handleDialogClose}
@@ -260,174 +493,310 @@ const CsvImportDialog = ({ open, onClose, onImport }) => {
       </DialogTitle>
       
       <DialogContent sx={{ pt: 3 }}>
-        <Tabs value={activeTab} onChange={handleTabChange} sx={{ mb: 3 }}>
-          <Tab label="Upload File" icon={<FileUploadIcon />} iconPosition="start" />
-          <Tab label="Paste CSV" icon={<ContentPasteIcon />} iconPosition="start" />
-        </Tabs>
+        {validation ? (
+          <>
+            <ImportValidationReport
+              threads={validation.threads}
+              problems={validation.problems}
+              actions={validationActions}
+              overrides={validationOverrides}
+              onActionChange={handleValidationActionChange}
+              onOverrideChange={handleValidationOverrideChange}
+            />
+            {error && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {error}
+              </Alert>
+            )}
+          </>
+        ) : (
+          <>
+            <Tabs value={activeTab} onChange={handleTabChange} sx={{ mb: 3 }}>
+              <Tab label="Upload File" icon={<FileUploadIcon />} iconPosition="start" />
+              <Tab label="Paste CSV" icon={<ContentPasteIcon />} iconPosition="start" />
+              <Tab label="JSON" icon={<DataObjectIcon />} iconPosition="start" />
+              <Tab label="JSONL" icon={<ViewStreamIcon />} iconPosition="start" />
+            </Tabs>
         
-        {/* File Upload Tab */}
-        {activeTab === 0 && (
-          <Box sx={{ mb: 3 }}>
-            <Typography variant="subtitle1" gutterBottom>
-              Upload CSV File
-            </Typography>
+            {/* File Upload Tab */}
+            {activeTab === TAB_CSV_FILE && (
+              <Box sx={{ mb: 3 }}>
+                <Typography variant="subtitle1" gutterBottom>
+                  Upload CSV File
+                </Typography>
             
-            <input
-              accept=".csv"
-              id="csv-file-input"
-              type="file"
-              onChange={handleFileChange}
-              style={{ display: 'none' }}
-            />
-            <label htmlFor="csv-file-input">
-              <Button
-                variant="contained"
-                component="span"
-                startIcon={<FileUploadIcon />}
-              >
-                Select CSV File
-              </Button>
-            </label>
+                <input
+                  accept=".csv"
+                  id="csv-file-input"
+                  type="file"
+                  onChange={handleFileChange}
+                  style={{ display: 'none' }}
+                />
+                <label htmlFor="csv-file-input">
+                  <Button
+                    variant="contained"
+                    component="span"
+                    startIcon={<FileUploadIcon />}
+                  >
+                    Select CSV File
+                  </Button>
+                </label>
             
-            {file && (
-              <Chip 
-                label={file.name}
-                variant="outlined" 
-                color="primary"
-                sx={{ ml: 2 }}
-              />
+                {file && (
+                  <Chip 
+                    label={file.name}
+                    variant="outlined" 
+                    color="primary"
+                    sx={{ ml: 2 }}
+                  />
+                )}
+              </Box>
             )}
-          </Box>
-        )}
         
-        {/* Paste CSV Tab */}
-        {activeTab === 1 && (
-          <Box sx={{ mb: 3 }}>
-            <Typography variant="subtitle1" gutterBottom>
-              Paste CSV Content
-            </Typography>
+            {/* Paste CSV Tab */}
+            {activeTab === TAB_CSV_PASTE && (
+              <Box sx={{ mb: 3 }}>
+                <Typography variant="subtitle1" gutterBottom>
+                  Paste CSV Content
+                </Typography>
             
-            <TextField
-              label="Paste CSV data here"
-              multiline
-              rows={8}
-              value={csvText}
-              onChange={handleTextChange}
-              fullWidth
-              variant="outlined"
-              placeholder="message_id,thread_id,role,timestamp,content
-msg_123,thread_abc,User,2023-05-01T10:15:00Z,Hello
-msg_124,thread_abc,Assistant,2023-05-01T10:16:00Z,How can I help you?"
-              sx={{ fontFamily: 'monospace', fontSize: '0.9rem' }}
-            />
-          </Box>
-        )}
+                <TextField
+                  label="Paste CSV data here"
+                  multiline
+                  rows={8}
+                  value={csvText}
+                  onChange={handleTextChange}
+                  fullWidth
+                  variant="outlined"
+                  placeholder="message_id,thread_id,role,timestamp,content
+    msg_123,thread_abc,User,2023-05-01T10:15:00Z,Hello
+    msg_124,thread_abc,Assistant,2023-05-01T10:16:00Z,How can I help you?"
+                  sx={{ fontFamily: 'monospace', fontSize: '0.9rem' }}
+                />
+              </Box>
+            )}
         
-        {error && (
-          <Alert severity="error" sx={{ mb: 2 }}>
-            {error}
-          </Alert>
-        )}
+            {/* JSON and JSONL Tabs */}
+            {isJsonTab && (
+              <Box sx={{ mb: 3 }}>
+                <Typography variant="subtitle1" gutterBottom>
+                  {activeTab === TAB_JSONL ? 'JSONL File (one conversation per line)' : 'JSON File'}
+                </Typography>
+            
+                <input
+                  accept={activeTab === TAB_JSONL ? '.jsonl,.ndjson' : '.json'}
+                  id="json-file-input"
+                  type="file"
+                  onChange={handleJsonFileChange}
+                  style={{ display: 'none' }}
+                />
+                <label htmlFor="json-file-input">
+                  <Button
+                    variant="contained"
+                    component="span"
+                    startIcon={<FileUploadIcon />}
+                  >
+                    Select {activeTab === TAB_JSONL ? 'JSONL' : 'JSON'} File
+                  </Button>
+                </label>
+            
+                {file && (
+                  <Chip 
+                    label={file.name}
+                    variant="outlined" 
+                    color="primary"
+                    sx={{ ml: 2 }}
+                  />
+                )}
+            
+                <TextField
+                  label={`Or paste ${activeTab === TAB_JSONL ? 'JSONL' : 'JSON'} here`}
+                  multiline
+                  rows={6}
+                  value={jsonText}
+                  onChange={handleJsonTextChange}
+                  fullWidth
+                  variant="outlined"
+                  placeholder={activeTab === TAB_JSONL
+                    ? '{"messages": [{"role": "user", "content": "Hello"}, {"role": "assistant", "content": "Hi!"}]}'
+                    : '[{"id": "thread_abc", "messages": [{"role": "user", "content": "Hello"}]}]'}
+                  sx={{ mt: 2, fontFamily: 'monospace', fontSize: '0.9rem' }}
+                />
+            
+                {parsedThreads && (
+                  <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                    Found {parsedThreads.length} conversation{parsedThreads.length === 1 ? '' : 's'} with{' '}
+                    {parsedThreads.reduce((total, thread) => total + thread.messages.length, 0)} messages
+                  </Typography>
+                )}
+              </Box>
+            )}
+        
+            {!isJsonTab && headers && mapping && (
+              <CsvMappingStep
+                headers={headers}
+                mapping={mapping}
+                onColumnChange={handleColumnChange}
+                onRoleChange={handleRoleChange}
+                presets={presets}
+                selectedPresetId={selectedPresetId}
+                onSelectPreset={handleSelectPreset}
+                onSavePreset={handleSavePreset}
+                onDeletePreset={handleDeletePreset}
+              />
+            )}
+        
+            {error && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {error}
+              </Alert>
+            )}
         
-        {preview && (
-          <Box sx={{ mt: 3, mb: 3 }}>
-            <Typography variant="subtitle1" gutterBottom>
-              Preview
-            </Typography>
-            <TableContainer component={Paper} variant="outlined" sx={{ maxHeight: 300 }}>
-              <Table size="small" stickyHeader>
-                <TableHead>
-                  <TableRow>
-                    {Object.keys(preview[0] || {}).map((key, index) => (
-                      <TableCell key={index} sx={{ fontWeight: 'bold', bgcolor: '#f5f5f5' }}>
-                        {key}
-                      </TableCell>
-                    ))}
-                  </TableRow>
-                </TableHead>
-                <TableBody>
-                  {preview.map((row, rowIndex) => (
-                    <TableRow key={rowIndex}>
-                      {Object.values(row).map((cell, cellIndex) => (
-                        <TableCell key={cellIndex}>
-                          {typeof cell === 'string' && cell.length > 50 
-                            ? cell.substring(0, 50) + '...' 
-                            : cell}
-                        </TableCell>
+            {preview && (
+              <Box sx={{ mt: 3, mb: 3 }}>
+                <Typography variant="subtitle1" gutterBottom>
+                  Preview
+                </Typography>
+                <TableContainer component={Paper} variant="outlined" sx={{ maxHeight: 300 }}>
+                  <Table size="small" stickyHeader>
+                    <TableHead>
+                      <TableRow>
+                        {Object.keys(preview[0] || {}).map((key, index) => (
+                          <TableCell key={index} sx={{ fontWeight: 'bold', bgcolor: '#f5f5f5' }}>
+                            {key}
+                          </TableCell>
+                        ))}
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {preview.map((row, rowIndex) => (
+                        <TableRow key={rowIndex}>
+                          {Object.values(row).map((cell, cellIndex) => (
+                            <TableCell key={cellIndex}>
+                              {typeof cell === 'string' && cell.length > 50 
+                                ? cell.substring(0, 50) + '...' 
+                                : cell}
+                            </TableCell>
+                          ))}
+                        </TableRow>
                       ))}
-                    </TableRow>
-                  ))}
-                </TableBody>
-              </Table>
-            </TableContainer>
-          </Box>
-        )}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+              </Box>
+            )}
         
-        <Divider sx={{ my: 2 }} />
+            <Divider sx={{ my: 2 }} />
         
-        <Box>
-          <Typography variant="subtitle1" sx={{ mb: 1, fontWeight: 'medium', display: 'flex', alignItems: 'center' }}>
-            <InfoIcon fontSize="small" sx={{ mr: 1 }} color="info" />
-            CSV File Format
-          </Typography>
-          
-          <Card variant="outlined" sx={{ mb: 3 }}>
-            <CardContent sx={{ pb: 2 }}>
-              <Typography variant="body2" sx={{ mb: 2 }}>
-                Your CSV file should have the following columns:
+            {isJsonTab ? (
+              <Box>
+                <Typography variant="subtitle1" sx={{ mb: 1, fontWeight: 'medium', display: 'flex', alignItems: 'center' }}>
+                  <InfoIcon fontSize="small" sx={{ mr: 1 }} color="info" />
+                  Supported JSON Formats
+                </Typography>
+            
+                <Card variant="outlined" sx={{ mb: 3 }}>
+                  <CardContent sx={{ pb: 2 }}>
+                    <Typography variant="body2" component="ul" sx={{ pl: 2, m: 0 }}>
+                      <li>Threads exported from this tool, or a data backup from Settings</li>
+                      <li>Output of <code>scripts/convert-txt-to-json.js</code> and <code>scripts/export-threads.js</code></li>
+                      <li>OpenAI Assistants threads, including tool calls recorded on runs</li>
+                      <li>
+                        OpenAI chat-completion logs: <code>{'{"messages": [...]}'}</code>, optionally with the
+                        reply in <code>choices</code> or as <code>{'{"request": ..., "response": ...}'}</code>
+                      </li>
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary" sx={{ mt: 1.5 }}>
+                      "user" and "assistant" roles are mapped to human and AI messages; assistant
+                      tool_calls and "tool" messages become tool calls and tool responses.
+                    </Typography>
+                  </CardContent>
+                </Card>
+              </Box>
+            ) : (
+            <Box>
+              <Typography variant="subtitle1" sx={{ mb: 1, fontWeight: 'medium', display: 'flex', alignItems: 'center' }}>
+                <InfoIcon fontSize="small" sx={{ mr: 1 }} color="info" />
+                CSV File Format
               </Typography>
+          
+              <Card variant="outlined" sx={{ mb: 3 }}>
+                <CardContent sx={{ pb: 2 }}>
+                  <Typography variant="body2" sx={{ mb: 2 }}>
+                    By default the importer looks for the following columns. Files with other column
+                    names or role values can be mapped in the Column Mapping step after selecting them.
+                  </Typography>
               
-              <Box component="code" sx={{ 
-                display: 'block', 
-                p: 1.5, 
-                bgcolor: '#f5f5f5', 
-                borderRadius: 1,
-                fontFamily: 'monospace',
-                fontSize: '0.9rem',
-                overflowX: 'auto',
-                mb: 2
-              }}>
-                message_id,thread_id,role,timestamp,content
-              </Box>
+                  <Box component="code" sx={{ 
+                    display: 'block', 
+                    p: 1.5, 
+                    bgcolor: '#f5f5f5', 
+                    borderRadius: 1,
+                    fontFamily: 'monospace',
+                    fontSize: '0.9rem',
+                    overflowX: 'auto',
+                    mb: 2
+                  }}>
+                    message_id,thread_id,role,timestamp,content
+                  </Box>
 
-              <TableContainer component={Paper} variant="outlined" sx={{ mb: 1 }}>
-                <Table size="small">
-                  <TableHead sx={{ bgcolor: '#f5f5f5' }}>
-                    <TableRow>
-                      <TableCell sx={{ fontWeight: 'bold' }}>Column</TableCell>
-                      <TableCell sx={{ fontWeight: 'bold' }}>Description</TableCell>
-                    </TableRow>
-                  </TableHead>
-                  <TableBody>
-                    {columnDefinitions.map((col) => (
-                      <TableRow key={col.name}>
-                        <TableCell sx={{ display: 'flex', alignItems: 'center' }}>
-                          {col.icon}
-                          <Box component="span" sx={{ ml: 1, fontFamily: 'monospace' }}>
-                            {col.name}
-                          </Box>
-                        </TableCell>
-                        <TableCell>{col.description}</TableCell>
-                      </TableRow>
-                    ))}
-                  </TableBody>
-                </Table>
-              </TableContainer>
+                  <TableContainer component={Paper} variant="outlined" sx={{ mb: 1 }}>
+                    <Table size="small">
+                      <TableHead sx={{ bgcolor: '#f5f5f5' }}>
+                        <TableRow>
+                          <TableCell sx={{ fontWeight: 'bold' }}>Column</TableCell>
+                          <TableCell sx={{ fontWeight: 'bold' }}>Description</TableCell>
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {columnDefinitions.map((col) => (
+                          <TableRow key={col.name}>
+                            <TableCell sx={{ display: 'flex', alignItems: 'center' }}>
+                              {col.icon}
+                              <Box component="span" sx={{ ml: 1, fontFamily: 'monospace' }}>
+                                {col.name}
+                              </Box>
+                            </TableCell>
+                            <TableCell>{col.description}</TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </TableContainer>
               
-              <Typography variant="body2" color="text.secondary" sx={{ mt: 1.5, display: 'flex', alignItems: 'center' }}>
-                <InfoIcon fontSize="small" sx={{ mr: 0.5 }} />
-                Example: <Box component="code" sx={{ mx: 1 }}>msg_123,thread_abc,User,2023-05-01T10:15:00Z,Hello</Box>
-              </Typography>
-            </CardContent>
-          </Card>
-        </Box>
+                  <Typography variant="body2" color="text.secondary" sx={{ mt: 1.5, display: 'flex', alignItems: 'center' }}>
+                    <InfoIcon fontSize="small" sx={{ mr: 0.5 }} />
+                    Example: <Box component="code" sx={{ mx: 1 }}>msg_123,thread_abc,User,2023-05-01T10:15:00Z,Hello</Box>
+                  </Typography>
+                </CardContent>
+              </Card>
+            </Box>
+            )}
+          </>
+        )}
         
         {loading && (
           <Box sx={{ mt: 2 }}>
-            <Typography variant="body2" gutterBottom>
-              Importing data...
-            </Typography>
-            <LinearProgress />
+            <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
+              <Typography variant="body2" sx={{ flexGrow: 1 }}>
+                {importProgress
+                  ? `Importing data... ${importProgress.rows.toLocaleString()} rows, ${importProgress.threads.toLocaleString()} threads`
+                  : 'Importing data...'}
+              </Typography>
+              {importProgress && (
+                <Button size="small" color="inherit" onClick={handleCancelImport}>
+                  Stop
+                </Button>
+              )}
+            </Box>
+            {importProgress?.totalBytes > 0 ? (
+              <LinearProgress
+                variant="determinate"
+                value={Math.min(100, (importProgress.bytes / importProgress.totalBytes) * 100)}
+              />
+            ) : (
+              <LinearProgress />
+            )}
           </Box>
         )}
       </DialogContent>
@@ -436,10 +805,20 @@ msg_124,thread_abc,Assistant,2023-05-01T10:16:00Z,How can I help you?"
         <Button onClick={handleDialogClose}>
           Cancel
         </Button>
+        {validation && (
+          <Button onClick={() => { clearValidation(); setError(''); }}>
+            Back
+          </Button>
+        )}
         <Button 
           onClick={handleImport}
           variant="contained" 
-          disabled={(activeTab === 0 && !file) || (activeTab === 1 && !csvText.trim()) || loading}
+          disabled={
+            (!validation && activeTab === TAB_CSV_FILE && !file) ||
+            (!validation && activeTab === TAB_CSV_PASTE && !csvText.trim()) ||
+            (!validation && isJsonTab && !parsedThreads) ||
+            loading
+          }
           startIcon={loading ? <CircularProgress size={20} /> : null}
         >
           Import
@@ -0,0 +1,154 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  FormControl,
+  IconButton,
+  InputLabel,
+  MenuItem,
+  Select,
+  TextField,
+  Tooltip,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Paper,
+  TableContainer
+} from '@mui/material';
+import SaveIcon from '@mui/icons-material/Save';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { MAPPING_FIELDS, APP_ROLES, getMetadataColumns } from '../utils/csvMapping';
+
+const CsvMappingStep = ({
+  headers,
+  mapping,
+  onColumnChange,
+  onRoleChange,
+  presets = [],
+  selectedPresetId = '',
+  onSelectPreset,
+  onSavePreset,
+  onDeletePreset
+}) => {
+  const selectedPreset = presets.find(preset => preset.id === selectedPresetId);
+  const [presetName, setPresetName] = useState('');
+  const roleValues = Object.keys(mapping.roles);
+  const metadataColumns = getMetadataColumns(headers, mapping);
+
+  const handleSavePreset = () => {
+    onSavePreset(presetName.trim() || selectedPreset?.name);
+    setPresetName('');
+  };
+
+  return (
+    <Box sx={{ mb: 3 }}>
+      <Typography variant="subtitle1" gutterBottom>
+        Column Mapping
+      </Typography>
+
+      <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', mb: 2 }}>
+        <FormControl size="small" sx={{ minWidth: 200 }}>
+          <InputLabel id="mapping-preset-label">Data source preset</InputLabel>
+          <Select
+            labelId="mapping-preset-label"
+            label="Data source preset"
+            value={selectedPresetId}
+            onChange={(e) => onSelectPreset(e.target.value)}
+          >
+            <MenuItem value=""><em>None (guess from headers)</em></MenuItem>
+            {presets.map(preset => (
+              <MenuItem key={preset.id} value={preset.id}>{preset.name}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        {selectedPreset && (
+          <Tooltip title="Delete preset">
+            <IconButton size="small" color="error" onClick={() => onDeletePreset(selectedPreset.id)}>
+              <DeleteIcon fontSize="small" />
+            </IconButton>
+          </Tooltip>
+        )}
+        <TextField
+          size="small"
+          label={selectedPreset ? 'Save as (leave blank to update)' : 'Data source name'}
+          value={presetName}
+          onChange={(e) => setPresetName(e.target.value)}
+          sx={{ flexGrow: 1 }}
+        />
+        <Button
+          variant="outlined"
+          startIcon={<SaveIcon />}
+          onClick={handleSavePreset}
+          disabled={!presetName.trim() && !selectedPreset}
+        >
+          Save Preset
+        </Button>
+      </Box>
+
+      <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(180px, 1fr))', gap: 2, mb: 2 }}>
+        {MAPPING_FIELDS.map(field => (
+          <FormControl key={field.key} size="small" required={field.required}>
+            <InputLabel id={`mapping-${field.key}-label`}>{field.label}</InputLabel>
+            <Select
+              labelId={`mapping-${field.key}-label`}
+              label={field.label}
+              value={mapping.columns[field.key] || ''}
+              onChange={(e) => onColumnChange(field.key, e.target.value)}
+            >
+              {!field.required && <MenuItem value=""><em>Not in file</em></MenuItem>}
+              {headers.map(header => (
+                <MenuItem key={header} value={header}>{header}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        ))}
+      </Box>
+
+      {metadataColumns.length > 0 && (
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Kept as metadata: {metadataColumns.join(', ')}
+        </Typography>
+      )}
+
+      {roleValues.length > 0 && (
+        <TableContainer component={Paper} variant="outlined">
+          <Table size="small">
+            <TableHead sx={{ bgcolor: '#f5f5f5' }}>
+              <TableRow>
+                <TableCell sx={{ fontWeight: 'bold' }}>Role value in file</TableCell>
+                <TableCell sx={{ fontWeight: 'bold' }}>Imported as</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {roleValues.map(value => (
+                <TableRow key={value}>
+                  <TableCell sx={{ fontFamily: 'monospace' }}>{value}</TableCell>
+                  <TableCell>
+                    <Select
+                      size="small"
+                      displayEmpty
+                      value={mapping.roles[value] || ''}
+                      onChange={(e) => onRoleChange(value, e.target.value)}
+                      error={!mapping.roles[value]}
+                      sx={{ minWidth: 180 }}
+                    >
+                      <MenuItem value="" disabled><em>Choose a role</em></MenuItem>
+                      {APP_ROLES.map(role => (
+                        <MenuItem key={role.value} value={role.value}>{role.label}</MenuItem>
+                      ))}
+                    </Select>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+    </Box>
+  );
+};
+
+export default CsvMappingStep;
@@ -0,0 +1,231 @@
+import React, { useState } from 'react';
+import {
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  IconButton,
+  Typography,
+  Radio,
+  RadioGroup,
+  FormControlLabel,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Box,
+  Divider,
+  Autocomplete,
+  TextField,
+  Switch
+} from '@mui/material';
+import CloseIcon from '@mui/icons-material/Close';
+import DownloadIcon from '@mui/icons-material/Download';
+import {
+  DEFAULT_PREFERENCE_OPTIONS,
+  DEFAULT_SFT_OPTIONS,
+  DISAGREEMENT_STRATEGIES,
+  TIE_STRATEGIES
+} from '../utils/trainingExport';
+
+// Available export formats, in the order they are offered
+export const EXPORT_FORMATS = [
+  {
+    value: 'csv',
+    label: 'Annotations (CSV)',
+    description: 'One row per rating with a column per rubric criterion. Includes message-level annotations.'
+  },
+  {
+    value: 'json',
+    label: 'Annotations (JSON)',
+    description: 'One entry per rating, including the targeted message for message-level annotations.'
+  },
+  {
+    value: 'spans',
+    label: 'Highlighted spans (JSONL)',
+    description: 'One line per message with character-offset spans and labels, for token-classification training.'
+  },
+  {
+    value: 'pairs',
+    label: 'A/B comparison pairs (JSONL)',
+    description: 'Chosen/rejected pairs from side-by-side comparisons. Ties and "both bad" verdicts are skipped.'
+  },
+  {
+    value: 'dpo',
+    label: 'DPO preference pairs from ratings (JSONL)',
+    description: 'Groups threads with the same prompt and pairs good-rated responses (chosen) with bad-rated ones (rejected).'
+  },
+  {
+    value: 'sft_openai',
+    label: 'Fine-tuning conversations, OpenAI format (JSONL)',
+    description: 'One {"messages": [...]} line per thread, with tool calls as tool_calls and tool messages.'
+  },
+  {
+    value: 'sft_anthropic',
+    label: 'Fine-tuning conversations, Anthropic format (JSONL)',
+    description: 'One {"system", "messages"} line per thread, with tool_use and tool_result content blocks.'
+  }
+];
+
+// Formats that use the rating resolution options
+const RATING_RESOLUTION_FORMATS = ['dpo', 'sft_openai', 'sft_anthropic'];
+
+const SFT_FORMAT_VALUES = ['sft_openai', 'sft_anthropic'];
+
+const ExportDialog = ({ open, onClose, onExport, availableTags = [] }) => {
+  const [format, setFormat] = useState(EXPORT_FORMATS[0].value);
+  const [preferenceOptions, setPreferenceOptions] = useState(DEFAULT_PREFERENCE_OPTIONS);
+  const [sftOptions, setSftOptions] = useState({
+    rating: DEFAULT_SFT_OPTIONS.rating,
+    tags: [],
+    applyCorrections: DEFAULT_SFT_OPTIONS.applyCorrections
+  });
+
+  const handleExport = () => {
+    onExport(format, {
+      preference: preferenceOptions,
+      sft: { ...preferenceOptions, ...sftOptions }
+    });
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>
+        Export Annotations
+        <IconButton
+          aria-label="close"
+          onClick={onClose}
+          sx={{ position: 'absolute', right: 8, top: 8 }}
+        >
+          <CloseIcon />
+        </IconButton>
+      </DialogTitle>
+
+      <DialogContent dividers>
+        <Typography variant="subtitle2" gutterBottom>
+          Format
+        </Typography>
+        <FormControl>
+          <RadioGroup value={format} onChange={(e) => setFormat(e.target.value)}>
+            {EXPORT_FORMATS.map(option => (
+              <FormControlLabel
+                key={option.value}
+                value={option.value}
+                control={<Radio />}
+                sx={{ alignItems: 'flex-start', mb: 1 }}
+                label={
+                  <>
+                    <Typography variant="body1">{option.label}</Typography>
+                    <Typography variant="caption" color="text.secondary">
+                      {option.description}
+                    </Typography>
+                  </>
+                }
+              />
+            ))}
+          </RadioGroup>
+        </FormControl>
+
+        {SFT_FORMAT_VALUES.includes(format) && (
+          <>
+            <Divider sx={{ my: 2 }} />
+            <Typography variant="subtitle2" gutterBottom>
+              Filters
+            </Typography>
+            <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 2 }}>
+              <FormControl size="small" fullWidth>
+                <InputLabel id="sft-rating-label">Thread rating</InputLabel>
+                <Select
+                  labelId="sft-rating-label"
+                  label="Thread rating"
+                  value={sftOptions.rating}
+                  onChange={(e) => setSftOptions({ ...sftOptions, rating: e.target.value })}
+                >
+                  <MenuItem value="good">Good only</MenuItem>
+                  <MenuItem value="bad">Bad only</MenuItem>
+                  <MenuItem value="corrected">Threads with proposed corrections</MenuItem>
+                  <MenuItem value="any">Any annotated thread</MenuItem>
+                </Select>
+              </FormControl>
+              <Autocomplete
+                multiple
+                size="small"
+                options={availableTags}
+                value={sftOptions.tags}
+                onChange={(event, newValue) => setSftOptions({ ...sftOptions, tags: newValue })}
+                renderInput={(params) => (
+                  <TextField
+                    {...params}
+                    label="Tags"
+                    placeholder="Any tag"
+                    helperText="Only export threads with at least one of these tags"
+                  />
+                )}
+              />
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={sftOptions.applyCorrections}
+                    onChange={(e) => setSftOptions({ ...sftOptions, applyCorrections: e.target.checked })}
+                  />
+                }
+                label="Replace assistant replies with proposed corrections"
+              />
+            </Box>
+          </>
+        )}
+
+        {RATING_RESOLUTION_FORMATS.includes(format) && (format === 'dpo' || ['good', 'bad'].includes(sftOptions.rating)) && (
+          <>
+            <Divider sx={{ my: 2 }} />
+            <Typography variant="subtitle2" gutterBottom>
+              Rating resolution
+            </Typography>
+            <Box sx={{ display: 'flex', gap: 2, mt: 2 }}>
+              <FormControl size="small" fullWidth>
+                <InputLabel id="disagreement-label">Multiple annotators</InputLabel>
+                <Select
+                  labelId="disagreement-label"
+                  label="Multiple annotators"
+                  value={preferenceOptions.disagreement}
+                  onChange={(e) => setPreferenceOptions({ ...preferenceOptions, disagreement: e.target.value })}
+                >
+                  <MenuItem value={DISAGREEMENT_STRATEGIES.MAJORITY}>Majority vote</MenuItem>
+                  <MenuItem value={DISAGREEMENT_STRATEGIES.UNANIMOUS}>Unanimous only (skip disagreements)</MenuItem>
+                  <MenuItem value={DISAGREEMENT_STRATEGIES.LATEST}>Most recent rating wins</MenuItem>
+                </Select>
+              </FormControl>
+              <FormControl
+                size="small"
+                fullWidth
+                disabled={preferenceOptions.disagreement !== DISAGREEMENT_STRATEGIES.MAJORITY}
+              >
+                <InputLabel id="ties-label">Tied votes</InputLabel>
+                <Select
+                  labelId="ties-label"
+                  label="Tied votes"
+                  value={preferenceOptions.ties}
+                  onChange={(e) => setPreferenceOptions({ ...preferenceOptions, ties: e.target.value })}
+                >
+                  <MenuItem value={TIE_STRATEGIES.SKIP}>Skip the thread</MenuItem>
+                  <MenuItem value={TIE_STRATEGIES.GOOD}>Treat as good</MenuItem>
+                  <MenuItem value={TIE_STRATEGIES.BAD}>Treat as bad</MenuItem>
+                </Select>
+              </FormControl>
+            </Box>
+          </>
+        )}
+      </DialogContent>
+
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" startIcon={<DownloadIcon />} onClick={handleExport}>
+          Export
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ExportDialog;
@@ -11,10 +11,51 @@ import CloudOffIcon from '@mui/icons-material/CloudOff';
 import LogoutIcon from '@mui/icons-material/Logout';
 import AddIcon from '@mui/icons-material/Add';
 import HelpOutlineIcon from '@mui/icons-material/HelpOutline';
+import SyncIcon from '@mui/icons-material/Sync';
+import AssignmentIndIcon from '@mui/icons-material/AssignmentInd';
+import InsightsIcon from '@mui/icons-material/Insights';
+
+// Chip for the cloud copy: offline, writes that failed, writes waiting, or all caught up
+const getStorageChip = ({ pending, failed, online, replaying }) => {
+  const counts = [failed > 0 && `${failed} failed`, pending > 0 && `${pending} pending`].filter(Boolean).join(', ');
+  
+  if (!online) {
+    return {
+      icon: <CloudOffIcon />,
+      label: counts ? `Offline · ${counts}` : 'Offline',
+      color: 'warning',
+      tooltip: 'Changes are saved in this browser and sent to the cloud when the connection returns'
+    };
+  }
+  if (failed > 0) {
+    return {
+      icon: <CloudOffIcon />,
+      label: counts,
+      color: 'error',
+      tooltip: 'Some changes could not be sent to the cloud; open to retry or sync'
+    };
+  }
+  if (pending > 0 || replaying) {
+    return {
+      icon: <CloudUploadIcon />,
+      label: pending > 0 ? `${pending} pending` : 'Saving',
+      color: 'info',
+      tooltip: 'Sending changes to the cloud'
+    };
+  }
+  return {
+    icon: <CloudDoneIcon />,
+    label: 'Synced',
+    color: 'success',
+    tooltip: 'All changes are in the cloud'
+  };
+};
 
 const Header = ({ 
   onImportClick, 
   onSettingsClick, 
+  onAssignClick,
+  onAgreementClick,
   onAddThread,
   onRunDiagnostics,
   onForceSave,
@@ -25,10 +66,14 @@ const Header = ({
   isAuthenticated,
   onLogout,
   onSync,
+  onRetryWrites,
+  outboxStatus = { pending: 0, failed: 0, online: true, replaying: false },
   onSetupHelp,
   currentUser
 }) => {
   const [anchorEl, setAnchorEl] = React.useState(null);
+  const [storageAnchorEl, setStorageAnchorEl] = React.useState(null);
+  const storageChip = getStorageChip(outboxStatus);
   
   const handleMenuOpen = (event) => {
     setAnchorEl(event.currentTarget);
@@ -53,6 +98,16 @@ const Header = ({
     handleMenuClose();
   };
   
+  const handleSync = () => {
+    onSync();
+    setStorageAnchorEl(null);
+  };
+  
+  const handleRetryWrites = () => {
+    onRetryWrites();
+    setStorageAnchorEl(null);
+  };
+  
   return (
     <AppBar position="static" color="default" elevation={0} sx={{ borderBottom: '1px solid #e0e0e0' }}>
       <Toolbar sx={{ px: 2, display: 'flex', justifyContent: 'space-between' }}>
@@ -61,13 +116,15 @@ const Header = ({
         </Typography>
         
         <Box sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
-          <Button 
-            color="primary" 
-            startIcon={<FileUploadIcon />}
-            onClick={onImportClick}
-          >
-            Import
-          </Button>
+          {onImportClick && (
+            <Button 
+              color="primary" 
+              startIcon={<FileUploadIcon />}
+              onClick={onImportClick}
+            >
+              Import
+            </Button>
+          )}
           
           <Button 
             color="primary" 
@@ -77,6 +134,24 @@ const Header = ({
             Export
           </Button>
           
+          <Button
+            color="primary"
+            startIcon={<InsightsIcon />}
+            onClick={onAgreementClick}
+          >
+            Agreement
+          </Button>
+          
+          {onAssignClick && (
+            <Button
+              color="primary"
+              startIcon={<AssignmentIndIcon />}
+              onClick={onAssignClick}
+            >
+              Assign
+            </Button>
+          )}
+          
           <Button
             color="primary"
             startIcon={<SettingsIcon />}
@@ -87,6 +162,31 @@ const Header = ({
           
           {isAuthenticated ? (
             <>
+              <Tooltip title={storageChip.tooltip}>
+                <Chip
+                  icon={storageChip.icon}
+                  label={storageChip.label}
+                  variant="outlined"
+                  color={storageChip.color}
+                  onClick={(event) => setStorageAnchorEl(event.currentTarget)}
+                />
+              </Tooltip>
+              
+              <Menu
+                anchorEl={storageAnchorEl}
+                open={Boolean(storageAnchorEl)}
+                onClose={() => setStorageAnchorEl(null)}
+              >
+                <MenuItem onClick={handleSync} disabled={!outboxStatus.online}>
+                  <SyncIcon fontSize="small" sx={{ mr: 1 }} />
+                  Sync Now
+                </MenuItem>
+                <MenuItem onClick={handleRetryWrites} disabled={!outboxStatus.online || outboxStatus.failed === 0}>
+                  <CloudUploadIcon fontSize="small" sx={{ mr: 1 }} />
+                  Retry Failed Writes
+                </MenuItem>
+              </Menu>
+              
               <Chip
                 icon={<AccountCircleIcon />}
                 label={currentUser}
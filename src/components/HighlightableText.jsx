@@ -0,0 +1,118 @@
+import React, { useRef } from 'react';
+import { Box, Tooltip } from '@mui/material';
+
+// Background colors cycled through for span labels
+const HIGHLIGHT_COLORS = ['#fff59d', '#ffcc80', '#ef9a9a', '#ce93d8', '#90caf9', '#a5d6a7'];
+
+/**
+ * Pick a stable highlight color for a label
+ * @param {string} label - Span label
+ * @returns {string} CSS color
+ */
+export const getLabelColor = (label) => {
+  let hash = 0;
+  for (let i = 0; i < (label || '').length; i++) {
+    hash = (hash * 31 + label.charCodeAt(i)) >>> 0;
+  }
+  return HIGHLIGHT_COLORS[hash % HIGHLIGHT_COLORS.length];
+};
+
+/**
+ * Split text into segments at every span boundary, so overlapping spans
+ * can be rendered without nesting
+ * @param {string} text - Full message text
+ * @param {Array} spans - Spans with start/end character offsets
+ * @returns {Array} Segments of { start, end, spans }
+ */
+const buildSegments = (text, spans) => {
+  const boundaries = new Set([0, text.length]);
+  spans.forEach(span => {
+    boundaries.add(Math.max(0, Math.min(span.start, text.length)));
+    boundaries.add(Math.max(0, Math.min(span.end, text.length)));
+  });
+
+  const points = Array.from(boundaries).sort((a, b) => a - b);
+  const segments = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    const start = points[i];
+    const end = points[i + 1];
+    if (start === end) continue;
+    segments.push({
+      start,
+      end,
+      spans: spans.filter(span => span.start <= start && span.end >= end)
+    });
+  }
+  return segments;
+};
+
+const HighlightableText = ({ text, spans = [], onSelectText }) => {
+  const containerRef = useRef(null);
+
+  // Convert the current DOM selection into character offsets within the text
+  const handleMouseUp = () => {
+    if (!onSelectText || !containerRef.current) return;
+
+    const selection = window.getSelection();
+    if (!selection || selection.isCollapsed || selection.rangeCount === 0) return;
+
+    const range = selection.getRangeAt(0);
+    if (!containerRef.current.contains(range.startContainer) || !containerRef.current.contains(range.endContainer)) {
+      return;
+    }
+
+    const preRange = document.createRange();
+    preRange.selectNodeContents(containerRef.current);
+    preRange.setEnd(range.startContainer, range.startOffset);
+
+    const start = preRange.toString().length;
+    const end = start + range.toString().length;
+    if (end <= start) return;
+
+    const rect = range.getBoundingClientRect();
+    onSelectText({
+      start,
+      end,
+      text: text.slice(start, end),
+      position: { top: rect.bottom, left: rect.left }
+    });
+  };
+
+  return (
+    <Box
+      component="span"
+      ref={containerRef}
+      onMouseUp={handleMouseUp}
+      sx={{ whiteSpace: 'pre-wrap' }}
+    >
+      {buildSegments(text, spans).map(segment => {
+        const segmentText = text.slice(segment.start, segment.end);
+        if (segment.spans.length === 0) {
+          return <React.Fragment key={segment.start}>{segmentText}</React.Fragment>;
+        }
+
+        const title = segment.spans
+          .map(span => span.comment ? `${span.label}: ${span.comment}` : span.label)
+          .join(' | ');
+
+        return (
+          <Tooltip key={segment.start} title={title}>
+            <Box
+              component="mark"
+              sx={{
+                bgcolor: getLabelColor(segment.spans[0].label),
+                borderBottom: segment.spans.length > 1 ? '2px solid #616161' : 'none',
+                borderRadius: '2px',
+                px: '1px'
+              }}
+            >
+              {segmentText}
+            </Box>
+          </Tooltip>
+        );
+      })}
+    </Box>
+  );
+};
+
+export default HighlightableText;
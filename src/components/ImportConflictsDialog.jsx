@@ -0,0 +1,141 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Box,
+  Chip
+} from '@mui/material';
+import { CONFLICT_RESOLUTIONS, CONFLICT_RESOLUTION_LABELS } from '../utils/importMerge';
+
+const MATCH_LABELS = {
+  source_id: 'Same source id',
+  content_hash: 'Same content',
+  batch: 'Repeated in import'
+};
+
+const ImportConflictsDialog = ({ open, importedCount = 0, conflicts = [], onCancel, onConfirm }) => {
+  const [defaultResolution, setDefaultResolution] = useState(CONFLICT_RESOLUTIONS.SKIP);
+  const [resolutions, setResolutions] = useState({});
+
+  // Start from a clean slate for every import
+  useEffect(() => {
+    if (open) {
+      setDefaultResolution(CONFLICT_RESOLUTIONS.SKIP);
+      setResolutions({});
+    }
+  }, [open]);
+
+  const handleDefaultChange = (resolution) => {
+    setDefaultResolution(resolution);
+    setResolutions({});
+  };
+
+  const handleConfirm = () => {
+    onConfirm(resolutions, defaultResolution);
+  };
+
+  const newCount = importedCount - conflicts.length;
+
+  return (
+    <Dialog open={open} onClose={onCancel} maxWidth="md" fullWidth>
+      <DialogTitle>Some threads already exist</DialogTitle>
+      <DialogContent dividers>
+        <Typography variant="body2" sx={{ mb: 2 }}>
+          {conflicts.length} of {importedCount} incoming thread{importedCount === 1 ? '' : 's'} match
+          existing threads by source id or content, or repeat an earlier incoming thread. {newCount} will be added as new.
+        </Typography>
+
+        <FormControl size="small" sx={{ minWidth: 240, mb: 2 }}>
+          <InputLabel id="default-resolution-label">For all matches</InputLabel>
+          <Select
+            labelId="default-resolution-label"
+            label="For all matches"
+            value={defaultResolution}
+            onChange={(e) => handleDefaultChange(e.target.value)}
+          >
+            {Object.values(CONFLICT_RESOLUTIONS).map(resolution => (
+              <MenuItem key={resolution} value={resolution}>{CONFLICT_RESOLUTION_LABELS[resolution]}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        <TableContainer component={Paper} variant="outlined" sx={{ maxHeight: 360 }}>
+          <Table size="small" stickyHeader>
+            <TableHead>
+              <TableRow>
+                <TableCell sx={{ fontWeight: 'bold', bgcolor: '#f5f5f5' }}>Incoming</TableCell>
+                <TableCell sx={{ fontWeight: 'bold', bgcolor: '#f5f5f5' }}>Existing thread</TableCell>
+                <TableCell sx={{ fontWeight: 'bold', bgcolor: '#f5f5f5' }}>Match</TableCell>
+                <TableCell sx={{ fontWeight: 'bold', bgcolor: '#f5f5f5' }}>Action</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {conflicts.map(conflict => (
+                <TableRow key={conflict.index}>
+                  <TableCell>
+                    {conflict.imported.title || conflict.imported.id}
+                    <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+                      {conflict.imported.messages?.length || 0} messages
+                    </Typography>
+                  </TableCell>
+                  <TableCell>
+                    {conflict.existing.title || conflict.existing.id}
+                    <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+                      {conflict.existing.messages?.length || 0} messages
+                      {conflict.existing.annotations?.length > 0 && `, ${conflict.existing.annotations.length} annotations`}
+                    </Typography>
+                  </TableCell>
+                  <TableCell>
+                    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                      <Chip
+                        size="small"
+                        variant="outlined"
+                        label={MATCH_LABELS[conflict.matchType]}
+                      />
+                      {conflict.identical && <Chip size="small" color="success" variant="outlined" label="Unchanged" />}
+                    </Box>
+                  </TableCell>
+                  <TableCell>
+                    <Select
+                      size="small"
+                      value={resolutions[conflict.index] || defaultResolution}
+                      onChange={(e) => setResolutions({ ...resolutions, [conflict.index]: e.target.value })}
+                      sx={{ minWidth: 180 }}
+                    >
+                      {Object.values(CONFLICT_RESOLUTIONS).map(resolution => (
+                        <MenuItem key={resolution} value={resolution}>{CONFLICT_RESOLUTION_LABELS[resolution]}</MenuItem>
+                      ))}
+                    </Select>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onCancel}>Cancel Import</Button>
+        <Button variant="contained" onClick={handleConfirm}>
+          Import
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ImportConflictsDialog;
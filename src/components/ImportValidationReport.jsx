@@ -0,0 +1,207 @@
+import React from 'react';
+import {
+  Alert,
+  Box,
+  FormControl,
+  InputLabel,
+  MenuItem,
+  Paper,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography
+} from '@mui/material';
+import {
+  VALIDATION_ISSUES,
+  VALIDATION_ISSUE_LABELS,
+  VALIDATION_ACTIONS,
+  ISSUE_ACTIONS,
+  DEFAULT_ISSUE_ACTIONS,
+  getProblemDecision
+} from '../utils/importValidation';
+import { APP_ROLES } from '../utils/csvMapping';
+import { truncateText } from '../utils/helpers';
+
+// Rows listed per issue; the rest follow the action chosen for all of them
+const MAX_LISTED_PROBLEMS = 50;
+
+const FIX_ROLES = APP_ROLES.filter(role => role.value !== 'skip');
+
+// Issues whose fix value can be set once for every problem of that kind
+const BULK_FIX_ISSUES = [VALIDATION_ISSUES.UNKNOWN_ROLE, VALIDATION_ISSUES.INVALID_TIMESTAMP];
+
+const FixInput = ({ type, value, onChange, label }) => {
+  if (type === VALIDATION_ISSUES.UNKNOWN_ROLE) {
+    return (
+      <Select
+        size="small"
+        displayEmpty
+        value={value || ''}
+        onChange={(e) => onChange(e.target.value)}
+        sx={{ minWidth: 160 }}
+      >
+        <MenuItem value="" disabled><em>{label || 'Choose a role'}</em></MenuItem>
+        {FIX_ROLES.map(role => (
+          <MenuItem key={role.value} value={role.value}>{role.label}</MenuItem>
+        ))}
+      </Select>
+    );
+  }
+  return (
+    <TextField
+      size="small"
+      value={value || ''}
+      onChange={(e) => onChange(e.target.value)}
+      placeholder={type === VALIDATION_ISSUES.INVALID_TIMESTAMP ? 'Blank uses the import time' : 'Message content'}
+      multiline={type === VALIDATION_ISSUES.EMPTY_CONTENT}
+      sx={{ minWidth: 200 }}
+    />
+  );
+};
+
+const describeLocation = (problem, threads) => {
+  if (problem.row) return `Row ${problem.row}`;
+  const thread = threads[problem.threadIndex];
+  const threadLabel = truncateText(thread?.title || thread?.id || `Thread ${problem.threadIndex + 1}`, 40);
+  return problem.messageIndex === null ? threadLabel : `${threadLabel}, message ${problem.messageIndex + 1}`;
+};
+
+const describeValue = (problem, threads) => {
+  switch (problem.type) {
+    case VALIDATION_ISSUES.UNKNOWN_ROLE:
+      return problem.value ? `"${problem.value}"` : '(no role)';
+    case VALIDATION_ISSUES.EMPTY_CONTENT:
+      return '(empty)';
+    case VALIDATION_ISSUES.NO_ASSISTANT_TURN:
+      return `${threads[problem.threadIndex]?.messages?.length || 0} messages, none from the assistant`;
+    default:
+      return problem.value;
+  }
+};
+
+// Dry-run report of import problems, grouped by issue, with an action per issue and per row
+const ImportValidationReport = ({
+  threads,
+  problems,
+  actions = {},
+  overrides = {},
+  onActionChange,
+  onOverrideChange
+}) => {
+  const issueTypes = Object.values(VALIDATION_ISSUES)
+    .map(type => ({
+      type,
+      entries: problems
+        .map((problem, index) => ({ problem, index }))
+        .filter(({ problem }) => problem.type === type)
+    }))
+    .filter(({ entries }) => entries.length > 0);
+
+  const affectedThreads = new Set(problems.map(problem => problem.threadIndex).filter(index => index !== null));
+
+  return (
+    <Box sx={{ mb: 2 }}>
+      <Alert severity="warning" sx={{ mb: 2 }}>
+        Found {problems.length} problem{problems.length === 1 ? '' : 's'} in {affectedThreads.size} of {threads.length} thread
+        {threads.length === 1 ? '' : 's'}. Choose what to do with each before importing.
+      </Alert>
+
+      {issueTypes.map(({ type, entries }) => {
+        const typeDecision = actions[type] || {};
+        const typeAction = typeDecision.action || DEFAULT_ISSUE_ACTIONS[type];
+        const issueActions = ISSUE_ACTIONS[type];
+
+        return (
+          <Box key={type} sx={{ mb: 3 }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 1, flexWrap: 'wrap' }}>
+              <Typography variant="subtitle2" sx={{ flexGrow: 1 }}>
+                {VALIDATION_ISSUE_LABELS[type]} ({entries.length})
+              </Typography>
+              <FormControl size="small" sx={{ minWidth: 180 }}>
+                <InputLabel id={`validation-${type}-label`}>For all</InputLabel>
+                <Select
+                  labelId={`validation-${type}-label`}
+                  label="For all"
+                  value={typeAction}
+                  onChange={(e) => onActionChange(type, { ...typeDecision, action: e.target.value })}
+                >
+                  {Object.entries(issueActions).map(([action, label]) => (
+                    <MenuItem key={action} value={action}>{label}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              {typeAction === VALIDATION_ACTIONS.FIX && BULK_FIX_ISSUES.includes(type) && (
+                <FixInput
+                  type={type}
+                  value={typeDecision.value}
+                  label="Role for all"
+                  onChange={(value) => onActionChange(type, { action: typeAction, value })}
+                />
+              )}
+            </Box>
+
+            <TableContainer component={Paper} variant="outlined" sx={{ maxHeight: 280 }}>
+              <Table size="small" stickyHeader>
+                <TableHead>
+                  <TableRow>
+                    <TableCell sx={{ fontWeight: 'bold', bgcolor: '#f5f5f5' }}>Location</TableCell>
+                    <TableCell sx={{ fontWeight: 'bold', bgcolor: '#f5f5f5' }}>Problem</TableCell>
+                    <TableCell sx={{ fontWeight: 'bold', bgcolor: '#f5f5f5' }}>Action</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {entries.slice(0, MAX_LISTED_PROBLEMS).map(({ problem, index }) => {
+                    const decision = getProblemDecision(problem, index, actions, overrides);
+                    const setOverride = (changes) => onOverrideChange(index, { ...decision, ...changes });
+
+                    return (
+                      <TableRow key={index}>
+                        <TableCell sx={{ whiteSpace: 'nowrap' }}>{describeLocation(problem, threads)}</TableCell>
+                        <TableCell sx={{ fontFamily: 'monospace', wordBreak: 'break-word' }}>
+                          {describeValue(problem, threads)}
+                        </TableCell>
+                        <TableCell>
+                          <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap' }}>
+                            <Select
+                              size="small"
+                              value={decision.action}
+                              onChange={(e) => setOverride({ action: e.target.value })}
+                              sx={{ minWidth: 160 }}
+                            >
+                              {Object.entries(issueActions).map(([action, label]) => (
+                                <MenuItem key={action} value={action}>{label}</MenuItem>
+                              ))}
+                            </Select>
+                            {decision.action === VALIDATION_ACTIONS.FIX && (
+                              <FixInput
+                                type={type}
+                                value={decision.value}
+                                onChange={(value) => setOverride({ value })}
+                              />
+                            )}
+                          </Box>
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            </TableContainer>
+            {entries.length > MAX_LISTED_PROBLEMS && (
+              <Typography variant="caption" color="text.secondary">
+                {entries.length - MAX_LISTED_PROBLEMS} more not listed; they use the action chosen for all.
+              </Typography>
+            )}
+          </Box>
+        );
+      })}
+    </Box>
+  );
+};
+
+export default ImportValidationReport;
@@ -0,0 +1,93 @@
+import React from 'react';
+import {
+  Box,
+  Drawer,
+  IconButton,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableRow,
+  Divider
+} from '@mui/material';
+import CloseIcon from '@mui/icons-material/Close';
+import { getMessageId, truncateText } from '../utils/helpers';
+
+const MetadataTable = ({ metadata }) => (
+  <Table size="small">
+    <TableBody>
+      {Object.entries(metadata).map(([key, value]) => (
+        <TableRow key={key}>
+          <TableCell sx={{ fontFamily: 'monospace', color: 'text.secondary', width: '40%', wordBreak: 'break-all' }}>
+            {key}
+          </TableCell>
+          <TableCell sx={{ wordBreak: 'break-word' }}>
+            {typeof value === 'object' ? JSON.stringify(value) : String(value)}
+          </TableCell>
+        </TableRow>
+      ))}
+    </TableBody>
+  </Table>
+);
+
+// Side drawer listing thread metadata and the metadata of each message
+const MetadataDrawer = ({ open, onClose, thread, focusedMessageId = null }) => {
+  const messagesWithMetadata = (thread?.messages || [])
+    .map((message, index) => ({ message, index, messageId: getMessageId(message, index) }))
+    .filter(({ message, messageId }) =>
+      message.metadata && Object.keys(message.metadata).length > 0 &&
+      (!focusedMessageId || messageId === focusedMessageId)
+    );
+  const hasThreadMetadata = thread?.metadata && Object.keys(thread.metadata).length > 0;
+
+  return (
+    <Drawer anchor="right" open={open} onClose={onClose}>
+      <Box sx={{ width: 360, p: 2 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+          <Typography variant="h6" sx={{ flexGrow: 1 }}>
+            Metadata
+          </Typography>
+          <IconButton onClick={onClose} size="small">
+            <CloseIcon />
+          </IconButton>
+        </Box>
+
+        {!focusedMessageId && (
+          <>
+            <Typography variant="subtitle2" gutterBottom>
+              Thread
+            </Typography>
+            {hasThreadMetadata ? (
+              <MetadataTable metadata={thread.metadata} />
+            ) : (
+              <Typography variant="body2" color="text.secondary">
+                No thread metadata
+              </Typography>
+            )}
+            <Divider sx={{ my: 2 }} />
+          </>
+        )}
+
+        <Typography variant="subtitle2" gutterBottom>
+          Messages
+        </Typography>
+        {messagesWithMetadata.length === 0 && (
+          <Typography variant="body2" color="text.secondary">
+            No message metadata
+          </Typography>
+        )}
+        {messagesWithMetadata.map(({ message, index, messageId }) => (
+          <Box key={messageId} sx={{ mb: 2 }}>
+            <Typography variant="caption" color="text.secondary">
+              #{index + 1} {message.role}
+              {typeof message.content === 'string' && ` — ${truncateText(message.content, 40)}`}
+            </Typography>
+            <MetadataTable metadata={message.metadata} />
+          </Box>
+        ))}
+      </Box>
+    </Drawer>
+  );
+};
+
+export default MetadataDrawer;
@@ -0,0 +1,28 @@
+import React from 'react';
+import { PanelResizeHandle } from 'react-resizable-panels';
+
+// Custom resize handle component
+const ResizeHandle = () => (
+  <PanelResizeHandle
+    className="resize-handle"
+    style={{
+      width: '8px',
+      background: '#f0f0f0',
+      cursor: 'col-resize',
+      display: 'flex',
+      justifyContent: 'center',
+      alignItems: 'center',
+    }}
+  >
+    <div
+      style={{
+        width: '4px',
+        height: '30px',
+        background: '#ccc',
+        borderRadius: '2px',
+      }}
+    />
+  </PanelResizeHandle>
+);
+
+export default ResizeHandle;
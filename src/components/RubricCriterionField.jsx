@@ -0,0 +1,184 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  TextField,
+  ToggleButtonGroup,
+  ToggleButton,
+  Chip,
+  FormControl,
+  Select,
+  MenuItem
+} from '@mui/material';
+import ThumbUpIcon from '@mui/icons-material/ThumbUp';
+import ThumbDownIcon from '@mui/icons-material/ThumbDown';
+import { CRITERION_TYPES } from '../utils/rubric';
+
+// Colors used for the two sides of a binary criterion
+const BINARY_COLORS = ['#66bb6a', '#f44336'];
+
+const RubricCriterionField = ({ criterion, value, onChange }) => {
+  const renderInput = () => {
+    switch (criterion.type) {
+      case CRITERION_TYPES.BINARY:
+        return (
+          <ToggleButtonGroup
+            value={value}
+            exclusive
+            onChange={(event, newValue) => {
+              if (newValue !== null) onChange(newValue);
+            }}
+            aria-label={criterion.label}
+            fullWidth
+          >
+            {criterion.options.map((option, index) => {
+              const color = BINARY_COLORS[index];
+              const isSelected = value === option;
+              return (
+                <ToggleButton
+                  key={option}
+                  value={option}
+                  aria-label={`${option} ${criterion.label}`}
+                  sx={{
+                    color: isSelected ? 'white' : color,
+                    bgcolor: isSelected ? color : 'transparent',
+                    textTransform: 'capitalize',
+                    '&:hover': {
+                      bgcolor: isSelected ? color : `${color}1a`
+                    }
+                  }}
+                >
+                  {index === 0 ? <ThumbUpIcon sx={{ mr: 1 }} /> : <ThumbDownIcon sx={{ mr: 1 }} />}
+                  {option}
+                </ToggleButton>
+              );
+            })}
+          </ToggleButtonGroup>
+        );
+
+      case CRITERION_TYPES.LIKERT: {
+        const points = [];
+        for (let point = criterion.min; point <= criterion.max; point++) {
+          points.push(point);
+        }
+        return (
+          <Box>
+            <ToggleButtonGroup
+              value={value}
+              exclusive
+              onChange={(event, newValue) => {
+                if (newValue !== null) onChange(newValue);
+              }}
+              aria-label={criterion.label}
+              size="small"
+              fullWidth
+            >
+              {points.map(point => (
+                <ToggleButton key={point} value={point}>
+                  {point}
+                </ToggleButton>
+              ))}
+            </ToggleButtonGroup>
+            {(criterion.minLabel || criterion.maxLabel) && (
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', mt: 0.5 }}>
+                <Typography variant="caption" color="text.secondary">{criterion.minLabel}</Typography>
+                <Typography variant="caption" color="text.secondary">{criterion.maxLabel}</Typography>
+              </Box>
+            )}
+          </Box>
+        );
+      }
+
+      case CRITERION_TYPES.SINGLE_CHOICE:
+        return (
+          <FormControl fullWidth size="small">
+            <Select
+              value={value ?? ''}
+              onChange={(event) => onChange(event.target.value || null)}
+              displayEmpty
+            >
+              <MenuItem value="">
+                <em>Select...</em>
+              </MenuItem>
+              {criterion.options.map(option => (
+                <MenuItem key={option} value={option}>{option}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        );
+
+      case CRITERION_TYPES.MULTI_CHOICE: {
+        const selected = Array.isArray(value) ? value : [];
+        const toggleOption = (option) => {
+          onChange(selected.includes(option)
+            ? selected.filter(item => item !== option)
+            : [...selected, option]);
+        };
+        return (
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+            {criterion.options.map(option => (
+              <Chip
+                key={option}
+                label={option}
+                onClick={() => toggleOption(option)}
+                color={selected.includes(option) ? 'primary' : 'default'}
+                variant={selected.includes(option) ? 'filled' : 'outlined'}
+              />
+            ))}
+          </Box>
+        );
+      }
+
+      case CRITERION_TYPES.NUMERIC:
+        return (
+          <TextField
+            type="number"
+            size="small"
+            fullWidth
+            value={value ?? ''}
+            onChange={(event) => {
+              const raw = event.target.value;
+              onChange(raw === '' ? null : Number(raw));
+            }}
+            inputProps={{
+              min: criterion.min,
+              max: criterion.max,
+              step: criterion.step || 'any'
+            }}
+          />
+        );
+
+      case CRITERION_TYPES.TEXT:
+      default:
+        return (
+          <TextField
+            fullWidth
+            multiline
+            minRows={2}
+            size="small"
+            value={value || ''}
+            onChange={(event) => onChange(event.target.value)}
+          />
+        );
+    }
+  };
+
+  return (
+    <Box sx={{ mb: 2 }}>
+      <Typography variant="subtitle2" gutterBottom>
+        {criterion.label}
+        {criterion.required && (
+          <Typography component="span" color="error" sx={{ ml: 0.5 }}>*</Typography>
+        )}
+      </Typography>
+      {criterion.description && (
+        <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 1 }}>
+          {criterion.description}
+        </Typography>
+      )}
+      {renderInput()}
+    </Box>
+  );
+};
+
+export default RubricCriterionField;
@@ -0,0 +1,281 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  IconButton,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  FormControlLabel,
+  Switch,
+  Paper,
+  Tooltip,
+  Typography,
+  Alert
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import DeleteIcon from '@mui/icons-material/Delete';
+import RestoreIcon from '@mui/icons-material/Restore';
+import SaveIcon from '@mui/icons-material/Save';
+import {
+  CRITERION_TYPES,
+  CRITERION_TYPE_LABELS,
+  DEFAULT_RUBRIC,
+  slugifyCriterionId,
+  normalizeRubric
+} from '../utils/rubric';
+
+// Types whose options are edited as a comma separated list
+const OPTION_TYPES = [
+  CRITERION_TYPES.BINARY,
+  CRITERION_TYPES.SINGLE_CHOICE,
+  CRITERION_TYPES.MULTI_CHOICE
+];
+
+// Types that take a min/max range
+const RANGE_TYPES = [CRITERION_TYPES.LIKERT, CRITERION_TYPES.NUMERIC];
+
+const RubricEditor = ({ rubric, onSave }) => {
+  const [draft, setDraft] = useState(rubric || DEFAULT_RUBRIC);
+  const [error, setError] = useState('');
+
+  // Reset the draft whenever the saved rubric changes
+  useEffect(() => {
+    setDraft(rubric || DEFAULT_RUBRIC);
+    setError('');
+  }, [rubric]);
+
+  const updateCriterion = (index, updates) => {
+    setDraft(prevDraft => ({
+      ...prevDraft,
+      criteria: prevDraft.criteria.map((criterion, i) =>
+        i === index ? { ...criterion, ...updates } : criterion
+      )
+    }));
+  };
+
+  const handleLabelChange = (index, label) => {
+    const criterion = draft.criteria[index];
+    // Keep ids stable once saved; only derive ids for new criteria
+    const updates = criterion.isNew ? { label, id: slugifyCriterionId(label) } : { label };
+    updateCriterion(index, updates);
+  };
+
+  const handleOptionsChange = (index, text) => {
+    updateCriterion(index, {
+      optionsText: text,
+      options: text.split(',').map(option => option.trim()).filter(Boolean)
+    });
+  };
+
+  const handleRangeChange = (index, field, text) => {
+    updateCriterion(index, { [field]: text === '' ? undefined : Number(text) });
+  };
+
+  const handleAddCriterion = () => {
+    setDraft(prevDraft => ({
+      ...prevDraft,
+      criteria: [
+        ...prevDraft.criteria,
+        { id: '', label: '', type: CRITERION_TYPES.LIKERT, required: false, min: 1, max: 5, isNew: true }
+      ]
+    }));
+  };
+
+  const handleRemoveCriterion = (index) => {
+    setDraft(prevDraft => ({
+      ...prevDraft,
+      criteria: prevDraft.criteria.filter((_, i) => i !== index)
+    }));
+  };
+
+  const handleSave = () => {
+    const ids = draft.criteria.map(criterion => criterion.id);
+    if (ids.some(id => !id)) {
+      setError('Every criterion needs a label.');
+      return;
+    }
+    if (new Set(ids).size !== ids.length) {
+      setError('Criterion labels must be unique.');
+      return;
+    }
+    const invalidOptions = draft.criteria.find(criterion =>
+      (criterion.type === CRITERION_TYPES.BINARY && criterion.options?.length !== 2) ||
+      ((criterion.type === CRITERION_TYPES.SINGLE_CHOICE || criterion.type === CRITERION_TYPES.MULTI_CHOICE) &&
+        !criterion.options?.length)
+    );
+    if (invalidOptions) {
+      setError(`"${invalidOptions.label}" needs ${invalidOptions.type === CRITERION_TYPES.BINARY ? 'exactly two' : 'at least one'} option(s).`);
+      return;
+    }
+
+    const { spanLabelsText, comparisonReasonsText, ...rubricFields } = draft;
+    const normalized = normalizeRubric({
+      ...rubricFields,
+      criteria: draft.criteria.map(({ isNew, optionsText, ...criterion }) => criterion)
+    });
+    if (!normalized) {
+      setError('A rubric needs at least one criterion.');
+      return;
+    }
+
+    setError('');
+    onSave(normalized);
+  };
+
+  return (
+    <Box>
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+
+      <TextField
+        label="Rubric name"
+        size="small"
+        fullWidth
+        value={draft.name || ''}
+        onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+        sx={{ mb: 2 }}
+      />
+
+      {draft.criteria.map((criterion, index) => (
+        <Paper key={index} variant="outlined" sx={{ p: 2, mb: 2 }}>
+          <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', mb: 1 }}>
+            <TextField
+              label="Label"
+              size="small"
+              value={criterion.label || ''}
+              onChange={(e) => handleLabelChange(index, e.target.value)}
+              helperText={criterion.id ? `id: ${criterion.id}` : ' '}
+              sx={{ flexGrow: 1 }}
+            />
+            <FormControl size="small" sx={{ minWidth: 160, mb: 2.5 }}>
+              <InputLabel id={`criterion-type-${index}`}>Type</InputLabel>
+              <Select
+                labelId={`criterion-type-${index}`}
+                label="Type"
+                value={criterion.type}
+                onChange={(e) => updateCriterion(index, { type: e.target.value })}
+              >
+                {Object.values(CRITERION_TYPES).map(type => (
+                  <MenuItem key={type} value={type}>{CRITERION_TYPE_LABELS[type]}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={!!criterion.required}
+                  onChange={(e) => updateCriterion(index, { required: e.target.checked })}
+                />
+              }
+              label="Required"
+              sx={{ mb: 2.5 }}
+            />
+            <Tooltip title="Remove criterion">
+              <span>
+                <IconButton
+                  color="error"
+                  onClick={() => handleRemoveCriterion(index)}
+                  disabled={draft.criteria.length === 1}
+                  sx={{ mb: 2.5 }}
+                >
+                  <DeleteIcon fontSize="small" />
+                </IconButton>
+              </span>
+            </Tooltip>
+          </Box>
+
+          {OPTION_TYPES.includes(criterion.type) && (
+            <TextField
+              label="Options (comma separated)"
+              size="small"
+              fullWidth
+              value={criterion.optionsText ?? (criterion.options || []).join(', ')}
+              onChange={(e) => handleOptionsChange(index, e.target.value)}
+              helperText={criterion.type === CRITERION_TYPES.BINARY ? 'Exactly two options, positive first' : ' '}
+            />
+          )}
+
+          {RANGE_TYPES.includes(criterion.type) && (
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <TextField
+                label="Min"
+                type="number"
+                size="small"
+                value={criterion.min ?? ''}
+                onChange={(e) => handleRangeChange(index, 'min', e.target.value)}
+              />
+              <TextField
+                label="Max"
+                type="number"
+                size="small"
+                value={criterion.max ?? ''}
+                onChange={(e) => handleRangeChange(index, 'max', e.target.value)}
+              />
+            </Box>
+          )}
+
+          <TextField
+            label="Description (optional)"
+            size="small"
+            fullWidth
+            value={criterion.description || ''}
+            onChange={(e) => updateCriterion(index, { description: e.target.value })}
+            sx={{ mt: 2 }}
+          />
+        </Paper>
+      ))}
+
+      <TextField
+        label="Span highlight labels (comma separated)"
+        size="small"
+        fullWidth
+        value={draft.spanLabelsText ?? (draft.spanLabels || []).join(', ')}
+        onChange={(e) => setDraft({
+          ...draft,
+          spanLabelsText: e.target.value,
+          spanLabels: e.target.value.split(',').map(label => label.trim()).filter(Boolean)
+        })}
+        helperText="Offered when highlighting text inside a message"
+        sx={{ mb: 2 }}
+      />
+
+      <TextField
+        label="Comparison reasons (comma separated)"
+        size="small"
+        fullWidth
+        value={draft.comparisonReasonsText ?? (draft.comparisonReasons || []).join(', ')}
+        onChange={(e) => setDraft({
+          ...draft,
+          comparisonReasonsText: e.target.value,
+          comparisonReasons: e.target.value.split(',').map(reason => reason.trim()).filter(Boolean)
+        })}
+        helperText="Offered when recording a preference between two threads"
+        sx={{ mb: 2 }}
+      />
+
+      <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 2 }}>
+        A criterion with the id "rating" is used as the overall good/bad verdict in filters and exports.
+      </Typography>
+
+      <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+        <Button variant="outlined" startIcon={<AddIcon />} onClick={handleAddCriterion}>
+          Add Criterion
+        </Button>
+        <Button variant="outlined" startIcon={<RestoreIcon />} onClick={() => setDraft(DEFAULT_RUBRIC)}>
+          Reset to Default
+        </Button>
+        <Button variant="contained" startIcon={<SaveIcon />} onClick={handleSave}>
+          Save Rubric
+        </Button>
+      </Box>
+    </Box>
+  );
+};
+
+export default RubricEditor;
@@ -21,7 +21,9 @@ import {
   TextField,
   Accordion,
   AccordionSummary,
-  AccordionDetails
+  AccordionDetails,
+  Select,
+  MenuItem
 } from '@mui/material';
 import CloseIcon from '@mui/icons-material/Close';
 import DownloadIcon from '@mui/icons-material/Download';
@@ -30,16 +32,25 @@ import DeleteIcon from '@mui/icons-material/Delete';
 import InfoIcon from '@mui/icons-material/Info';
 import StorageManager from '../utils/storage';
 import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
+import RubricEditor from './RubricEditor';
+import { getUsers, setUserRole, getCurrentUser, saveProjectRubric } from '../utils/storageService';
+import { ROLES, ROLE_LABELS, PERMISSIONS, hasPermission } from '../utils/roles';
 
-const SettingsDialog = ({ open, onClose }) => {
+const SettingsDialog = ({ open, onClose, rubric, onRubricChange, userRole = ROLES.ADMIN, isAuthenticated = false }) => {
   const [storageInfo, setStorageInfo] = useState(null);
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState({ show: false, text: '', severity: 'info' });
   const [replaceData, setReplaceData] = useState(false);
   const [debugInfo, setDebugInfo] = useState(null);
   const [storageType, setStorageType] = useState('');
+  const [users, setUsers] = useState(null);
   const fileInputRef = useRef(null);
 
+  const canEditRubric = hasPermission(userRole, PERMISSIONS.EDIT_RUBRIC);
+  const canReplaceData = hasPermission(userRole, PERMISSIONS.REPLACE_DATA);
+  // Roles are stored in the backend, so managing them needs a signed-in admin
+  const canManageRoles = isAuthenticated && hasPermission(userRole, PERMISSIONS.MANAGE_ROLES);
+
   // Load storage information when dialog opens
   React.useEffect(() => {
     if (open) {
@@ -48,6 +59,41 @@ const SettingsDialog = ({ open, onClose }) => {
     }
   }, [open]);
 
+  // Load the team's roles when an admin opens the dialog
+  React.useEffect(() => {
+    if (open && canManageRoles) {
+      loadUsers();
+    }
+  }, [open, canManageRoles]);
+
+  const loadUsers = async () => {
+    try {
+      setUsers(await getUsers());
+    } catch (error) {
+      console.error('Error loading users:', error);
+      setUsers([]);
+      setMessage({
+        show: true,
+        text: `Error loading users: ${error.message}`,
+        severity: 'error'
+      });
+    }
+  };
+
+  const handleRoleChange = async (uid, role) => {
+    try {
+      await setUserRole(uid, role);
+      setUsers(current => current.map(user => (user.uid === uid ? { ...user, role } : user)));
+    } catch (error) {
+      console.error('Error changing role:', error);
+      setMessage({
+        show: true,
+        text: `Error changing role: ${error.message}`,
+        severity: 'error'
+      });
+    }
+  };
+
   const refreshStorageInfo = async () => {
     try {
       const info = await StorageManager.getStorageInfo();
@@ -257,6 +303,35 @@ const SettingsDialog = ({ open, onClose }) => {
     }
   };
 
+  const handleSaveRubric = async (updatedRubric) => {
+    try {
+      const success = await saveProjectRubric(updatedRubric);
+      if (success) {
+        if (onRubricChange) {
+          onRubricChange(updatedRubric);
+        }
+        setMessage({
+          show: true,
+          text: 'Annotation rubric saved.',
+          severity: 'success'
+        });
+      } else {
+        setMessage({
+          show: true,
+          text: 'Failed to save annotation rubric.',
+          severity: 'error'
+        });
+      }
+    } catch (error) {
+      console.error('Error saving rubric:', error);
+      setMessage({
+        show: true,
+        text: `Error saving rubric: ${error.message}`,
+        severity: 'error'
+      });
+    }
+  };
+
   // Render storage information based on type
   const renderStorageInfo = () => {
     if (!storageInfo) {
@@ -381,6 +456,77 @@ const SettingsDialog = ({ open, onClose }) => {
           </Alert>
         )}
 
+        <Typography variant="h6" gutterBottom>
+          Annotation Rubric
+        </Typography>
+        
+        {canEditRubric ? (
+          <Accordion sx={{ mb: 3 }}>
+            <AccordionSummary expandIcon={<ExpandMoreIcon />}>
+              <Typography variant="subtitle1" color="primary">
+                {rubric?.name || 'Rubric'} ({rubric?.criteria.length || 0} criteria)
+              </Typography>
+            </AccordionSummary>
+            <AccordionDetails>
+              <DialogContentText sx={{ mb: 2 }}>
+                Define the criteria annotators fill in for each conversation. Each criterion
+                is exported as its own column.
+              </DialogContentText>
+              <RubricEditor rubric={rubric} onSave={handleSaveRubric} />
+            </AccordionDetails>
+          </Accordion>
+        ) : (
+          <Paper sx={{ p: 2, mb: 3 }}>
+            <Typography variant="subtitle1" color="primary">
+              {rubric?.name || 'Rubric'} ({rubric?.criteria.length || 0} criteria)
+            </Typography>
+            <DialogContentText>
+              Only admins can change the rubric.
+            </DialogContentText>
+          </Paper>
+        )}
+
+        {canManageRoles && (
+          <>
+            <Typography variant="h6" gutterBottom>
+              Team
+            </Typography>
+
+            <Paper sx={{ p: 2, mb: 3 }}>
+              <DialogContentText sx={{ mb: 1 }}>
+                Annotators change their own annotations, reviewers anyone's and assign threads,
+                and admins can also delete threads, edit the rubric and assign roles.
+              </DialogContentText>
+              {!users ? (
+                <CircularProgress size={24} />
+              ) : (
+                <List dense>
+                  {users.map(user => (
+                    <ListItem
+                      key={user.uid}
+                      secondaryAction={
+                        <Select
+                          size="small"
+                          value={user.role}
+                          onChange={(e) => handleRoleChange(user.uid, e.target.value)}
+                          // Admins can't demote themselves, so there's always one left
+                          disabled={user.uid === getCurrentUser()?.uid}
+                        >
+                          {Object.values(ROLES).map(role => (
+                            <MenuItem key={role} value={role}>{ROLE_LABELS[role]}</MenuItem>
+                          ))}
+                        </Select>
+                      }
+                    >
+                      <ListItemText primary={user.email || user.uid} />
+                    </ListItem>
+                  ))}
+                </List>
+              )}
+            </Paper>
+          </>
+        )}
+
         <Typography variant="h6" gutterBottom>
           Data Management
         </Typography>
@@ -421,15 +567,17 @@ const SettingsDialog = ({ open, onClose }) => {
             />
           </Box>
           
-          <FormControlLabel
-            control={
-              <Switch
-                checked={replaceData}
-                onChange={(e) => setReplaceData(e.target.checked)}
-              />
-            }
-            label="Replace all existing data on import (otherwise merge)"
-          />
+          {canReplaceData && (
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={replaceData}
+                  onChange={(e) => setReplaceData(e.target.checked)}
+                />
+              }
+              label="Replace all existing data on import (otherwise merge)"
+            />
+          )}
         </Paper>
 
         <Accordion sx={{ mb: 3 }}>
@@ -491,25 +639,27 @@ const SettingsDialog = ({ open, onClose }) => {
           </AccordionDetails>
         </Accordion>
         
-        <Paper sx={{ p: 2, mb: 3 }}>
-          <Typography variant="subtitle1" gutterBottom color="error">
-            Danger Zone
-          </Typography>
-          
-          <DialogContentText sx={{ mb: 2 }}>
-            Clearing all data will permanently delete all threads and annotations. This action cannot be undone.
-          </DialogContentText>
-          
-          <Button 
-            variant="outlined" 
-            color="error" 
-            startIcon={<DeleteIcon />} 
-            onClick={handleClearData}
-            disabled={loading}
-          >
-            Clear All Data
-          </Button>
-        </Paper>
+        {canReplaceData && (
+          <Paper sx={{ p: 2, mb: 3 }}>
+            <Typography variant="subtitle1" gutterBottom color="error">
+              Danger Zone
+            </Typography>
+            
+            <DialogContentText sx={{ mb: 2 }}>
+              Clearing all data will permanently delete all threads and annotations. This action cannot be undone.
+            </DialogContentText>
+            
+            <Button 
+              variant="outlined" 
+              color="error" 
+              startIcon={<DeleteIcon />} 
+              onClick={handleClearData}
+              disabled={loading}
+            >
+              Clear All Data
+            </Button>
+          </Paper>
+        )}
         
         <Typography variant="h6" gutterBottom>
           Storage Information
@@ -0,0 +1,82 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Popover,
+  Box,
+  Typography,
+  TextField,
+  Button,
+  Autocomplete
+} from '@mui/material';
+import { truncateText } from '../utils/helpers';
+
+const SpanLabelPopover = ({ selection, labels = [], onSave, onClose }) => {
+  const [label, setLabel] = useState('');
+  const [comment, setComment] = useState('');
+
+  // Start fresh for every new selection
+  useEffect(() => {
+    setLabel(labels[0] || '');
+    setComment('');
+  }, [selection]);
+
+  const handleSave = () => {
+    if (!label.trim()) return;
+    onSave({
+      messageId: selection.messageId,
+      start: selection.start,
+      end: selection.end,
+      text: selection.text,
+      label: label.trim(),
+      comment: comment.trim()
+    });
+  };
+
+  return (
+    <Popover
+      open={!!selection}
+      onClose={onClose}
+      anchorReference="anchorPosition"
+      anchorPosition={selection ? selection.position : undefined}
+      transformOrigin={{ vertical: 'top', horizontal: 'left' }}
+    >
+      {selection && (
+        <Box sx={{ p: 2, width: 320 }}>
+          <Typography variant="subtitle2" gutterBottom>
+            Label highlighted text
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2, fontStyle: 'italic' }}>
+            "{truncateText(selection.text, 100)}"
+          </Typography>
+          <Autocomplete
+            freeSolo
+            options={labels}
+            value={label}
+            onInputChange={(event, newValue) => setLabel(newValue || '')}
+            renderInput={(params) => (
+              <TextField {...params} label="Label" size="small" autoFocus />
+            )}
+            sx={{ mb: 2 }}
+          />
+          <TextField
+            label="Comment (optional)"
+            size="small"
+            fullWidth
+            multiline
+            minRows={2}
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            sx={{ mb: 2 }}
+          />
+          <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1 }}>
+            <Button onClick={onClose}>Cancel</Button>
+            <Button variant="contained" onClick={handleSave} disabled={!label.trim()}>
+              Add Highlight
+            </Button>
+          </Box>
+        </Box>
+      )}
+    </Popover>
+  );
+};
+
+export default SpanLabelPopover;
@@ -0,0 +1,151 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel
+} from '@mui/material';
+import { SYNC_SIDES, SYNC_FIELD_LABELS } from '../utils/syncEngine';
+import { getAnnotationLevel, truncateText } from '../utils/helpers';
+
+const SIDE_LABELS = {
+  [SYNC_SIDES.LOCAL]: 'Keep this device',
+  [SYNC_SIDES.REMOTE]: 'Keep cloud'
+};
+
+const describeItem = (item) => {
+  if (item.field) return SYNC_FIELD_LABELS[item.field] || item.field;
+  const annotation = item.local || item.remote;
+  return `${getAnnotationLevel(annotation)} annotation by ${annotation.createdBy || 'Unknown'}`;
+};
+
+const describeValue = (item, value) => {
+  if (value === null || value === undefined) {
+    return item.field ? '(none)' : '(deleted)';
+  }
+  if (item.field === 'messages') return `${value.length} messages`;
+  if (item.field === 'title') return value;
+  if (item.field === 'assignees') return value.map(assignee => assignee.email || assignee.uid).join(', ') || '(none)';
+  if (item.field) return truncateText(JSON.stringify(value), 80);
+
+  const parts = [];
+  if (value.values) parts.push(Object.entries(value.values).map(([key, rating]) => `${key}: ${rating}`).join(', '));
+  if (value.tags?.length) parts.push(`tags: ${value.tags.join(', ')}`);
+  if (value.notes) parts.push(value.notes);
+  if (value.label) parts.push(value.label);
+  if (value.comment) parts.push(value.comment);
+  if (value.correctedContent) parts.push(value.correctedContent);
+  return truncateText(parts.join(' · ') || JSON.stringify(value), 80);
+};
+
+// Threads edited on this device and in the cloud since the last sync, with a side to keep per clash
+const SyncConflictsDialog = ({ open, conflicts = [], onCancel, onConfirm }) => {
+  const [defaultSide, setDefaultSide] = useState(SYNC_SIDES.LOCAL);
+  const [choices, setChoices] = useState({});
+
+  // Start from a clean slate for every sync
+  useEffect(() => {
+    if (open) {
+      setDefaultSide(SYNC_SIDES.LOCAL);
+      setChoices({});
+    }
+  }, [open]);
+
+  const handleDefaultChange = (side) => {
+    setDefaultSide(side);
+    setChoices({});
+  };
+
+  const setChoice = (threadId, itemKey, side) => {
+    setChoices({ ...choices, [threadId]: { ...(choices[threadId] || {}), [itemKey]: side } });
+  };
+
+  const itemCount = conflicts.reduce((count, conflict) => count + conflict.items.length, 0);
+
+  return (
+    <Dialog open={open} onClose={onCancel} maxWidth="md" fullWidth>
+      <DialogTitle>Resolve sync conflicts</DialogTitle>
+      <DialogContent dividers>
+        <Typography variant="body2" sx={{ mb: 2 }}>
+          {conflicts.length} thread{conflicts.length === 1 ? ' was' : 's were'} edited on this device and in the
+          cloud since the last sync. Other changes to {conflicts.length === 1 ? 'it' : 'them'} were merged;
+          choose which version to keep for the {itemCount} edit{itemCount === 1 ? '' : 's'} that clash.
+        </Typography>
+
+        <FormControl size="small" sx={{ minWidth: 240, mb: 2 }}>
+          <InputLabel id="default-sync-side-label">For all conflicts</InputLabel>
+          <Select
+            labelId="default-sync-side-label"
+            label="For all conflicts"
+            value={defaultSide}
+            onChange={(e) => handleDefaultChange(e.target.value)}
+          >
+            {Object.values(SYNC_SIDES).map(side => (
+              <MenuItem key={side} value={side}>{SIDE_LABELS[side]}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        <TableContainer component={Paper} variant="outlined" sx={{ maxHeight: 400 }}>
+          <Table size="small" stickyHeader>
+            <TableHead>
+              <TableRow>
+                <TableCell sx={{ fontWeight: 'bold', bgcolor: '#f5f5f5' }}>Thread</TableCell>
+                <TableCell sx={{ fontWeight: 'bold', bgcolor: '#f5f5f5' }}>This device</TableCell>
+                <TableCell sx={{ fontWeight: 'bold', bgcolor: '#f5f5f5' }}>Cloud</TableCell>
+                <TableCell sx={{ fontWeight: 'bold', bgcolor: '#f5f5f5' }}>Keep</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {conflicts.flatMap(conflict => conflict.items.map(item => (
+                <TableRow key={`${conflict.threadId}:${item.key}`}>
+                  <TableCell>
+                    {truncateText(conflict.title, 40)}
+                    <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+                      {describeItem(item)}
+                    </Typography>
+                  </TableCell>
+                  <TableCell sx={{ wordBreak: 'break-word' }}>{describeValue(item, item.local)}</TableCell>
+                  <TableCell sx={{ wordBreak: 'break-word' }}>{describeValue(item, item.remote)}</TableCell>
+                  <TableCell>
+                    <Select
+                      size="small"
+                      value={choices[conflict.threadId]?.[item.key] || defaultSide}
+                      onChange={(e) => setChoice(conflict.threadId, item.key, e.target.value)}
+                      sx={{ minWidth: 160 }}
+                    >
+                      {Object.values(SYNC_SIDES).map(side => (
+                        <MenuItem key={side} value={side}>{SIDE_LABELS[side]}</MenuItem>
+                      ))}
+                    </Select>
+                  </TableCell>
+                </TableRow>
+              )))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onCancel}>Decide Later</Button>
+        <Button variant="contained" onClick={() => onConfirm(choices, defaultSide)}>
+          Apply
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default SyncConflictsDialog;
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { 
   Box, 
   List, 
@@ -15,13 +15,28 @@ import {
   InputLabel,
   Select,
   MenuItem,
-  Grid
+  Grid,
+  Chip,
+  CircularProgress
 } from '@mui/material';
 import DeleteIcon from '@mui/icons-material/Delete';
 import DriveFileRenameOutlineIcon from '@mui/icons-material/DriveFileRenameOutline';
 import SortIcon from '@mui/icons-material/Sort';
+import CompareArrowsIcon from '@mui/icons-material/CompareArrows';
+import FilterListIcon from '@mui/icons-material/FilterList';
+import VisibilityIcon from '@mui/icons-material/Visibility';
+import AssignmentIndIcon from '@mui/icons-material/AssignmentInd';
 import PanelHeader from './PanelHeader';
 import { formatTimestamp } from '../utils/helpers';
+import { describeViewers } from '../utils/collaboration';
+import { getAssignees, isQueuedFor } from '../utils/assignments';
+
+// Rows have a fixed height so only the ones in view need to be rendered
+const THREAD_ROW_HEIGHT = 104;
+// Rows rendered above and below the visible ones to keep scrolling smooth
+const OVERSCAN_ROWS = 5;
+// Start loading the next page when this close to the last loaded row
+const LOAD_MORE_THRESHOLD_ROWS = 20;
 
 const ThreadList = ({ 
   threads, 
@@ -33,8 +48,75 @@ const ThreadList = ({
   sortOrder,
   onSortOrderChange,
   onDeleteThread,
+  canDeleteThreads = true,
+  comparisonThreadId = null,
+  onCompareThread,
+  metadataOptions = {},
+  metadataFilters = [],
+  onMetadataFiltersChange,
+  hasMore = false,
+  loadingMore = false,
+  onLoadMore,
+  viewersByThread = {},
+  currentUserId = null,
   panelTitle = "Threads"
 }) => {
+  const [metadataKey, setMetadataKey] = useState('');
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(0);
+  const listRef = useRef(null);
+  const metadataKeys = Object.keys(metadataOptions);
+  
+  // Track the height of the scroll area as panels are resized
+  useEffect(() => {
+    const list = listRef.current;
+    if (!list) return undefined;
+    
+    const updateHeight = () => setViewportHeight(list.clientHeight);
+    updateHeight();
+    const observer = new ResizeObserver(updateHeight);
+    observer.observe(list);
+    return () => observer.disconnect();
+  }, []);
+  
+  const firstRow = Math.max(0, Math.floor(scrollTop / THREAD_ROW_HEIGHT) - OVERSCAN_ROWS);
+  const lastRow = Math.min(
+    threads.length,
+    Math.ceil((scrollTop + viewportHeight) / THREAD_ROW_HEIGHT) + OVERSCAN_ROWS
+  );
+  
+  useEffect(() => {
+    if (onLoadMore && hasMore && !loadingMore && lastRow >= threads.length - LOAD_MORE_THRESHOLD_ROWS) {
+      onLoadMore();
+    }
+  }, [lastRow, threads.length, hasMore, loadingMore]);
+  
+  // Keep the selected thread in view, e.g. when moving through threads with j/k
+  useEffect(() => {
+    const list = listRef.current;
+    const index = threads.findIndex(thread => thread.id === selectedThreadId);
+    if (!list || index === -1) return;
+    
+    const rowTop = index * THREAD_ROW_HEIGHT;
+    if (rowTop < list.scrollTop) {
+      list.scrollTop = rowTop;
+    } else if (rowTop + THREAD_ROW_HEIGHT > list.scrollTop + list.clientHeight) {
+      list.scrollTop = rowTop + THREAD_ROW_HEIGHT - list.clientHeight;
+    }
+  }, [selectedThreadId]);
+  
+  const handleAddMetadataFilter = (value) => {
+    const exists = metadataFilters.some(item => item.key === metadataKey && item.value === value);
+    if (!exists) {
+      onMetadataFiltersChange([...metadataFilters, { key: metadataKey, value }]);
+    }
+    setMetadataKey('');
+  };
+  
+  const handleRemoveMetadataFilter = (index) => {
+    onMetadataFiltersChange(metadataFilters.filter((_, i) => i !== index));
+  };
+  
   const handleFilterChange = (event, newFilter) => {
     if (newFilter !== null) {
       onFilterChange(newFilter);
@@ -52,6 +134,15 @@ const ThreadList = ({
     onDeleteThread(threadId);
   };
 
+  const handleCompareClick = (event, threadId) => {
+    // Stop propagation to prevent the thread selection
+    event.stopPropagation();
+    event.preventDefault();
+    if (onCompareThread) {
+      onCompareThread(threadId === comparisonThreadId ? null : threadId);
+    }
+  };
+
   const handleRenameClick = (event, thread) => {
     // Stop propagation to prevent the thread selection
     event.stopPropagation();
@@ -67,7 +158,7 @@ const ThreadList = ({
       
       <Paper elevation={0} sx={{ p: 2, borderBottom: '1px solid #ddd', bgcolor: 'white' }}>
         <Typography variant="subtitle2" gutterBottom>
-          All Threads {threads.length > 0 && `(${threads.length})`}
+          All Threads {threads.length > 0 && `(${threads.length}${hasMore ? '+' : ''})`}
         </Typography>
         
         <ToggleButtonGroup
@@ -80,6 +171,7 @@ const ThreadList = ({
         >
           <ToggleButton value="all">ALL</ToggleButton>
           <ToggleButton value="unannotated">SHOW UNANNOTATED</ToggleButton>
+          {currentUserId && <ToggleButton value="queue">MY QUEUE</ToggleButton>}
         </ToggleButtonGroup>
         
         <Grid container spacing={1} alignItems="center">
@@ -103,11 +195,72 @@ const ThreadList = ({
               </Select>
             </FormControl>
           </Grid>
+          
+          {onMetadataFiltersChange && metadataKeys.length > 0 && (
+            <>
+              <Grid item xs={6}>
+                <FormControl fullWidth size="small">
+                  <InputLabel id="metadata-key-label">
+                    <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                      <FilterListIcon fontSize="small" sx={{ mr: 0.5 }} />
+                      Metadata
+                    </Box>
+                  </InputLabel>
+                  <Select
+                    labelId="metadata-key-label"
+                    value={metadataKey}
+                    label="Metadata"
+                    onChange={(e) => setMetadataKey(e.target.value)}
+                  >
+                    {metadataKeys.map(key => (
+                      <MenuItem key={key} value={key}>{key}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+              <Grid item xs={6}>
+                <FormControl fullWidth size="small" disabled={!metadataKey}>
+                  <InputLabel id="metadata-value-label">Value</InputLabel>
+                  <Select
+                    labelId="metadata-value-label"
+                    value=""
+                    label="Value"
+                    onChange={(e) => handleAddMetadataFilter(e.target.value)}
+                  >
+                    {(metadataOptions[metadataKey] || []).map(value => (
+                      <MenuItem key={value} value={value}>{value}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+            </>
+          )}
         </Grid>
+        
+        {metadataFilters.length > 0 && (
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 1 }}>
+            {metadataFilters.map((item, index) => (
+              <Chip
+                key={`${item.key}=${item.value}`}
+                label={`${item.key}: ${item.value}`}
+                size="small"
+                color="primary"
+                variant="outlined"
+                onDelete={() => handleRemoveMetadataFilter(index)}
+              />
+            ))}
+          </Box>
+        )}
       </Paper>
       
-      <List disablePadding sx={{ flexGrow: 1, overflow: 'auto' }}>
-        {threads.map((thread) => (
+      <List
+        ref={listRef}
+        disablePadding
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+        sx={{ flexGrow: 1, overflow: 'auto' }}
+      >
+        <Box component="li" sx={{ height: firstRow * THREAD_ROW_HEIGHT }} />
+        {threads.slice(firstRow, lastRow).map((thread) => (
           <ListItem
             key={thread.id}
             className={`thread-item ${thread.id === selectedThreadId ? 'selected' : ''}`}
@@ -116,6 +269,9 @@ const ThreadList = ({
             disableGutters
             sx={{ 
               px: 2,
+              height: THREAD_ROW_HEIGHT,
+              boxSizing: 'border-box',
+              overflow: 'hidden',
               cursor: 'pointer',
               '&:hover': {
                 backgroundColor: '#f0f7ff'
@@ -123,16 +279,50 @@ const ThreadList = ({
               ...(thread.id === selectedThreadId ? {
                 backgroundColor: '#e3f2fd',
                 borderLeft: '4px solid #2196f3'
+              } : {}),
+              ...(thread.id === comparisonThreadId ? {
+                backgroundColor: '#fff3e0',
+                borderLeft: '4px solid #ff9800'
               } : {})
             }}
             dense
             selected={thread.id === selectedThreadId}
           >
             <ListItemText
-              primary={thread.title || thread.id}
+              primary={
+                <Box component="span" sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                  <Box component="span" sx={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                    {thread.title || thread.id}
+                  </Box>
+                  {getAssignees(thread).length > 0 && (
+                    <Tooltip title={`Assigned to ${getAssignees(thread).map(assignee => assignee.email || assignee.uid).join(', ')}`}>
+                      <Chip
+                        icon={<AssignmentIndIcon />}
+                        label={getAssignees(thread).length}
+                        size="small"
+                        color={isQueuedFor(thread, currentUserId) ? 'primary' : 'default'}
+                        variant="outlined"
+                        sx={{ height: 20, flexShrink: 0 }}
+                      />
+                    </Tooltip>
+                  )}
+                  {viewersByThread[thread.id]?.length > 0 && (
+                    <Tooltip title={describeViewers(viewersByThread[thread.id])}>
+                      <Chip
+                        icon={<VisibilityIcon />}
+                        label={viewersByThread[thread.id].length}
+                        size="small"
+                        color="secondary"
+                        variant="outlined"
+                        sx={{ height: 20, flexShrink: 0 }}
+                      />
+                    </Tooltip>
+                  )}
+                </Box>
+              }
               secondary={
                 <Box className="thread-meta">
-                  <Typography variant="caption" color="text.secondary" component="span" sx={{ display: 'block', mb: 0.5 }}>
+                  <Typography variant="caption" color="text.secondary" component="span" noWrap sx={{ display: 'block', mb: 0.5 }}>
                     ID: {thread.id}
                   </Typography>
                   <Typography variant="body2" component="span">
@@ -150,31 +340,55 @@ const ThreadList = ({
               sx={{ right: 8 }}
             >
               <Box sx={{ display: 'flex' }}>
-                <Tooltip title="Rename thread">
-                  <IconButton 
-                    edge="end" 
-                    aria-label="rename" 
-                    onClick={(e) => handleRenameClick(e, thread)}
-                    size="small"
-                    sx={{ mr: 0.5 }}
-                  >
-                    <DriveFileRenameOutlineIcon fontSize="small" />
-                  </IconButton>
-                </Tooltip>
-                <Tooltip title="Delete thread">
-                  <IconButton 
-                    edge="end" 
-                    aria-label="delete" 
-                    onClick={(e) => handleDeleteClick(e, thread.id)}
-                    size="small"
-                  >
-                    <DeleteIcon fontSize="small" />
-                  </IconButton>
-                </Tooltip>
+                {onCompareThread && selectedThreadId && thread.id !== selectedThreadId && (
+                  <Tooltip title={thread.id === comparisonThreadId ? 'Stop comparing' : 'Compare with selected thread'}>
+                    <IconButton 
+                      edge="end" 
+                      aria-label="compare" 
+                      onClick={(e) => handleCompareClick(e, thread.id)}
+                      size="small"
+                      color={thread.id === comparisonThreadId ? 'warning' : 'default'}
+                      sx={{ mr: 0.5 }}
+                    >
+                      <CompareArrowsIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                )}
+                {onRenameThread && (
+                  <Tooltip title="Rename thread">
+                    <IconButton 
+                      edge="end" 
+                      aria-label="rename" 
+                      onClick={(e) => handleRenameClick(e, thread)}
+                      size="small"
+                      sx={{ mr: 0.5 }}
+                    >
+                      <DriveFileRenameOutlineIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                )}
+                {canDeleteThreads && (
+                  <Tooltip title="Delete thread">
+                    <IconButton 
+                      edge="end" 
+                      aria-label="delete" 
+                      onClick={(e) => handleDeleteClick(e, thread.id)}
+                      size="small"
+                    >
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                )}
               </Box>
             </ListItemSecondaryAction>
           </ListItem>
         ))}
+        <Box component="li" sx={{ height: (threads.length - lastRow) * THREAD_ROW_HEIGHT }} />
+        {loadingMore && (
+          <Box component="li" sx={{ display: 'flex', justifyContent: 'center', py: 1 }}>
+            <CircularProgress size={20} />
+          </Box>
+        )}
       </List>
     </Box>
   );
@@ -0,0 +1,157 @@
+/**
+ * In-memory remote backend for tests, following the adapter contract in
+ * remoteBackend.js the way scripts/rest-server.js implements it
+ */
+
+import { getAnnotationKey, normalizeAnnotations } from '../helpers';
+
+export const BACKEND_TYPES = {
+  FIREBASE: 'firebase',
+  REST: 'rest'
+};
+
+export const BACKEND_TYPE = 'memory';
+
+let currentUser = null;
+let threads = new Map();
+let clock = 0;
+const authListeners = new Set();
+
+// Server time that moves on with every write, so updatedAt never ties
+const serverTime = () => new Date(Date.UTC(2024, 0, 1) + ++clock * 1000).toISOString();
+
+const copy = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const requireUser = () => {
+  if (!currentUser) {
+    throw new Error('User not authenticated');
+  }
+  return currentUser;
+};
+
+const getStoredThread = (threadId) => {
+  const thread = threads.get(threadId);
+  if (!thread) {
+    const error = new Error(`Thread ${threadId} not found`);
+    error.code = 'not-found';
+    throw error;
+  }
+  return thread;
+};
+
+const checkRevision = (threadId, expectedRevision) => {
+  if ((threads.get(threadId)?.revision || 0) !== expectedRevision) {
+    const error = new Error(`Thread ${threadId} changed remotely during sync`);
+    error.code = 'revision-mismatch';
+    throw error;
+  }
+};
+
+const changeAnnotations = (threadId, change) => {
+  const thread = getStoredThread(threadId);
+  thread.annotations = change(thread.annotations);
+  thread.annotationCount = thread.annotations.length;
+  thread.isAnnotated = thread.annotations.length > 0;
+  thread.revision = (thread.revision || 0) + 1;
+  thread.updatedAt = serverTime();
+  return thread.revision;
+};
+
+// Test helpers: sign in or out, inspect or reset the stored threads
+export const mockSignIn = (user) => {
+  currentUser = user;
+  authListeners.forEach(listener => listener(user));
+};
+
+export const mockSignOut = () => mockSignIn(null);
+
+export const mockGetStoredThread = (threadId) => copy(threads.get(threadId));
+
+// Delete a thread as another device would
+export const mockDeleteThread = (threadId) => threads.delete(threadId);
+
+export const mockReset = () => {
+  currentUser = null;
+  threads = new Map();
+  clock = 0;
+  authListeners.clear();
+};
+
+const remoteStorage = {
+  signIn: async () => requireUser(),
+  signUp: async () => requireUser(),
+  signOut: async () => mockSignOut(),
+  getCurrentUser: () => currentUser,
+  onAuthStateChanged: (listener) => {
+    authListeners.add(listener);
+    return () => authListeners.delete(listener);
+  },
+  getThreadSummaries: jest.fn(async ({ updatedAfter = null } = {}) => {
+    requireUser();
+    return [...threads.values()]
+      .filter(thread => !updatedAfter || thread.updatedAt > updatedAfter)
+      .map(({ messages, annotations, ...summary }) => copy(summary));
+  }),
+  countThreads: async () => {
+    requireUser();
+    return threads.size;
+  },
+  getThread: async (threadId) => {
+    requireUser();
+    return copy(threads.get(threadId)) || null;
+  },
+  pushSyncedThread: async (thread, expectedRevision) => {
+    const user = requireUser();
+    checkRevision(thread.id, expectedRevision);
+    const stored = threads.get(thread.id);
+    const annotations = [
+      ...(stored?.annotations || []).filter(annotation => annotation.createdByUid !== user.uid),
+      ...normalizeAnnotations(thread).filter(annotation => annotation.createdByUid === user.uid)
+    ];
+    threads.set(thread.id, {
+      ...copy(thread),
+      updatedAt: serverTime(),
+      messages: copy(thread.messages || stored?.messages || []),
+      annotations: copy(annotations),
+      annotationCount: annotations.length,
+      isAnnotated: annotations.length > 0
+    });
+    return copy(annotations);
+  },
+  deleteSyncedThread: async (threadId, expectedRevision) => {
+    requireUser();
+    checkRevision(threadId, expectedRevision);
+    threads.delete(threadId);
+  },
+  subscribeToThreadChanges: () => () => {},
+  addAnnotation: async (threadId, annotation) => {
+    const user = requireUser();
+    const recorded = { ...copy(annotation), createdBy: user.email, createdByUid: user.uid };
+    return changeAnnotations(threadId, annotations => [
+      ...annotations.filter(existing => getAnnotationKey(existing) !== getAnnotationKey(recorded)),
+      recorded
+    ]);
+  },
+  updateAnnotation: async (threadId, annotationId, changes) => {
+    requireUser();
+    return changeAnnotations(threadId, annotations => annotations.map(annotation => (
+      getAnnotationKey(annotation) === annotationId ? { ...annotation, ...copy(changes) } : annotation
+    )));
+  },
+  deleteAnnotation: async (threadId, annotationId) => {
+    requireUser();
+    return changeAnnotations(threadId, annotations => annotations.filter(annotation => getAnnotationKey(annotation) !== annotationId));
+  },
+  getUserProfile: async () => ({ ...requireUser(), role: 'annotator' }),
+  getUsers: async () => [],
+  setUserRole: async () => {},
+  getSettings: async () => null,
+  saveSettings: async () => {},
+  getProjectRubric: async () => null,
+  saveProjectRubric: async () => {},
+  setPresence: async () => {},
+  clearPresence: async () => {},
+  subscribeToPresence: () => () => {}
+};
+
+export default remoteStorage;
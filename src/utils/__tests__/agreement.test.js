@@ -0,0 +1,97 @@
+import {
+  AGREEMENT_METRICS,
+  cohensKappa,
+  fleissKappa,
+  krippendorffAlpha,
+  computeAgreementReport
+} from '../agreement';
+import { CRITERION_TYPES } from '../rubric';
+
+jest.mock('../storage', () => ({}));
+
+const repeat = (count, pair) => Array.from({ length: count }, () => pair);
+
+// Expand per-category rating counts into the values of one unit
+const fromCounts = (counts) => counts.flatMap((count, category) => repeat(count, category));
+
+// Krippendorff's (2011) example: four coders, twelve units, some ratings missing
+const KRIPPENDORFF_UNITS = [
+  [1, 1, 1], [2, 2, 3, 2], [3, 3, 3, 3], [3, 3, 3, 3], [2, 2, 2, 2], [1, 2, 3, 4],
+  [4, 4, 4, 4], [1, 1, 2, 1], [2, 2, 2, 2], [5, 5, 5], [1, 1], [3]
+];
+
+describe('agreement coefficients', () => {
+  test("Cohen's kappa", () => {
+    const pairs = [
+      ...repeat(20, ['yes', 'yes']),
+      ...repeat(5, ['yes', 'no']),
+      ...repeat(10, ['no', 'yes']),
+      ...repeat(15, ['no', 'no'])
+    ];
+    expect(cohensKappa(pairs)).toBeCloseTo(0.4, 5);
+    expect(cohensKappa(repeat(3, ['yes', 'yes']))).toBeNull();
+  });
+
+  test("Fleiss' kappa", () => {
+    const units = [
+      [0, 0, 0, 0, 14], [0, 2, 6, 4, 2], [0, 0, 3, 5, 6], [0, 3, 9, 2, 0], [2, 2, 8, 1, 1],
+      [7, 7, 0, 0, 0], [3, 2, 6, 3, 0], [2, 5, 3, 2, 2], [6, 5, 2, 1, 0], [0, 2, 2, 3, 7]
+    ].map(fromCounts);
+    expect(fleissKappa(units)).toBeCloseTo(0.210, 3);
+  });
+
+  test("Krippendorff's alpha with missing ratings", () => {
+    expect(krippendorffAlpha(KRIPPENDORFF_UNITS)).toBeCloseTo(0.743, 3);
+    expect(krippendorffAlpha(KRIPPENDORFF_UNITS, AGREEMENT_METRICS.INTERVAL)).toBeCloseTo(0.849, 3);
+    expect(krippendorffAlpha([[1, 1], [1, 1]])).toBeNull();
+  });
+});
+
+describe('computeAgreementReport', () => {
+  const rate = (createdBy, rating, timestamp = '2024-01-01T00:00:00Z', tags = []) => ({
+    createdBy,
+    timestamp,
+    tags,
+    values: { rating }
+  });
+
+  const threads = [
+    { id: 't1', annotations: [rate('alice', 'good', undefined, ['verbose']), rate('bob', 'good', undefined, ['verbose'])] },
+    { id: 't2', annotations: [rate('alice', 'good'), rate('bob', 'bad', undefined, ['verbose'])] },
+    {
+      id: 't3',
+      annotations: [
+        rate('alice', 'good'),
+        rate('alice', 'bad', '2024-01-02T00:00:00Z'),
+        rate('bob', 'bad')
+      ]
+    },
+    { id: 't4', annotations: [rate('alice', 'good')] }
+  ];
+
+  test("compares each annotator's latest rating on the threads they share", () => {
+    const report = computeAgreementReport(threads);
+    expect(report).toMatchObject({
+      metric: AGREEMENT_METRICS.NOMINAL,
+      annotators: ['alice', 'bob'],
+      ratedThreadCount: 4,
+      overlappingThreadCount: 3
+    });
+    expect(report.percentAgreement).toBeCloseTo(2 / 3, 5);
+    expect(report.pairs).toEqual([expect.objectContaining({ annotators: ['alice', 'bob'], sharedThreads: 3 })]);
+    expect(report.disputedThreads.map(thread => thread.threadId)).toEqual(['t2']);
+    expect(report.tags).toEqual([expect.objectContaining({ tag: 'verbose', threads: 2, unanimousThreads: 1 })]);
+  });
+
+  test('uses the interval metric for Likert criteria', () => {
+    const criterion = { id: 'helpfulness', label: 'Helpfulness', type: CRITERION_TYPES.LIKERT };
+    const likert = (createdBy, helpfulness) => ({ createdBy, values: { helpfulness } });
+    const report = computeAgreementReport([
+      { id: 'a', annotations: [likert('alice', 5), likert('bob', 4)] },
+      { id: 'b', annotations: [likert('alice', 1), likert('bob', 5)] }
+    ], { criterion });
+
+    expect(report.metric).toBe(AGREEMENT_METRICS.INTERVAL);
+    expect(report.disputedThreads.map(thread => thread.threadId)).toEqual(['b', 'a']);
+  });
+});
@@ -0,0 +1,55 @@
+import { createThreadGrouper, convertRowsToThreads } from '../csvMapping';
+
+const mapping = {
+  columns: { threadId: 'conversation', role: 'speaker', content: 'text' },
+  roles: { human: 'user', bot: 'assistant' }
+};
+
+const row = (conversation, speaker, text) => ({ conversation, speaker, text });
+
+describe('createThreadGrouper', () => {
+  test('takes threads once a later thread starts, and the last one when done', () => {
+    const grouper = createThreadGrouper(mapping);
+    grouper.addRows([row('a', 'human', 'Hi'), row('a', 'bot', 'Hello'), row('b', 'human', 'Q')]);
+    expect(grouper.takeFinishedThreads().map(thread => thread.id)).toEqual(['a']);
+
+    grouper.addRows([row('b', 'bot', 'A'), row('c', 'human', 'Hey')]);
+    const [b] = grouper.takeFinishedThreads();
+    expect(b.messages.map(message => message.content)).toEqual(['Q', 'A']);
+
+    expect(grouper.takeFinishedThreads(true).map(thread => thread.id)).toEqual(['c']);
+    expect(grouper.takeFinishedThreads(true)).toEqual([]);
+  });
+
+  test('takes a thread again when later rows continue it', () => {
+    const grouper = createThreadGrouper(mapping);
+    grouper.addRows([row('a', 'human', 'Hi'), row('b', 'human', 'Q'), row('c', 'human', 'Hey')]);
+    expect(grouper.takeFinishedThreads().map(thread => thread.id)).toEqual(['a', 'b']);
+
+    // a is open again, so b and c wait until a is finished to keep the order
+    grouper.addRows([row('a', 'bot', 'Hello')]);
+    expect(grouper.takeFinishedThreads()).toEqual([]);
+
+    const taken = grouper.takeFinishedThreads(true);
+    expect(taken.map(thread => thread.id)).toEqual(['a', 'c']);
+    expect(taken[0].messages.map(message => message.content)).toEqual(['Hi', 'Hello']);
+    expect(grouper.finish().map(thread => thread.id)).toEqual(['a', 'b', 'c']);
+  });
+
+  test('keeps shared columns as thread metadata each time a thread is built', () => {
+    const rows = [
+      { ...row('a', 'human', 'Hi'), model: 'x', turn: '1' },
+      { ...row('a', 'bot', 'Hello'), model: 'x', turn: '2' }
+    ];
+    const grouper = createThreadGrouper(mapping);
+    grouper.addRows(rows);
+
+    const [first] = grouper.takeFinishedThreads(true);
+    const [again] = grouper.finish();
+    [first, again].forEach(thread => {
+      expect(thread.metadata).toEqual({ model: 'x' });
+      expect(thread.messages.map(message => message.metadata)).toEqual([{ turn: '1' }, { turn: '2' }]);
+    });
+    expect(convertRowsToThreads(rows, mapping)[0].metadata).toEqual({ model: 'x' });
+  });
+});
@@ -0,0 +1,78 @@
+import { convertSpansToJSONL, diffWords } from '../helpers';
+
+jest.mock('../storage', () => ({}));
+
+const parseLines = (jsonl) => jsonl.split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+describe('convertSpansToJSONL', () => {
+  const thread = {
+    id: 'thread-1',
+    metadata: { model: 'gpt-x' },
+    messages: [
+      { id: 'm1', role: 'user', content: 'Where is the Eiffel Tower?' },
+      { id: 'm2', role: 'assistant', content: 'It is in Berlin, Germany.', metadata: { turn: 2 } }
+    ],
+    annotations: [
+      { type: 'span', messageId: 'm2', start: 17, end: 24, label: 'factual_error', createdBy: 'bob' },
+      { type: 'span', messageId: 'm2', start: 9, end: 15, label: 'hallucination', comment: 'wrong city', createdBy: 'alice' },
+      { messageId: 'm2', values: { rating: 'bad' } },
+      { values: { rating: 'bad' } }
+    ]
+  };
+
+  it('writes one line per message with spans sorted by offset', () => {
+    const [line, ...rest] = parseLines(convertSpansToJSONL([thread]));
+
+    expect(rest).toHaveLength(0);
+    expect(line).toEqual({
+      thread_id: 'thread-1',
+      message_id: 'm2',
+      role: 'assistant',
+      text: 'It is in Berlin, Germany.',
+      spans: [
+        { start: 9, end: 15, label: 'hallucination', text: 'Berlin', comment: 'wrong city', annotator: 'alice' },
+        { start: 17, end: 24, label: 'factual_error', text: 'Germany', comment: '', annotator: 'bob' }
+      ],
+      metadata: { model: 'gpt-x', turn: 2 }
+    });
+  });
+
+  it('skips spans whose message no longer exists', () => {
+    const orphaned = {
+      ...thread,
+      annotations: [{ type: 'span', messageId: 'gone', start: 0, end: 2, label: 'other' }]
+    };
+
+    expect(convertSpansToJSONL([orphaned])).toBe('');
+  });
+
+  it('falls back to positional message ids', () => {
+    const positional = {
+      id: 'thread-2',
+      messages: [{ role: 'assistant', content: 'Hello there' }],
+      annotations: { type: 'span', messageId: 'msg_0', start: 6, end: 11, label: 'other' }
+    };
+
+    const [line] = parseLines(convertSpansToJSONL([positional]));
+    expect(line.message_id).toBe('msg_0');
+    expect(line.spans[0].text).toBe('there');
+  });
+});
+
+describe('diffWords', () => {
+  test('marks the words a correction removed and added', () => {
+    expect(diffWords('It is in Berlin, Germany.', 'It is in Paris, France.')).toEqual([
+      { type: 'equal', text: 'It is in ' },
+      { type: 'removed', text: 'Berlin,' },
+      { type: 'added', text: 'Paris,' },
+      { type: 'equal', text: ' ' },
+      { type: 'removed', text: 'Germany.' },
+      { type: 'added', text: 'France.' }
+    ]);
+  });
+
+  test('handles empty texts', () => {
+    expect(diffWords('', 'New reply')).toEqual([{ type: 'added', text: 'New reply' }]);
+    expect(diffWords('Old reply', '')).toEqual([{ type: 'removed', text: 'Old reply' }]);
+  });
+});
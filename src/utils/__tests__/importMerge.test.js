@@ -0,0 +1,90 @@
+import {
+  CONFLICT_RESOLUTIONS,
+  findImportConflicts,
+  mergeImportedThreads,
+  getThreadContentHash,
+  formatImportSummary
+} from '../importMerge';
+
+const makeThread = (id, replies, extra = {}) => ({
+  id,
+  messages: replies.map((content, index) => ({
+    id: `${id}-${index}`,
+    role: index % 2 === 0 ? 'user' : 'assistant',
+    content,
+    timestamp: `2024-01-0${index + 1}T00:00:00Z`
+  })),
+  ...extra
+});
+
+describe('findImportConflicts', () => {
+  test('matches content whatever the ids and timestamps', () => {
+    const existing = [makeThread('stored', ['Hi', 'Hello'])];
+    const imported = { ...makeThread('1', ['Hi', 'Hello']), importSource: 'a.csv' };
+    imported.messages[0].timestamp = '2030-01-01T00:00:00Z';
+
+    expect(getThreadContentHash(imported)).toBe(getThreadContentHash(existing[0]));
+    expect(findImportConflicts(existing, [imported])).toEqual([
+      { index: 0, imported, existing: existing[0], matchType: 'content_hash', identical: true }
+    ]);
+  });
+
+  test('matches source ids only within the same import source', () => {
+    const existing = [makeThread('stored', ['Hi', 'Hello'], { sourceId: '1', importSource: 'a.csv' })];
+    const sameFile = makeThread('1', ['Hi', 'Hello again'], { importSource: 'a.csv' });
+    const otherFile = makeThread('1', ['Bonjour', 'Salut'], { importSource: 'b.csv' });
+
+    const conflicts = findImportConflicts(existing, [sameFile, otherFile]);
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0]).toMatchObject({ index: 0, matchType: 'source_id', identical: false });
+  });
+
+  test("matches a stored thread's own id and repeats within the import", () => {
+    const existing = [makeThread('stored', ['Hi', 'Hello'])];
+    const reexported = { ...makeThread('stored', ['Hi', 'Hello!']), importSource: 'export.json' };
+    const first = makeThread('2', ['Q', 'A'], { importSource: 'export.json' });
+    const repeat = makeThread('3', ['Q', 'A'], { importSource: 'export.json' });
+
+    const conflicts = findImportConflicts(existing, [reexported, first, repeat]);
+    expect(conflicts.map(({ index, matchType }) => [index, matchType])).toEqual([[0, 'source_id'], [2, 'batch']]);
+    expect(conflicts[1].existing).toBe(first);
+  });
+});
+
+describe('mergeImportedThreads', () => {
+  const existing = [
+    makeThread('stored', ['Hi', 'Hello'], { sourceId: '1', importSource: 'a.csv', annotations: [{ rating: 'good' }] })
+  ];
+
+  test('adds new threads with fresh ids and remembers their source', () => {
+    const imported = makeThread('2', ['Q', 'A'], { importSource: 'a.csv' });
+    const { threads, counts, addedIds } = mergeImportedThreads(existing, [imported]);
+
+    expect(counts).toEqual({ added: 1, updated: 0, duplicates: 0, keptBoth: 0 });
+    const added = threads.find(thread => thread.id === addedIds[0]);
+    expect(added).toMatchObject({ sourceId: '2', importSource: 'a.csv', isAnnotated: false });
+    expect(added.id).not.toBe('2');
+  });
+
+  test('updates messages, keeping annotations and the ids of unchanged messages', () => {
+    const imported = makeThread('1', ['Hi', 'Hello there'], { importSource: 'a.csv' });
+    const { threads, counts, updatedIds } = mergeImportedThreads(existing, [imported], {}, CONFLICT_RESOLUTIONS.UPDATE);
+
+    expect(counts.updated).toBe(1);
+    expect(updatedIds).toEqual(['stored']);
+    expect(threads).toHaveLength(1);
+    expect(threads[0].annotations).toEqual([{ rating: 'good' }]);
+    expect(threads[0].messages.map(message => message.id)).toEqual(['stored-0', '1-1']);
+    expect(threads[0].messages[1].content).toBe('Hello there');
+  });
+
+  test('skips duplicates by default and keeps copies when asked', () => {
+    const imported = makeThread('1', ['Hi', 'Hello'], { importSource: 'a.csv' });
+    expect(mergeImportedThreads(existing, [imported]).counts.duplicates).toBe(1);
+
+    const { threads, counts } = mergeImportedThreads(existing, [imported], { 0: CONFLICT_RESOLUTIONS.KEEP_BOTH });
+    expect(counts.keptBoth).toBe(1);
+    expect(threads).toHaveLength(2);
+    expect(formatImportSummary(counts)).toBe('0 new, 1 kept as copies');
+  });
+});
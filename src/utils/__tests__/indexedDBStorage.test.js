@@ -0,0 +1,41 @@
+import 'fake-indexeddb/auto';
+import IndexedDBStorage from '../indexedDBStorage';
+
+const makeThread = (id, replies, extra = {}) => ({
+  id,
+  createdAt: '2024-01-01T00:00:00.000Z',
+  messages: replies.map((content, index) => ({
+    id: `${id}-${index}`,
+    role: index % 2 === 0 ? 'user' : 'assistant',
+    content
+  })),
+  annotations: [],
+  ...extra
+});
+
+describe('findImportCandidates', () => {
+  beforeAll(async () => {
+    global.window = { indexedDB };
+    await IndexedDBStorage.saveThreads([
+      makeThread('stored-1', ['Hi', 'Hello'], { sourceId: '1', importSource: 'a.csv' }),
+      makeThread('stored-2', ['Q', 'A']),
+      makeThread('stored-3', ['Unrelated', 'Thread'], { sourceId: '2', importSource: 'a.csv' })
+    ]);
+  });
+
+  const findIds = async (importedThreads) => (
+    (await IndexedDBStorage.findImportCandidates(importedThreads)).map(thread => thread.id).sort()
+  );
+
+  test('finds threads by source id within the same source, by content and by their own id', async () => {
+    expect(await findIds([makeThread('1', ['Changed', 'Reply'], { importSource: 'a.csv' })])).toEqual(['stored-1']);
+    expect(await findIds([makeThread('1', ['Changed', 'Reply'], { importSource: 'b.csv' })])).toEqual([]);
+    expect(await findIds([makeThread('9', ['Q', 'A'], { importSource: 'b.csv' })])).toEqual(['stored-2']);
+    expect(await findIds([makeThread('stored-3', ['Edited'], { importSource: 'export.json' })])).toEqual(['stored-3']);
+  });
+
+  test('returns the matches with their messages', async () => {
+    const [match] = await IndexedDBStorage.findImportCandidates([makeThread('x', ['Q', 'A'])]);
+    expect(match.messages.map(message => message.content)).toEqual(['Q', 'A']);
+  });
+});
@@ -0,0 +1,20 @@
+import fs from 'fs';
+import path from 'path';
+import { ROLES, PERMISSIONS, hasPermission, generateFirestoreRules } from '../roles';
+
+describe('roles', () => {
+  test('firestore.rules holds the generated rules', () => {
+    const rules = fs.readFileSync(path.join(__dirname, '../../../firestore.rules'), 'utf8');
+    expect(rules).toBe(generateFirestoreRules());
+  });
+
+  test('only admins edit thread content and messages', () => {
+    expect(hasPermission(ROLES.ANNOTATOR, PERMISSIONS.EDIT_THREADS)).toBe(false);
+    expect(hasPermission(ROLES.REVIEWER, PERMISSIONS.EDIT_THREADS)).toBe(false);
+    expect(hasPermission(ROLES.ADMIN, PERMISSIONS.EDIT_THREADS)).toBe(true);
+
+    const rules = generateFirestoreRules();
+    expect(rules).toContain("allow create, update: if hasRole(['admin']);");
+    expect(rules).toContain("!('annotations' in thread)");
+  });
+});
@@ -0,0 +1,77 @@
+import {
+  DEFAULT_RUBRIC,
+  CRITERION_TYPES,
+  slugifyCriterionId,
+  normalizeRubric,
+  getEmptyValues,
+  getMissingRequiredCriteria,
+  getAnnotationValues,
+  isPositiveRating,
+  formatCriterionValue
+} from '../rubric';
+
+jest.mock('../storage', () => ({}));
+
+const rubric = normalizeRubric({
+  criteria: [
+    { id: 'rating', label: 'Helpful?', type: CRITERION_TYPES.BINARY, required: true, options: ['yes', 'no'] },
+    { label: 'Tone Score', type: CRITERION_TYPES.LIKERT },
+    { id: 'issues', label: 'Issues', type: CRITERION_TYPES.MULTI_CHOICE, options: ['verbose', 'rude'] },
+    { id: 'notes', label: 'Notes', type: 'unknown' }
+  ]
+});
+
+describe('normalizeRubric', () => {
+  test('fills in ids, defaults and a text type for unknown types', () => {
+    expect(rubric.name).toBe('Custom rubric');
+    expect(rubric.criteria.map(criterion => criterion.id)).toEqual(['rating', 'tone_score', 'issues', 'notes']);
+    expect(rubric.criteria[1]).toMatchObject({ min: 1, max: 5, required: false });
+    expect(rubric.criteria[3].type).toBe(CRITERION_TYPES.TEXT);
+  });
+
+  test('rejects rubrics without criteria and gives binary criteria two options', () => {
+    expect(normalizeRubric({ criteria: [] })).toBeNull();
+    expect(normalizeRubric(null)).toBeNull();
+    const binary = normalizeRubric({ criteria: [{ id: 'ok', type: CRITERION_TYPES.BINARY, options: ['a'] }] });
+    expect(binary.criteria[0].options).toEqual(['yes', 'no']);
+  });
+
+  test('slugifies labels', () => {
+    expect(slugifyCriterionId('  Follows the Instructions? ')).toBe('follows_the_instructions');
+  });
+});
+
+describe('criterion values', () => {
+  test('empty values and missing required criteria', () => {
+    const values = getEmptyValues(rubric);
+    expect(values).toEqual({ rating: null, tone_score: null, issues: [], notes: '' });
+    expect(getMissingRequiredCriteria(rubric, values).map(criterion => criterion.id)).toEqual(['rating']);
+    expect(getMissingRequiredCriteria(rubric, { ...values, rating: 'no' })).toEqual([]);
+  });
+
+  test('reads legacy good/bad annotations as the rating criterion', () => {
+    expect(getAnnotationValues({ rating: 'bad' })).toEqual({ rating: 'bad' });
+    expect(getAnnotationValues({ rating: 'bad', values: { rating: 'good' } })).toEqual({ rating: 'good' });
+    expect(getAnnotationValues(null)).toEqual({});
+  });
+
+  test('formats values for display and export', () => {
+    expect(formatCriterionValue(['verbose', 'rude'])).toBe('verbose;rude');
+    expect(formatCriterionValue(4)).toBe('4');
+    expect(formatCriterionValue('  ')).toBe('');
+  });
+});
+
+describe('isPositiveRating', () => {
+  test("treats the rating criterion's first option as positive", () => {
+    expect(isPositiveRating(rubric, { values: { rating: 'yes' } })).toBe(true);
+    expect(isPositiveRating(rubric, { values: { rating: 'no' } })).toBe(false);
+    expect(isPositiveRating(DEFAULT_RUBRIC, { rating: 'good' })).toBe(true);
+    expect(isPositiveRating(DEFAULT_RUBRIC, { rating: 'bad' })).toBe(false);
+  });
+
+  test('is null for ratings that are none of the options', () => {
+    expect(isPositiveRating(rubric, { rating: 'good' })).toBeNull();
+    expect(isPositiveRating(rubric, {})).toBeNull();
+  });
+});
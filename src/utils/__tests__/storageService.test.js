@@ -0,0 +1,87 @@
+import 'fake-indexeddb/auto';
+import IndexedDBStorage from '../indexedDBStorage';
+import { mockSignIn, mockGetStoredThread, mockReset } from '../remoteBackend';
+import remoteStorage from '../remoteBackend';
+import { initStorage, saveThread, addAnnotation, getThread, syncWithRemote } from '../storageService';
+
+jest.mock('../remoteBackend');
+jest.mock('../storage', () => ({
+  subscribeSettings: () => () => {},
+  getSettings: async () => ({}),
+  saveSettings: async () => true
+}));
+
+const alice = { uid: 'alice-uid', email: 'alice@example.com' };
+
+const thread = {
+  id: 'thread-1',
+  title: 'Directions',
+  createdAt: '2024-01-01T00:00:00.000Z',
+  messages: [
+    { id: 'm1', role: 'user', content: 'Where is the station?' },
+    { id: 'm2', role: 'assistant', content: 'Two blocks north.' }
+  ],
+  annotations: []
+};
+
+const waitFor = async (condition) => {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    if (await condition()) return;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error('Timed out waiting for the condition');
+};
+
+describe('annotations made before signing in', () => {
+  beforeAll(() => {
+    global.window = { indexedDB, addEventListener: () => {} };
+    initStorage();
+  });
+
+  afterEach(async () => {
+    mockReset();
+    await IndexedDBStorage.clearAllData();
+  });
+
+  it('are pushed as the user\'s own and survive the next pull', async () => {
+    await saveThread(thread);
+    await addAnnotation(thread.id, {
+      id: 'a1',
+      timestamp: '2024-01-02T00:00:00.000Z',
+      createdBy: 'Anonymous',
+      createdByUid: 'anonymous',
+      values: { rating: 'good' }
+    });
+
+    mockSignIn(alice);
+    await waitFor(() => mockGetStoredThread(thread.id)?.annotations.length === 1);
+    expect(mockGetStoredThread(thread.id).annotations[0]).toMatchObject({ id: 'a1', createdByUid: alice.uid });
+
+    // Someone else annotates, and this device pulls their change
+    mockSignIn({ uid: 'bob-uid', email: 'bob@example.com' });
+    await remoteStorage.addAnnotation(thread.id, { id: 'b1', timestamp: '2024-01-03T00:00:00.000Z', values: { rating: 'bad' } });
+    mockSignIn(alice);
+    const result = await syncWithRemote();
+
+    expect(result.pulled).toBe(1);
+    const local = await getThread(thread.id);
+    expect(local.annotations.map(annotation => annotation.id)).toEqual(['a1', 'b1']);
+  });
+
+  it('keep other users\' annotations the backend never took', async () => {
+    mockSignIn(alice);
+    // e.g. imported from a file another annotator exported
+    await saveThread({
+      ...thread,
+      annotations: [{ id: 'c1', timestamp: '2024-01-02T00:00:00.000Z', createdBy: 'carol@example.com', createdByUid: 'carol-uid' }]
+    });
+    await syncWithRemote();
+    expect(mockGetStoredThread(thread.id).annotations).toEqual([]);
+
+    await remoteStorage.addAnnotation(thread.id, { id: 'a2', timestamp: '2024-01-03T00:00:00.000Z', values: { rating: 'good' } });
+    await syncWithRemote();
+
+    const local = await getThread(thread.id);
+    expect(local.annotations.map(annotation => annotation.id).sort()).toEqual(['a2', 'c1']);
+  });
+});
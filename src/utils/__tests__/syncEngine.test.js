@@ -0,0 +1,152 @@
+import 'fake-indexeddb/auto';
+import IndexedDBStorage from '../indexedDBStorage';
+import remoteStorage, { mockSignIn, mockDeleteThread, mockReset } from '../remoteBackend';
+import { SYNC_SIDES, syncThreads, toSyncBase, mergeThreadVersions, applyConflictChoices } from '../syncEngine';
+
+jest.mock('../remoteBackend');
+jest.mock('../storage', () => ({}));
+
+const alice = { uid: 'alice-uid', email: 'alice@example.com' };
+const bob = { uid: 'bob-uid', email: 'bob@example.com' };
+
+const makeThread = (id) => ({
+  id,
+  title: `Thread ${id}`,
+  createdAt: '2024-01-01T00:00:00.000Z',
+  messages: [{ id: 'm1', role: 'user', content: 'Hello' }],
+  annotations: []
+});
+
+// Threads another annotator put in the cloud
+const seedRemote = async (ids) => {
+  mockSignIn(bob);
+  for (const id of ids) {
+    await remoteStorage.pushSyncedThread(makeThread(id), 0);
+  }
+  mockSignIn(alice);
+};
+
+describe('syncThreads', () => {
+  beforeAll(() => {
+    global.window = { indexedDB };
+  });
+
+  beforeEach(() => {
+    mockSignIn(alice);
+    remoteStorage.getThreadSummaries.mockClear();
+  });
+
+  afterEach(async () => {
+    mockReset();
+    await IndexedDBStorage.clearAllData();
+  });
+
+  it('reads only the threads updated since the last sync', async () => {
+    await seedRemote(['t1', 't2']);
+    const first = await syncThreads();
+    expect(first.pulled).toBe(2);
+    expect(remoteStorage.getThreadSummaries).toHaveBeenLastCalledWith();
+
+    mockSignIn(bob);
+    await remoteStorage.addAnnotation('t1', { id: 'b1', timestamp: '2024-01-02T00:00:00.000Z' });
+    mockSignIn(alice);
+    const checkpoint = await IndexedDBStorage.getSyncCheckpoint();
+    const second = await syncThreads();
+
+    expect(remoteStorage.getThreadSummaries).toHaveBeenLastCalledWith({ updatedAfter: checkpoint });
+    expect(await remoteStorage.getThreadSummaries.mock.results.at(-1).value).toHaveLength(1);
+    expect(second.pulled).toBe(1);
+    expect((await IndexedDBStorage.getThreadById('t1')).annotations.map(annotation => annotation.id)).toEqual(['b1']);
+  });
+
+  it('reads every thread again when one was deleted remotely', async () => {
+    await seedRemote(['t1', 't2']);
+    await syncThreads();
+
+    mockDeleteThread('t2');
+    const result = await syncThreads();
+
+    expect(remoteStorage.getThreadSummaries).toHaveBeenCalledTimes(3);
+    expect(remoteStorage.getThreadSummaries).toHaveBeenLastCalledWith();
+    expect(result.deleted).toBe(1);
+    expect(await IndexedDBStorage.getThreadById('t2')).toBeNull();
+  });
+
+  it('keeps the checkpoint while a thread fails to sync', async () => {
+    await seedRemote(['t1']);
+    await syncThreads();
+    const checkpoint = await IndexedDBStorage.getSyncCheckpoint();
+    expect(checkpoint).not.toBeNull();
+
+    mockSignIn(bob);
+    await remoteStorage.addAnnotation('t1', { id: 'b1', timestamp: '2024-01-02T00:00:00.000Z' });
+    mockSignIn(alice);
+    const getThread = jest.spyOn(remoteStorage, 'getThread').mockRejectedValueOnce(new Error('offline'));
+    const result = await syncThreads();
+    getThread.mockRestore();
+
+    expect(result.skipped).toBe(1);
+    expect(await IndexedDBStorage.getSyncCheckpoint()).toBe(checkpoint);
+    expect((await syncThreads()).pulled).toBe(1);
+  });
+});
+
+describe('mergeThreadVersions', () => {
+  const annotate = (id, createdBy, rating) => ({ id, createdBy, rating, values: { rating } });
+  const base = {
+    ...makeThread('t'),
+    annotations: [annotate('a1', 'alice', 'good'), annotate('b1', 'bob', 'good')]
+  };
+
+  test('takes each field and annotation from the side that changed it', () => {
+    const local = { ...base, title: 'Renamed here', annotations: [annotate('a1', 'alice', 'bad'), base.annotations[1]] };
+    const remote = {
+      ...base,
+      metadata: { source: 'cloud' },
+      annotations: [...base.annotations, annotate('c1', 'carol', 'good')]
+    };
+
+    const { thread, conflicts } = mergeThreadVersions(toSyncBase(base), local, remote);
+    expect(conflicts).toEqual([]);
+    expect(thread.title).toBe('Renamed here');
+    expect(thread.metadata).toEqual({ source: 'cloud' });
+    expect(thread.annotations.map(annotation => `${annotation.id}:${annotation.rating}`))
+      .toEqual(['a1:bad', 'b1:good', 'c1:good']);
+  });
+
+  test('keeps deletions from either side', () => {
+    const local = { ...base, annotations: [base.annotations[1]] };
+    const remote = { ...base, annotations: [base.annotations[0]] };
+
+    const { thread, conflicts } = mergeThreadVersions(toSyncBase(base), local, remote);
+    expect(conflicts).toEqual([]);
+    expect(thread.annotations).toEqual([]);
+    expect(thread.isAnnotated).toBe(false);
+  });
+
+  test('reports changes to the same field or annotation on both sides, keeping the local one until resolved', () => {
+    const local = { ...base, title: 'Local title', annotations: [annotate('a1', 'alice', 'bad'), base.annotations[1]] };
+    const remote = { ...base, title: 'Remote title', annotations: [base.annotations[1]] };
+
+    const { thread, conflicts } = mergeThreadVersions(toSyncBase(base), local, remote);
+    expect(conflicts.map(conflict => conflict.key)).toEqual(['field:title', 'annotation:a1']);
+    expect(thread.title).toBe('Local title');
+
+    const resolved = applyConflictChoices(
+      { merged: thread, items: conflicts },
+      { 'annotation:a1': SYNC_SIDES.REMOTE },
+      SYNC_SIDES.LOCAL
+    );
+    expect(resolved.title).toBe('Local title');
+    expect(resolved.annotations.map(annotation => annotation.id)).toEqual(['b1']);
+  });
+
+  test('without a base, differing fields conflict and annotations from both sides are kept', () => {
+    const local = { ...base, title: 'Local', annotations: [base.annotations[0]] };
+    const remote = { ...base, title: 'Remote', annotations: [base.annotations[1]] };
+
+    const { thread, conflicts } = mergeThreadVersions(null, local, remote);
+    expect(conflicts.map(conflict => conflict.key)).toEqual(['field:title']);
+    expect(thread.annotations.map(annotation => annotation.id)).toEqual(['a1', 'b1']);
+  });
+});
@@ -0,0 +1,197 @@
+import {
+  DISAGREEMENT_STRATEGIES,
+  TIE_STRATEGIES,
+  SFT_FORMATS,
+  resolveThreadRating,
+  convertRatingsToDPOJSONL,
+  applyCorrections,
+  toOpenAIMessages,
+  toAnthropicExample,
+  convertThreadsToSFTJSONL
+} from '../trainingExport';
+import { CRITERION_TYPES } from '../rubric';
+
+jest.mock('../storage', () => ({}));
+
+const parseLines = (jsonl) => jsonl.split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+const rate = (createdBy, rating, timestamp = '2024-01-01T00:00:00Z') => ({
+  createdBy,
+  timestamp,
+  rating,
+  values: { rating }
+});
+
+const makeThread = (id, reply, annotations) => ({
+  id,
+  messages: [
+    { id: `${id}-1`, role: 'user', content: 'What is 2 + 2?' },
+    { id: `${id}-2`, role: 'assistant', content: reply }
+  ],
+  annotations
+});
+
+const acceptRubric = {
+  criteria: [{ id: 'rating', label: 'Verdict', type: CRITERION_TYPES.BINARY, options: ['accept', 'reject'] }]
+};
+
+describe('resolveThreadRating', () => {
+  const split = makeThread('t', '4', [rate('alice', 'good'), rate('bob', 'bad', '2024-01-02T00:00:00Z')]);
+
+  test('resolves ties, unanimity and the latest rating', () => {
+    expect(resolveThreadRating(split)).toBeNull();
+    expect(resolveThreadRating(split, { disagreement: DISAGREEMENT_STRATEGIES.MAJORITY, ties: TIE_STRATEGIES.GOOD })).toBe('good');
+    expect(resolveThreadRating(split, { disagreement: DISAGREEMENT_STRATEGIES.UNANIMOUS })).toBeNull();
+    expect(resolveThreadRating(split, { disagreement: DISAGREEMENT_STRATEGIES.LATEST })).toBe('bad');
+  });
+
+  test("counts only each annotator's latest rating", () => {
+    const thread = makeThread('t', '4', [
+      rate('alice', 'bad'),
+      rate('alice', 'good', '2024-01-03T00:00:00Z'),
+      rate('bob', 'good')
+    ]);
+    expect(resolveThreadRating(thread, { disagreement: DISAGREEMENT_STRATEGIES.UNANIMOUS })).toBe('good');
+  });
+
+  test("reads ratings through the rubric's options, the first one being good", () => {
+    const accepted = makeThread('t', '4', [rate('alice', 'accept')]);
+    const rejected = makeThread('t', '5', [rate('alice', 'reject')]);
+    expect(resolveThreadRating(accepted, { rubric: acceptRubric })).toBe('good');
+    expect(resolveThreadRating(rejected, { rubric: acceptRubric })).toBe('bad');
+    // Without the rubric these ratings mean nothing
+    expect(resolveThreadRating(accepted)).toBeNull();
+  });
+});
+
+describe('convertRatingsToDPOJSONL', () => {
+  test('pairs good and bad completions of the same prompt', () => {
+    const threads = [
+      makeThread('good', '4', [rate('alice', 'good')]),
+      makeThread('bad', '5', [rate('alice', 'bad')]),
+      { ...makeThread('other', '22', [rate('alice', 'bad')]), messages: [{ role: 'user', content: 'Other?' }, { role: 'assistant', content: '22' }] }
+    ];
+
+    expect(parseLines(convertRatingsToDPOJSONL(threads))).toEqual([{
+      prompt: [{ role: 'user', content: 'What is 2 + 2?' }],
+      chosen: [{ role: 'assistant', content: '4' }],
+      rejected: [{ role: 'assistant', content: '5' }],
+      chosen_thread_id: 'good',
+      rejected_thread_id: 'bad'
+    }]);
+  });
+
+  test("uses the rubric's rating options", () => {
+    const threads = [
+      makeThread('yes', '4', [rate('alice', 'accept')]),
+      makeThread('no', '5', [rate('alice', 'reject')])
+    ];
+
+    expect(convertRatingsToDPOJSONL(threads)).toBe('');
+    const [pair] = parseLines(convertRatingsToDPOJSONL(threads, { disagreement: DISAGREEMENT_STRATEGIES.MAJORITY, rubric: acceptRubric }));
+    expect(pair).toMatchObject({ chosen_thread_id: 'yes', rejected_thread_id: 'no' });
+  });
+});
+
+describe('chat-format exports', () => {
+  const toolThread = [
+    { role: 'system', content: 'Be brief.' },
+    { role: 'user', content: 'Weather in Paris and Rome?' },
+    { role: 'assistant', content: 'Checking.' },
+    { type: 'tool_call', toolName: 'weather', parameters: { city: 'Paris' }, callId: 'paris' },
+    { type: 'tool_call', toolName: 'weather', parameters: { city: 'Rome' }, callId: 'rome' },
+    { type: 'tool_response', content: { temp: 20 }, callId: 'paris' },
+    { type: 'tool_response', content: { temp: 25 } },
+    { role: 'assistant', content: 'Paris 20, Rome 25.' }
+  ];
+
+  test('OpenAI tool responses answer their own call, then the oldest unanswered one', () => {
+    const messages = toOpenAIMessages(toolThread);
+    expect(messages[2].tool_calls.map(call => call.id)).toEqual(['paris', 'rome']);
+    expect(messages.filter(message => message.role === 'tool').map(message => message.tool_call_id))
+      .toEqual(['paris', 'rome']);
+  });
+
+  test('Anthropic examples join system messages and answer tool calls the same way', () => {
+    const example = toAnthropicExample(toolThread);
+    expect(example.system).toBe('Be brief.');
+    expect(example.messages.map(message => message.role)).toEqual(['user', 'assistant', 'user', 'assistant']);
+    expect(example.messages[2].content.map(block => block.tool_use_id)).toEqual(['paris', 'rome']);
+  });
+
+  test('Anthropic examples start with a user turn', () => {
+    const example = toAnthropicExample([
+      { role: 'assistant', content: 'Hi! How can I help?' },
+      { type: 'tool_call', toolName: 'lookup', callId: 'early' },
+      { type: 'tool_response', content: 'done', callId: 'early' },
+      { role: 'user', content: 'Hello' },
+      { role: 'assistant', content: 'Hello!' }
+    ]);
+    expect(example.messages).toEqual([
+      { role: 'user', content: [{ type: 'text', text: 'Hello' }] },
+      { role: 'assistant', content: [{ type: 'text', text: 'Hello!' }] }
+    ]);
+    expect(toAnthropicExample([{ role: 'assistant', content: 'Hi' }]).messages).toEqual([]);
+  });
+
+  test('SFT exports filter by rating and skip examples left empty', () => {
+    const threads = [
+      makeThread('good', '4', [rate('alice', 'good')]),
+      makeThread('bad', '5', [rate('alice', 'bad')]),
+      { id: 'greeting', messages: [{ role: 'assistant', content: 'Hi' }], annotations: [rate('alice', 'good')] }
+    ];
+
+    expect(parseLines(convertThreadsToSFTJSONL(threads))).toEqual([
+      { messages: [{ role: 'user', content: 'What is 2 + 2?' }, { role: 'assistant', content: '4' }] },
+      { messages: [{ role: 'assistant', content: 'Hi' }] }
+    ]);
+    // The greeting has no user turn to start an Anthropic example
+    const anthropic = parseLines(convertThreadsToSFTJSONL(threads, { format: SFT_FORMATS.ANTHROPIC, rating: 'any' }));
+    expect(anthropic.map(example => example.messages[1].content[0].text)).toEqual(['4', '5']);
+  });
+});
+
+describe('corrections', () => {
+  const correct = (messageId, correctedContent, timestamp) => ({
+    type: 'correction',
+    messageId,
+    correctedContent,
+    timestamp
+  });
+
+  const thread = {
+    id: 't',
+    messages: [
+      { id: 'q1', role: 'user', content: 'Capital of France?' },
+      { id: 'a1', role: 'assistant', content: 'Berlin.' },
+      { id: 'q2', role: 'user', content: 'Are you sure?' },
+      { id: 'a2', role: 'assistant', content: 'Yes, Berlin.' }
+    ],
+    annotations: [
+      correct('a1', 'Lyon.', '2024-01-01T00:00:00Z'),
+      correct('a1', 'Paris.', '2024-01-02T00:00:00Z'),
+      rate('alice', 'bad')
+    ]
+  };
+
+  test('use the latest correction and cut the turns that answered the original reply', () => {
+    expect(applyCorrections(thread)).toEqual({
+      corrected: true,
+      messages: [thread.messages[0], { ...thread.messages[1], content: 'Paris.' }]
+    });
+    expect(applyCorrections({ messages: thread.messages, annotations: [] })).toEqual({
+      corrected: false,
+      messages: thread.messages
+    });
+  });
+
+  test('SFT exports of corrected threads use the corrected replies unless told not to', () => {
+    const corrected = parseLines(convertThreadsToSFTJSONL([thread], { rating: 'corrected' }));
+    expect(corrected).toEqual([{
+      messages: [{ role: 'user', content: 'Capital of France?' }, { role: 'assistant', content: 'Paris.' }]
+    }]);
+
+    const original = parseLines(convertThreadsToSFTJSONL([thread], { rating: 'bad', applyCorrections: false }));
+    expect(original[0].messages.map(message => message.content)).toEqual(thread.messages.map(message => message.content));
+  });
+});
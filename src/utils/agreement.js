@@ -0,0 +1,314 @@
+/**
+ * Inter-annotator Agreement
+ *
+ * Compares the thread-level annotations different annotators (`createdBy`)
+ * made on the same threads. For one rubric criterion it reports:
+ * - Cohen's kappa for each pair of annotators, on the threads both rated
+ * - Fleiss' kappa across everyone, generalized to threads rated by any number
+ *   (two or more) of annotators
+ * - Krippendorff's alpha, with the interval metric for Likert and numeric
+ *   criteria and the nominal metric otherwise; it copes with missing ratings
+ * Tags get a nominal alpha of used/not used per tag, and threads are ranked by
+ * how much their annotators disagree. When an annotator annotated a thread
+ * more than once, their latest annotation counts.
+ */
+
+import { normalizeAnnotations, getAnnotationLevel } from './helpers';
+import {
+  CRITERION_TYPES,
+  RATING_CRITERION_ID,
+  getAnnotationValues,
+  isValueEmpty
+} from './rubric';
+
+// Criterion types with one comparable value per annotation
+export const AGREEMENT_CRITERION_TYPES = [
+  CRITERION_TYPES.BINARY,
+  CRITERION_TYPES.SINGLE_CHOICE,
+  CRITERION_TYPES.LIKERT,
+  CRITERION_TYPES.NUMERIC
+];
+
+const INTERVAL_TYPES = [CRITERION_TYPES.LIKERT, CRITERION_TYPES.NUMERIC];
+
+export const AGREEMENT_METRICS = {
+  NOMINAL: 'nominal',
+  INTERVAL: 'interval'
+};
+
+/**
+ * Criteria of a rubric that agreement can be computed on
+ * @param {Object} rubric - Annotation rubric
+ * @returns {Array} Criteria
+ */
+export const getAgreementCriteria = (rubric) => (
+  (rubric?.criteria || []).filter(criterion => AGREEMENT_CRITERION_TYPES.includes(criterion.type))
+);
+
+const getAnnotator = (annotation) => annotation.createdBy || annotation.createdByUid || 'Anonymous';
+
+/**
+ * Each annotator's latest thread-level annotation of a thread
+ * @param {Object} thread - Thread object with annotations
+ * @returns {Map} Annotator -> annotation
+ */
+const getLatestByAnnotator = (thread) => {
+  const latest = new Map();
+  normalizeAnnotations(thread)
+    .filter(annotation => getAnnotationLevel(annotation) === 'thread')
+    .forEach(annotation => {
+      const annotator = getAnnotator(annotation);
+      const current = latest.get(annotator);
+      if (!current || new Date(annotation.timestamp || 0) >= new Date(current.timestamp || 0)) {
+        latest.set(annotator, annotation);
+      }
+    });
+  return latest;
+};
+
+/**
+ * Distance between two values: 0/1 for nominal, squared difference for interval
+ * @param {*} a - Value
+ * @param {*} b - Value
+ * @param {string} metric - One of AGREEMENT_METRICS
+ * @returns {number} Distance
+ */
+const distance = (a, b, metric) => (
+  metric === AGREEMENT_METRICS.INTERVAL ? (a - b) ** 2 : (a === b ? 0 : 1)
+);
+
+/**
+ * Krippendorff's alpha over units of values
+ * @param {Array} units - One array of values per unit; units with fewer than two are ignored
+ * @param {string} metric - One of AGREEMENT_METRICS
+ * @returns {number|null} Alpha, or null when there is no variation to measure against
+ */
+export const krippendorffAlpha = (units, metric = AGREEMENT_METRICS.NOMINAL) => {
+  const pairable = units.filter(values => values.length >= 2);
+  const allValues = pairable.flat();
+  const n = allValues.length;
+  if (n < 2) return null;
+
+  // Observed disagreement within units, each pair weighted by 1 / (values in unit - 1)
+  let observed = 0;
+  pairable.forEach(values => {
+    let unitSum = 0;
+    values.forEach((a, i) => values.forEach((b, j) => {
+      if (i !== j) unitSum += distance(a, b, metric);
+    }));
+    observed += unitSum / (values.length - 1);
+  });
+  observed /= n;
+
+  // Expected disagreement between any two values, from the counts of each value
+  const counts = new Map();
+  allValues.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  let expected = 0;
+  counts.forEach((countA, a) => counts.forEach((countB, b) => {
+    expected += countA * countB * distance(a, b, metric);
+  }));
+  expected /= n * (n - 1);
+
+  if (expected === 0) return null;
+  return 1 - observed / expected;
+};
+
+/**
+ * Fleiss' kappa, with the per-unit agreement computed for each unit's own number of raters
+ * @param {Array} units - One array of category values per unit; units with fewer than two are ignored
+ * @returns {number|null} Kappa, or null when chance agreement is total
+ */
+export const fleissKappa = (units) => {
+  const rated = units.filter(values => values.length >= 2);
+  if (rated.length === 0) return null;
+
+  const totals = new Map();
+  let ratingCount = 0;
+  let observed = 0;
+  rated.forEach(values => {
+    const counts = new Map();
+    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    let agreeingPairs = 0;
+    counts.forEach((count, value) => {
+      agreeingPairs += count * (count - 1);
+      totals.set(value, (totals.get(value) || 0) + count);
+    });
+    observed += agreeingPairs / (values.length * (values.length - 1));
+    ratingCount += values.length;
+  });
+  observed /= rated.length;
+
+  let expected = 0;
+  totals.forEach(count => {
+    expected += (count / ratingCount) ** 2;
+  });
+
+  if (expected === 1) return null;
+  return (observed - expected) / (1 - expected);
+};
+
+/**
+ * Cohen's kappa for two annotators
+ * @param {Array} pairs - [valueA, valueB] for each thread both rated
+ * @returns {number|null} Kappa, or null when chance agreement is total
+ */
+export const cohensKappa = (pairs) => {
+  if (pairs.length === 0) return null;
+  const observed = pairs.filter(([a, b]) => a === b).length / pairs.length;
+
+  const countsA = new Map();
+  const countsB = new Map();
+  pairs.forEach(([a, b]) => {
+    countsA.set(a, (countsA.get(a) || 0) + 1);
+    countsB.set(b, (countsB.get(b) || 0) + 1);
+  });
+  let expected = 0;
+  countsA.forEach((count, value) => {
+    expected += (count / pairs.length) * ((countsB.get(value) || 0) / pairs.length);
+  });
+
+  if (expected === 1) return null;
+  return (observed - expected) / (1 - expected);
+};
+
+/**
+ * Share of annotator pairs within units that gave the same value
+ * @param {Array} units - One array of values per unit
+ * @returns {number|null} Fraction between 0 and 1, or null without pairs
+ */
+const pairwiseAgreement = (units) => {
+  let pairs = 0;
+  let agreeing = 0;
+  units.forEach(values => {
+    values.forEach((a, i) => values.slice(i + 1).forEach(b => {
+      pairs++;
+      if (a === b) agreeing++;
+    }));
+  });
+  return pairs > 0 ? agreeing / pairs : null;
+};
+
+/**
+ * Read a criterion value in the form the metric compares
+ * @param {*} value - Stored criterion value
+ * @param {string} metric - One of AGREEMENT_METRICS
+ * @returns {*} Comparable value, or null if unrated or unusable
+ */
+const toComparable = (value, metric) => {
+  if (isValueEmpty(value) || Array.isArray(value)) return null;
+  if (metric === AGREEMENT_METRICS.INTERVAL) {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  }
+  return String(value);
+};
+
+/**
+ * Agreement report for one criterion across every thread annotated by two or more annotators
+ * @param {Array} threads - Threads with annotations
+ * @param {Object} options - Report options
+ * @param {Object} options.criterion - Rubric criterion to compare (defaults to the rating)
+ * @param {number} options.disputedLimit - Number of most-disputed threads to list
+ * @returns {Object} { criterion, metric, annotators, ratedThreadCount, overlappingThreadCount,
+ *   percentAgreement, fleissKappa, krippendorffAlpha, meanCohensKappa, pairs, tags, disputedThreads }
+ */
+export const computeAgreementReport = (threads, { criterion = null, disputedLimit = 10 } = {}) => {
+  const target = criterion || { id: RATING_CRITERION_ID, label: 'Rating', type: CRITERION_TYPES.BINARY };
+  const metric = INTERVAL_TYPES.includes(target.type) ? AGREEMENT_METRICS.INTERVAL : AGREEMENT_METRICS.NOMINAL;
+
+  const annotators = new Set();
+  let ratedThreadCount = 0;
+  // Threads with values from two or more annotators: { thread, ratings: Map annotator -> value, tagsByAnnotator }
+  const overlapping = [];
+
+  threads.forEach(thread => {
+    const ratings = new Map();
+    const tagsByAnnotator = new Map();
+    getLatestByAnnotator(thread).forEach((annotation, annotator) => {
+      const value = toComparable(getAnnotationValues(annotation)[target.id], metric);
+      if (value === null) return;
+      ratings.set(annotator, value);
+      tagsByAnnotator.set(annotator, new Set(Array.isArray(annotation.tags) ? annotation.tags : []));
+    });
+    if (ratings.size > 0) ratedThreadCount++;
+    if (ratings.size >= 2) {
+      ratings.forEach((value, annotator) => annotators.add(annotator));
+      overlapping.push({ thread, ratings, tagsByAnnotator });
+    }
+  });
+
+  const units = overlapping.map(({ ratings }) => [...ratings.values()]);
+
+  // Cohen's kappa for every pair of annotators with threads in common
+  const annotatorList = [...annotators].sort();
+  const pairs = [];
+  annotatorList.forEach((a, i) => annotatorList.slice(i + 1).forEach(b => {
+    const shared = overlapping
+      .filter(({ ratings }) => ratings.has(a) && ratings.has(b))
+      .map(({ ratings }) => [ratings.get(a), ratings.get(b)]);
+    if (shared.length === 0) return;
+    pairs.push({
+      annotators: [a, b],
+      sharedThreads: shared.length,
+      percentAgreement: shared.filter(([valueA, valueB]) => valueA === valueB).length / shared.length,
+      cohensKappa: cohensKappa(shared)
+    });
+  }));
+  const pairKappas = pairs.map(pair => pair.cohensKappa).filter(kappa => kappa !== null);
+
+  // Per tag: did each annotator use it, on the threads where anyone did
+  const allTags = new Set();
+  overlapping.forEach(({ tagsByAnnotator }) => tagsByAnnotator.forEach(tags => tags.forEach(tag => allTags.add(tag))));
+  const tags = [...allTags].sort().map(tag => {
+    const tagUnits = overlapping.map(({ tagsByAnnotator }) => [...tagsByAnnotator.values()].map(tagSet => tagSet.has(tag)));
+    const usedUnits = tagUnits.filter(values => values.includes(true));
+    return {
+      tag,
+      threads: usedUnits.length,
+      unanimousThreads: usedUnits.filter(values => values.every(Boolean)).length,
+      percentAgreement: pairwiseAgreement(tagUnits),
+      krippendorffAlpha: krippendorffAlpha(tagUnits)
+    };
+  });
+
+  // Disagreement of each thread: mean distance between its annotators, scaled to 0-1
+  const allValues = units.flat();
+  const spread = metric === AGREEMENT_METRICS.INTERVAL && allValues.length > 0
+    ? (Math.max(...allValues) - Math.min(...allValues)) ** 2
+    : 1;
+  const disputedThreads = overlapping
+    .map(({ thread, ratings }) => {
+      const values = [...ratings.values()];
+      let total = 0;
+      let count = 0;
+      values.forEach((a, i) => values.slice(i + 1).forEach(b => {
+        total += distance(a, b, metric);
+        count++;
+      }));
+      return {
+        threadId: thread.id,
+        title: thread.title || thread.id,
+        disagreement: spread > 0 ? total / count / spread : 0,
+        ratings: [...ratings.entries()].map(([annotator, value]) => ({ annotator, value }))
+      };
+    })
+    .filter(entry => entry.disagreement > 0)
+    .sort((a, b) => b.disagreement - a.disagreement || b.ratings.length - a.ratings.length)
+    .slice(0, disputedLimit);
+
+  return {
+    criterion: target,
+    metric,
+    annotators: annotatorList,
+    ratedThreadCount,
+    overlappingThreadCount: overlapping.length,
+    percentAgreement: pairwiseAgreement(units),
+    // Kappas treat values as categories, so Likert points count as unrelated labels
+    fleissKappa: fleissKappa(units),
+    krippendorffAlpha: krippendorffAlpha(units, metric),
+    meanCohensKappa: pairKappas.length > 0 ? pairKappas.reduce((sum, kappa) => sum + kappa, 0) / pairKappas.length : null,
+    pairs,
+    tags,
+    disputedThreads
+  };
+};
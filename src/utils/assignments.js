@@ -0,0 +1,105 @@
+/**
+ * Assignments
+ *
+ * Threads can be assigned to users so a batch is split across the team. A
+ * thread's `assignees` field lists them as { uid, email }; a thread is in an
+ * assignee's queue until it has an annotation of theirs.
+ */
+
+import { normalizeAnnotations } from './helpers';
+
+export const ASSIGNMENT_STRATEGIES = {
+  ROUND_ROBIN: 'roundRobin',
+  RANDOM: 'random'
+};
+
+export const ASSIGNMENT_STRATEGY_LABELS = {
+  [ASSIGNMENT_STRATEGIES.ROUND_ROBIN]: 'Round robin',
+  [ASSIGNMENT_STRATEGIES.RANDOM]: 'Random'
+};
+
+/**
+ * Users a thread is assigned to
+ * @param {Object} thread - Thread object
+ * @returns {Array} { uid, email } entries
+ */
+export const getAssignees = (thread) => (
+  Array.isArray(thread?.assignees) ? thread.assignees.filter(assignee => assignee && assignee.uid) : []
+);
+
+/**
+ * Check whether a user has annotated a thread
+ * @param {Object} thread - Thread object
+ * @param {string} uid - User ID
+ * @returns {boolean} True if one of the thread's annotations is theirs
+ */
+export const isDoneBy = (thread, uid) => (
+  normalizeAnnotations(thread).some(annotation => annotation.createdByUid === uid)
+);
+
+/**
+ * Check whether a thread is assigned to a user
+ * @param {Object} thread - Thread object
+ * @param {string} uid - User ID
+ * @returns {boolean} True if assigned, done or not
+ */
+export const isAssignedTo = (thread, uid) => (
+  !!uid && getAssignees(thread).some(assignee => assignee.uid === uid)
+);
+
+/**
+ * Check whether a thread is in a user's queue
+ * @param {Object} thread - Thread object with annotations
+ * @param {string} uid - User ID
+ * @returns {boolean} True if assigned to them and not yet annotated by them
+ */
+export const isQueuedFor = (thread, uid) => isAssignedTo(thread, uid) && !isDoneBy(thread, uid);
+
+/**
+ * Position of the next thread in a user's queue
+ * @param {Array} threads - Threads in list order
+ * @param {number} fromIndex - Position to search after (-1 to search from the start)
+ * @param {string} uid - User ID
+ * @returns {number} Position of the first queued thread after fromIndex, or -1
+ */
+export const findNextQueuedIndex = (threads, fromIndex, uid) => {
+  for (let index = fromIndex + 1; index < threads.length; index++) {
+    if (isQueuedFor(threads[index], uid)) {
+      return index;
+    }
+  }
+  return -1;
+};
+
+/**
+ * Split threads across annotators, each thread going to `perThread` different annotators
+ * @param {Array} threadIds - IDs of the threads to assign
+ * @param {Array} annotators - { uid, email } of the annotators to assign them to
+ * @param {Object} options - Assignment options
+ * @param {string} options.strategy - One of ASSIGNMENT_STRATEGIES
+ * @param {number} options.perThread - Annotators per thread, at most annotators.length
+ * @param {Function} options.random - Random number source, for repeatable assignments
+ * @returns {Map} Thread ID -> { uid, email } entries
+ */
+export const distributeThreads = (threadIds, annotators, { strategy = ASSIGNMENT_STRATEGIES.ROUND_ROBIN, perThread = 1, random = Math.random } = {}) => {
+  const assignments = new Map();
+  if (annotators.length === 0) return assignments;
+  const count = Math.min(Math.max(1, Math.floor(perThread)), annotators.length);
+
+  threadIds.forEach((threadId, position) => {
+    if (strategy === ASSIGNMENT_STRATEGIES.RANDOM) {
+      // Partial Fisher-Yates shuffle: the first `count` picks are distinct
+      const pool = [...annotators];
+      for (let i = 0; i < count; i++) {
+        const j = i + Math.floor(random() * (pool.length - i));
+        [pool[i], pool[j]] = [pool[j], pool[i]];
+      }
+      assignments.set(threadId, pool.slice(0, count));
+    } else {
+      // Consecutive annotators from where the previous thread stopped, so the load stays even
+      const start = position * count;
+      assignments.set(threadId, Array.from({ length: count }, (_, i) => annotators[(start + i) % annotators.length]));
+    }
+  });
+  return assignments;
+};
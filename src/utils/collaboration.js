@@ -0,0 +1,123 @@
+/**
+ * Collaboration
+ *
+ * Live updates and presence for annotators working at the same time. Thread
+ * changes made elsewhere arrive through the backend's change listener and are pulled
+ * into IndexedDB by the sync engine, which merges them with local edits and
+ * tells its subscribers which threads changed. Presence is one backend
+ * entry per user naming the thread they have open; it is refreshed on a
+ * heartbeat and ignored once it goes stale, e.g. after a laptop is closed.
+ */
+
+import IndexedDBStorage from './indexedDBStorage';
+import remoteStorage from './remoteBackend';
+import { syncRemoteChanges } from './syncEngine';
+
+// How often the open thread is re-announced
+const PRESENCE_HEARTBEAT_MS = 30000;
+
+// Presence older than this is treated as gone
+const PRESENCE_STALE_MS = 90000;
+
+let presenceTimer = null;
+
+/**
+ * Pull thread changes made by other annotators as they happen, starting from the
+ * ones made since the last sync so the listener doesn't list every thread
+ * @returns {Function} Stops listening
+ */
+export const startLiveUpdates = () => {
+  let unsubscribe = null;
+  let stopped = false;
+
+  IndexedDBStorage.getSyncCheckpoint().then((updatedAfter) => {
+    if (stopped) return;
+    unsubscribe = remoteStorage.subscribeToThreadChanges(
+      (changes) => {
+        syncRemoteChanges(changes).catch(error => console.error('Error applying live thread changes:', error));
+      },
+      (error) => console.error('Live thread updates stopped:', error),
+      { updatedAfter }
+    );
+  }).catch(error => console.error('Error starting live thread updates:', error));
+
+  return () => {
+    stopped = true;
+    if (unsubscribe) unsubscribe();
+  };
+};
+
+/**
+ * Announce the thread the current user has open, and keep announcing it
+ * @param {string|null} threadId - Open thread, or null for none
+ */
+export const updatePresence = (threadId) => {
+  const publish = () => {
+    remoteStorage.setPresence(threadId).catch(error => console.error('Error updating presence:', error));
+  };
+
+  clearInterval(presenceTimer);
+  publish();
+  presenceTimer = setInterval(publish, PRESENCE_HEARTBEAT_MS);
+};
+
+/**
+ * Stop announcing presence and remove it, e.g. when signing out or closing the tab
+ * @returns {Promise<void>}
+ */
+export const stopPresence = async () => {
+  clearInterval(presenceTimer);
+  presenceTimer = null;
+  try {
+    await remoteStorage.clearPresence();
+  } catch (error) {
+    console.error('Error clearing presence:', error);
+  }
+};
+
+/**
+ * Listen for the other users viewing each thread
+ * @param {Function} listener - Called with a map of threadId to the names of the other users viewing it
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribePresence = (listener) => {
+  let entries = [];
+
+  const publish = () => {
+    const now = Date.now();
+    const viewersByThread = {};
+    entries
+      .filter(entry => entry.uid !== remoteStorage.getCurrentUser()?.uid && entry.threadId && now - entry.updatedAt < PRESENCE_STALE_MS)
+      .forEach(entry => {
+        viewersByThread[entry.threadId] = [...(viewersByThread[entry.threadId] || []), entry.name || 'Someone'];
+      });
+    listener(viewersByThread);
+  };
+
+  const unsubscribe = remoteStorage.subscribeToPresence(
+    (presenceEntries) => {
+      entries = presenceEntries;
+      publish();
+    },
+    (error) => console.error('Presence updates stopped:', error)
+  );
+  // Re-check staleness even when nobody writes
+  const staleTimer = setInterval(publish, PRESENCE_HEARTBEAT_MS);
+
+  return () => {
+    unsubscribe();
+    clearInterval(staleTimer);
+  };
+};
+
+/**
+ * Sentence naming who else is viewing a thread
+ * @param {Array} names - Names of the other viewers
+ * @returns {string} e.g. "Sam is viewing this thread", or '' for nobody
+ */
+export const describeViewers = (names = []) => {
+  if (names.length === 0) return '';
+  if (names.length === 1) return `${names[0]} is viewing this thread`;
+  if (names.length === 2) return `${names[0]} and ${names[1]} are viewing this thread`;
+  return `${names[0]} and ${names.length - 1} others are viewing this thread`;
+};
@@ -0,0 +1,337 @@
+/**
+ * CSV Column Mapping Utility
+ *
+ * Maps arbitrary CSV layouts onto threads: which source column holds the
+ * thread id, role, content, etc., and which app role each source role value
+ * stands for. Columns that are not mapped are kept as metadata on messages
+ * and threads. Saved presets live in csvMappingPresets.js so this module has
+ * no storage dependency and can run inside the import worker.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { normalizeRole } from './threadImport';
+
+// Fields a CSV column can be mapped to, with the column names guessed for each
+export const MAPPING_FIELDS = [
+  {
+    key: 'threadId',
+    label: 'Thread ID',
+    required: false,
+    aliases: ['thread_id', 'threadid', 'conversation_id', 'conversation', 'session_id', 'session', 'chat_id']
+  },
+  {
+    key: 'messageId',
+    label: 'Message ID',
+    required: false,
+    aliases: ['message_id', 'messageid', 'msg_id', 'id']
+  },
+  {
+    key: 'role',
+    label: 'Role',
+    required: true,
+    aliases: ['role', 'speaker', 'sender', 'author', 'from', 'participant']
+  },
+  {
+    key: 'content',
+    label: 'Content',
+    required: true,
+    aliases: ['content', 'text', 'message', 'body', 'utterance']
+  },
+  {
+    key: 'timestamp',
+    label: 'Timestamp',
+    required: false,
+    aliases: ['timestamp', 'time', 'created_at', 'createdat', 'date', 'datetime', 'when']
+  }
+];
+
+// Roles a source role value can be mapped to
+export const APP_ROLES = [
+  { value: 'human', label: 'User (human)' },
+  { value: 'ai', label: 'Assistant (AI)' },
+  { value: 'system', label: 'System' },
+  { value: 'instructions', label: 'Instructions' },
+  { value: 'tool', label: 'Tool' },
+  { value: 'error', label: 'Error' },
+  { value: 'skip', label: 'Skip these rows' }
+];
+
+// Common role names in other tools and the app role they usually mean
+const ROLE_ALIASES = {
+  human: ['human', 'user', 'customer', 'client', 'visitor', 'person', 'end_user'],
+  ai: ['ai', 'assistant', 'bot', 'agent', 'model', 'chatbot', 'gpt'],
+  system: ['system', 'developer'],
+  instructions: ['instructions', 'instruction'],
+  tool: ['tool', 'function'],
+  error: ['error']
+};
+
+// Rows read to discover role values before the full import
+export const MAPPING_SAMPLE_ROWS = 1000;
+
+/**
+ * Guess which CSV column holds each field from the header names
+ * @param {Array} headers - CSV header names
+ * @returns {Object} Map of field key to column name ('' when not found)
+ */
+export const guessColumnMapping = (headers = []) => {
+  const normalizedHeaders = headers.map(header => header.trim().toLowerCase().replace(/[\s-]+/g, '_'));
+  const columns = {};
+  MAPPING_FIELDS.forEach(field => {
+    const index = field.aliases
+      .map(alias => normalizedHeaders.indexOf(alias))
+      .find(headerIndex => headerIndex !== -1);
+    columns[field.key] = index === undefined ? '' : headers[index];
+  });
+  return columns;
+};
+
+/**
+ * Guess the app role for a source role value
+ * @param {string} value - Role value as found in the CSV
+ * @returns {string} App role, or '' if it needs to be chosen by hand
+ */
+export const guessRole = (value) => {
+  const normalized = (value || '').trim().toLowerCase();
+  const match = Object.keys(ROLE_ALIASES).find(role => ROLE_ALIASES[role].includes(normalized));
+  return match || '';
+};
+
+/**
+ * Collect the distinct values of the role column
+ * @param {Array} rows - Parsed CSV rows (objects keyed by header)
+ * @param {string} roleColumn - Column holding the role
+ * @returns {Array} Distinct trimmed role values
+ */
+export const getDistinctRoleValues = (rows = [], roleColumn) => {
+  if (!roleColumn) return [];
+  const values = new Set();
+  rows.forEach(row => {
+    const value = (row[roleColumn] || '').trim();
+    if (value) values.add(value);
+  });
+  return Array.from(values);
+};
+
+/**
+ * Build a complete mapping for a CSV, starting from a preset if one is given
+ * @param {Array} headers - CSV header names
+ * @param {Array} rows - Sample rows used to discover role values
+ * @param {Object} preset - Optional saved preset ({ columns, roles })
+ * @returns {Object} Mapping { columns, roles }
+ */
+export const buildMapping = (headers, rows, preset = null) => {
+  const guessedColumns = guessColumnMapping(headers);
+  const columns = {};
+  MAPPING_FIELDS.forEach(field => {
+    const presetColumn = preset?.columns?.[field.key];
+    columns[field.key] = presetColumn && headers.includes(presetColumn) ? presetColumn : guessedColumns[field.key];
+  });
+  return {
+    columns,
+    roles: buildRoleMapping(getDistinctRoleValues(rows, columns.role), preset?.roles)
+  };
+};
+
+/**
+ * Map each role value to an app role, keeping choices that were already made
+ * @param {Array} values - Distinct role values
+ * @param {Object} existingRoles - Previously chosen mapping of value to app role
+ * @returns {Object} Map of role value to app role
+ */
+export const buildRoleMapping = (values, existingRoles = {}) => {
+  const roles = {};
+  values.forEach(value => {
+    roles[value] = existingRoles?.[value] ?? guessRole(value);
+  });
+  return roles;
+};
+
+/**
+ * Check a mapping is complete enough to import
+ * @param {Object} mapping - Mapping { columns, roles }
+ * @returns {string} Error message, or '' if the mapping is valid
+ */
+export const validateMapping = (mapping) => {
+  const missingField = MAPPING_FIELDS.find(field => field.required && !mapping.columns[field.key]);
+  if (missingField) {
+    return `Choose the column that holds the ${missingField.label.toLowerCase()}.`;
+  }
+  const unmappedValues = Object.keys(mapping.roles).filter(value => !mapping.roles[value]);
+  if (unmappedValues.length > 0) {
+    return `Choose a role for: ${unmappedValues.join(', ')}`;
+  }
+  return '';
+};
+
+/**
+ * Columns that are not mapped to a field and are kept as metadata
+ * @param {Array} headers - CSV header names
+ * @param {Object} mapping - Mapping { columns, roles }
+ * @returns {Array} Header names of the metadata columns
+ */
+export const getMetadataColumns = (headers = [], mapping) => {
+  const mappedColumns = Object.values(mapping.columns).filter(Boolean);
+  return headers.filter(header => header && !mappedColumns.includes(header));
+};
+
+/**
+ * Split per-message metadata into values shared by the whole thread and values that vary.
+ * A column with the same value on every message (e.g. channel, session_user) becomes
+ * thread metadata; the rest (e.g. model, latency_ms) stays on the messages.
+ * @param {Array} messages - Messages with a metadata object each
+ * @returns {Object} Thread metadata
+ */
+const promoteThreadMetadata = (messages) => {
+  const threadMetadata = {};
+  // With a single message there is nothing to tell shared values from varying ones
+  const keys = messages.length > 1
+    ? new Set(messages.flatMap(message => Object.keys(message.metadata || {})))
+    : new Set();
+
+  keys.forEach(key => {
+    const value = messages[0].metadata?.[key];
+    if (value !== undefined && messages.every(message => message.metadata?.[key] === value)) {
+      threadMetadata[key] = value;
+      messages.forEach(message => {
+        delete message.metadata[key];
+      });
+    }
+  });
+
+  messages.forEach(message => {
+    if (Object.keys(message.metadata || {}).length === 0) {
+      delete message.metadata;
+    }
+  });
+  return threadMetadata;
+};
+
+/**
+ * Incrementally group parsed CSV rows into threads, e.g. chunk by chunk while streaming
+ * @param {Object} mapping - Mapping { columns, roles }
+ * @returns {Object} Grouper with addRows(rows), rowCount, threadCount, getRowNumbers(),
+ *   takeFinishedThreads(isDone) and finish()
+ */
+export const createThreadGrouper = (mapping) => {
+  const { columns, roles } = mapping;
+  const now = new Date().toISOString();
+  const threadGroups = new Map();
+  // Source row number (1-based, header not counted) of each grouped message
+  const rowNumbers = new Map();
+  // Position of each thread in the order finish() returns them
+  const threadIndexes = new Map();
+  // Threads with rows since takeFinishedThreads last returned them, and the thread of the latest row
+  const changedThreadIds = new Set();
+  let openThreadId = null;
+  let metadataColumns = null;
+  let rowCount = 0;
+
+  const addRow = (row, index) => {
+    // Metadata columns are whatever the first row has beyond the mapped ones
+    if (!metadataColumns) {
+      metadataColumns = getMetadataColumns(Object.keys(row), mapping);
+    }
+
+    // Skip rows without any values; rows with empty content are flagged by validation
+    if (Object.values(row).every(value => value === undefined || value === null || value === '')) return;
+
+    const content = row[columns.content] || '';
+    const messageId = columns.messageId ? row[columns.messageId] : '';
+
+    const roleValue = (row[columns.role] || '').trim();
+    // Values outside the mapped sample fall back to the standard role names
+    const role = roles[roleValue] || normalizeRole(roleValue);
+    if (role === 'skip') return;
+
+    const threadId = (columns.threadId && row[columns.threadId]) || 'default';
+    if (!threadGroups.has(threadId)) {
+      threadIndexes.set(threadId, threadGroups.size);
+      threadGroups.set(threadId, []);
+      rowNumbers.set(threadId, []);
+    }
+    rowNumbers.get(threadId).push(rowCount + index + 1);
+    changedThreadIds.add(threadId);
+    openThreadId = threadId;
+
+    const metadata = {};
+    metadataColumns.forEach(column => {
+      if (row[column] !== undefined && row[column] !== '') {
+        metadata[column] = row[column];
+      }
+    });
+
+    threadGroups.get(threadId).push({
+      id: messageId || `msg_${uuidv4()}`,
+      role,
+      content,
+      timestamp: (columns.timestamp && row[columns.timestamp]) || now,
+      type: 'message',
+      metadata
+    });
+  };
+
+  // Rows without a thread column all belong to one thread, whose id is made once
+  const defaultThreadId = `thread_${uuidv4()}`;
+
+  // Build a thread from its rows so far; messages are copied, so it can be built again after more rows
+  const buildThread = (threadId) => {
+    const messages = threadGroups.get(threadId).map(message => ({ ...message, metadata: { ...message.metadata } }));
+    const thread = {
+      id: threadId === 'default' ? defaultThreadId : threadId,
+      createdAt: messages[0].timestamp || now,
+      updatedAt: now,
+      isAnnotated: false,
+      messages,
+      annotations: []
+    };
+    const metadata = promoteThreadMetadata(messages);
+    if (Object.keys(metadata).length > 0) {
+      thread.metadata = metadata;
+    }
+    return thread;
+  };
+
+  return {
+    addRows: (rows) => {
+      rows.forEach(addRow);
+      rowCount += rows.length;
+    },
+    // Row numbers per thread and message, in the order finish() returns them
+    getRowNumbers: () => Array.from(rowNumbers.values()),
+    get rowCount() {
+      return rowCount;
+    },
+    get threadCount() {
+      return threadGroups.size;
+    },
+    /**
+     * Threads that changed since the last call and are finished as far as the rows so far tell.
+     * A thread is taken once a row of a later thread has come; if a later row continues it after all,
+     * it is taken again with its id unchanged. Threads are first taken in the order finish() returns them.
+     * @param {boolean} isDone - Whether every row has been added, so the thread of the last row is finished too
+     * @returns {Array} Thread objects
+     */
+    takeFinishedThreads: (isDone = false) => {
+      const openIndex = isDone || openThreadId === null ? threadGroups.size : threadIndexes.get(openThreadId);
+      const finishedIds = Array.from(changedThreadIds)
+        .filter(threadId => threadIndexes.get(threadId) < openIndex)
+        .sort((a, b) => threadIndexes.get(a) - threadIndexes.get(b));
+      finishedIds.forEach(threadId => changedThreadIds.delete(threadId));
+      return finishedIds.map(buildThread);
+    },
+    finish: () => Array.from(threadGroups.keys()).map(buildThread)
+  };
+};
+
+/**
+ * Convert parsed CSV rows into threads using a column mapping
+ * @param {Array} rows - Parsed CSV rows (objects keyed by header)
+ * @param {Object} mapping - Mapping { columns, roles }
+ * @returns {Array} Array of thread objects
+ */
+export const convertRowsToThreads = (rows, mapping) => {
+  const grouper = createThreadGrouper(mapping);
+  grouper.addRows(rows);
+  return grouper.finish();
+};
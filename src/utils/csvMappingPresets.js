@@ -0,0 +1,59 @@
+/**
+ * CSV Mapping Presets
+ *
+ * Saved column mappings, one per data source, stored in settings.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import StorageManager from './storage';
+
+/**
+ * Load saved mapping presets from settings
+ * @returns {Promise<Array>} Promise resolving to presets ({ id, name, columns, roles })
+ */
+export const getMappingPresets = async () => {
+  try {
+    const settings = await StorageManager.getSettings();
+    return Array.isArray(settings.csvMappingPresets) ? settings.csvMappingPresets : [];
+  } catch (error) {
+    console.error('Error loading CSV mapping presets:', error);
+    return [];
+  }
+};
+
+/**
+ * Save a mapping preset, replacing any preset with the same data source name
+ * @param {string} name - Data source name
+ * @param {Object} mapping - Mapping { columns, roles }
+ * @returns {Promise<Array>} Promise resolving to the updated presets
+ */
+export const saveMappingPreset = async (name, mapping) => {
+  const settings = await StorageManager.getSettings();
+  const presets = Array.isArray(settings.csvMappingPresets) ? settings.csvMappingPresets : [];
+  const existing = presets.find(preset => preset.name === name);
+  const preset = {
+    id: existing?.id || uuidv4(),
+    name,
+    columns: mapping.columns,
+    roles: mapping.roles,
+    updatedAt: new Date().toISOString()
+  };
+  const updatedPresets = existing
+    ? presets.map(item => (item.id === existing.id ? preset : item))
+    : [...presets, preset];
+
+  await StorageManager.saveSettings({ ...settings, csvMappingPresets: updatedPresets });
+  return updatedPresets;
+};
+
+/**
+ * Delete a mapping preset
+ * @param {string} presetId - Preset id
+ * @returns {Promise<Array>} Promise resolving to the remaining presets
+ */
+export const deleteMappingPreset = async (presetId) => {
+  const settings = await StorageManager.getSettings();
+  const updatedPresets = (settings.csvMappingPresets || []).filter(preset => preset.id !== presetId);
+  await StorageManager.saveSettings({ ...settings, csvMappingPresets: updatedPresets });
+  return updatedPresets;
+};
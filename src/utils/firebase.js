@@ -1,25 +1,52 @@
 // Firebase configuration
 import { initializeApp } from "firebase/app";
-import { getFirestore } from "firebase/firestore";
-import { getAuth, setPersistence, browserLocalPersistence } from "firebase/auth";
+import { getFirestore, connectFirestoreEmulator } from "firebase/firestore";
+import { getAuth, setPersistence, browserLocalPersistence, connectAuthEmulator } from "firebase/auth";
 import { getAnalytics } from "firebase/analytics";
 
+// Set REACT_APP_FIREBASE_EMULATORS=true to use the local Firestore and Auth emulators
+// (`npm run emulators`) instead of the real project, e.g. to develop and demo offline
+const USE_EMULATORS = process.env.REACT_APP_FIREBASE_EMULATORS === "true";
+
+// Projects named demo-* only ever talk to the emulators, so nothing can reach a real project
+const EMULATOR_PROJECT_ID = "demo-annotation-tool";
+
+// Must match the ports in firebase.json
+const FIRESTORE_EMULATOR_HOST = process.env.REACT_APP_FIRESTORE_EMULATOR_HOST || "localhost:8081";
+const AUTH_EMULATOR_HOST = process.env.REACT_APP_AUTH_EMULATOR_HOST || "localhost:9099";
+
 // Firebase configuration using environment variables
-const firebaseConfig = {
-  apiKey: process.env.REACT_APP_FIREBASE_API_KEY,
-  authDomain: process.env.REACT_APP_FIREBASE_AUTH_DOMAIN,
-  projectId: process.env.REACT_APP_FIREBASE_PROJECT_ID,
-  storageBucket: process.env.REACT_APP_FIREBASE_STORAGE_BUCKET,
-  messagingSenderId: process.env.REACT_APP_FIREBASE_MESSAGING_SENDER_ID,
-  appId: process.env.REACT_APP_FIREBASE_APP_ID,
-  measurementId: process.env.REACT_APP_FIREBASE_MEASUREMENT_ID
-};
+const firebaseConfig = USE_EMULATORS
+  ? {
+      // The emulators accept any API key
+      apiKey: "demo-api-key",
+      authDomain: `${EMULATOR_PROJECT_ID}.firebaseapp.com`,
+      projectId: EMULATOR_PROJECT_ID
+    }
+  : {
+      apiKey: process.env.REACT_APP_FIREBASE_API_KEY,
+      authDomain: process.env.REACT_APP_FIREBASE_AUTH_DOMAIN,
+      projectId: process.env.REACT_APP_FIREBASE_PROJECT_ID,
+      storageBucket: process.env.REACT_APP_FIREBASE_STORAGE_BUCKET,
+      messagingSenderId: process.env.REACT_APP_FIREBASE_MESSAGING_SENDER_ID,
+      appId: process.env.REACT_APP_FIREBASE_APP_ID,
+      measurementId: process.env.REACT_APP_FIREBASE_MEASUREMENT_ID
+    };
 
 // Initialize Firebase
 const app = initializeApp(firebaseConfig);
 const db = getFirestore(app);
 const auth = getAuth(app);
-const analytics = getAnalytics(app);
+
+if (USE_EMULATORS) {
+  const [firestoreHost, firestorePort] = FIRESTORE_EMULATOR_HOST.split(":");
+  connectFirestoreEmulator(db, firestoreHost, Number(firestorePort));
+  connectAuthEmulator(auth, `http://${AUTH_EMULATOR_HOST}`, { disableWarnings: true });
+  console.log(`Using the Firebase emulators (Firestore ${FIRESTORE_EMULATOR_HOST}, Auth ${AUTH_EMULATOR_HOST})`);
+}
+
+// Analytics needs the real project and a connection, so the emulators go without it
+const analytics = USE_EMULATORS ? null : getAnalytics(app);
 
 // Set persistence to local to keep user logged in across page refreshes
 setPersistence(auth, browserLocalPersistence)
@@ -30,4 +57,4 @@ setPersistence(auth, browserLocalPersistence)
     console.error("Error setting persistence:", error);
   });
 
-export { db, auth, analytics }; 
\ No newline at end of file
+export { db, auth, analytics, USE_EMULATORS, EMULATOR_PROJECT_ID };
@@ -1,22 +1,36 @@
+/**
+ * Firebase backend: Firestore and Firebase Auth behind the adapter contract in remoteBackend.js
+ */
+
 import { db, auth } from './firebase';
 import { 
   collection, 
   doc, 
-  setDoc, 
   getDoc, 
   getDocs, 
+  setDoc,
   query, 
   where,
-  updateDoc,
   deleteDoc,
+  deleteField,
   serverTimestamp,
-  orderBy 
+  orderBy,
+  limit,
+  startAfter,
+  documentId,
+  getCountFromServer,
+  runTransaction,
+  onSnapshot,
+  Timestamp
 } from 'firebase/firestore';
 import { 
   signInWithEmailAndPassword, 
   createUserWithEmailAndPassword,
-  signOut as firebaseSignOut
+  signOut as firebaseSignOut,
+  onAuthStateChanged as firebaseOnAuthStateChanged
 } from 'firebase/auth';
+import { getAnnotationKey, getMessageMetadata, stableStringify } from './helpers';
+import { DEFAULT_ROLE, normalizeRole } from './roles';
 
 // Debug mode
 const DEBUG = true;
@@ -30,7 +44,98 @@ const log = (message, data) => {
 
 // Collection names
 const THREADS_COLLECTION = 'threads';
+// Subcollection of each thread, one document per annotation (id from getAnnotationKey)
 const ANNOTATIONS_COLLECTION = 'annotations';
+// Messages live in their own document per thread (same id) so thread list pages stay small
+const THREAD_MESSAGES_COLLECTION = 'threadMessages';
+// One document per signed-in user naming the thread they have open
+const PRESENCE_COLLECTION = 'presence';
+// One document per user with their app settings (CSV mapping presets, ...)
+const SETTINGS_COLLECTION = 'settings';
+// Documents shared by the whole project; RUBRIC_DOC holds the rubric everyone annotates with
+const PROJECT_COLLECTION = 'project';
+const RUBRIC_DOC = 'rubric';
+// One document per user with their email and role (see roles.js)
+const USERS_COLLECTION = 'users';
+
+// Error code when a thread changed remotely between a sync's read and its write
+export const REVISION_MISMATCH = 'revision-mismatch';
+
+// Thread documents read per request when listing summaries for a sync
+const SUMMARIES_PAGE_SIZE = 500;
+
+/**
+ * Read a thread document, turning server timestamps into ISO strings like local threads use
+ * @param {Object} data - Thread document data
+ * @returns {Object} Thread data
+ */
+const fromThreadDoc = (data) => {
+  const thread = { ...data };
+  ['createdAt', 'updatedAt'].forEach(field => {
+    if (typeof thread[field]?.toDate === 'function') {
+      thread[field] = thread[field].toDate().toISOString();
+    }
+  });
+  return thread;
+};
+
+const getAnnotationsCollection = (threadId) => collection(db, THREADS_COLLECTION, threadId, ANNOTATIONS_COLLECTION);
+
+const getAnnotationRef = (threadId, annotationId) => doc(db, THREADS_COLLECTION, threadId, ANNOTATIONS_COLLECTION, annotationId);
+
+/**
+ * Split a thread into its thread document, its messages and its annotations
+ * @param {Object} thread - Thread object; a summary has no messages field
+ * @returns {Object} { threadData, messages, annotations } (messages is undefined for a summary)
+ */
+const splitThread = (thread) => {
+  const { messages, annotations, ...threadData } = thread;
+  const annotationList = Array.isArray(annotations) ? annotations : annotations ? [annotations] : [];
+  if (Array.isArray(messages)) {
+    threadData.messageCount = messages.length;
+    threadData.messageMetadata = getMessageMetadata(messages);
+  }
+  // Derived from the annotation documents rather than trusted from the caller
+  threadData.annotationCount = annotationList.length;
+  threadData.isAnnotated = annotationList.length > 0;
+  return { threadData, messages: Array.isArray(messages) ? messages : undefined, annotations: annotationList };
+};
+
+/**
+ * Thread summary from a thread document, without the messages and annotations older documents keep inline
+ * @param {Object} data - Thread document data
+ * @returns {Object} Thread summary
+ */
+const toThreadSummary = (data) => {
+  const { messages, annotations, ...summary } = fromThreadDoc(data);
+  if (summary.messageCount === undefined) {
+    summary.messageCount = messages?.length || 0;
+  }
+  if (summary.messageMetadata === undefined) {
+    summary.messageMetadata = getMessageMetadata(messages || []);
+  }
+  if (summary.annotationCount === undefined) {
+    summary.annotationCount = Array.isArray(annotations) ? annotations.length : 0;
+  }
+  return summary;
+};
+
+/**
+ * Attach a thread's annotation documents, in the order they were made
+ * @param {Object} threadData - Thread data from fromThreadDoc
+ * @param {Array} annotationDocs - Annotation document snapshots
+ * @returns {Object} Thread data with annotations
+ */
+const withAnnotations = (threadData, annotationDocs) => {
+  // Documents from before the subcollection keep their annotations inline until next written
+  const annotations = annotationDocs.length > 0
+    ? annotationDocs.map(annotationDoc => annotationDoc.data())
+    : threadData.annotations || [];
+  return {
+    ...threadData,
+    annotations: [...annotations].sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''))
+  };
+};
 
 // User authentication
 export const signIn = (email, password) => {
@@ -52,173 +157,522 @@ export const getCurrentUser = () => {
   return auth.currentUser;
 };
 
-// Thread operations - modified for shared access
-export const saveThread = async (thread) => {
+// Listen for sign-in and sign-out; returns an unsubscribe function
+export const onAuthStateChanged = (listener) => {
+  return firebaseOnAuthStateChanged(auth, listener);
+};
+
+export const getThread = async (threadId) => {
   if (!auth.currentUser) {
-    log('User not authenticated during saveThread');
+    log('User not authenticated during getThread');
     throw new Error('User not authenticated');
   }
   
   try {
-    log(`Saving thread ${thread.id}`);
+    log(`Getting thread ${threadId}`);
+    const [threadSnap, messagesSnap, annotationsSnapshot] = await Promise.all([
+      getDoc(doc(db, THREADS_COLLECTION, threadId)),
+      getDoc(doc(db, THREAD_MESSAGES_COLLECTION, threadId)),
+      getDocs(getAnnotationsCollection(threadId))
+    ]);
     
-    const threadRef = doc(db, THREADS_COLLECTION, thread.id);
+    if (!threadSnap.exists()) {
+      log(`Thread ${threadId} not found`);
+      return null;
+    }
     
-    // Add last modified user and timestamp but don't restrict by user
-    const threadWithMeta = {
-      ...thread,
-      lastModifiedBy: auth.currentUser.email,
-      lastModifiedByUid: auth.currentUser.uid,
-      updatedAt: serverTimestamp(),
-      createdAt: thread.createdAt || serverTimestamp()
+    const threadData = withAnnotations(fromThreadDoc(threadSnap.data()), annotationsSnapshot.docs);
+    log(`Thread ${threadId} retrieved successfully`);
+    return {
+      ...threadData,
+      messages: (messagesSnap.exists() ? messagesSnap.data().messages : threadData.messages) || []
     };
-    
-    await setDoc(threadRef, threadWithMeta);
-    log(`Thread ${thread.id} saved successfully`);
-    return threadWithMeta;
   } catch (error) {
-    console.error(`Error saving thread ${thread?.id}:`, error);
+    console.error(`Error getting thread ${threadId}:`, error);
     throw error;
   }
 };
 
-export const getThreads = async () => {
+/**
+ * Get a page of thread summaries (no messages) ordered by creation time
+ * @param {Object} options - Query options
+ * @param {string} options.sortOrder - 'newest' or 'oldest'
+ * @param {boolean} options.annotated - Only annotated (true) or unannotated (false) threads
+ * @param {number} options.limit - Maximum number of threads to return
+ * @param {Object} options.cursor - Cursor returned with the previous page, or null for the first page
+ * @returns {Promise<Object>} { threads, cursor, total }; cursor is null after the last page and total is only counted for the first page
+ */
+export const getThreadsPage = async ({ sortOrder = 'newest', annotated, limit: pageSize = 50, cursor = null } = {}) => {
   if (!auth.currentUser) {
-    log('User not authenticated during getThreads');
+    log('User not authenticated during getThreadsPage');
     throw new Error('User not authenticated');
   }
   
   try {
-    log('Getting all threads (shared access)');
+    // Filtering on isAnnotated while ordering by createdAt needs a composite index
+    const constraints = [];
+    if (annotated !== undefined) {
+      constraints.push(where('isAnnotated', '==', annotated));
+    }
+    constraints.push(orderBy('createdAt', sortOrder === 'oldest' ? 'asc' : 'desc'));
     
-    // Get all threads without filtering by user
-    const threadsQuery = query(
-      collection(db, THREADS_COLLECTION),
-      orderBy('updatedAt', 'desc')
+    const threadsCollection = collection(db, THREADS_COLLECTION);
+    // One extra document tells whether there is another page
+    const pageQuery = query(
+      threadsCollection,
+      ...constraints,
+      ...(cursor ? [startAfter(cursor)] : []),
+      limit(pageSize + 1)
     );
+    const [snapshot, countSnapshot] = await Promise.all([
+      getDocs(pageQuery),
+      cursor ? null : getCountFromServer(query(threadsCollection, ...constraints))
+    ]);
     
-    const snapshot = await getDocs(threadsQuery);
-    const threads = snapshot.docs.map(doc => doc.data());
-    log(`Retrieved ${threads.length} threads`);
-    return threads;
+    const pageDocs = snapshot.docs.slice(0, pageSize);
+    const hasMore = snapshot.docs.length > pageSize;
+    log(`Retrieved a page of ${pageDocs.length} threads`);
+    return {
+      threads: pageDocs.map(threadDoc => toThreadSummary(threadDoc.data())),
+      cursor: hasMore ? pageDocs[pageDocs.length - 1] : null,
+      total: countSnapshot ? countSnapshot.data().count : null
+    };
   } catch (error) {
-    console.error('Error getting threads:', error);
+    console.error('Error getting a page of threads:', error);
     throw error;
   }
 };
 
-export const getThread = async (threadId) => {
+export const getThreadMessages = async (threadId) => {
   if (!auth.currentUser) {
-    log('User not authenticated during getThread');
+    log('User not authenticated during getThreadMessages');
     throw new Error('User not authenticated');
   }
   
   try {
-    log(`Getting thread ${threadId}`);
-    const threadRef = doc(db, THREADS_COLLECTION, threadId);
-    const threadSnap = await getDoc(threadRef);
-    
-    if (!threadSnap.exists()) {
-      log(`Thread ${threadId} not found`);
-      return null;
+    log(`Getting messages of thread ${threadId}`);
+    const messagesSnap = await getDoc(doc(db, THREAD_MESSAGES_COLLECTION, threadId));
+    if (messagesSnap.exists()) {
+      return messagesSnap.data().messages || [];
     }
     
-    const threadData = threadSnap.data();
-    log(`Thread ${threadId} retrieved successfully`);
-    return threadData;
+    // Threads saved before messages were split out keep them inline
+    const threadSnap = await getDoc(doc(db, THREADS_COLLECTION, threadId));
+    return (threadSnap.exists() && threadSnap.data().messages) || [];
   } catch (error) {
-    console.error(`Error getting thread ${threadId}:`, error);
+    console.error(`Error getting messages of thread ${threadId}:`, error);
     throw error;
   }
 };
 
-export const updateThread = async (threadId, updates) => {
+/**
+ * Query over the threads updated after a time, or over every thread
+ * @param {string} updatedAfter - updatedAt of a thread read earlier, or null for every thread
+ * @returns {Array} Query constraints
+ */
+const getUpdatedAfterConstraints = (updatedAfter) => (updatedAfter
+  ? [where('updatedAt', '>', Timestamp.fromDate(new Date(updatedAfter))), orderBy('updatedAt')]
+  // Ordered by id, since documents without a server updatedAt would drop out of an updatedAt order
+  : [orderBy(documentId())]);
+
+// Thread documents as summaries (no messages), e.g. to compare revisions when syncing; read a page at a time
+export const getThreadSummaries = async ({ updatedAfter = null } = {}) => {
   if (!auth.currentUser) {
-    log('User not authenticated during updateThread');
+    log('User not authenticated during getThreadSummaries');
     throw new Error('User not authenticated');
   }
   
   try {
-    log(`Updating thread ${threadId}`);
-    const threadRef = doc(db, THREADS_COLLECTION, threadId);
-    const threadSnap = await getDoc(threadRef);
-    
-    if (!threadSnap.exists()) {
-      log(`Thread ${threadId} not found for update`);
-      throw new Error('Thread not found');
-    }
-    
-    const updateData = {
-      ...updates,
-      lastModifiedBy: auth.currentUser.email,
-      lastModifiedByUid: auth.currentUser.uid,
-      updatedAt: serverTimestamp()
-    };
-    
-    await updateDoc(threadRef, updateData);
-    log(`Thread ${threadId} updated successfully`);
-    return true;
+    const constraints = getUpdatedAfterConstraints(updatedAfter);
+    const summaries = [];
+    let cursor = null;
+    do {
+      const snapshot = await getDocs(query(
+        collection(db, THREADS_COLLECTION),
+        ...constraints,
+        ...(cursor ? [startAfter(cursor)] : []),
+        limit(SUMMARIES_PAGE_SIZE)
+      ));
+      summaries.push(...snapshot.docs.map(threadDoc => toThreadSummary(threadDoc.data())));
+      cursor = snapshot.docs.length === SUMMARIES_PAGE_SIZE ? snapshot.docs[snapshot.docs.length - 1] : null;
+    } while (cursor);
+    log(`Retrieved ${summaries.length} thread summaries${updatedAfter ? ` updated after ${updatedAfter}` : ''}`);
+    return summaries;
   } catch (error) {
-    console.error(`Error updating thread ${threadId}:`, error);
+    console.error('Error getting thread summaries:', error);
     throw error;
   }
 };
 
-export const deleteThread = async (threadId) => {
+// Number of thread documents, counted by the server without reading them
+export const countThreads = async () => {
   if (!auth.currentUser) {
-    log('User not authenticated during deleteThread');
+    log('User not authenticated during countThreads');
     throw new Error('User not authenticated');
   }
   
-  try {
-    log(`Deleting thread ${threadId}`);
-    const threadRef = doc(db, THREADS_COLLECTION, threadId);
-    const threadSnap = await getDoc(threadRef);
+  const countSnapshot = await getCountFromServer(collection(db, THREADS_COLLECTION));
+  return countSnapshot.data().count;
+};
+
+/**
+ * Read a thread's revision inside a transaction and fail if it moved on
+ * @param {Object} transaction - Firestore transaction
+ * @param {string} threadId - Thread ID
+ * @param {number} expectedRevision - Revision the sync last read (0 if the thread did not exist)
+ * @returns {Promise<Object>} The thread document snapshot
+ */
+const checkRevision = async (transaction, threadId, expectedRevision) => {
+  const threadSnap = await transaction.get(doc(db, THREADS_COLLECTION, threadId));
+  const revision = threadSnap.exists() ? threadSnap.data().revision || 0 : 0;
+  if (revision !== expectedRevision) {
+    const error = new Error(`Thread ${threadId} changed remotely during sync`);
+    error.code = REVISION_MISMATCH;
+    throw error;
+  }
+  return threadSnap;
+};
+
+// Write a merged thread with an exact revision, unless it changed remotely since the sync read it.
+// Only the current user's annotations are written; security rules leave everyone else's to their authors.
+// Resolves to the thread's annotations as now stored.
+export const pushSyncedThread = async (thread, expectedRevision) => {
+  if (!auth.currentUser) {
+    log('User not authenticated during pushSyncedThread');
+    throw new Error('User not authenticated');
+  }
+  
+  const { uid } = auth.currentUser;
+  const { threadData, messages, annotations } = splitThread(thread);
+  const ownAnnotations = annotations.filter(annotation => annotation.createdByUid === uid);
+  // Transactions can only read single documents, so the annotations are read first;
+  // every annotation write bumps the thread's revision, so the check below catches changes since
+  const storedSnapshot = await getDocs(getAnnotationsCollection(thread.id));
+  const storedById = new Map(storedSnapshot.docs.map(annotationDoc => [annotationDoc.id, annotationDoc.data()]));
+  
+  const storedAnnotations = await runTransaction(db, async (transaction) => {
+    const threadSnap = await checkRevision(transaction, thread.id, expectedRevision);
+    const messagesRef = doc(db, THREAD_MESSAGES_COLLECTION, thread.id);
+    const messagesSnap = messages ? await transaction.get(messagesRef) : null;
+    // Replacing the document drops annotations older documents keep inline, so other users' move out first
+    const inline = threadSnap.exists() && Array.isArray(threadSnap.data().annotations) ? threadSnap.data().annotations : [];
+    inline
+      .filter(annotation => annotation.createdByUid !== uid && !storedById.has(getAnnotationKey(annotation)))
+      .forEach(annotation => {
+        storedById.set(getAnnotationKey(annotation), annotation);
+        transaction.set(getAnnotationRef(thread.id, getAnnotationKey(annotation)), annotation);
+      });
     
-    if (!threadSnap.exists()) {
-      log(`Thread ${threadId} not found for deletion`);
-      throw new Error('Thread not found');
+    const othersCount = [...storedById.values()].filter(annotation => annotation.createdByUid !== uid).length;
+    const annotationCount = othersCount + ownAnnotations.length;
+    transaction.set(doc(db, THREADS_COLLECTION, thread.id), {
+      ...threadData,
+      // Server time, so incremental reads can ask for the threads updated since one they saw
+      updatedAt: serverTimestamp(),
+      annotationCount,
+      isAnnotated: annotationCount > 0,
+      lastModifiedBy: auth.currentUser.email,
+      lastModifiedByUid: uid
+    });
+    // Security rules leave messages to roles that edit threads, so unchanged ones aren't rewritten
+    if (messages && (!messagesSnap.exists() || stableStringify(messagesSnap.data().messages) !== stableStringify(messages))) {
+      transaction.set(messagesRef, { messages });
     }
     
-    await deleteDoc(threadRef);
-    log(`Thread ${threadId} deleted successfully`);
-    return true;
-  } catch (error) {
-    console.error(`Error deleting thread ${threadId}:`, error);
-    throw error;
-  }
+    // Only the user's own annotations that changed are written
+    const keptIds = new Set();
+    ownAnnotations.forEach(annotation => {
+      const annotationId = getAnnotationKey(annotation);
+      keptIds.add(annotationId);
+      const stored = storedById.get(annotationId);
+      if (!stored || stableStringify(stored) !== stableStringify(annotation)) {
+        transaction.set(getAnnotationRef(thread.id, annotationId), annotation);
+      }
+    });
+    storedById.forEach((stored, annotationId) => {
+      if (stored.createdByUid === uid && !keptIds.has(annotationId)) {
+        transaction.delete(getAnnotationRef(thread.id, annotationId));
+      }
+    });
+    return [...[...storedById.values()].filter(annotation => annotation.createdByUid !== uid), ...ownAnnotations];
+  });
+  log(`Pushed thread ${thread.id} at revision ${thread.revision}`);
+  return storedAnnotations;
 };
 
-// Import multiple threads
-export const importThreads = async (threads) => {
+// Delete a thread that was deleted locally, unless it changed remotely since the sync read it
+export const deleteSyncedThread = async (threadId, expectedRevision) => {
   if (!auth.currentUser) {
-    log('User not authenticated during importThreads');
+    log('User not authenticated during deleteSyncedThread');
     throw new Error('User not authenticated');
   }
   
-  try {
-    log(`Importing ${threads.length} threads for shared access`);
+  const annotationsSnapshot = await getDocs(getAnnotationsCollection(threadId));
+  await runTransaction(db, async (transaction) => {
+    await checkRevision(transaction, threadId, expectedRevision);
+    transaction.delete(doc(db, THREADS_COLLECTION, threadId));
+    transaction.delete(doc(db, THREAD_MESSAGES_COLLECTION, threadId));
+    annotationsSnapshot.docs.forEach(annotationDoc => transaction.delete(annotationDoc.ref));
+  });
+  log(`Deleted thread ${threadId} during sync`);
+};
+
+/**
+ * Change one annotation and the thread's derived fields in a single transaction
+ * @param {string} threadId - Thread ID
+ * @param {string} annotationId - Annotation ID (see getAnnotationKey)
+ * @param {Function} change - Called with the stored annotation (or null); returns the new annotation, or null to delete it
+ * @returns {Promise<number>} The thread's new revision
+ */
+const changeAnnotation = async (threadId, annotationId, change) => {
+  const threadRef = doc(db, THREADS_COLLECTION, threadId);
+  const annotationRef = getAnnotationRef(threadId, annotationId);
+  
+  return runTransaction(db, async (transaction) => {
+    const threadSnap = await transaction.get(threadRef);
+    const annotationSnap = await transaction.get(annotationRef);
+    if (!threadSnap.exists()) {
+      const error = new Error(`Thread ${threadId} not found`);
+      error.code = 'not-found';
+      throw error;
+    }
     
-    const results = [];
+    const data = threadSnap.data();
+    // Documents from before the subcollection keep annotations inline; they move out with this write
+    const inline = Array.isArray(data.annotations) ? data.annotations : [];
+    const stored = annotationSnap.exists()
+      ? annotationSnap.data()
+      : inline.find(annotation => getAnnotationKey(annotation) === annotationId) || null;
+    const next = change(stored);
+    const annotationCount = (data.annotationCount ?? inline.length) + (next ? 1 : 0) - (stored ? 1 : 0);
+    const revision = (data.revision || 0) + 1;
     
-    for (const thread of threads) {
-      const threadWithMeta = {
-        ...thread,
-        importedBy: auth.currentUser.email,
-        importedByUid: auth.currentUser.uid,
-        updatedAt: serverTimestamp(),
-        createdAt: thread.createdAt || serverTimestamp()
-      };
-      
-      const threadRef = doc(db, THREADS_COLLECTION, thread.id);
-      await setDoc(threadRef, threadWithMeta);
-      results.push(threadWithMeta);
+    inline
+      .filter(annotation => getAnnotationKey(annotation) !== annotationId)
+      .forEach(annotation => transaction.set(getAnnotationRef(threadId, getAnnotationKey(annotation)), annotation));
+    if (next) {
+      transaction.set(annotationRef, next);
+    } else if (annotationSnap.exists()) {
+      transaction.delete(annotationRef);
     }
+    transaction.update(threadRef, {
+      annotations: deleteField(),
+      annotationCount,
+      isAnnotated: annotationCount > 0,
+      revision,
+      updatedAt: serverTimestamp(),
+      lastModifiedBy: auth.currentUser.email,
+      lastModifiedByUid: auth.currentUser.uid
+    });
+    return revision;
+  });
+};
+
+// Add an annotation to a thread without touching its other annotations
+export const addAnnotation = async (threadId, annotation) => {
+  if (!auth.currentUser) {
+    log('User not authenticated during addAnnotation');
+    throw new Error('User not authenticated');
+  }
+  
+  const revision = await changeAnnotation(threadId, getAnnotationKey(annotation), () => annotation);
+  log(`Added annotation to thread ${threadId}`);
+  return revision;
+};
+
+// Change fields of one annotation
+export const updateAnnotation = async (threadId, annotationId, changes) => {
+  if (!auth.currentUser) {
+    log('User not authenticated during updateAnnotation');
+    throw new Error('User not authenticated');
+  }
+  
+  const revision = await changeAnnotation(threadId, annotationId, (stored) => ({ ...(stored || {}), ...changes }));
+  log(`Updated annotation ${annotationId} of thread ${threadId}`);
+  return revision;
+};
+
+// Delete one annotation; deleting one that is already gone is not an error
+export const deleteAnnotation = async (threadId, annotationId) => {
+  if (!auth.currentUser) {
+    log('User not authenticated during deleteAnnotation');
+    throw new Error('User not authenticated');
+  }
+  
+  const revision = await changeAnnotation(threadId, annotationId, () => null);
+  log(`Deleted annotation ${annotationId} of thread ${threadId}`);
+  return revision;
+};
+
+/**
+ * Listen for thread documents changed by anyone. The first call lists every thread updated
+ * after `updatedAfter` (every thread without it); this client's own writes are left out until
+ * the server has them. Deleting a thread that was not listed is not reported.
+ * @param {Function} onChange - Called with { savedThreads, deletedIds } (saved threads are summaries)
+ * @param {Function} onError - Called if the listener stops, e.g. on a permission error
+ * @param {Object} options - Options
+ * @param {string} options.updatedAfter - updatedAt of a thread read earlier, e.g. the sync checkpoint
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToThreadChanges = (onChange, onError, { updatedAfter = null } = {}) => {
+  if (!auth.currentUser) {
+    log('User not authenticated during subscribeToThreadChanges');
+    throw new Error('User not authenticated');
+  }
+  
+  const threadsQuery = query(collection(db, THREADS_COLLECTION), ...getUpdatedAfterConstraints(updatedAfter));
+  return onSnapshot(threadsQuery, (snapshot) => {
+    const changes = snapshot.docChanges().filter(change => !change.doc.metadata.hasPendingWrites);
+    if (changes.length === 0) return;
     
-    log(`Successfully imported ${results.length} threads`);
-    return results;
-  } catch (error) {
-    console.error(`Error importing threads:`, error);
-    throw error;
+    log(`Received ${changes.length} thread changes`);
+    onChange({
+      savedThreads: changes
+        .filter(change => change.type !== 'removed')
+        .map(change => toThreadSummary(change.doc.data())),
+      deletedIds: changes
+        .filter(change => change.type === 'removed')
+        .map(change => change.doc.id)
+    });
+  }, onError);
+};
+
+// Record which thread the current user has open (null for none)
+export const setPresence = async (threadId) => {
+  if (!auth.currentUser) {
+    log('User not authenticated during setPresence');
+    throw new Error('User not authenticated');
+  }
+  
+  const { uid, displayName, email } = auth.currentUser;
+  await setDoc(doc(db, PRESENCE_COLLECTION, uid), {
+    uid,
+    name: displayName || email,
+    threadId: threadId || null,
+    updatedAt: serverTimestamp()
+  });
+};
+
+// Remove the current user's presence, e.g. before signing out
+export const clearPresence = async () => {
+  if (!auth.currentUser) return;
+  await deleteDoc(doc(db, PRESENCE_COLLECTION, auth.currentUser.uid));
+};
+
+/**
+ * Listen for presence documents
+ * @param {Function} onChange - Called with every { uid, name, threadId, updatedAt } entry,
+ *   updatedAt in milliseconds
+ * @param {Function} onError - Called if the listener stops
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToPresence = (onChange, onError) => {
+  if (!auth.currentUser) {
+    log('User not authenticated during subscribeToPresence');
+    throw new Error('User not authenticated');
+  }
+  
+  return onSnapshot(collection(db, PRESENCE_COLLECTION), (snapshot) => {
+    onChange(snapshot.docs.map(presenceDoc => {
+      // A write still on its way to the server has no server time yet
+      const data = presenceDoc.data({ serverTimestamps: 'estimate' });
+      return { ...data, updatedAt: data.updatedAt?.toMillis() || 0 };
+    }));
+  }, onError);
+};
+
+// Settings the current user saved last, or null if they never saved any
+export const getSettings = async () => {
+  if (!auth.currentUser) {
+    log('User not authenticated during getSettings');
+    throw new Error('User not authenticated');
+  }
+  
+  const settingsSnap = await getDoc(doc(db, SETTINGS_COLLECTION, auth.currentUser.uid));
+  return settingsSnap.exists() ? settingsSnap.data().data : null;
+};
+
+// Replace the current user's settings
+export const saveSettings = async (settings) => {
+  if (!auth.currentUser) {
+    log('User not authenticated during saveSettings');
+    throw new Error('User not authenticated');
+  }
+  
+  // Firestore rejects undefined fields, which settings objects may carry
+  await setDoc(doc(db, SETTINGS_COLLECTION, auth.currentUser.uid), {
+    data: JSON.parse(JSON.stringify(settings)),
+    updatedAt: serverTimestamp()
+  });
+  log('Settings saved');
+};
+
+// The rubric shared by every user, or null if no admin saved one yet
+export const getProjectRubric = async () => {
+  if (!auth.currentUser) {
+    log('User not authenticated during getProjectRubric');
+    throw new Error('User not authenticated');
+  }
+  
+  const rubricSnap = await getDoc(doc(db, PROJECT_COLLECTION, RUBRIC_DOC));
+  return rubricSnap.exists() ? rubricSnap.data().rubric : null;
+};
+
+// Replace the shared rubric; security rules only allow this for admins
+export const saveProjectRubric = async (rubric) => {
+  if (!auth.currentUser) {
+    log('User not authenticated during saveProjectRubric');
+    throw new Error('User not authenticated');
+  }
+  
+  await setDoc(doc(db, PROJECT_COLLECTION, RUBRIC_DOC), {
+    rubric: JSON.parse(JSON.stringify(rubric)),
+    updatedAt: serverTimestamp(),
+    updatedBy: auth.currentUser.email
+  });
+  log('Project rubric saved');
+};
+
+// The current user's { uid, email, role }; their users document is created on first use
+export const getUserProfile = async () => {
+  if (!auth.currentUser) {
+    log('User not authenticated during getUserProfile');
+    throw new Error('User not authenticated');
+  }
+  
+  const { uid, email } = auth.currentUser;
+  const userRef = doc(db, USERS_COLLECTION, uid);
+  const userSnap = await getDoc(userRef);
+  if (!userSnap.exists()) {
+    // Security rules only let users create their document with the default role
+    await setDoc(userRef, { email, role: DEFAULT_ROLE, createdAt: serverTimestamp() });
+    return { uid, email, role: DEFAULT_ROLE };
+  }
+  return { uid, email, role: normalizeRole(userSnap.data().role) };
+};
+
+// Every user who has signed in, with their roles
+export const getUsers = async () => {
+  if (!auth.currentUser) {
+    log('User not authenticated during getUsers');
+    throw new Error('User not authenticated');
+  }
+  
+  const snapshot = await getDocs(collection(db, USERS_COLLECTION));
+  return snapshot.docs.map(userDoc => ({
+    uid: userDoc.id,
+    email: userDoc.data().email,
+    role: normalizeRole(userDoc.data().role)
+  }));
+};
+
+// Change a user's role; security rules only allow this for admins
+export const setUserRole = async (uid, role) => {
+  if (!auth.currentUser) {
+    log('User not authenticated during setUserRole');
+    throw new Error('User not authenticated');
   }
-}; 
\ No newline at end of file
+  
+  await setDoc(doc(db, USERS_COLLECTION, uid), { role }, { merge: true });
+  log(`Set role of user ${uid} to ${role}`);
+};
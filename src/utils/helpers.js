@@ -1,3 +1,5 @@
+import { DEFAULT_RUBRIC, getAnnotationValues, formatCriterionValue } from './rubric';
+
 /**
  * Format a date string to a more readable format
  * @param {string} dateString - ISO date string
@@ -34,58 +36,442 @@ export const truncateText = (text, maxLength = 50) => {
   return `${text.substring(0, maxLength)}...`;
 }; 
 
+/**
+ * Get a stable id for a message, falling back to its position in the thread
+ * @param {Object} message - Message object
+ * @param {number} index - Position of the message in the thread
+ * @returns {string} Message id
+ */
+export const getMessageId = (message, index) => {
+  return message?.id || `msg_${index}`;
+};
+
+/**
+ * Get a thread's annotations as an array, whatever shape they were stored in
+ * @param {Object} thread - Thread object
+ * @returns {Array} Array of annotation objects
+ */
+export const normalizeAnnotations = (thread) => {
+  if (!thread || !thread.annotations) return [];
+  return Array.isArray(thread.annotations) ? thread.annotations : [thread.annotations];
+};
+
+/**
+ * Key an annotation by its id, or by author and time for annotations saved before ids
+ * @param {Object} annotation - Annotation object
+ * @returns {string} Annotation key
+ */
+export const getAnnotationKey = (annotation) => (
+  annotation.id || `${annotation.createdByUid || annotation.createdBy || ''}@${annotation.timestamp || ''}`
+);
+
+/**
+ * JSON with object keys sorted, so values read back from either store compare equal
+ * @param {*} value - Any JSON value
+ * @returns {string} Stable JSON text
+ */
+export const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * Whether an annotation targets the whole thread, a single message, a
+ * highlighted span of message text, a pairwise comparison with another thread
+ * or a proposed correction of a message
+ * @param {Object} annotation - Annotation object
+ * @returns {string} 'comparison', 'span', 'correction', 'message' or 'thread'
+ */
+export const getAnnotationLevel = (annotation) => {
+  if (annotation?.type === 'span') return 'span';
+  if (annotation?.type === 'comparison') return 'comparison';
+  if (annotation?.type === 'correction') return 'correction';
+  return annotation?.messageId ? 'message' : 'thread';
+};
+
+/**
+ * Whether an annotation carries rubric values (as opposed to a highlight or comparison)
+ * @param {Object} annotation - Annotation object
+ * @returns {boolean} True for thread and message ratings
+ */
+export const isRatingAnnotation = (annotation) => {
+  const level = getAnnotationLevel(annotation);
+  return level === 'thread' || level === 'message';
+};
+
+/**
+ * Find the message an annotation points at
+ * @param {Object} thread - Thread object
+ * @param {string} messageId - Message id (see getMessageId)
+ * @returns {Object|null} { message, index } or null if not found
+ */
+export const findMessageById = (thread, messageId) => {
+  if (!thread || !thread.messages || !messageId) return null;
+  const index = thread.messages.findIndex((message, i) => getMessageId(message, i) === messageId);
+  return index === -1 ? null : { message: thread.messages[index], index };
+};
+
+/**
+ * Distinct values per metadata key
+ * @param {Array} entries - [key, value] pairs
+ * @returns {Object} Map of metadata key to its sorted distinct values (as strings)
+ */
+const collectValues = (entries) => {
+  const values = {};
+  entries.forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '') return;
+    if (!values[key]) values[key] = new Set();
+    values[key].add(String(value));
+  });
+
+  return Object.keys(values).sort().reduce((result, key) => {
+    result[key] = Array.from(values[key]).sort();
+    return result;
+  }, {});
+};
+
+/**
+ * Metadata of a thread's messages, which thread summaries keep as `messageMetadata`
+ * so filters work on thread list pages without the messages
+ * @param {Array} messages - Messages of a thread
+ * @returns {Object} Map of metadata key to its sorted distinct values (as strings)
+ */
+export const getMessageMetadata = (messages = []) => collectValues(
+  messages.flatMap(message => Object.entries(message.metadata || {}))
+);
+
+/**
+ * Message metadata of a thread, from its messages or, for a summary, from `messageMetadata`
+ * @param {Object} thread - Thread object or summary
+ * @returns {Object} Map of metadata key to its values
+ */
+const getThreadMessageMetadata = (thread) => (
+  Array.isArray(thread.messages) ? getMessageMetadata(thread.messages) : thread.messageMetadata || {}
+);
+
+/**
+ * Collect the metadata keys and values found on threads and their messages
+ * @param {Array} threads - Array of thread objects or summaries
+ * @returns {Object} Map of metadata key to its sorted distinct values (as strings)
+ */
+export const collectMetadataValues = (threads = []) => collectValues(
+  threads.flatMap(thread => [
+    ...Object.entries(thread.metadata || {}),
+    ...Object.entries(getThreadMessageMetadata(thread)).flatMap(([key, values]) => values.map(value => [key, value]))
+  ])
+);
+
+/**
+ * Check a thread against metadata filters. A filter matches when the thread
+ * or any of its messages has the given value for the key.
+ * @param {Object} thread - Thread object or summary
+ * @param {Array} filters - Filters of { key, value }
+ * @returns {boolean} True if every filter matches
+ */
+export const threadMatchesMetadata = (thread, filters = []) => {
+  const messageMetadata = filters.length > 0 ? getThreadMessageMetadata(thread) : {};
+  return filters.every(({ key, value }) => (
+    String(thread.metadata?.[key]) === value || (messageMetadata[key] || []).includes(value)
+  ));
+};
+
+/**
+ * Get the most recent proposed correction for each corrected message
+ * @param {Object} thread - Thread object
+ * @returns {Object} Map of messageId to its latest correction annotation
+ */
+export const getLatestCorrections = (thread) => {
+  const corrections = {};
+  normalizeAnnotations(thread)
+    .filter(annotation => getAnnotationLevel(annotation) === 'correction')
+    .forEach(annotation => {
+      const current = corrections[annotation.messageId];
+      if (!current || (annotation.timestamp || '') >= (current.timestamp || '')) {
+        corrections[annotation.messageId] = annotation;
+      }
+    });
+  return corrections;
+};
+
+// Above this many token comparisons a diff falls back to replacing the whole text
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Word-level diff between two strings (longest common subsequence of words and whitespace)
+ * @param {string} original - Original text
+ * @param {string} revised - Revised text
+ * @returns {Array} Parts of { type: 'equal' | 'removed' | 'added', text }
+ */
+export const diffWords = (original = '', revised = '') => {
+  const a = original.split(/(\s+)/).filter(Boolean);
+  const b = revised.split(/(\s+)/).filter(Boolean);
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      parts.push({ type, text });
+    }
+  };
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    if (original) push('removed', original);
+    if (revised) push('added', revised);
+    return parts;
+  }
+
+  // lengths[i][j] = LCS length of a[i:] and b[j:]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('equal', a[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+
+  return parts;
+};
+
+/**
+ * Count the leading messages two threads have in common
+ * (same role, type and content), e.g. the prompt shared by two candidate responses
+ * @param {Array} messagesA - Messages of the first thread
+ * @param {Array} messagesB - Messages of the second thread
+ * @returns {number} Length of the shared prefix
+ */
+export const getSharedPrefixLength = (messagesA = [], messagesB = []) => {
+  const signature = (message) => JSON.stringify([
+    (message.role || '').toLowerCase(),
+    message.type || 'message',
+    message.content ?? null,
+    message.toolName || null,
+    message.parameters || null
+  ]);
+  
+  const maxLength = Math.min(messagesA.length, messagesB.length);
+  let length = 0;
+  while (length < maxLength && signature(messagesA[length]) === signature(messagesB[length])) {
+    length++;
+  }
+  return length;
+};
+
+/**
+ * Trigger a browser download for generated content
+ * @param {string} content - File contents
+ * @param {string} fileName - Name of the downloaded file
+ * @param {string} mimeType - MIME type of the content
+ */
+export const downloadFile = (content, fileName, mimeType = 'text/plain') => {
+  const dataUri = `data:${mimeType};charset=utf-8,${encodeURIComponent(content)}`;
+  
+  const linkElement = document.createElement('a');
+  linkElement.setAttribute('href', dataUri);
+  linkElement.setAttribute('download', fileName);
+  document.body.appendChild(linkElement);
+  linkElement.click();
+  document.body.removeChild(linkElement);
+};
+
+/**
+ * Escape a value for use in a CSV cell
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe string, quoted when needed
+ */
+export const escapeCSVValue = (value) => {
+  if (value === null || value === undefined) return '';
+  
+  const stringValue = String(value);
+  if (/[",\r\n]/.test(stringValue)) {
+    return `"${stringValue.replace(/"/g, '""')}"`;
+  }
+  return stringValue;
+};
+
 /**
  * Convert thread annotations to CSV format
  * @param {Array} threads - Array of thread objects
+ * @param {Object} rubric - Rubric whose criteria become one column each
  * @returns {string} CSV formatted string
  */
-export const convertAnnotationsToCSV = (threads) => {
+export const convertAnnotationsToCSV = (threads, rubric = DEFAULT_RUBRIC) => {
+  // Metadata becomes one column per key, e.g. "thread.channel" and "message.model"
+  const threadMetadataKeys = Array.from(new Set(threads.flatMap(thread => Object.keys(thread.metadata || {})))).sort();
+  const messageMetadataKeys = Array.from(new Set(threads.flatMap(thread =>
+    (thread.messages || []).flatMap(message => Object.keys(message.metadata || {}))
+  ))).sort();
+  
   // Define CSV headers
   const headers = [
     'Thread ID',
     'Thread Title',
     'Annotation Index',
-    'Rating',
+    'Level',
+    'Message ID',
+    'Message Role',
+    ...rubric.criteria.map(criterion => criterion.label),
     'Notes',
     'Tags',
-    'Timestamp'
+    'Timestamp',
+    ...threadMetadataKeys.map(key => `thread.${key}`),
+    ...messageMetadataKeys.map(key => `message.${key}`)
   ];
   
   // Convert threads to CSV rows
   const rows = [];
   
   threads.forEach(thread => {
-    // Skip threads without annotations
-    if (!thread.annotations || thread.annotations.length === 0) return;
-    
-    const annotations = Array.isArray(thread.annotations) 
-      ? thread.annotations 
-      : [thread.annotations];
+    // One row per rating; threads without any add no rows
+    const annotations = normalizeAnnotations(thread);
     
     annotations.forEach((annotation, index) => {
+      // Highlights have their own JSONL export
+      if (!isRatingAnnotation(annotation)) return;
+      
+      const values = getAnnotationValues(annotation);
+      const target = findMessageById(thread, annotation.messageId);
+      
       rows.push([
         thread.id,
         thread.title || `Thread ${thread.id}`,
         index,
-        annotation.rating || '',
-        // Escape quotes in notes and wrap in quotes to preserve newlines
-        annotation.notes ? `"${annotation.notes.replace(/"/g, '""')}"` : '',
+        getAnnotationLevel(annotation),
+        annotation.messageId || '',
+        target ? target.message.role : '',
+        ...rubric.criteria.map(criterion => formatCriterionValue(values[criterion.id])),
+        annotation.notes || '',
         // Join tags with semicolons
         annotation.tags ? annotation.tags.join(';') : '',
-        annotation.timestamp || ''
+        annotation.timestamp || '',
+        ...threadMetadataKeys.map(key => thread.metadata?.[key] ?? ''),
+        ...messageMetadataKeys.map(key => target?.message.metadata?.[key] ?? '')
       ]);
     });
   });
   
   // Join headers and rows
   const csvContent = [
-    headers.join(','),
-    ...rows.map(row => row.join(','))
+    headers.map(escapeCSVValue).join(','),
+    ...rows.map(row => row.map(escapeCSVValue).join(','))
   ].join('\n');
   
   return csvContent;
 }; 
 
+/**
+ * Convert thread annotations to a JSON export, one entry per annotation
+ * @param {Array} threads - Array of thread objects
+ * @returns {string} JSON formatted string
+ */
+export const convertAnnotationsToJSON = (threads) => {
+  const rows = [];
+  
+  threads.forEach(thread => {
+    normalizeAnnotations(thread).forEach((annotation, index) => {
+      if (!isRatingAnnotation(annotation)) return;
+      
+      const target = findMessageById(thread, annotation.messageId);
+      
+      rows.push({
+        threadId: thread.id,
+        threadTitle: thread.title || `Thread ${thread.id}`,
+        annotationIndex: index,
+        annotationId: annotation.id || null,
+        level: getAnnotationLevel(annotation),
+        messageId: annotation.messageId || null,
+        messageRole: target ? target.message.role : null,
+        messageContent: target ? target.message.content ?? null : null,
+        threadMetadata: thread.metadata || {},
+        messageMetadata: target ? target.message.metadata || {} : null,
+        rating: annotation.rating || null,
+        values: getAnnotationValues(annotation),
+        notes: annotation.notes || '',
+        tags: annotation.tags || [],
+        createdBy: annotation.createdBy || annotation.reviewer?.name || null,
+        timestamp: annotation.timestamp || null
+      });
+    });
+  });
+  
+  return JSON.stringify(rows, null, 2);
+};
+
+/**
+ * Convert highlighted spans to JSONL for token-classification training.
+ * Each line is one message with character offsets into its text:
+ * {"thread_id", "message_id", "role", "text", "spans": [{"start", "end", "label", ...}]}
+ * @param {Array} threads - Array of thread objects
+ * @returns {string} JSONL formatted string
+ */
+export const convertSpansToJSONL = (threads) => {
+  const lines = [];
+  
+  threads.forEach(thread => {
+    const spansByMessage = {};
+    normalizeAnnotations(thread)
+      .filter(annotation => getAnnotationLevel(annotation) === 'span')
+      .forEach(span => {
+        if (!spansByMessage[span.messageId]) {
+          spansByMessage[span.messageId] = [];
+        }
+        spansByMessage[span.messageId].push(span);
+      });
+    
+    Object.keys(spansByMessage).forEach(messageId => {
+      const target = findMessageById(thread, messageId);
+      if (!target || typeof target.message.content !== 'string') return;
+      
+      const spans = spansByMessage[messageId]
+        .sort((a, b) => a.start - b.start || a.end - b.end)
+        .map(span => ({
+          start: span.start,
+          end: span.end,
+          label: span.label,
+          text: target.message.content.slice(span.start, span.end),
+          comment: span.comment || '',
+          annotator: span.createdBy || null
+        }));
+      
+      lines.push(JSON.stringify({
+        thread_id: thread.id,
+        message_id: messageId,
+        role: target.message.role,
+        text: target.message.content,
+        spans,
+        metadata: { ...(thread.metadata || {}), ...(target.message.metadata || {}) }
+      }));
+    });
+  });
+  
+  return lines.join('\n');
+};
+
 /**
  * Safely formats timestamps from various sources including Firestore
  * @param {*} timestamp - Can be string, Date, or Firestore timestamp {seconds, nanoseconds}
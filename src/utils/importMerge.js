@@ -0,0 +1,242 @@
+/**
+ * Import Merge Utility
+ *
+ * Makes re-importing the same data idempotent. Incoming threads are matched
+ * against existing ones by their source thread id or by their messages, and
+ * each match is resolved as skip, update messages or keep both. Threads
+ * repeated within the import match their first copy the same way.
+ *
+ * Source ids such as CSV conversation ids are only unique within one source,
+ * so they are matched together with `importSource` (the file name, or the
+ * kind of pasted text) that the import dialog puts on each incoming thread.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+
+export const CONFLICT_RESOLUTIONS = {
+  SKIP: 'skip',
+  UPDATE: 'update',
+  KEEP_BOTH: 'keep_both'
+};
+
+export const CONFLICT_RESOLUTION_LABELS = {
+  [CONFLICT_RESOLUTIONS.SKIP]: 'Skip (keep existing)',
+  [CONFLICT_RESOLUTIONS.UPDATE]: 'Update messages',
+  [CONFLICT_RESOLUTIONS.KEEP_BOTH]: 'Keep both'
+};
+
+/**
+ * The fields of a message that make up its content for duplicate detection
+ * @param {Object} message - Message object
+ * @returns {Array} Comparable message fields
+ */
+const getMessageSignature = (message) => [
+  (message.role || '').toLowerCase(),
+  message.type || 'message',
+  typeof message.content === 'string' ? message.content : JSON.stringify(message.content ?? ''),
+  message.toolName || '',
+  message.parameters ? JSON.stringify(message.parameters) : ''
+];
+
+/**
+ * The messages of a thread as text, ignoring ids and timestamps
+ * @param {Object} thread - Thread object
+ * @returns {string} Thread content
+ */
+const getThreadContentSignature = (thread) => JSON.stringify((thread.messages || []).map(getMessageSignature));
+
+// 32-bit FNV-1a
+const hashText = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+};
+
+/**
+ * Hash the messages of a thread, ignoring ids and timestamps
+ * @param {Object} thread - Thread object
+ * @returns {string} Hex hash of the thread content
+ */
+export const getThreadContentHash = (thread) => hashText(getThreadContentSignature(thread));
+
+/**
+ * Key of the source a thread was imported from and its id there
+ * @param {Object} thread - Stored thread with a sourceId, or an incoming thread
+ * @returns {string} Source key
+ */
+export const getSourceKey = (thread) => JSON.stringify([thread.importSource || null, thread.sourceId || thread.id]);
+
+/**
+ * Index of threads by content; the hash only narrows the search, the full content decides
+ */
+const createContentIndex = () => {
+  const byHash = new Map();
+  return {
+    add: (thread, signature = getThreadContentSignature(thread)) => {
+      const hash = hashText(signature);
+      byHash.set(hash, [...(byHash.get(hash) || []), { thread, signature }]);
+    },
+    find: (signature) => (byHash.get(hashText(signature)) || []).find(entry => entry.signature === signature)?.thread || null
+  };
+};
+
+/**
+ * Match incoming threads against existing ones, and against earlier incoming threads with the same content
+ * @param {Array} existingThreads - Threads already in storage
+ * @param {Array} importedThreads - Threads parsed from the import file
+ * @returns {Array} Conflicts of { index, imported, existing, matchType ('source_id' for the existing thread's
+ *   own id or its id in the same source, 'content_hash' or 'batch' for a repeat of an earlier incoming thread,
+ *   which is then `existing`), identical }
+ */
+export const findImportConflicts = (existingThreads, importedThreads) => {
+  const byId = new Map();
+  const bySourceKey = new Map();
+  const existingByContent = createContentIndex();
+  existingThreads.forEach(thread => {
+    byId.set(thread.id, thread);
+    if (thread.sourceId) bySourceKey.set(getSourceKey(thread), thread);
+    existingByContent.add(thread);
+  });
+  const importedByContent = createContentIndex();
+
+  const conflicts = [];
+  importedThreads.forEach((imported, index) => {
+    const signature = getThreadContentSignature(imported);
+    // Stored ids are generated, so an incoming thread with one is a re-import of an export
+    const sourceMatch = imported.id ? byId.get(imported.id) || bySourceKey.get(getSourceKey(imported)) : null;
+    const existing = sourceMatch || existingByContent.find(signature);
+    if (existing) {
+      conflicts.push({
+        index,
+        imported,
+        existing,
+        matchType: sourceMatch ? 'source_id' : 'content_hash',
+        identical: getThreadContentSignature(existing) === signature
+      });
+      return;
+    }
+
+    const earlier = importedByContent.find(signature);
+    if (earlier) {
+      conflicts.push({ index, imported, existing: earlier, matchType: 'batch', identical: true });
+      return;
+    }
+    importedByContent.add(imported, signature);
+  });
+  return conflicts;
+};
+
+/**
+ * Reuse existing message ids where the updated message is unchanged,
+ * so message-level annotations stay attached after an update
+ * @param {Array} existingMessages - Messages of the existing thread
+ * @param {Array} importedMessages - Messages of the incoming thread
+ * @returns {Array} Incoming messages with carried-over ids
+ */
+const carryOverMessageIds = (existingMessages = [], importedMessages = []) => {
+  return importedMessages.map((message, index) => {
+    const existing = existingMessages[index];
+    if (existing?.id &&
+        JSON.stringify(getMessageSignature(existing)) === JSON.stringify(getMessageSignature(message))) {
+      return { ...message, id: existing.id };
+    }
+    return message;
+  });
+};
+
+/**
+ * Give an incoming thread a fresh id, remembering the id it had in its source
+ * @param {Object} imported - Incoming thread
+ * @returns {Object} Thread ready to be stored
+ */
+const toNewThread = (imported) => ({
+  ...imported,
+  id: uuidv4(),
+  sourceId: imported.sourceId || imported.id,
+  createdAt: imported.createdAt || new Date().toISOString(),
+  isAnnotated: imported.isAnnotated || false
+});
+
+/**
+ * Merge incoming threads into the existing ones
+ * @param {Array} existingThreads - Threads already in storage
+ * @param {Array} importedThreads - Threads parsed from the import file
+ * @param {Object} resolutions - Map of incoming thread index to a CONFLICT_RESOLUTIONS value
+ * @param {string} defaultResolution - Resolution for conflicts without an explicit choice
+ * @returns {Object} { threads, counts: { added, updated, duplicates, keptBoth }, addedIds, updatedIds }
+ */
+export const mergeImportedThreads = (
+  existingThreads,
+  importedThreads,
+  resolutions = {},
+  defaultResolution = CONFLICT_RESOLUTIONS.SKIP
+) => {
+  const conflicts = findImportConflicts(existingThreads, importedThreads);
+  const conflictByIndex = new Map(conflicts.map(conflict => [conflict.index, conflict]));
+  const updatedById = new Map();
+  const addedThreads = [];
+  const counts = { added: 0, updated: 0, duplicates: 0, keptBoth: 0 };
+  const now = new Date().toISOString();
+
+  importedThreads.forEach((imported, index) => {
+    const conflict = conflictByIndex.get(index);
+    if (!conflict) {
+      addedThreads.push(toNewThread(imported));
+      counts.added++;
+      return;
+    }
+
+    const resolution = resolutions[index] || defaultResolution;
+    if (resolution === CONFLICT_RESOLUTIONS.KEEP_BOTH) {
+      addedThreads.push(toNewThread(imported));
+      counts.keptBoth++;
+    } else if (resolution === CONFLICT_RESOLUTIONS.UPDATE && !conflict.identical) {
+      const existing = updatedById.get(conflict.existing.id) || conflict.existing;
+      const updated = {
+        ...existing,
+        messages: carryOverMessageIds(existing.messages, imported.messages),
+        updatedAt: now
+      };
+      // A thread matched by content takes the incoming thread's source, so the next re-import matches by id
+      if (!existing.sourceId && imported.id) {
+        updated.sourceId = imported.id;
+        if (imported.importSource) updated.importSource = imported.importSource;
+      }
+      if (imported.metadata) {
+        updated.metadata = { ...(existing.metadata || {}), ...imported.metadata };
+      }
+      updatedById.set(existing.id, updated);
+      counts.updated++;
+    } else {
+      // Skipped, or an update that would not change anything
+      counts.duplicates++;
+    }
+  });
+
+  const threads = [
+    ...existingThreads.map(thread => updatedById.get(thread.id) || thread),
+    ...addedThreads
+  ];
+  return {
+    threads,
+    counts,
+    addedIds: addedThreads.map(thread => thread.id),
+    updatedIds: Array.from(updatedById.keys())
+  };
+};
+
+/**
+ * Human readable summary of merge counts
+ * @param {Object} counts - Counts from mergeImportedThreads
+ * @returns {string} Summary such as "3 new, 1 updated, 2 duplicates skipped"
+ */
+export const formatImportSummary = (counts) => {
+  const parts = [`${counts.added} new`];
+  if (counts.updated) parts.push(`${counts.updated} updated`);
+  if (counts.duplicates) parts.push(`${counts.duplicates} duplicate${counts.duplicates === 1 ? '' : 's'} skipped`);
+  if (counts.keptBoth) parts.push(`${counts.keptBoth} kept as copies`);
+  return parts.join(', ');
+};
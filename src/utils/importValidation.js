@@ -0,0 +1,253 @@
+/**
+ * Import Validation Utility
+ *
+ * Dry-run checks for incoming threads before they are stored. Each problem
+ * points at a thread (and message, and source row for CSV files) and can be
+ * skipped, fixed or kept as-is when the import is committed.
+ */
+
+export const VALIDATION_ISSUES = {
+  PARSE_ERROR: 'parse_error',
+  UNKNOWN_ROLE: 'unknown_role',
+  INVALID_TIMESTAMP: 'invalid_timestamp',
+  EMPTY_CONTENT: 'empty_content',
+  NO_ASSISTANT_TURN: 'no_assistant_turn'
+};
+
+export const VALIDATION_ISSUE_LABELS = {
+  [VALIDATION_ISSUES.PARSE_ERROR]: 'Malformed row',
+  [VALIDATION_ISSUES.UNKNOWN_ROLE]: 'Unknown role',
+  [VALIDATION_ISSUES.INVALID_TIMESTAMP]: 'Unparsable timestamp',
+  [VALIDATION_ISSUES.EMPTY_CONTENT]: 'Empty content',
+  [VALIDATION_ISSUES.NO_ASSISTANT_TURN]: 'No assistant turn'
+};
+
+export const VALIDATION_ACTIONS = {
+  SKIP: 'skip',
+  FIX: 'fix',
+  KEEP: 'keep'
+};
+
+// Actions offered for each issue; message issues skip the message, thread issues skip the thread
+export const ISSUE_ACTIONS = {
+  [VALIDATION_ISSUES.PARSE_ERROR]: {
+    [VALIDATION_ACTIONS.SKIP]: 'Skip row',
+    [VALIDATION_ACTIONS.KEEP]: 'Import as parsed'
+  },
+  [VALIDATION_ISSUES.UNKNOWN_ROLE]: {
+    [VALIDATION_ACTIONS.SKIP]: 'Skip message',
+    [VALIDATION_ACTIONS.FIX]: 'Set role',
+    [VALIDATION_ACTIONS.KEEP]: 'Keep role as-is'
+  },
+  [VALIDATION_ISSUES.INVALID_TIMESTAMP]: {
+    [VALIDATION_ACTIONS.SKIP]: 'Skip message',
+    [VALIDATION_ACTIONS.FIX]: 'Set timestamp'
+  },
+  [VALIDATION_ISSUES.EMPTY_CONTENT]: {
+    [VALIDATION_ACTIONS.SKIP]: 'Skip message',
+    [VALIDATION_ACTIONS.FIX]: 'Enter content',
+    [VALIDATION_ACTIONS.KEEP]: 'Keep empty'
+  },
+  [VALIDATION_ISSUES.NO_ASSISTANT_TURN]: {
+    [VALIDATION_ACTIONS.SKIP]: 'Skip thread',
+    [VALIDATION_ACTIONS.KEEP]: 'Import anyway'
+  }
+};
+
+export const DEFAULT_ISSUE_ACTIONS = {
+  [VALIDATION_ISSUES.PARSE_ERROR]: VALIDATION_ACTIONS.SKIP,
+  [VALIDATION_ISSUES.UNKNOWN_ROLE]: VALIDATION_ACTIONS.SKIP,
+  [VALIDATION_ISSUES.INVALID_TIMESTAMP]: VALIDATION_ACTIONS.FIX,
+  [VALIDATION_ISSUES.EMPTY_CONTENT]: VALIDATION_ACTIONS.SKIP,
+  [VALIDATION_ISSUES.NO_ASSISTANT_TURN]: VALIDATION_ACTIONS.KEEP
+};
+
+// Roles the conversation view and exports understand
+export const KNOWN_ROLES = ['human', 'user', 'ai', 'assistant', 'system', 'instructions', 'tool', 'error'];
+
+const isAssistantRole = (role) => ['ai', 'assistant'].includes((role || '').toLowerCase());
+
+/**
+ * Check whether a timestamp value can be read as a date
+ * @param {*} value - Timestamp value
+ * @returns {boolean} True if the value is a parsable date
+ */
+export const isValidTimestamp = (value) => {
+  if (value === null || value === undefined || value === '') return false;
+  return !Number.isNaN(new Date(value).getTime());
+};
+
+/**
+ * Find the problems in a set of incoming threads
+ * @param {Array} threads - Threads about to be imported
+ * @param {Function} getRowNumber - Optional (threadIndex, messageIndex) => source row number
+ * @returns {Array} Problems of { type, threadIndex, messageIndex, row, value }
+ */
+export const validateThreads = (threads, getRowNumber = null) => {
+  const problems = [];
+
+  threads.forEach((thread, threadIndex) => {
+    const messages = thread.messages || [];
+
+    messages.forEach((message, messageIndex) => {
+      const base = {
+        threadIndex,
+        messageIndex,
+        row: getRowNumber ? getRowNumber(threadIndex, messageIndex) : null
+      };
+      const role = (message.role || '').toLowerCase();
+
+      if (!KNOWN_ROLES.includes(role)) {
+        problems.push({ ...base, type: VALIDATION_ISSUES.UNKNOWN_ROLE, value: message.role || '' });
+      }
+      if (message.timestamp !== undefined && !isValidTimestamp(message.timestamp)) {
+        problems.push({ ...base, type: VALIDATION_ISSUES.INVALID_TIMESTAMP, value: String(message.timestamp) });
+      }
+      // Tool calls carry their payload in parameters, so only plain messages need text
+      const isPlainMessage = !message.type || message.type === 'message';
+      if (isPlainMessage && typeof message.content === 'string' && !message.content.trim()) {
+        problems.push({ ...base, type: VALIDATION_ISSUES.EMPTY_CONTENT, value: '' });
+      }
+    });
+
+    if (messages.length > 0 && !messages.some(message => isAssistantRole(message.role))) {
+      problems.push({
+        type: VALIDATION_ISSUES.NO_ASSISTANT_TURN,
+        threadIndex,
+        messageIndex: null,
+        row: null,
+        value: thread.title || thread.id
+      });
+    }
+  });
+
+  return problems;
+};
+
+/**
+ * Resolve the action chosen for a problem
+ * @param {Object} problem - Problem from validateThreads
+ * @param {number} index - Index of the problem in the list
+ * @param {Object} actions - Map of issue type to the { action, value } for all of its problems
+ * @param {Object} overrides - Map of problem index to { action, value }
+ * @returns {Object} { action, value }
+ */
+export const getProblemDecision = (problem, index, actions = {}, overrides = {}) => {
+  const override = overrides[index];
+  const typeAction = actions[problem.type];
+  return {
+    action: override?.action || typeAction?.action || DEFAULT_ISSUE_ACTIONS[problem.type],
+    value: override?.value ?? typeAction?.value
+  };
+};
+
+/**
+ * First problem whose chosen fix cannot be applied
+ * @param {Array} problems - Problems from validateThreads
+ * @param {Object} actions - Map of issue type to the { action, value } for all of its problems
+ * @param {Object} overrides - Map of problem index to { action, value }
+ * @returns {string} Error message, or '' if every decision can be applied
+ */
+export const getDecisionsError = (problems, actions = {}, overrides = {}) => {
+  for (let index = 0; index < problems.length; index++) {
+    const problem = problems[index];
+    const { action, value } = getProblemDecision(problem, index, actions, overrides);
+    const fixError = action === VALIDATION_ACTIONS.FIX ? getFixError(problem, value) : '';
+    if (fixError) {
+      const location = problem.row ? `row ${problem.row}` : `thread ${problem.threadIndex + 1}`;
+      return `${VALIDATION_ISSUE_LABELS[problem.type]} (${location}): ${fixError}`;
+    }
+  }
+  return '';
+};
+
+/**
+ * Check the value entered for a fix
+ * @param {Object} problem - Problem being fixed
+ * @param {*} value - Entered value
+ * @returns {string} Error message, or '' if the fix can be applied
+ */
+export const getFixError = (problem, value) => {
+  switch (problem.type) {
+    case VALIDATION_ISSUES.UNKNOWN_ROLE:
+      return value ? '' : 'Choose a role';
+    case VALIDATION_ISSUES.INVALID_TIMESTAMP:
+      // Left blank, the import time is used
+      return !value || isValidTimestamp(value) ? '' : 'Not a valid date';
+    case VALIDATION_ISSUES.EMPTY_CONTENT:
+      return value && value.trim() ? '' : 'Enter the message content';
+    default:
+      return '';
+  }
+};
+
+/**
+ * Apply the chosen actions to the incoming threads
+ * @param {Array} threads - Threads that were validated
+ * @param {Array} problems - Problems from validateThreads
+ * @param {Object} actions - Map of issue type to the { action, value } for all of its problems
+ * @param {Object} overrides - Map of problem index to { action, value }
+ * @returns {Object} { threads, counts: { skippedMessages, fixedMessages, skippedThreads } }
+ */
+export const applyValidationDecisions = (threads, problems, actions = {}, overrides = {}) => {
+  const now = new Date().toISOString();
+  const skippedThreads = new Set();
+  const skippedMessages = new Set();
+  const fixes = new Map();
+
+  problems.forEach((problem, index) => {
+    // e.g. a malformed row that was not turned into a message
+    if (problem.threadIndex === null) return;
+
+    const { action, value } = getProblemDecision(problem, index, actions, overrides);
+    const messageKey = `${problem.threadIndex}:${problem.messageIndex}`;
+
+    if (problem.messageIndex === null) {
+      if (action === VALIDATION_ACTIONS.SKIP) skippedThreads.add(problem.threadIndex);
+    } else if (action === VALIDATION_ACTIONS.SKIP) {
+      skippedMessages.add(messageKey);
+    } else if (action === VALIDATION_ACTIONS.FIX) {
+      const fix = fixes.get(messageKey) || {};
+      if (problem.type === VALIDATION_ISSUES.UNKNOWN_ROLE) fix.role = value;
+      if (problem.type === VALIDATION_ISSUES.INVALID_TIMESTAMP) fix.timestamp = value || now;
+      if (problem.type === VALIDATION_ISSUES.EMPTY_CONTENT) fix.content = value;
+      fixes.set(messageKey, fix);
+    }
+  });
+
+  const counts = { skippedMessages: 0, fixedMessages: 0, skippedThreads: 0 };
+  const result = [];
+
+  threads.forEach((thread, threadIndex) => {
+    if (skippedThreads.has(threadIndex)) {
+      counts.skippedThreads++;
+      return;
+    }
+
+    const messages = [];
+    (thread.messages || []).forEach((message, messageIndex) => {
+      const messageKey = `${threadIndex}:${messageIndex}`;
+      if (skippedMessages.has(messageKey)) {
+        counts.skippedMessages++;
+        return;
+      }
+      const fix = fixes.get(messageKey);
+      if (fix) counts.fixedMessages++;
+      messages.push(fix ? { ...message, ...fix } : message);
+    });
+
+    // A thread whose every message was skipped is dropped too
+    if (messages.length === 0 && (thread.messages || []).length > 0) {
+      counts.skippedThreads++;
+      return;
+    }
+    const updated = { ...thread, messages };
+    // CSV threads take their creation time from the first message
+    if (thread.createdAt !== undefined && !isValidTimestamp(thread.createdAt)) {
+      updated.createdAt = isValidTimestamp(messages[0]?.timestamp) ? messages[0].timestamp : now;
+    }
+    result.push(updated);
+  });
+
+  return { threads: result, counts };
+};
@@ -7,8 +7,29 @@
  * - Transactional operations for better data integrity
  * - Asynchronous API that doesn't block the main thread
  * - Better persistence across browser sessions
+ *
+ * Since schema v2, annotations live in their own store and thread records
+ * carry an `_index` object of derived fields (creation time, annotated flag,
+ * tags, annotators) so threads can be filtered and sorted through indexes.
+ * Since v3, messages live in their own store too, so a page of the thread list
+ * can be read without them. Callers still read and write whole threads; a
+ * thread without a `messages` field is a summary and keeps its stored messages.
+ * Since v4, a `syncState` store keeps what each thread looked like when it was
+ * last synced with the remote store, and saving an edited thread bumps its
+ * `revision` so the sync engine can tell which side changed.
+ * Since v5, an `outbox` store logs the threads written here that still have
+ * to reach the remote store, so writes made offline are replayed later.
+ * Since v6, threads are indexed by the assignees still to annotate them, so
+ * each annotator's queue can be paged like the other filters.
+ * Since v7, thread records keep the metadata values of their messages
+ * (`messageMetadata`), so summaries can be filtered by message metadata.
+ * Since v8, threads are indexed by the source they were imported from and
+ * messages by a hash of their content, so an import finds the threads it
+ * duplicates without reading every thread.
  */
 
+import { getSourceKey, getThreadContentHash } from './importMerge';
+
 // Debug mode
 const DEBUG = true;
 
@@ -22,11 +43,326 @@ const log = (message, data) => {
 // Database configuration
 const DB_CONFIG = {
   NAME: 'annotation-tool-db',
-  VERSION: 1,
+  VERSION: 8,
   STORES: {
     THREADS: 'threads',
-    SETTINGS: 'settings'
+    SETTINGS: 'settings',
+    ANNOTATIONS: 'annotations',
+    MESSAGES: 'messages',
+    SYNC_STATE: 'syncState',
+    OUTBOX: 'outbox'
+  },
+  INDEXES: {
+    THREADS_BY_CREATED_AT: 'createdAt',
+    THREADS_BY_ANNOTATED: 'isAnnotated',
+    THREADS_BY_TAG: 'tags',
+    THREADS_BY_ANNOTATOR: 'annotators',
+    THREADS_BY_QUEUED_ASSIGNEE: 'queuedAssignees',
+    THREADS_BY_SOURCE: 'source',
+    MESSAGES_BY_CONTENT_HASH: 'contentHash',
+    ANNOTATIONS_BY_THREAD: 'threadId',
+    ANNOTATIONS_BY_TYPE: 'type',
+    ANNOTATIONS_BY_ANNOTATOR: 'annotator'
+  }
+};
+
+/**
+ * Who made an annotation, as used by the annotator indexes
+ * @param {Object} annotation Annotation object
+ * @returns {string} Annotator uid, email or 'anonymous'
+ */
+const getAnnotator = (annotation) => annotation.createdByUid || annotation.createdBy || 'anonymous';
+
+/**
+ * Metadata values of a thread's messages; same as getMessageMetadata in helpers.js
+ * @param {Array} messages Messages of a thread
+ * @returns {Object} Map of metadata key to its sorted distinct values (as strings)
+ */
+const getMessageMetadata = (messages) => {
+  const values = {};
+  messages.forEach(message => {
+    Object.entries(message.metadata || {}).forEach(([key, value]) => {
+      if (value === undefined || value === null || value === '') return;
+      if (!values[key]) values[key] = new Set();
+      values[key].add(String(value));
+    });
+  });
+  return Object.keys(values).sort().reduce((result, key) => {
+    result[key] = Array.from(values[key]).sort();
+    return result;
+  }, {});
+};
+
+// Settings store record holding the sync checkpoint (see getSyncCheckpoint)
+const SYNC_CHECKPOINT_ID = 'sync-checkpoint';
+
+// Stores a whole thread is spread over
+const THREAD_STORES = [DB_CONFIG.STORES.THREADS, DB_CONFIG.STORES.ANNOTATIONS, DB_CONFIG.STORES.MESSAGES];
+
+/**
+ * Split a thread into its thread record, annotation records and messages record
+ * @param {Object} thread Thread object with annotations and (unless a summary) messages
+ * @returns {Object} { record, annotations, messages } (messages is null for a summary)
+ */
+const toRecords = (thread) => {
+  const { annotations, messages, ...rest } = thread;
+  const annotationList = Array.isArray(annotations) ? annotations : annotations ? [annotations] : [];
+  
+  const tags = new Set();
+  const annotators = new Set();
+  annotationList.forEach(annotation => {
+    (Array.isArray(annotation.tags) ? annotation.tags : []).forEach(tag => tags.add(tag));
+    annotators.add(getAnnotator(annotation));
+  });
+  // Assignees drop out of the queue once they have annotated the thread
+  const queuedAssignees = (Array.isArray(thread.assignees) ? thread.assignees : [])
+    .map(assignee => assignee?.uid)
+    .filter(uid => uid && !annotators.has(uid));
+  
+  return {
+    record: {
+      ...rest,
+      messageCount: Array.isArray(messages) ? messages.length : thread.messageCount || 0,
+      messageMetadata: Array.isArray(messages) ? getMessageMetadata(messages) : thread.messageMetadata || {},
+      // Booleans are not valid IndexedDB keys, so the annotated flag is stored as 0/1
+      _index: {
+        createdAt: typeof thread.createdAt === 'string' ? thread.createdAt : '',
+        annotated: thread.isAnnotated ? 1 : 0,
+        tags: Array.from(tags),
+        annotators: Array.from(annotators),
+        queuedAssignees,
+        ...(thread.sourceId ? { sourceKey: getSourceKey(thread) } : {})
+      }
+    },
+    annotations: annotationList.map((annotation, position) => ({
+      ...annotation,
+      _threadId: thread.id,
+      _position: position,
+      _annotator: getAnnotator(annotation)
+    })),
+    messages: Array.isArray(messages) ? { threadId: thread.id, messages, contentHash: getThreadContentHash({ messages }) } : null
+  };
+};
+
+/**
+ * Rebuild a thread from its stored records
+ * @param {Object} record Thread record
+ * @param {Array} annotationRecords Annotation records of the thread, in position order
+ * @param {Object} messagesRecord Messages record; leave out to get a summary without messages
+ * @returns {Object} Thread object with annotations
+ */
+const fromRecords = (record, annotationRecords = [], messagesRecord) => {
+  const { _index, ...thread } = record;
+  const result = {
+    ...thread,
+    annotations: annotationRecords.map(({ _threadId, _position, _annotator, ...annotation }) => annotation)
+  };
+  if (messagesRecord !== undefined) {
+    result.messages = messagesRecord?.messages || thread.messages || [];
+  }
+  return result;
+};
+
+/**
+ * Key range covering every annotation of a thread
+ * @param {string} threadId Thread ID
+ * @returns {IDBKeyRange} Range over the [threadId, position] keys
+ */
+const getAnnotationRange = (threadId) => IDBKeyRange.bound([threadId, 0], [threadId, Infinity]);
+
+/**
+ * Queue the writes for one thread on an open readwrite transaction
+ * @param {IDBTransaction} transaction Transaction over THREAD_STORES
+ * @param {Object} thread Thread object with annotations
+ */
+const writeThread = (transaction, thread) => {
+  const { record, annotations, messages } = toRecords(thread);
+  const annotationsStore = transaction.objectStore(DB_CONFIG.STORES.ANNOTATIONS);
+  
+  transaction.objectStore(DB_CONFIG.STORES.THREADS).put(record);
+  annotationsStore.delete(getAnnotationRange(thread.id));
+  annotations.forEach(annotation => annotationsStore.put(annotation));
+  // A summary leaves the stored messages as they are
+  if (messages) {
+    transaction.objectStore(DB_CONFIG.STORES.MESSAGES).put(messages);
+  }
+};
+
+/**
+ * Queue the writes for a thread that was edited here, one revision past the stored one
+ * @param {IDBTransaction} transaction Transaction over THREAD_STORES
+ * @param {Object} thread Thread object with annotations
+ */
+const writeEditedThread = (transaction, thread) => {
+  transaction.objectStore(DB_CONFIG.STORES.THREADS).get(thread.id).onsuccess = (event) => {
+    const storedRevision = event.target.result?.revision || 0;
+    writeThread(transaction, {
+      ...thread,
+      revision: Math.max(storedRevision, thread.revision || 0) + 1,
+      updatedAt: new Date().toISOString()
+    });
+  };
+};
+
+/**
+ * Index key of a thread record, used as the position of a page cursor
+ * @param {Object} record Thread record
+ * @param {boolean} byAnnotated Whether the annotated index is being walked
+ * @returns {*} Index key
+ */
+const getIndexKey = (record, byAnnotated) => (
+  byAnnotated ? [record._index.annotated, record._index.createdAt] : record._index.createdAt
+);
+
+/**
+ * Schema migrations, keyed by the version they upgrade to. For every version
+ * above the stored one, `upgrade` changes the schema; then a single pass over
+ * the thread records applies each `migrateThread` in order, so data moves of
+ * consecutive versions never race on separate cursors.
+ */
+const MIGRATIONS = {
+  1: {
+    upgrade: (db) => {
+      if (!db.objectStoreNames.contains(DB_CONFIG.STORES.THREADS)) {
+        db.createObjectStore(DB_CONFIG.STORES.THREADS, { keyPath: 'id' });
+        log('Created threads object store');
+      }
+      
+      if (!db.objectStoreNames.contains(DB_CONFIG.STORES.SETTINGS)) {
+        db.createObjectStore(DB_CONFIG.STORES.SETTINGS, { keyPath: 'id' });
+        log('Created settings object store');
+      }
+    }
+  },
+  
+  // Annotations get their own store; threads are indexed for filtering and sorting
+  2: {
+    upgrade: (db, transaction) => {
+      const annotationsStore = db.createObjectStore(DB_CONFIG.STORES.ANNOTATIONS, {
+        keyPath: ['_threadId', '_position']
+      });
+      annotationsStore.createIndex(DB_CONFIG.INDEXES.ANNOTATIONS_BY_THREAD, '_threadId');
+      annotationsStore.createIndex(DB_CONFIG.INDEXES.ANNOTATIONS_BY_TYPE, 'type');
+      annotationsStore.createIndex(DB_CONFIG.INDEXES.ANNOTATIONS_BY_ANNOTATOR, '_annotator');
+      
+      const threadsStore = transaction.objectStore(DB_CONFIG.STORES.THREADS);
+      threadsStore.createIndex(DB_CONFIG.INDEXES.THREADS_BY_CREATED_AT, '_index.createdAt');
+      threadsStore.createIndex(DB_CONFIG.INDEXES.THREADS_BY_ANNOTATED, ['_index.annotated', '_index.createdAt']);
+      threadsStore.createIndex(DB_CONFIG.INDEXES.THREADS_BY_TAG, '_index.tags', { multiEntry: true });
+      threadsStore.createIndex(DB_CONFIG.INDEXES.THREADS_BY_ANNOTATOR, '_index.annotators', { multiEntry: true });
+    },
+    // Move the annotations out of the record; messages stay inline at this version
+    migrateThread: (value, transaction) => {
+      const { record, annotations } = toRecords(value);
+      const annotationsStore = transaction.objectStore(DB_CONFIG.STORES.ANNOTATIONS);
+      annotations.forEach(annotation => annotationsStore.put(annotation));
+      return { ...record, messages: value.messages };
+    }
+  },
+  
+  // Messages get their own store so thread list pages don't carry them
+  3: {
+    upgrade: (db) => {
+      db.createObjectStore(DB_CONFIG.STORES.MESSAGES, { keyPath: 'threadId' });
+    },
+    migrateThread: (value, transaction) => {
+      const { messages = [], ...record } = value;
+      transaction.objectStore(DB_CONFIG.STORES.MESSAGES).put({ threadId: record.id, messages });
+      return { ...record, messageCount: messages.length };
+    }
+  },
+  
+  // What each thread looked like at its last sync with the remote store
+  4: {
+    upgrade: (db) => {
+      db.createObjectStore(DB_CONFIG.STORES.SYNC_STATE, { keyPath: 'threadId' });
+    }
+  },
+  
+  // Writes waiting to be replayed to the remote store, in the order they were made
+  5: {
+    upgrade: (db) => {
+      db.createObjectStore(DB_CONFIG.STORES.OUTBOX, { keyPath: 'id', autoIncrement: true });
+    }
+  },
+  
+  // Each annotator's queue; threads stored before this version have no assignees, so no data moves
+  6: {
+    upgrade: (db, transaction) => {
+      transaction.objectStore(DB_CONFIG.STORES.THREADS)
+        .createIndex(DB_CONFIG.INDEXES.THREADS_BY_QUEUED_ASSIGNEE, '_index.queuedAssignees', { multiEntry: true });
+    }
+  },
+  
+  // Message metadata on thread records; the messages are read from their store (queued after
+  // any earlier migration's write), then merged into the record the cursor has written by then
+  7: {
+    upgrade: () => {},
+    migrateThread: (value, transaction) => {
+      const threadsStore = transaction.objectStore(DB_CONFIG.STORES.THREADS);
+      transaction.objectStore(DB_CONFIG.STORES.MESSAGES).get(value.id).onsuccess = (event) => {
+        const messageMetadata = getMessageMetadata(event.target.result?.messages || []);
+        threadsStore.get(value.id).onsuccess = (recordEvent) => {
+          threadsStore.put({ ...recordEvent.target.result, messageMetadata });
+        };
+      };
+      return value;
+    }
+  },
+  
+  // Import sources and content hashes; messages records are read the same way as for v7
+  8: {
+    upgrade: (db, transaction) => {
+      transaction.objectStore(DB_CONFIG.STORES.THREADS)
+        .createIndex(DB_CONFIG.INDEXES.THREADS_BY_SOURCE, '_index.sourceKey');
+      transaction.objectStore(DB_CONFIG.STORES.MESSAGES)
+        .createIndex(DB_CONFIG.INDEXES.MESSAGES_BY_CONTENT_HASH, 'contentHash');
+    },
+    migrateThread: (value, transaction) => {
+      const messagesStore = transaction.objectStore(DB_CONFIG.STORES.MESSAGES);
+      messagesStore.get(value.id).onsuccess = (event) => {
+        const record = event.target.result;
+        if (record) {
+          messagesStore.put({ ...record, contentHash: getThreadContentHash(record) });
+        }
+      };
+      return value.sourceId ? { ...value, _index: { ...value._index, sourceKey: getSourceKey(value) } } : value;
+    }
+  }
+};
+
+/**
+ * Run the migrations from the stored version up to DB_CONFIG.VERSION
+ * @param {IDBDatabase} db Database being upgraded
+ * @param {IDBTransaction} transaction The versionchange transaction
+ * @param {number} oldVersion Version the database had (0 when new)
+ */
+const runMigrations = (db, transaction, oldVersion) => {
+  const versions = [];
+  for (let version = oldVersion + 1; version <= DB_CONFIG.VERSION; version++) {
+    log(`Upgrading database to version ${version}`);
+    MIGRATIONS[version].upgrade(db, transaction);
+    versions.push(version);
   }
+  
+  const recordMigrations = versions.filter(version => MIGRATIONS[version].migrateThread);
+  // A new database has no threads to move
+  if (oldVersion === 0 || recordMigrations.length === 0) return;
+  
+  let migratedCount = 0;
+  transaction.objectStore(DB_CONFIG.STORES.THREADS).openCursor().onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (!cursor) {
+      log(`Migrated ${migratedCount} threads to schema v${DB_CONFIG.VERSION}`);
+      return;
+    }
+    cursor.update(recordMigrations.reduce(
+      (value, version) => MIGRATIONS[version].migrateThread(value, transaction),
+      cursor.value
+    ));
+    migratedCount++;
+    cursor.continue();
+  };
 };
 
 /**
@@ -67,16 +403,7 @@ const IndexedDBStorage = {
       request.onupgradeneeded = (event) => {
         const db = event.target.result;
         
-        // Create object stores if they don't exist
-        if (!db.objectStoreNames.contains(DB_CONFIG.STORES.THREADS)) {
-          const threadsStore = db.createObjectStore(DB_CONFIG.STORES.THREADS, { keyPath: 'id' });
-          log('Created threads object store');
-        }
-        
-        if (!db.objectStoreNames.contains(DB_CONFIG.STORES.SETTINGS)) {
-          const settingsStore = db.createObjectStore(DB_CONFIG.STORES.SETTINGS, { keyPath: 'id' });
-          log('Created settings object store');
-        }
+        runMigrations(db, request.transaction, event.oldVersion);
       };
     });
   },
@@ -90,16 +417,31 @@ const IndexedDBStorage = {
       await IndexedDBStorage.init();
       
       return new Promise((resolve, reject) => {
-        const transaction = IndexedDBStorage.db.transaction([DB_CONFIG.STORES.THREADS], 'readonly');
-        const store = transaction.objectStore(DB_CONFIG.STORES.THREADS);
-        const request = store.getAll();
+        const transaction = IndexedDBStorage.db.transaction(THREAD_STORES, 'readonly');
+        const threadsRequest = transaction.objectStore(DB_CONFIG.STORES.THREADS).getAll();
+        const annotationsRequest = transaction.objectStore(DB_CONFIG.STORES.ANNOTATIONS).getAll();
+        const messagesRequest = transaction.objectStore(DB_CONFIG.STORES.MESSAGES).getAll();
         
-        request.onsuccess = () => {
-          resolve(request.result || []);
-          log(`Retrieved ${request.result ? request.result.length : 0} threads from IndexedDB`);
+        transaction.oncomplete = () => {
+          // Annotation keys sort by thread, then position
+          const annotationsByThread = new Map();
+          (annotationsRequest.result || []).forEach(annotation => {
+            if (!annotationsByThread.has(annotation._threadId)) {
+              annotationsByThread.set(annotation._threadId, []);
+            }
+            annotationsByThread.get(annotation._threadId).push(annotation);
+          });
+          
+          const messagesByThread = new Map((messagesRequest.result || []).map(record => [record.threadId, record]));
+          
+          const threads = (threadsRequest.result || []).map(record =>
+            fromRecords(record, annotationsByThread.get(record.id), messagesByThread.get(record.id) || null)
+          );
+          log(`Retrieved ${threads.length} threads from IndexedDB`);
+          resolve(threads);
         };
         
-        request.onerror = (event) => {
+        transaction.onerror = (event) => {
           console.error('Error getting threads from IndexedDB:', event.target.error);
           reject(event.target.error);
         };
@@ -110,6 +452,255 @@ const IndexedDBStorage = {
     }
   },
   
+  /**
+   * Get a page of thread summaries (no messages) through the indexes, without loading the others
+   * @param {Object} options Query options
+   * @param {string} options.sortOrder 'newest' or 'oldest' by createdAt
+   * @param {boolean} options.annotated Only annotated (true) or unannotated (false) threads
+   * @param {string} options.tag Only threads with an annotation carrying this tag
+   * @param {string} options.annotator Only threads annotated by this uid or email
+   * @param {string} options.queuedFor Only threads assigned to this uid and not yet annotated by them
+   * @param {number} options.limit Maximum number of threads to return
+   * @param {Object} options.cursor Cursor returned with the previous page, or null for the first page
+   * @returns {Promise<Object>} Promise resolving to { threads, cursor, total }; cursor is null after the last page
+   */
+  getThreadsPage: async ({ sortOrder = 'newest', annotated, tag, annotator, queuedFor, limit = 50, cursor = null } = {}) => {
+    try {
+      await IndexedDBStorage.init();
+      
+      return new Promise((resolve, reject) => {
+        const transaction = IndexedDBStorage.db.transaction(
+          [DB_CONFIG.STORES.THREADS, DB_CONFIG.STORES.ANNOTATIONS],
+          'readonly'
+        );
+        const threadsStore = transaction.objectStore(DB_CONFIG.STORES.THREADS);
+        const annotationsStore = transaction.objectStore(DB_CONFIG.STORES.ANNOTATIONS);
+        const direction = sortOrder === 'oldest' ? 'next' : 'prev';
+        const byAnnotated = annotated !== undefined;
+        // Threads created at the same time are ordered by id, in the direction of the walk
+        const isAfterCursor = (key, id) => {
+          if (!cursor) return true;
+          const keyOrder = indexedDB.cmp(key, cursor.key);
+          const order = keyOrder !== 0 ? keyOrder : indexedDB.cmp(id, cursor.id);
+          return direction === 'next' ? order > 0 : order < 0;
+        };
+        const records = [];
+        let total = 0;
+        let hasMore = false;
+        
+        const loadAnnotations = () => {
+          const threads = new Array(records.length);
+          records.forEach((record, index) => {
+            annotationsStore.getAll(getAnnotationRange(record.id)).onsuccess = (event) => {
+              threads[index] = fromRecords(record, event.target.result);
+            };
+          });
+          const last = records[records.length - 1];
+          transaction.oncomplete = () => resolve({
+            threads,
+            cursor: hasMore && last ? { key: getIndexKey(last, byAnnotated), id: last.id } : null,
+            total
+          });
+        };
+        
+        if (tag !== undefined || annotator !== undefined || queuedFor !== undefined) {
+          // Multi-entry lookup, then sort just the matching threads
+          const [indexName, key] = tag !== undefined
+            ? [DB_CONFIG.INDEXES.THREADS_BY_TAG, tag]
+            : annotator !== undefined
+              ? [DB_CONFIG.INDEXES.THREADS_BY_ANNOTATOR, annotator]
+              : [DB_CONFIG.INDEXES.THREADS_BY_QUEUED_ASSIGNEE, queuedFor];
+          threadsStore.index(indexName).getAll(IDBKeyRange.only(key)).onsuccess = (event) => {
+            const matches = event.target.result.filter(record =>
+              (annotator === undefined || record._index.annotators.includes(annotator)) &&
+              (queuedFor === undefined || (record._index.queuedAssignees || []).includes(queuedFor)) &&
+              (!byAnnotated || record._index.annotated === (annotated ? 1 : 0))
+            );
+            matches.sort((a, b) => indexedDB.cmp(
+              [getIndexKey(a, byAnnotated), a.id],
+              [getIndexKey(b, byAnnotated), b.id]
+            ));
+            if (direction === 'prev') matches.reverse();
+            total = matches.length;
+            const remaining = matches.filter(record => isAfterCursor(getIndexKey(record, byAnnotated), record.id));
+            records.push(...remaining.slice(0, limit));
+            hasMore = remaining.length > limit;
+            loadAnnotations();
+          };
+        } else {
+          const index = byAnnotated
+            ? threadsStore.index(DB_CONFIG.INDEXES.THREADS_BY_ANNOTATED)
+            : threadsStore.index(DB_CONFIG.INDEXES.THREADS_BY_CREATED_AT);
+          // [flag] sorts before every [flag, createdAt] key and [flag, []] after them
+          const lower = byAnnotated ? [annotated ? 1 : 0] : undefined;
+          const upper = byAnnotated ? [annotated ? 1 : 0, []] : undefined;
+          
+          index.count(byAnnotated ? IDBKeyRange.bound(lower, upper) : null).onsuccess = (event) => {
+            total = event.target.result;
+          };
+          
+          // Resume at the cursor key; ties on it are skipped by id below
+          let range = byAnnotated ? IDBKeyRange.bound(lower, upper) : null;
+          if (cursor && direction === 'next') {
+            range = byAnnotated ? IDBKeyRange.bound(cursor.key, upper) : IDBKeyRange.lowerBound(cursor.key);
+          } else if (cursor) {
+            range = byAnnotated ? IDBKeyRange.bound(lower, cursor.key) : IDBKeyRange.upperBound(cursor.key);
+          }
+          
+          index.openCursor(range, direction).onsuccess = (event) => {
+            const indexCursor = event.target.result;
+            if (indexCursor && !isAfterCursor(indexCursor.key, indexCursor.primaryKey)) {
+              indexCursor.continue();
+              return;
+            }
+            if (indexCursor && records.length < limit) {
+              records.push(indexCursor.value);
+              indexCursor.continue();
+              return;
+            }
+            hasMore = Boolean(indexCursor);
+            loadAnnotations();
+          };
+        }
+        
+        transaction.onerror = (event) => {
+          console.error('Error reading a page of threads:', event.target.error);
+          reject(event.target.error);
+        };
+      });
+    } catch (error) {
+      console.error('Error in getThreadsPage:', error);
+      return { threads: [], cursor: null, total: 0 };
+    }
+  },
+  
+  /**
+   * Get the messages of one thread
+   * @param {string} threadId The ID of the thread
+   * @returns {Promise<Array>} Promise resolving to the messages, or [] if the thread has none stored
+   */
+  getThreadMessages: async (threadId) => {
+    try {
+      await IndexedDBStorage.init();
+      
+      return new Promise((resolve, reject) => {
+        const transaction = IndexedDBStorage.db.transaction([DB_CONFIG.STORES.MESSAGES], 'readonly');
+        const request = transaction.objectStore(DB_CONFIG.STORES.MESSAGES).get(threadId);
+        
+        request.onsuccess = () => {
+          resolve(request.result?.messages || []);
+        };
+        
+        request.onerror = (event) => {
+          console.error(`Error getting messages of thread ${threadId}:`, event.target.error);
+          reject(event.target.error);
+        };
+      });
+    } catch (error) {
+      console.error('Error in getThreadMessages:', error);
+      return [];
+    }
+  },
+  
+  /**
+   * Find the stored threads an import could duplicate: those with an incoming thread's id, its id in
+   * the same import source (see getSourceKey) or its content hash, read through the indexes.
+   * Hashes only narrow the search; findImportConflicts compares the content.
+   * @param {Array} importedThreads Threads parsed from an import
+   * @returns {Promise<Array>} Promise resolving to the matching threads, with messages and annotations
+   */
+  findImportCandidates: async (importedThreads) => {
+    try {
+      await IndexedDBStorage.init();
+      
+      const threadIds = await new Promise((resolve, reject) => {
+        const transaction = IndexedDBStorage.db.transaction(
+          [DB_CONFIG.STORES.THREADS, DB_CONFIG.STORES.MESSAGES],
+          'readonly'
+        );
+        const threadsStore = transaction.objectStore(DB_CONFIG.STORES.THREADS);
+        const bySource = threadsStore.index(DB_CONFIG.INDEXES.THREADS_BY_SOURCE);
+        const byContentHash = transaction.objectStore(DB_CONFIG.STORES.MESSAGES)
+          .index(DB_CONFIG.INDEXES.MESSAGES_BY_CONTENT_HASH);
+        const ids = new Set();
+        const addIds = (event) => event.target.result.forEach(threadId => ids.add(threadId));
+        
+        importedThreads.forEach(thread => {
+          if (thread.id) {
+            threadsStore.getAllKeys(thread.id).onsuccess = addIds;
+            bySource.getAllKeys(getSourceKey(thread)).onsuccess = addIds;
+          }
+          byContentHash.getAllKeys(getThreadContentHash(thread)).onsuccess = addIds;
+        });
+        
+        transaction.oncomplete = () => resolve(Array.from(ids));
+        transaction.onerror = (event) => {
+          console.error('Error looking up import matches:', event.target.error);
+          reject(event.target.error);
+        };
+      });
+      
+      return new Promise((resolve, reject) => {
+        const transaction = IndexedDBStorage.db.transaction(THREAD_STORES, 'readonly');
+        const requests = threadIds.map(threadId => ({
+          record: transaction.objectStore(DB_CONFIG.STORES.THREADS).get(threadId),
+          annotations: transaction.objectStore(DB_CONFIG.STORES.ANNOTATIONS).getAll(getAnnotationRange(threadId)),
+          messages: transaction.objectStore(DB_CONFIG.STORES.MESSAGES).get(threadId)
+        }));
+        
+        transaction.oncomplete = () => {
+          const threads = requests
+            .filter(request => request.record.result)
+            .map(request => fromRecords(request.record.result, request.annotations.result, request.messages.result || null));
+          log(`Found ${threads.length} stored threads an import of ${importedThreads.length} could match`);
+          resolve(threads);
+        };
+        
+        transaction.onerror = (event) => {
+          console.error('Error reading import matches:', event.target.error);
+          reject(event.target.error);
+        };
+      });
+    } catch (error) {
+      console.error('Error in findImportCandidates:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * List every tag used on a thread, read from the tag index
+   * @returns {Promise<Array>} Promise resolving to the distinct tags
+   */
+  getThreadTags: async () => {
+    try {
+      await IndexedDBStorage.init();
+      
+      return new Promise((resolve, reject) => {
+        const transaction = IndexedDBStorage.db.transaction([DB_CONFIG.STORES.THREADS], 'readonly');
+        const index = transaction.objectStore(DB_CONFIG.STORES.THREADS).index(DB_CONFIG.INDEXES.THREADS_BY_TAG);
+        const tags = [];
+        
+        index.openKeyCursor(null, 'nextunique').onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (cursor) {
+            tags.push(cursor.key);
+            cursor.continue();
+          } else {
+            resolve(tags);
+          }
+        };
+        
+        transaction.onerror = (event) => {
+          console.error('Error reading thread tags:', event.target.error);
+          reject(event.target.error);
+        };
+      });
+    } catch (error) {
+      console.error('Error in getThreadTags:', error);
+      return [];
+    }
+  },
+  
   /**
    * Save all threads to IndexedDB
    * @param {Array} threads Array of thread objects
@@ -128,33 +719,23 @@ const IndexedDBStorage = {
       const cleanedThreads = threads.filter(thread => thread && typeof thread === 'object' && thread.id);
       
       return new Promise((resolve, reject) => {
-        const transaction = IndexedDBStorage.db.transaction([DB_CONFIG.STORES.THREADS], 'readwrite');
-        const store = transaction.objectStore(DB_CONFIG.STORES.THREADS);
-        
-        // Clear existing threads
-        const clearRequest = store.clear();
+        const transaction = IndexedDBStorage.db.transaction(THREAD_STORES, 'readwrite');
+        const messagesStore = transaction.objectStore(DB_CONFIG.STORES.MESSAGES);
+        const keptIds = new Set(cleanedThreads.map(thread => thread.id));
         
-        clearRequest.onsuccess = () => {
-          // Add all threads as individual records
-          let countAdded = 0;
-          
-          cleanedThreads.forEach(thread => {
-            const addRequest = store.add(thread);
-            
-            addRequest.onsuccess = () => {
-              countAdded++;
-              if (countAdded === cleanedThreads.length) {
-                log(`Successfully saved ${countAdded} threads to IndexedDB`);
-              }
-            };
-            
-            addRequest.onerror = (event) => {
-              console.error(`Error adding thread ${thread.id}:`, event.target.error);
-            };
-          });
+        // Clear existing threads and their annotations, then write every thread.
+        // Messages are only dropped for threads that are gone, since summaries don't carry them.
+        transaction.objectStore(DB_CONFIG.STORES.THREADS).clear();
+        transaction.objectStore(DB_CONFIG.STORES.ANNOTATIONS).clear();
+        messagesStore.getAllKeys().onsuccess = (event) => {
+          event.target.result
+            .filter(threadId => !keptIds.has(threadId))
+            .forEach(threadId => messagesStore.delete(threadId));
         };
+        cleanedThreads.forEach(thread => writeThread(transaction, thread));
         
         transaction.oncomplete = () => {
+          log(`Successfully saved ${cleanedThreads.length} threads to IndexedDB`);
           resolve(true);
         };
         
@@ -169,6 +750,82 @@ const IndexedDBStorage = {
     }
   },
   
+  /**
+   * Add or update a set of threads in one transaction, leaving other threads untouched
+   * @param {Array} threads Array of thread objects to upsert
+   * @returns {Promise<boolean>} Promise resolving to success state
+   */
+  putThreads: async (threads) => {
+    if (!threads || !Array.isArray(threads)) {
+      console.error('Invalid threads data provided to putThreads');
+      return false;
+    }
+    
+    try {
+      await IndexedDBStorage.init();
+      
+      const cleanedThreads = threads.filter(thread => thread && typeof thread === 'object' && thread.id);
+      
+      return new Promise((resolve, reject) => {
+        const transaction = IndexedDBStorage.db.transaction(THREAD_STORES, 'readwrite');
+        
+        cleanedThreads.forEach(thread => writeEditedThread(transaction, thread));
+        
+        transaction.oncomplete = () => {
+          log(`Successfully put ${cleanedThreads.length} threads to IndexedDB`);
+          resolve(true);
+        };
+        
+        transaction.onerror = (event) => {
+          console.error('Transaction error while putting threads:', event.target.error);
+          reject(event.target.error);
+        };
+      });
+    } catch (error) {
+      console.error('Error in putThreads:', error);
+      return false;
+    }
+  },
+  
+  /**
+   * Store a thread written by a sync, unless it was edited here since the sync read it
+   * @param {Object} thread Thread object with its synced revision
+   * @param {number} expectedRevision Revision the sync read (0 if the thread was not stored)
+   * @returns {Promise<boolean>} Promise resolving to true if the thread was stored
+   */
+  putSyncedThread: async (thread, expectedRevision) => {
+    try {
+      await IndexedDBStorage.init();
+      
+      return new Promise((resolve, reject) => {
+        const transaction = IndexedDBStorage.db.transaction(THREAD_STORES, 'readwrite');
+        let stored = false;
+        
+        transaction.objectStore(DB_CONFIG.STORES.THREADS).get(thread.id).onsuccess = (event) => {
+          if ((event.target.result?.revision || 0) === expectedRevision) {
+            writeThread(transaction, thread);
+            stored = true;
+          }
+        };
+        
+        transaction.oncomplete = () => {
+          if (!stored) {
+            log(`Thread ${thread.id} changed during the sync; keeping the local edit`);
+          }
+          resolve(stored);
+        };
+        
+        transaction.onerror = (event) => {
+          console.error(`Error storing synced thread ${thread.id}:`, event.target.error);
+          reject(event.target.error);
+        };
+      });
+    } catch (error) {
+      console.error('Error in putSyncedThread:', error);
+      return false;
+    }
+  },
+  
   /**
    * Get a specific thread by ID
    * @param {string} threadId The ID of the thread to retrieve
@@ -179,15 +836,18 @@ const IndexedDBStorage = {
       await IndexedDBStorage.init();
       
       return new Promise((resolve, reject) => {
-        const transaction = IndexedDBStorage.db.transaction([DB_CONFIG.STORES.THREADS], 'readonly');
-        const store = transaction.objectStore(DB_CONFIG.STORES.THREADS);
-        const request = store.get(threadId);
+        const transaction = IndexedDBStorage.db.transaction(THREAD_STORES, 'readonly');
+        const threadRequest = transaction.objectStore(DB_CONFIG.STORES.THREADS).get(threadId);
+        const annotationsRequest = transaction.objectStore(DB_CONFIG.STORES.ANNOTATIONS).getAll(getAnnotationRange(threadId));
+        const messagesRequest = transaction.objectStore(DB_CONFIG.STORES.MESSAGES).get(threadId);
         
-        request.onsuccess = () => {
-          resolve(request.result || null);
+        transaction.oncomplete = () => {
+          resolve(threadRequest.result
+            ? fromRecords(threadRequest.result, annotationsRequest.result, messagesRequest.result || null)
+            : null);
         };
         
-        request.onerror = (event) => {
+        transaction.onerror = (event) => {
           console.error(`Error getting thread ${threadId}:`, event.target.error);
           reject(event.target.error);
         };
@@ -213,29 +873,17 @@ const IndexedDBStorage = {
       await IndexedDBStorage.init();
       
       return new Promise((resolve, reject) => {
-        const transaction = IndexedDBStorage.db.transaction([DB_CONFIG.STORES.THREADS], 'readwrite');
-        const store = transaction.objectStore(DB_CONFIG.STORES.THREADS);
+        const transaction = IndexedDBStorage.db.transaction(THREAD_STORES, 'readwrite');
         
-        // Check if thread exists
-        const getRequest = store.get(thread.id);
+        writeEditedThread(transaction, thread);
         
-        getRequest.onsuccess = () => {
-          const existingThread = getRequest.result;
-          const request = existingThread ? store.put(thread) : store.add(thread);
-          
-          request.onsuccess = () => {
-            log(`${existingThread ? 'Updated' : 'Added'} thread with ID ${thread.id}`);
-            resolve(true);
-          };
-          
-          request.onerror = (event) => {
-            console.error(`Error saving thread ${thread.id}:`, event.target.error);
-            reject(event.target.error);
-          };
+        transaction.oncomplete = () => {
+          log(`Saved thread with ID ${thread.id}`);
+          resolve(true);
         };
         
-        getRequest.onerror = (event) => {
-          console.error(`Error checking thread ${thread.id}:`, event.target.error);
+        transaction.onerror = (event) => {
+          console.error(`Error saving thread ${thread.id}:`, event.target.error);
           reject(event.target.error);
         };
       });
@@ -246,7 +894,114 @@ const IndexedDBStorage = {
   },
   
   /**
-   * Delete a thread by ID
+   * Change a thread's annotations in one transaction, recorded as a local edit
+   * @param {string} threadId The ID of the thread
+   * @param {Function} update Called with the stored annotations; returns the new annotations
+   * @returns {Promise<boolean>} Promise resolving to false if the thread isn't stored
+   */
+  updateAnnotations: async (threadId, update) => {
+    try {
+      await IndexedDBStorage.init();
+      
+      return new Promise((resolve, reject) => {
+        const transaction = IndexedDBStorage.db.transaction(THREAD_STORES, 'readwrite');
+        const threadRequest = transaction.objectStore(DB_CONFIG.STORES.THREADS).get(threadId);
+        const annotationsRequest = transaction.objectStore(DB_CONFIG.STORES.ANNOTATIONS).getAll(getAnnotationRange(threadId));
+        let found = false;
+        
+        // Both requests are answered in order, so the annotations are in by the time this runs
+        annotationsRequest.onsuccess = () => {
+          if (!threadRequest.result) return;
+          found = true;
+          // Written as a summary, so the stored messages stay as they are
+          const thread = fromRecords(threadRequest.result, annotationsRequest.result);
+          const annotations = update(thread.annotations);
+          writeThread(transaction, {
+            ...thread,
+            annotations,
+            isAnnotated: annotations.length > 0,
+            revision: (thread.revision || 0) + 1,
+            updatedAt: new Date().toISOString()
+          });
+        };
+        
+        transaction.oncomplete = () => {
+          resolve(found);
+        };
+        
+        transaction.onerror = (event) => {
+          console.error(`Error updating annotations of thread ${threadId}:`, event.target.error);
+          reject(event.target.error);
+        };
+      });
+    } catch (error) {
+      console.error('Error in updateAnnotations:', error);
+      return false;
+    }
+  },
+  
+  /**
+   * Hand the annotations made here while signed out to the user who signed in,
+   * recorded as local edits so the next sync pushes them as that user's
+   * @param {Object} user Signed-in user with uid and email
+   * @returns {Promise<Array>} Promise resolving to the IDs of the threads changed
+   */
+  claimAnonymousAnnotations: async (user) => {
+    try {
+      await IndexedDBStorage.init();
+      
+      return new Promise((resolve, reject) => {
+        const transaction = IndexedDBStorage.db.transaction(THREAD_STORES, 'readwrite');
+        const threadsStore = transaction.objectStore(DB_CONFIG.STORES.THREADS);
+        const annotationsStore = transaction.objectStore(DB_CONFIG.STORES.ANNOTATIONS);
+        const anonymousRequest = annotationsStore
+          .index(DB_CONFIG.INDEXES.ANNOTATIONS_BY_ANNOTATOR)
+          .getAll('anonymous');
+        const threadIds = [];
+        
+        anonymousRequest.onsuccess = () => {
+          const claimedKeys = new Set(anonymousRequest.result.map(annotation => `${annotation._threadId}:${annotation._position}`));
+          new Set(anonymousRequest.result.map(annotation => annotation._threadId)).forEach(threadId => {
+            const threadRequest = threadsStore.get(threadId);
+            const annotationsRequest = annotationsStore.getAll(getAnnotationRange(threadId));
+            annotationsRequest.onsuccess = () => {
+              if (!threadRequest.result) return;
+              threadIds.push(threadId);
+              const thread = fromRecords(threadRequest.result);
+              writeThread(transaction, {
+                ...thread,
+                annotations: annotationsRequest.result.map(({ _threadId, _position, _annotator, ...annotation }) => (
+                  claimedKeys.has(`${_threadId}:${_position}`)
+                    ? { ...annotation, createdBy: user.email, createdByUid: user.uid }
+                    : annotation
+                )),
+                revision: (thread.revision || 0) + 1,
+                updatedAt: new Date().toISOString()
+              });
+            };
+          });
+        };
+        
+        transaction.oncomplete = () => {
+          if (threadIds.length > 0) {
+            log(`Claimed anonymous annotations on ${threadIds.length} threads for ${user.email}`);
+          }
+          resolve(threadIds);
+        };
+        
+        transaction.onerror = (event) => {
+          console.error('Error claiming anonymous annotations:', event.target.error);
+          reject(event.target.error);
+        };
+      });
+    } catch (error) {
+      console.error('Error in claimAnonymousAnnotations:', error);
+      return [];
+    }
+  },
+  
+  /**
+   * Delete a thread with its annotations and messages by ID
    * @param {string} threadId The ID of the thread to delete
    * @returns {Promise<boolean>} Promise resolving to success state
    */
@@ -255,16 +1010,17 @@ const IndexedDBStorage = {
       await IndexedDBStorage.init();
       
       return new Promise((resolve, reject) => {
-        const transaction = IndexedDBStorage.db.transaction([DB_CONFIG.STORES.THREADS], 'readwrite');
-        const store = transaction.objectStore(DB_CONFIG.STORES.THREADS);
-        const request = store.delete(threadId);
+        const transaction = IndexedDBStorage.db.transaction(THREAD_STORES, 'readwrite');
+        transaction.objectStore(DB_CONFIG.STORES.THREADS).delete(threadId);
+        transaction.objectStore(DB_CONFIG.STORES.ANNOTATIONS).delete(getAnnotationRange(threadId));
+        transaction.objectStore(DB_CONFIG.STORES.MESSAGES).delete(threadId);
         
-        request.onsuccess = () => {
+        transaction.oncomplete = () => {
           log(`Deleted thread with ID ${threadId}`);
           resolve(true);
         };
         
-        request.onerror = (event) => {
+        transaction.onerror = (event) => {
           console.error(`Error deleting thread ${threadId}:`, event.target.error);
           reject(event.target.error);
         };
@@ -275,6 +1031,185 @@ const IndexedDBStorage = {
     }
   },
   
+  /**
+   * Get the sync state of every thread that has been synced
+   * @returns {Promise<Array>} Promise resolving to { threadId, revision, base, syncedAt } records
+   */
+  getSyncStates: async () => {
+    try {
+      await IndexedDBStorage.init();
+      
+      return new Promise((resolve, reject) => {
+        const transaction = IndexedDBStorage.db.transaction([DB_CONFIG.STORES.SYNC_STATE], 'readonly');
+        const request = transaction.objectStore(DB_CONFIG.STORES.SYNC_STATE).getAll();
+        
+        request.onsuccess = () => {
+          resolve(request.result || []);
+        };
+        
+        request.onerror = (event) => {
+          console.error('Error getting sync state:', event.target.error);
+          reject(event.target.error);
+        };
+      });
+    } catch (error) {
+      console.error('Error in getSyncStates:', error);
+      return [];
+    }
+  },
+  
+  /**
+   * Get the remote updatedAt up to which every remote change has been synced
+   * @returns {Promise<string|null>} Promise resolving to an ISO time, or null before the first full sync
+   */
+  getSyncCheckpoint: async () => {
+    try {
+      await IndexedDBStorage.init();
+      
+      return new Promise((resolve, reject) => {
+        const transaction = IndexedDBStorage.db.transaction([DB_CONFIG.STORES.SETTINGS], 'readonly');
+        const request = transaction.objectStore(DB_CONFIG.STORES.SETTINGS).get(SYNC_CHECKPOINT_ID);
+        
+        request.onsuccess = () => {
+          resolve(request.result?.data || null);
+        };
+        
+        request.onerror = (event) => {
+          console.error('Error getting sync checkpoint:', event.target.error);
+          reject(event.target.error);
+        };
+      });
+    } catch (error) {
+      console.error('Error in getSyncCheckpoint:', error);
+      return null;
+    }
+  },
+  
+  /**
+   * Record and forget sync states in one transaction
+   * @param {Array} states Sync state records to put
+   * @param {Array} removedThreadIds Threads whose sync state is dropped (deleted on both sides)
+   * @param {string} checkpoint New sync checkpoint (see getSyncCheckpoint); leave out to keep the stored one
+   * @returns {Promise<boolean>} Promise resolving to success state
+   */
+  updateSyncStates: async (states = [], removedThreadIds = [], checkpoint) => {
+    try {
+      await IndexedDBStorage.init();
+      
+      return new Promise((resolve, reject) => {
+        const storeNames = checkpoint === undefined
+          ? [DB_CONFIG.STORES.SYNC_STATE]
+          : [DB_CONFIG.STORES.SYNC_STATE, DB_CONFIG.STORES.SETTINGS];
+        const transaction = IndexedDBStorage.db.transaction(storeNames, 'readwrite');
+        const store = transaction.objectStore(DB_CONFIG.STORES.SYNC_STATE);
+        states.forEach(state => store.put(state));
+        removedThreadIds.forEach(threadId => store.delete(threadId));
+        if (checkpoint !== undefined) {
+          transaction.objectStore(DB_CONFIG.STORES.SETTINGS).put({ id: SYNC_CHECKPOINT_ID, data: checkpoint });
+        }
+        
+        transaction.oncomplete = () => {
+          resolve(true);
+        };
+        
+        transaction.onerror = (event) => {
+          console.error('Error updating sync state:', event.target.error);
+          reject(event.target.error);
+        };
+      });
+    } catch (error) {
+      console.error('Error in updateSyncStates:', error);
+      return false;
+    }
+  },
+  
+  /**
+   * Append entries to the outbox
+   * @param {Array} entries Outbox entries without an id; one is assigned on insert
+   * @returns {Promise<boolean>} Promise resolving to success state
+   */
+  addOutboxEntries: async (entries) => {
+    try {
+      await IndexedDBStorage.init();
+      
+      return new Promise((resolve, reject) => {
+        const transaction = IndexedDBStorage.db.transaction([DB_CONFIG.STORES.OUTBOX], 'readwrite');
+        const store = transaction.objectStore(DB_CONFIG.STORES.OUTBOX);
+        entries.forEach(entry => store.add(entry));
+        
+        transaction.oncomplete = () => {
+          resolve(true);
+        };
+        
+        transaction.onerror = (event) => {
+          console.error('Error adding outbox entries:', event.target.error);
+          reject(event.target.error);
+        };
+      });
+    } catch (error) {
+      console.error('Error in addOutboxEntries:', error);
+      return false;
+    }
+  },
+  
+  /**
+   * Get every outbox entry, oldest first
+   * @returns {Promise<Array>} Promise resolving to { id, threadId, type, queuedAt, attempts, status, lastError } entries
+   */
+  getOutboxEntries: async () => {
+    try {
+      await IndexedDBStorage.init();
+      
+      return new Promise((resolve, reject) => {
+        const transaction = IndexedDBStorage.db.transaction([DB_CONFIG.STORES.OUTBOX], 'readonly');
+        const request = transaction.objectStore(DB_CONFIG.STORES.OUTBOX).getAll();
+        
+        request.onsuccess = () => {
+          resolve(request.result || []);
+        };
+        
+        request.onerror = (event) => {
+          console.error('Error getting outbox entries:', event.target.error);
+          reject(event.target.error);
+        };
+      });
+    } catch (error) {
+      console.error('Error in getOutboxEntries:', error);
+      return [];
+    }
+  },
+  
+  /**
+   * Update and remove outbox entries in one transaction
+   * @param {Array} entries Entries to put back, e.g. with a new attempt count
+   * @param {Array} removedIds Ids of entries that were replayed
+   * @returns {Promise<boolean>} Promise resolving to success state
+   */
+  updateOutboxEntries: async (entries = [], removedIds = []) => {
+    try {
+      await IndexedDBStorage.init();
+      
+      return new Promise((resolve, reject) => {
+        const transaction = IndexedDBStorage.db.transaction([DB_CONFIG.STORES.OUTBOX], 'readwrite');
+        const store = transaction.objectStore(DB_CONFIG.STORES.OUTBOX);
+        entries.forEach(entry => store.put(entry));
+        removedIds.forEach(id => store.delete(id));
+        
+        transaction.oncomplete = () => {
+          resolve(true);
+        };
+        
+        transaction.onerror = (event) => {
+          console.error('Error updating outbox entries:', event.target.error);
+          reject(event.target.error);
+        };
+      });
+    } catch (error) {
+      console.error('Error in updateOutboxEntries:', error);
+      return false;
+    }
+  },
+  
   /**
    * Get application settings
    * @returns {Promise<Object>} Promise resolving to settings object
@@ -350,7 +1285,7 @@ const IndexedDBStorage = {
       
       return new Promise((resolve, reject) => {
         const transaction = IndexedDBStorage.db.transaction(
-          [DB_CONFIG.STORES.THREADS, DB_CONFIG.STORES.SETTINGS], 
+          [...THREAD_STORES, DB_CONFIG.STORES.SYNC_STATE, DB_CONFIG.STORES.OUTBOX, DB_CONFIG.STORES.SETTINGS], 
           'readwrite'
         );
         
@@ -365,6 +1300,30 @@ const IndexedDBStorage = {
           console.error('Error clearing threads store:', event.target.error);
         };
         
+        // Clear annotations
+        const annotationsStore = transaction.objectStore(DB_CONFIG.STORES.ANNOTATIONS);
+        annotationsStore.clear().onerror = (event) => {
+          console.error('Error clearing annotations store:', event.target.error);
+        };
+        
+        // Clear messages
+        const messagesStore = transaction.objectStore(DB_CONFIG.STORES.MESSAGES);
+        messagesStore.clear().onerror = (event) => {
+          console.error('Error clearing messages store:', event.target.error);
+        };
+        
+        // Clear sync state
+        const syncStateStore = transaction.objectStore(DB_CONFIG.STORES.SYNC_STATE);
+        syncStateStore.clear().onerror = (event) => {
+          console.error('Error clearing sync state store:', event.target.error);
+        };
+        
+        // Clear pending remote writes
+        const outboxStore = transaction.objectStore(DB_CONFIG.STORES.OUTBOX);
+        outboxStore.clear().onerror = (event) => {
+          console.error('Error clearing outbox store:', event.target.error);
+        };
+        
         // Clear settings
         const settingsStore = transaction.objectStore(DB_CONFIG.STORES.SETTINGS);
         settingsStore.clear().onerror = (event) => {
@@ -390,10 +1349,19 @@ const IndexedDBStorage = {
     try {
       await IndexedDBStorage.init();
       
-      const threads = await IndexedDBStorage.getThreads();
+      // Count records instead of loading every thread
+      const [threadCount, annotationCount] = await Promise.all(
+        [DB_CONFIG.STORES.THREADS, DB_CONFIG.STORES.ANNOTATIONS].map(storeName => new Promise((resolve, reject) => {
+          const request = IndexedDBStorage.db.transaction([storeName], 'readonly').objectStore(storeName).count();
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = (event) => reject(event.target.error);
+        }))
+      );
       
       return {
-        threadCount: threads.length,
+        threadCount,
+        annotationCount,
+        schemaVersion: IndexedDBStorage.db.version,
         isIndexedDB: true,
         storageType: 'IndexedDB'
       };
@@ -0,0 +1,257 @@
+/**
+ * Outbox
+ *
+ * Log of threads written to IndexedDB that still have to reach the remote
+ * backend (Firestore by default, see remoteBackend.js).
+ * While signed in, every write is queued here and replayed by syncing the
+ * queued threads: right away when online, and otherwise once the browser is
+ * back online or the user signs in again. A thread whose only queued writes
+ * are annotation changes has them replayed one by one through the backend's
+ * atomic annotation operations, so annotators working on the same thread
+ * never have to wait on each other's revisions. Replays that fail for reasons other
+ * than a lost connection are retried a few times before the entry is marked
+ * failed; entries whose thread was also edited in the cloud are marked failed
+ * straight away and are settled by a full sync.
+ */
+
+import IndexedDBStorage from './indexedDBStorage';
+import remoteStorage from './remoteBackend';
+import { syncThreadIds } from './syncEngine';
+
+export const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  FAILED: 'failed'
+};
+
+export const OUTBOX_WRITE_TYPES = {
+  SAVE: 'save',
+  DELETE: 'delete',
+  // Carries { op: 'add' | 'update' | 'delete', annotationId, annotation }
+  ANNOTATION: 'annotation'
+};
+
+// Failed replays before an entry stops being retried automatically
+const MAX_ATTEMPTS = 5;
+
+// Delay before pending entries are replayed again after a failed replay
+const RETRY_DELAY_MS = 30000;
+
+// Error codes for a missing connection (Firestore's, which the REST backend reuses); these don't use up an attempt
+const OFFLINE_ERROR_CODES = ['unavailable', 'deadline-exceeded'];
+
+const CONFLICT_MESSAGE = 'Also edited in the cloud; run Sync to choose which version to keep';
+
+const listeners = new Set();
+let status = { pending: 0, failed: 0, online: true, replaying: false };
+let replayPromise = null;
+let replayAgain = false;
+let retryTimer = null;
+
+const isOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false;
+
+const isOfflineError = (error) => !isOnline() || OFFLINE_ERROR_CODES.includes(error?.code);
+
+/**
+ * Recount the outbox and tell the listeners
+ * @param {Object} changes - Status fields to set along with the counts
+ */
+const publishStatus = async (changes = {}) => {
+  const entries = await IndexedDBStorage.getOutboxEntries();
+  status = {
+    ...status,
+    ...changes,
+    online: isOnline(),
+    pending: entries.filter(entry => entry.status === OUTBOX_STATUS.PENDING).length,
+    failed: entries.filter(entry => entry.status === OUTBOX_STATUS.FAILED).length
+  };
+  listeners.forEach(listener => listener(status));
+};
+
+/**
+ * Replay one annotation change with the backend's atomic annotation operations
+ * @param {Object} entry - Outbox entry of type ANNOTATION
+ * @returns {Promise<number>} The thread's new remote revision
+ */
+const replayAnnotationWrite = (entry) => {
+  switch (entry.op) {
+    case 'add':
+      return remoteStorage.addAnnotation(entry.threadId, entry.annotation);
+    case 'update':
+      return remoteStorage.updateAnnotation(entry.threadId, entry.annotationId, entry.annotation);
+    case 'delete':
+      return remoteStorage.deleteAnnotation(entry.threadId, entry.annotationId);
+    default:
+      throw new Error(`Unknown annotation change "${entry.op}"`);
+  }
+};
+
+const scheduleRetry = () => {
+  if (retryTimer) return;
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    replayOutbox();
+  }, RETRY_DELAY_MS);
+};
+
+/**
+ * Replay every pending entry once
+ * @returns {Promise<Object|null>} Sync result, or null if nothing was replayed
+ */
+const replayPendingEntries = async () => {
+  if (!remoteStorage.getCurrentUser() || !isOnline()) {
+    return null;
+  }
+
+  const entries = (await IndexedDBStorage.getOutboxEntries())
+    .filter(entry => entry.status === OUTBOX_STATUS.PENDING);
+  if (entries.length === 0) {
+    return null;
+  }
+
+  const entriesByThread = new Map();
+  entries.forEach(entry => {
+    entriesByThread.set(entry.threadId, [...(entriesByThread.get(entry.threadId) || []), entry]);
+  });
+
+  const updatedEntries = [];
+  const replayedIds = [];
+  const syncedThreadIds = [];
+
+  for (const [threadId, threadEntries] of entriesByThread) {
+    if (!threadEntries.every(entry => entry.type === OUTBOX_WRITE_TYPES.ANNOTATION)) {
+      syncedThreadIds.push(threadId);
+      continue;
+    }
+    // The rest of the thread (and its sync state) catches up through the live listener or the next sync
+    try {
+      for (const entry of threadEntries) {
+        await replayAnnotationWrite(entry);
+        replayedIds.push(entry.id);
+        entriesByThread.set(threadId, entriesByThread.get(threadId).filter(pending => pending.id !== entry.id));
+      }
+    } catch (error) {
+      if (isOfflineError(error)) {
+        // The entries stay pending; the online event covers a lost connection, the retry an unreachable backend
+        scheduleRetry();
+        continue;
+      }
+      // e.g. the thread isn't in the cloud yet; a sync writes the whole thread instead
+      console.error(`Error replaying annotation changes of thread ${threadId}:`, error);
+      syncedThreadIds.push(threadId);
+    }
+  }
+
+  const result = await syncThreadIds(syncedThreadIds, (threadId, outcome, error) => {
+    const threadEntries = entriesByThread.get(threadId);
+    if (!error && outcome !== 'conflict') {
+      replayedIds.push(...threadEntries.map(entry => entry.id));
+      return;
+    }
+
+    const offline = error && isOfflineError(error);
+    threadEntries.forEach(entry => {
+      const attempts = entry.attempts + (offline ? 0 : 1);
+      updatedEntries.push({
+        ...entry,
+        attempts,
+        lastError: error ? error.message : CONFLICT_MESSAGE,
+        status: !error || attempts >= MAX_ATTEMPTS ? OUTBOX_STATUS.FAILED : OUTBOX_STATUS.PENDING
+      });
+    });
+  });
+
+  await IndexedDBStorage.updateOutboxEntries(updatedEntries, replayedIds);
+  if (updatedEntries.some(entry => entry.status === OUTBOX_STATUS.PENDING)) {
+    scheduleRetry();
+  }
+  return result;
+};
+
+/**
+ * Replay the pending entries to the remote backend; a call made during a replay runs another pass after it
+ * @returns {Promise<Object|null>} Sync result of the last pass, or null if nothing was replayed
+ */
+export const replayOutbox = () => {
+  if (replayPromise) {
+    replayAgain = true;
+    return replayPromise;
+  }
+
+  replayPromise = (async () => {
+    await publishStatus({ replaying: true });
+    let result = null;
+    try {
+      do {
+        replayAgain = false;
+        result = await replayPendingEntries() || result;
+      } while (replayAgain);
+    } catch (error) {
+      console.error('Error replaying outbox:', error);
+      scheduleRetry();
+    } finally {
+      replayPromise = null;
+      await publishStatus({ replaying: false });
+    }
+    return result;
+  })();
+  return replayPromise;
+};
+
+/**
+ * Log writes of threads that still have to reach the remote backend, then start a replay
+ * @param {Array} threadIds - IDs of the threads written to IndexedDB
+ * @param {string} type - OUTBOX_WRITE_TYPES value
+ * @param {Object} details - Extra fields of the entries, e.g. the annotation change
+ * @returns {Promise<void>} Resolves once the writes are logged (not replayed)
+ */
+export const queueWrites = async (threadIds, type = OUTBOX_WRITE_TYPES.SAVE, details = {}) => {
+  if (threadIds.length === 0) return;
+
+  const queuedAt = new Date().toISOString();
+  await IndexedDBStorage.addOutboxEntries(threadIds.map(threadId => ({
+    ...details,
+    threadId,
+    type,
+    queuedAt,
+    attempts: 0,
+    status: OUTBOX_STATUS.PENDING,
+    lastError: null
+  })));
+  await publishStatus();
+  replayOutbox();
+};
+
+/**
+ * Give failed entries another round of attempts and replay them
+ * @returns {Promise<Object|null>} Sync result of the replay
+ */
+export const retryFailedWrites = async () => {
+  const failed = (await IndexedDBStorage.getOutboxEntries())
+    .filter(entry => entry.status === OUTBOX_STATUS.FAILED)
+    .map(entry => ({ ...entry, status: OUTBOX_STATUS.PENDING, attempts: 0 }));
+  if (failed.length > 0) {
+    await IndexedDBStorage.updateOutboxEntries(failed);
+  }
+  return replayOutbox();
+};
+
+/**
+ * Listen for changes in the number of pending and failed writes
+ * @param {Function} listener - Called with { pending, failed, online, replaying }
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeOutbox = (listener) => {
+  listeners.add(listener);
+  listener(status);
+  publishStatus();
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Replay the outbox whenever the browser comes back online
+ */
+export const initOutbox = () => {
+  window.addEventListener('online', () => replayOutbox());
+  window.addEventListener('offline', () => publishStatus());
+  replayOutbox();
+};
@@ -0,0 +1,119 @@
+/**
+ * Remote Backend
+ *
+ * The shared store annotators sync with. IndexedDB stays the working copy (see
+ * storageService.js); everything that talks to the shared store goes through
+ * the adapter picked here with REACT_APP_STORAGE_BACKEND:
+ * - 'firebase' (default): Firestore and Firebase Auth (firebaseStorage.js)
+ * - 'rest': a self-hosted REST API at REACT_APP_REST_API_URL (restStorage.js),
+ *   e.g. the reference server in scripts/rest-server.js
+ *
+ * Every adapter implements the methods in REMOTE_BACKEND_METHODS:
+ *
+ * Auth
+ * - signIn(email, password), signUp(email, password), signOut()
+ * - getCurrentUser() -> { uid, email, displayName } or null
+ * - onAuthStateChanged(listener) -> unsubscribe; listener gets the user or null
+ *
+ * Threads (thread summaries have no messages or annotations)
+ * - getThreadSummaries({ updatedAfter }) -> thread summaries with their revisions;
+ *   with updatedAfter (an updatedAt the backend returned), only the threads
+ *   updated after it
+ * - countThreads() -> number of threads stored
+ * - getThread(threadId) -> thread with messages and annotations, or null
+ * - pushSyncedThread(thread, expectedRevision) -> the annotations now stored:
+ *   write the thread with its own revision, taking only the current user's
+ *   annotations from it (everyone else's stay as stored); fails with code
+ *   'revision-mismatch' if the stored revision (0 for none) isn't expectedRevision
+ * - deleteSyncedThread(threadId, expectedRevision): same check, then delete
+ * - subscribeToThreadChanges(onChange, onError, { updatedAfter }) -> unsubscribe;
+ *   onChange gets { savedThreads, deletedIds }, on the first call every thread
+ *   (or, with updatedAfter, the threads updated after it)
+ *
+ * Annotations (each bumps the thread's revision and returns the new one;
+ * a missing thread fails with code 'not-found')
+ * - addAnnotation(threadId, annotation)
+ * - updateAnnotation(threadId, annotationId, changes)
+ * - deleteAnnotation(threadId, annotationId)
+ *
+ * Users and roles (see roles.js)
+ * - getUserProfile() -> { uid, email, role } of the current user
+ * - getUsers() -> every user's { uid, email, role }
+ * - setUserRole(uid, role): only allowed for admins
+ *
+ * Settings of the current user (without the rubric)
+ * - getSettings() -> settings object, or null if none were saved
+ * - saveSettings(settings)
+ *
+ * Project rubric, shared by every user
+ * - getProjectRubric() -> rubric, or null if none was saved
+ * - saveProjectRubric(rubric): only allowed for admins
+ *
+ * Presence
+ * - setPresence(threadId), clearPresence()
+ * - subscribeToPresence(onChange, onError) -> unsubscribe; onChange gets
+ *   every { uid, name, threadId, updatedAt } entry, updatedAt in milliseconds
+ *
+ * Errors from a missing connection carry code 'unavailable' so the outbox
+ * waits for the connection instead of using up retries.
+ */
+
+export const BACKEND_TYPES = {
+  FIREBASE: 'firebase',
+  REST: 'rest'
+};
+
+export const REMOTE_BACKEND_METHODS = [
+  'signIn',
+  'signUp',
+  'signOut',
+  'getCurrentUser',
+  'onAuthStateChanged',
+  'getThreadSummaries',
+  'countThreads',
+  'getThread',
+  'pushSyncedThread',
+  'deleteSyncedThread',
+  'subscribeToThreadChanges',
+  'addAnnotation',
+  'updateAnnotation',
+  'deleteAnnotation',
+  'getUserProfile',
+  'getUsers',
+  'setUserRole',
+  'getSettings',
+  'saveSettings',
+  'getProjectRubric',
+  'saveProjectRubric',
+  'setPresence',
+  'clearPresence',
+  'subscribeToPresence'
+];
+
+export const BACKEND_TYPE = process.env.REACT_APP_STORAGE_BACKEND || BACKEND_TYPES.FIREBASE;
+
+/**
+ * Load the configured adapter. Adapters are required here rather than imported
+ * at the top so the one not in use never runs, e.g. Firebase isn't initialized
+ * without its configuration when the REST backend is picked.
+ * @returns {Object} Adapter implementing REMOTE_BACKEND_METHODS
+ */
+const loadBackend = () => {
+  switch (BACKEND_TYPE) {
+    case BACKEND_TYPES.FIREBASE:
+      return require('./firebaseStorage');
+    case BACKEND_TYPES.REST:
+      return require('./restStorage');
+    default:
+      throw new Error(`Unknown storage backend "${BACKEND_TYPE}"; use one of ${Object.values(BACKEND_TYPES).join(', ')}`);
+  }
+};
+
+const backend = loadBackend();
+
+const missingMethods = REMOTE_BACKEND_METHODS.filter(method => typeof backend[method] !== 'function');
+if (missingMethods.length > 0) {
+  throw new Error(`Storage backend "${BACKEND_TYPE}" is missing ${missingMethods.join(', ')}`);
+}
+
+export default backend;
@@ -0,0 +1,296 @@
+/**
+ * REST backend: a self-hosted API behind the adapter contract in remoteBackend.js.
+ * scripts/rest-server.js is a reference server; see the README there for the endpoints.
+ */
+
+// Debug mode
+const DEBUG = true;
+
+// Log helper
+const log = (message, data) => {
+  if (DEBUG) {
+    console.log(`[RestStorage] ${message}`, data || '');
+  }
+};
+
+const API_URL = (process.env.REACT_APP_REST_API_URL || 'http://localhost:4000').replace(/\/$/, '');
+
+// The signed-in session ({ token, user }) is kept across page reloads
+const SESSION_KEY = 'restStorageSession';
+
+// Error code when a thread changed remotely between a sync's read and its write
+export const REVISION_MISMATCH = 'revision-mismatch';
+
+const authListeners = new Set();
+
+const loadSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY)) || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+let session = loadSession();
+
+const setSession = (nextSession) => {
+  session = nextSession;
+  if (session) {
+    localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  } else {
+    localStorage.removeItem(SESSION_KEY);
+  }
+  authListeners.forEach(listener => listener(getCurrentUser()));
+};
+
+const requireUser = (operation) => {
+  if (!session) {
+    log(`User not authenticated during ${operation}`);
+    throw new Error('User not authenticated');
+  }
+};
+
+/**
+ * Call the API
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below the API URL
+ * @param {Object} body - JSON body, if any
+ * @returns {Promise<*>} Parsed response, or null for an empty one
+ */
+const request = async (method, path, body) => {
+  let response;
+  try {
+    response = await fetch(`${API_URL}${path}`, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(session ? { Authorization: `Bearer ${session.token}` } : {})
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+  } catch (networkError) {
+    // Same code as Firestore uses, so queued writes wait for the connection
+    const error = new Error(`Storage server unreachable: ${networkError.message}`);
+    error.code = 'unavailable';
+    throw error;
+  }
+
+  const text = await response.text();
+  const data = text ? JSON.parse(text) : null;
+  if (!response.ok) {
+    // The session was revoked or the server lost it
+    if (response.status === 401 && session) {
+      setSession(null);
+    }
+    const error = new Error(data?.error || `Request failed with status ${response.status}`);
+    error.code = data?.code;
+    throw error;
+  }
+  return data;
+};
+
+/**
+ * Listen to one event type of the server's event stream
+ * @param {string} eventType - 'threads' or 'presence'
+ * @param {Function} onChange - Called with each event's data
+ * @param {Function} onError - Called if the stream stops for good
+ * @returns {Function} Unsubscribe function
+ */
+const subscribeToEvents = (eventType, onChange, onError, updatedAfter = null) => {
+  // EventSource can't send headers, so the token goes in the query
+  const since = updatedAfter ? `&updatedAfter=${encodeURIComponent(updatedAfter)}` : '';
+  const source = new EventSource(`${API_URL}/events?token=${encodeURIComponent(session.token)}${since}`);
+  source.addEventListener(eventType, (event) => onChange(JSON.parse(event.data)));
+  source.onerror = () => {
+    // The browser reconnects on its own unless the server refused the stream
+    if (source.readyState === EventSource.CLOSED && onError) {
+      onError(new Error(`Event stream for ${eventType} closed`));
+    }
+  };
+  return () => source.close();
+};
+
+// User authentication
+export const signIn = async (email, password) => {
+  log(`Signing in user: ${email}`);
+  const result = await request('POST', '/auth/signin', { email, password });
+  setSession(result);
+  return result;
+};
+
+export const signUp = async (email, password) => {
+  log(`Creating new user: ${email}`);
+  const result = await request('POST', '/auth/signup', { email, password });
+  setSession(result);
+  return result;
+};
+
+export const signOut = async () => {
+  log('Signing out user');
+  try {
+    if (session) {
+      await request('POST', '/auth/signout');
+    }
+  } finally {
+    setSession(null);
+  }
+};
+
+export const getCurrentUser = () => {
+  return session ? session.user : null;
+};
+
+// Listen for sign-in and sign-out; like Firebase, the listener is called right away with the current user
+export const onAuthStateChanged = (listener) => {
+  authListeners.add(listener);
+  listener(getCurrentUser());
+  return () => authListeners.delete(listener);
+};
+
+// Threads as summaries (no messages or annotations), e.g. to compare revisions when syncing;
+// with updatedAfter, only the threads updated after it
+export const getThreadSummaries = async ({ updatedAfter = null } = {}) => {
+  requireUser('getThreadSummaries');
+  const summaries = await request('GET', updatedAfter ? `/threads?updatedAfter=${encodeURIComponent(updatedAfter)}` : '/threads');
+  log(`Retrieved ${summaries.length} thread summaries`);
+  return summaries;
+};
+
+// Number of threads stored
+export const countThreads = async () => {
+  requireUser('countThreads');
+  const { count } = await request('GET', '/thread-count');
+  return count;
+};
+
+export const getThread = async (threadId) => {
+  requireUser('getThread');
+  try {
+    return await request('GET', `/threads/${encodeURIComponent(threadId)}`);
+  } catch (error) {
+    if (error.code === 'not-found') {
+      log(`Thread ${threadId} not found`);
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Write a merged thread with an exact revision, unless it changed remotely since the sync read it;
+// resolves to the thread's annotations as the server now stores them
+export const pushSyncedThread = async (thread, expectedRevision) => {
+  requireUser('pushSyncedThread');
+  const { annotations } = await request('PUT', `/threads/${encodeURIComponent(thread.id)}`, { thread, expectedRevision });
+  log(`Pushed thread ${thread.id} at revision ${thread.revision}`);
+  return annotations;
+};
+
+// Delete a thread that was deleted locally, unless it changed remotely since the sync read it
+export const deleteSyncedThread = async (threadId, expectedRevision) => {
+  requireUser('deleteSyncedThread');
+  await request('DELETE', `/threads/${encodeURIComponent(threadId)}?expectedRevision=${expectedRevision}`);
+  log(`Deleted thread ${threadId} during sync`);
+};
+
+// Add an annotation to a thread without touching its other annotations
+export const addAnnotation = async (threadId, annotation) => {
+  requireUser('addAnnotation');
+  const { revision } = await request('POST', `/threads/${encodeURIComponent(threadId)}/annotations`, { annotation });
+  log(`Added annotation to thread ${threadId}`);
+  return revision;
+};
+
+// Change fields of one annotation
+export const updateAnnotation = async (threadId, annotationId, changes) => {
+  requireUser('updateAnnotation');
+  const { revision } = await request(
+    'PATCH',
+    `/threads/${encodeURIComponent(threadId)}/annotations/${encodeURIComponent(annotationId)}`,
+    { changes }
+  );
+  log(`Updated annotation ${annotationId} of thread ${threadId}`);
+  return revision;
+};
+
+// Delete one annotation; deleting one that is already gone is not an error
+export const deleteAnnotation = async (threadId, annotationId) => {
+  requireUser('deleteAnnotation');
+  const { revision } = await request(
+    'DELETE',
+    `/threads/${encodeURIComponent(threadId)}/annotations/${encodeURIComponent(annotationId)}`
+  );
+  log(`Deleted annotation ${annotationId} of thread ${threadId}`);
+  return revision;
+};
+
+// The current user's { uid, email, role }
+export const getUserProfile = async () => {
+  requireUser('getUserProfile');
+  return request('GET', '/me');
+};
+
+// Every user with their roles
+export const getUsers = async () => {
+  requireUser('getUsers');
+  return request('GET', '/users');
+};
+
+// Change a user's role; the server only allows this for admins
+export const setUserRole = async (uid, role) => {
+  requireUser('setUserRole');
+  await request('PUT', `/users/${encodeURIComponent(uid)}/role`, { role });
+  log(`Set role of user ${uid} to ${role}`);
+};
+
+// Listen for threads changed by anyone; the server sends every thread (or those updated after
+// updatedAfter) when the stream (re)connects
+export const subscribeToThreadChanges = (onChange, onError, { updatedAfter = null } = {}) => {
+  requireUser('subscribeToThreadChanges');
+  return subscribeToEvents('threads', onChange, onError, updatedAfter);
+};
+
+// Settings the current user saved last, or null if they never saved any
+export const getSettings = async () => {
+  requireUser('getSettings');
+  const { settings } = await request('GET', '/settings');
+  return settings;
+};
+
+// Replace the current user's settings
+export const saveSettings = async (settings) => {
+  requireUser('saveSettings');
+  await request('PUT', '/settings', { settings });
+  log('Settings saved');
+};
+
+// The rubric shared by every user, or null if no admin saved one yet
+export const getProjectRubric = async () => {
+  requireUser('getProjectRubric');
+  const { rubric } = await request('GET', '/project/rubric');
+  return rubric;
+};
+
+// Replace the shared rubric; the server only allows this for admins
+export const saveProjectRubric = async (rubric) => {
+  requireUser('saveProjectRubric');
+  await request('PUT', '/project/rubric', { rubric });
+  log('Project rubric saved');
+};
+
+// Record which thread the current user has open (null for none)
+export const setPresence = async (threadId) => {
+  requireUser('setPresence');
+  await request('PUT', '/presence', { threadId: threadId || null });
+};
+
+// Remove the current user's presence, e.g. before signing out
+export const clearPresence = async () => {
+  if (!session) return;
+  await request('DELETE', '/presence');
+};
+
+// Listen for presence entries ({ uid, name, threadId, updatedAt }, updatedAt in milliseconds)
+export const subscribeToPresence = (onChange, onError) => {
+  requireUser('subscribeToPresence');
+  return subscribeToEvents('presence', onChange, onError);
+};
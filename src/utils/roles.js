@@ -0,0 +1,204 @@
+/**
+ * Roles
+ *
+ * Each user has one role, kept in the backend's `users` collection:
+ * - annotator: annotates threads and edits or deletes their own annotations
+ * - reviewer: can also edit or delete anyone's annotations and assign threads
+ * - admin: can also add threads and change their title, metadata or messages, delete threads,
+ *   edit the rubric, replace or clear data and assign roles
+ * Users without a stored role are annotators. The app hides what a role can't
+ * do; the backend enforces it (generateFirestoreRules for Firestore).
+ */
+
+export const ROLES = {
+  ANNOTATOR: 'annotator',
+  REVIEWER: 'reviewer',
+  ADMIN: 'admin'
+};
+
+export const DEFAULT_ROLE = ROLES.ANNOTATOR;
+
+export const ROLE_LABELS = {
+  [ROLES.ANNOTATOR]: 'Annotator',
+  [ROLES.REVIEWER]: 'Reviewer',
+  [ROLES.ADMIN]: 'Admin'
+};
+
+export const PERMISSIONS = {
+  // Edit or delete annotations made by someone else
+  MODERATE_ANNOTATIONS: 'moderateAnnotations',
+  // Assign threads to annotators' queues
+  ASSIGN_THREADS: 'assignThreads',
+  // Add threads and change their title, metadata or messages
+  EDIT_THREADS: 'editThreads',
+  DELETE_THREADS: 'deleteThreads',
+  EDIT_RUBRIC: 'editRubric',
+  // Replace everything on import, or clear all data
+  REPLACE_DATA: 'replaceData',
+  MANAGE_ROLES: 'manageRoles'
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLES.ANNOTATOR]: [],
+  [ROLES.REVIEWER]: [PERMISSIONS.MODERATE_ANNOTATIONS, PERMISSIONS.ASSIGN_THREADS],
+  [ROLES.ADMIN]: Object.values(PERMISSIONS)
+};
+
+/**
+ * Normalize a stored role, falling back to the default for unknown values
+ * @param {string} role - Role from the backend
+ * @returns {string} One of ROLES
+ */
+export const normalizeRole = (role) => (
+  Object.values(ROLES).includes(role) ? role : DEFAULT_ROLE
+);
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - One of ROLES
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {boolean} True if allowed
+ */
+export const hasPermission = (role, permission) => (
+  ROLE_PERMISSIONS[normalizeRole(role)].includes(permission)
+);
+
+/**
+ * Roles that grant a permission, e.g. for security rules
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {Array} Role names
+ */
+export const getRolesWithPermission = (permission) => (
+  Object.keys(ROLE_PERMISSIONS).filter(role => ROLE_PERMISSIONS[role].includes(permission))
+);
+
+/**
+ * Check whether a user may edit or delete an annotation
+ * @param {string} role - The user's role
+ * @param {Object} annotation - Annotation object
+ * @param {string} uid - The user's ID
+ * @returns {boolean} True for their own annotations, or anyone's with MODERATE_ANNOTATIONS
+ */
+export const canChangeAnnotation = (role, annotation, uid) => (
+  hasPermission(role, PERMISSIONS.MODERATE_ANNOTATIONS) || (!!uid && annotation?.createdByUid === uid)
+);
+
+const toRuleList = (roles) => `[${roles.map(role => `'${role}'`).join(', ')}]`;
+
+/**
+ * Firestore security rules enforcing the roles above; firestore.rules holds the same text
+ * @returns {string} Rules file contents
+ */
+export const generateFirestoreRules = () => {
+  const threadEditors = toRuleList(getRolesWithPermission(PERMISSIONS.EDIT_THREADS));
+  const threadDeleters = toRuleList(getRolesWithPermission(PERMISSIONS.DELETE_THREADS));
+  const moderators = toRuleList(getRolesWithPermission(PERMISSIONS.MODERATE_ANNOTATIONS));
+  const assigners = toRuleList(getRolesWithPermission(PERMISSIONS.ASSIGN_THREADS));
+  const roleManagers = toRuleList(getRolesWithPermission(PERMISSIONS.MANAGE_ROLES));
+  const rubricEditors = toRuleList(getRolesWithPermission(PERMISSIONS.EDIT_RUBRIC));
+
+  return `rules_version = '2';
+
+// Generated from src/utils/roles.js; threads are shared by every signed-in user
+service cloud.firestore {
+  match /databases/{database}/documents {
+    function signedIn() {
+      return request.auth != null;
+    }
+
+    // Users without a users document are ${DEFAULT_ROLE}s
+    function role() {
+      let userPath = /databases/$(database)/documents/users/$(request.auth.uid);
+      return exists(userPath) ? get(userPath).data.role : '${DEFAULT_ROLE}';
+    }
+
+    function hasRole(roles) {
+      return signedIn() && role() in roles;
+    }
+
+    // Threads written before the annotations subcollection keep their annotations inline;
+    // moving one out creates a document for its author with exactly the inline content
+    function isInlineAnnotation(threadId) {
+      return request.resource.data
+        in get(/databases/$(database)/documents/threads/$(threadId)).data.get('annotations', []);
+    }
+
+    // Every thread write names its writer and keeps annotations out of the thread document
+    function isValidThreadWrite() {
+      let thread = request.resource.data;
+      return thread.lastModifiedByUid == request.auth.uid
+        && !('annotations' in thread)
+        && thread.isAnnotated == (thread.get('annotationCount', 0) > 0);
+    }
+
+    // The fields annotation writes and syncs keep up to date, plus assignees (checked on their own);
+    // inline annotations can only be moved out
+    function changesOnlyAnnotationFields() {
+      return request.resource.data.diff(resource.data).affectedKeys().hasOnly([
+        'annotations', 'annotationCount', 'isAnnotated', 'revision', 'updatedAt',
+        'lastModifiedBy', 'lastModifiedByUid', 'assignees'
+      ]);
+    }
+
+    match /threads/{threadId} {
+      allow read: if signedIn();
+      // Only roles that edit threads add them or change their title, metadata or messages,
+      // and only roles that assign threads set or change a thread's assignees
+      allow create: if hasRole(${threadEditors}) && isValidThreadWrite()
+        && (request.resource.data.get('assignees', []).size() == 0 || hasRole(${assigners}));
+      allow update: if signedIn() && isValidThreadWrite()
+        && request.resource.data.revision > resource.data.get('revision', 0)
+        && (request.resource.data.get('assignees', []) == resource.data.get('assignees', []) || hasRole(${assigners}))
+        && (changesOnlyAnnotationFields() || hasRole(${threadEditors}));
+      allow delete: if hasRole(${threadDeleters});
+
+      // One document per annotation; authors create and change their own, moderators change anyone's
+      match /annotations/{annotationId} {
+        allow read: if signedIn();
+        allow create: if signedIn()
+          && (request.resource.data.createdByUid == request.auth.uid || isInlineAnnotation(threadId));
+        allow update: if signedIn()
+          && request.resource.data.createdByUid == resource.data.createdByUid
+          && (resource.data.createdByUid == request.auth.uid || hasRole(${moderators}));
+        allow delete: if signedIn()
+          && (resource.data.createdByUid == request.auth.uid || hasRole(${moderators}));
+      }
+    }
+
+    // Each thread's messages, kept apart so thread list pages stay small
+    match /threadMessages/{threadId} {
+      allow read: if signedIn();
+      allow create, update: if hasRole(${threadEditors});
+      allow delete: if hasRole(${threadDeleters});
+    }
+
+    // Which thread each user has open; anyone signed in can see it
+    match /presence/{userId} {
+      allow read: if signedIn();
+      allow write: if signedIn() && request.auth.uid == userId;
+    }
+
+    // Each user's app settings (CSV mapping presets)
+    match /settings/{userId} {
+      allow read, write: if signedIn() && request.auth.uid == userId;
+    }
+
+    // Shared by the whole project, e.g. the rubric everyone annotates with
+    match /project/{documentId} {
+      allow read: if signedIn();
+      allow write: if hasRole(${rubricEditors});
+    }
+
+    // Roles: everyone starts as ${DEFAULT_ROLE} and only ${roleManagers} can change a role
+    match /users/{userId} {
+      allow read: if signedIn();
+      allow create: if signedIn() && request.auth.uid == userId
+        && request.resource.data.role == '${DEFAULT_ROLE}';
+      allow update: if hasRole(${roleManagers})
+        || (signedIn() && request.auth.uid == userId && request.resource.data.role == resource.data.role);
+      allow delete: if hasRole(${roleManagers});
+    }
+  }
+}
+`;
+};
@@ -0,0 +1,260 @@
+/**
+ * Annotation Rubric Utility
+ *
+ * A rubric describes the criteria an annotator fills in for each annotation.
+ * It is stored alongside the other application settings and drives both the
+ * annotation form and the per-criterion columns in exports. While signed in,
+ * that copy follows the project's shared rubric, which only admins can change
+ * (see saveProjectRubric in storageService.js).
+ *
+ * The criterion with id `rating` is treated as the overall verdict: its value
+ * is also written to `annotation.rating` so filters and exports that only
+ * understand good/bad keep working.
+ */
+
+import StorageManager from './storage';
+
+export const CRITERION_TYPES = {
+  LIKERT: 'likert',
+  BINARY: 'binary',
+  SINGLE_CHOICE: 'single_choice',
+  MULTI_CHOICE: 'multi_choice',
+  NUMERIC: 'numeric',
+  TEXT: 'text'
+};
+
+export const CRITERION_TYPE_LABELS = {
+  [CRITERION_TYPES.LIKERT]: 'Likert scale',
+  [CRITERION_TYPES.BINARY]: 'Binary',
+  [CRITERION_TYPES.SINGLE_CHOICE]: 'Single choice',
+  [CRITERION_TYPES.MULTI_CHOICE]: 'Multiple choice',
+  [CRITERION_TYPES.NUMERIC]: 'Numeric',
+  [CRITERION_TYPES.TEXT]: 'Free text'
+};
+
+// Id of the criterion mirrored into `annotation.rating`
+export const RATING_CRITERION_ID = 'rating';
+
+// Labels offered when highlighting a span of message text
+export const DEFAULT_SPAN_LABELS = ['hallucination', 'factual_error', 'wrong_address', 'unsafe', 'other'];
+
+// Outcomes of a pairwise (A/B) comparison
+export const COMPARISON_PREFERENCES = [
+  { value: 'a', label: 'A is better' },
+  { value: 'b', label: 'B is better' },
+  { value: 'tie', label: 'Tie' },
+  { value: 'both_bad', label: 'Both bad' }
+];
+
+// Reasons offered when recording a comparison preference
+export const DEFAULT_COMPARISON_REASONS = [
+  'more accurate',
+  'more helpful',
+  'follows instructions',
+  'better tool use',
+  'more concise',
+  'safer'
+];
+
+export const DEFAULT_RUBRIC = {
+  id: 'default',
+  name: 'Good / Bad',
+  spanLabels: DEFAULT_SPAN_LABELS,
+  comparisonReasons: DEFAULT_COMPARISON_REASONS,
+  criteria: [
+    {
+      id: RATING_CRITERION_ID,
+      label: 'Rating',
+      type: CRITERION_TYPES.BINARY,
+      required: true,
+      options: ['good', 'bad']
+    }
+  ]
+};
+
+/**
+ * Build a criterion id from its label
+ * @param {string} label - Human readable criterion label
+ * @returns {string} Lowercase, underscore separated id
+ */
+export const slugifyCriterionId = (label) => {
+  return (label || '')
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+};
+
+/**
+ * Fill in defaults for a single criterion so the form can render it
+ * @param {Object} criterion - Raw criterion definition
+ * @returns {Object} Normalized criterion
+ */
+const normalizeCriterion = (criterion) => {
+  const type = Object.values(CRITERION_TYPES).includes(criterion.type)
+    ? criterion.type
+    : CRITERION_TYPES.TEXT;
+
+  const normalized = {
+    ...criterion,
+    id: criterion.id || slugifyCriterionId(criterion.label),
+    label: criterion.label || criterion.id,
+    type,
+    required: !!criterion.required
+  };
+
+  if (type === CRITERION_TYPES.LIKERT) {
+    normalized.min = Number.isFinite(criterion.min) ? criterion.min : 1;
+    normalized.max = Number.isFinite(criterion.max) ? criterion.max : 5;
+  }
+
+  if (type === CRITERION_TYPES.BINARY) {
+    normalized.options = Array.isArray(criterion.options) && criterion.options.length === 2
+      ? criterion.options
+      : ['yes', 'no'];
+  }
+
+  if (type === CRITERION_TYPES.SINGLE_CHOICE || type === CRITERION_TYPES.MULTI_CHOICE) {
+    normalized.options = Array.isArray(criterion.options) ? criterion.options : [];
+  }
+
+  return normalized;
+};
+
+/**
+ * Validate a rubric definition and fill in defaults
+ * @param {Object} rubric - Raw rubric definition
+ * @returns {Object|null} Normalized rubric or null if unusable
+ */
+export const normalizeRubric = (rubric) => {
+  if (!rubric || !Array.isArray(rubric.criteria) || rubric.criteria.length === 0) {
+    return null;
+  }
+
+  return {
+    ...rubric,
+    id: rubric.id || 'custom',
+    name: rubric.name || 'Custom rubric',
+    spanLabels: Array.isArray(rubric.spanLabels) ? rubric.spanLabels : DEFAULT_SPAN_LABELS,
+    comparisonReasons: Array.isArray(rubric.comparisonReasons) ? rubric.comparisonReasons : DEFAULT_COMPARISON_REASONS,
+    criteria: rubric.criteria
+      .filter(criterion => criterion && (criterion.id || criterion.label))
+      .map(normalizeCriterion)
+  };
+};
+
+/**
+ * Load the active rubric from settings
+ * @returns {Promise<Object>} Promise resolving to the rubric
+ */
+export const getRubric = async () => {
+  try {
+    const settings = await StorageManager.getSettings();
+    return normalizeRubric(settings.rubric) || DEFAULT_RUBRIC;
+  } catch (error) {
+    console.error('Error loading rubric:', error);
+    return DEFAULT_RUBRIC;
+  }
+};
+
+/**
+ * Persist the active rubric in settings
+ * @param {Object} rubric - Rubric definition
+ * @returns {Promise<boolean>} Promise resolving to success state
+ */
+export const saveRubric = async (rubric) => {
+  const normalized = normalizeRubric(rubric);
+  if (!normalized) {
+    console.error('Cannot save rubric: at least one criterion is required');
+    return false;
+  }
+
+  const settings = await StorageManager.getSettings();
+  return StorageManager.saveSettings({
+    ...settings,
+    rubric: normalized
+  });
+};
+
+/**
+ * Initial (empty) form values for a rubric
+ * @param {Object} rubric - Rubric definition
+ * @returns {Object} Map of criterion id to empty value
+ */
+export const getEmptyValues = (rubric) => {
+  const values = {};
+  rubric.criteria.forEach(criterion => {
+    if (criterion.type === CRITERION_TYPES.MULTI_CHOICE) {
+      values[criterion.id] = [];
+    } else if (criterion.type === CRITERION_TYPES.TEXT) {
+      values[criterion.id] = '';
+    } else {
+      values[criterion.id] = null;
+    }
+  });
+  return values;
+};
+
+/**
+ * Check whether a criterion has been answered
+ * @param {*} value - Current value
+ * @returns {boolean} True if no value has been given
+ */
+export const isValueEmpty = (value) => {
+  if (value === null || value === undefined) return true;
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === 'string') return value.trim() === '';
+  return false;
+};
+
+/**
+ * List required criteria that have not been answered
+ * @param {Object} rubric - Rubric definition
+ * @param {Object} values - Map of criterion id to value
+ * @returns {Array} Criteria that still need a value
+ */
+export const getMissingRequiredCriteria = (rubric, values) => {
+  return rubric.criteria.filter(criterion =>
+    criterion.required && isValueEmpty(values[criterion.id])
+  );
+};
+
+/**
+ * Read criterion values from an annotation, including legacy good/bad annotations
+ * @param {Object} annotation - Saved annotation
+ * @returns {Object} Map of criterion id to value
+ */
+export const getAnnotationValues = (annotation) => {
+  if (!annotation) return {};
+  if (annotation.values && typeof annotation.values === 'object') {
+    return annotation.values;
+  }
+  return annotation.rating ? { [RATING_CRITERION_ID]: annotation.rating } : {};
+};
+
+/**
+ * Whether an annotation's overall rating is the rating criterion's first option,
+ * which rubrics list as the positive one (good, yes, 5, ...)
+ * @param {Object} rubric - Rubric definition
+ * @param {Object} annotation - Saved annotation
+ * @returns {boolean|null} True for the first option, false for another one, null if the rating is none of them
+ */
+export const isPositiveRating = (rubric, annotation) => {
+  const criterion = rubric.criteria.find(item => item.id === RATING_CRITERION_ID);
+  const value = getAnnotationValues(annotation)[RATING_CRITERION_ID];
+  if (!criterion || !Array.isArray(criterion.options) || !criterion.options.includes(value)) {
+    return null;
+  }
+  return value === criterion.options[0];
+};
+
+/**
+ * Format a criterion value for display or export
+ * @param {*} value - Criterion value
+ * @returns {string} Display string
+ */
+export const formatCriterionValue = (value) => {
+  if (isValueEmpty(value)) return '';
+  if (Array.isArray(value)) return value.join(';');
+  return String(value);
+};
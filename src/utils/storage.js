@@ -55,6 +55,9 @@ const StorageManager = {
   // Track which storage is being used
   _usingIndexedDB: null,
   
+  // Called with the settings after every successful save
+  _settingsListeners: new Set(),
+  
   /**
    * Initialize the storage system, preferring IndexedDB if available
    * @returns {Promise<boolean>} Promise resolving to true if initialized successfully
@@ -414,23 +417,35 @@ const StorageManager = {
       // Initialize storage if not already done
       await StorageManager.init();
       
+      let saved = false;
       // Use IndexedDB if available
       if (StorageManager._usingIndexedDB) {
-        return await IndexedDBStorage.saveSettings(settings);
+        saved = await IndexedDBStorage.saveSettings(settings);
+      } else if (isLocalStorageAvailable()) {
+        // Fallback to localStorage
+        localStorage.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify(settings));
+        saved = true;
       }
       
-      // Fallback to localStorage
-      if (!isLocalStorageAvailable()) {
-        return false;
+      if (saved) {
+        StorageManager._settingsListeners.forEach(listener => listener(settings));
       }
-      
-      localStorage.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify(settings));
-      return true;
+      return saved;
     } catch (error) {
       console.error('Error saving settings:', error);
       return false;
     }
   },
+  
+  /**
+   * Listen for saved settings, e.g. to copy them to the remote backend
+   * @param {Function} listener Called with the saved settings object
+   * @returns {Function} Unsubscribe function
+   */
+  subscribeSettings: (listener) => {
+    StorageManager._settingsListeners.add(listener);
+    return () => StorageManager._settingsListeners.delete(listener);
+  },
 
   /**
    * Clear all stored data
@@ -1,48 +1,143 @@
+/**
+ * Storage Service
+ *
+ * IndexedDB is always the working copy: every read is served from it and every
+ * write lands in it first, so the app keeps working without a connection. While
+ * signed in, writes are also logged in the outbox and replayed to the remote
+ * backend (see outbox.js and remoteBackend.js); remote edits come in through a
+ * sync (see syncEngine.js).
+ */
+
 import IndexedDBStorage from './indexedDBStorage';
-import * as remoteStorage from './firebaseStorage';
-import { auth } from './firebase';
+import StorageManager from './storage';
+import remoteStorage, { BACKEND_TYPE } from './remoteBackend';
+import { getAnnotationKey } from './helpers';
+import { normalizeRubric, saveRubric } from './rubric';
+import { syncThreads, resolveSyncConflicts as resolveConflicts, subscribeLocalChanges } from './syncEngine';
+import {
+  initOutbox,
+  queueWrites,
+  replayOutbox,
+  retryFailedWrites,
+  subscribeOutbox,
+  OUTBOX_WRITE_TYPES
+} from './outbox';
+
+// Set while settings from the backend are written locally, so they aren't sent straight back
+let applyingRemoteSettings = false;
+
+// Copy settings saved on this device to the backend, e.g. CSV mapping presets (the rubric is shared, see saveProjectRubric)
+const pushSettings = (settings) => {
+  if (!isAuthenticated() || applyingRemoteSettings) return;
+  const { rubric, ...userSettings } = settings;
+  remoteStorage.saveSettings(userSettings).catch(error => console.error('Error saving settings remotely:', error));
+};
+
+// Settings follow the user: take the backend's copy, or seed it from this device on first sign-in.
+// The rubric always comes from the project, or is the default until an admin saves one.
+const pullSettings = async () => {
+  try {
+    const [remoteSettings, projectRubric] = await Promise.all([
+      remoteStorage.getSettings(),
+      remoteStorage.getProjectRubric()
+    ]);
+    const localSettings = await StorageManager.getSettings();
+    if (!remoteSettings) {
+      pushSettings(localSettings);
+    }
+    const { rubric, ...userSettings } = remoteSettings || localSettings;
+    applyingRemoteSettings = true;
+    await StorageManager.saveSettings(projectRubric ? { ...userSettings, rubric: projectRubric } : userSettings);
+  } catch (error) {
+    console.error('Error loading settings from the backend:', error);
+  } finally {
+    applyingRemoteSettings = false;
+  }
+};
 
-let currentStorage = IndexedDBStorage;
+// Annotations made while signed out become the signed-in user's, so the backend takes them when they are pushed
+const claimAnonymousAnnotations = async (user) => {
+  const threadIds = await IndexedDBStorage.claimAnonymousAnnotations(user);
+  if (threadIds.length > 0) {
+    // Queuing starts a replay, which also takes the writes queued before
+    await queueWrites(threadIds, OUTBOX_WRITE_TYPES.SAVE);
+  } else {
+    replayOutbox();
+  }
+};
 
-// Initialize storage based on authentication state
+// Start replaying queued writes, and again whenever someone signs in
 export const initStorage = () => {
-  auth.onAuthStateChanged((user) => {
+  initOutbox();
+  StorageManager.subscribeSettings(pushSettings);
+  remoteStorage.onAuthStateChanged((user) => {
     if (user) {
-      currentStorage = remoteStorage;
-      console.log('Using remote storage (Firebase)');
+      console.log(`Signed in: writes are replayed to the ${BACKEND_TYPE} backend`);
+      claimAnonymousAnnotations(user).catch(error => console.error('Error replaying writes after sign-in:', error));
+      pullSettings();
     } else {
-      currentStorage = IndexedDBStorage;
-      console.log('Using local storage (IndexedDB)');
+      console.log('Signed out: writes stay in IndexedDB');
     }
   });
 };
 
 // User is authenticated
 export const isAuthenticated = () => {
-  return auth.currentUser !== null;
+  return remoteStorage.getCurrentUser() !== null;
 };
 
 // Get current user
 export const getCurrentUser = () => {
-  return auth.currentUser;
+  return remoteStorage.getCurrentUser();
 };
 
-// Authentication methods
+// Authentication methods, from the configured backend
 export const signIn = remoteStorage.signIn;
 export const signUp = remoteStorage.signUp;
 export const signOut = remoteStorage.signOut;
+export const onAuthStateChanged = remoteStorage.onAuthStateChanged;
+
+// Roles live in the remote backend only (see roles.js)
+export const getUserProfile = remoteStorage.getUserProfile;
+export const getUsers = remoteStorage.getUsers;
+export const setUserRole = remoteStorage.setUserRole;
+
+// Outbox status for the header, and threads that syncs changed in IndexedDB
+export { subscribeOutbox, retryFailedWrites, subscribeLocalChanges };
+
+// Settings saved on this device or brought in from the backend
+export const subscribeSettings = StorageManager.subscribeSettings;
+
+/**
+ * Save the rubric every user annotates with. While signed in it goes to the backend
+ * first, which only lets admins change it; signed out it stays on this device.
+ * @param {Object} rubric - Rubric definition
+ * @returns {Promise<boolean>} Promise resolving to success state
+ */
+export const saveProjectRubric = async (rubric) => {
+  const normalized = normalizeRubric(rubric);
+  if (normalized && isAuthenticated()) {
+    await remoteStorage.saveProjectRubric(normalized);
+  }
+  return saveRubric(rubric);
+};
 
-// Data access methods - these will use either local or remote storage
-// based on authentication state
+/**
+ * Log writes for replay to the remote backend; writes made while signed out are picked up by the next sync
+ * @param {Array} threadIds - IDs of the threads written
+ * @param {string} type - OUTBOX_WRITE_TYPES value
+ * @param {Object} details - Annotation change, for OUTBOX_WRITE_TYPES.ANNOTATION
+ */
+const queueRemoteWrites = async (threadIds, type, details) => {
+  if (isAuthenticated()) {
+    await queueWrites(threadIds, type, details);
+  }
+};
 
 // Thread operations
 export const getThreads = async () => {
   try {
-    if (currentStorage === IndexedDBStorage) {
-      return await IndexedDBStorage.getThreads();
-    } else {
-      return await remoteStorage.getThreads();
-    }
+    return await IndexedDBStorage.getThreads();
   } catch (error) {
     console.error('Error getting threads:', error);
     throw error;
@@ -51,36 +146,52 @@ export const getThreads = async () => {
 
 export const getThread = async (threadId) => {
   try {
-    if (currentStorage === IndexedDBStorage) {
-      return await IndexedDBStorage.getThreadById(threadId);
-    } else {
-      return await remoteStorage.getThread(threadId);
-    }
+    return await IndexedDBStorage.getThreadById(threadId);
   } catch (error) {
     console.error(`Error getting thread ${threadId}:`, error);
     throw error;
   }
 };
 
+// Get one page of thread summaries (without messages); pass the returned cursor to get the next one
+export const getThreadsPage = async (options = {}) => {
+  try {
+    return await IndexedDBStorage.getThreadsPage(options);
+  } catch (error) {
+    console.error('Error getting a page of threads:', error);
+    throw error;
+  }
+};
+
+// The stored threads an import could duplicate, found through indexes instead of reading every thread
+export const findImportCandidates = async (importedThreads) => {
+  try {
+    return await IndexedDBStorage.findImportCandidates(importedThreads);
+  } catch (error) {
+    console.error('Error finding threads an import matches:', error);
+    throw error;
+  }
+};
+
+// Load the messages of one thread, e.g. when it is selected
+export const getThreadMessages = async (threadId) => {
+  try {
+    return await IndexedDBStorage.getThreadMessages(threadId);
+  } catch (error) {
+    console.error(`Error getting messages of thread ${threadId}:`, error);
+    throw error;
+  }
+};
+
 export const saveThread = async (thread) => {
   try {
-    if (currentStorage === IndexedDBStorage) {
-      // Since IndexedDB doesn't have a direct saveThread function,
-      // we get all existing threads, add/update this one, and save all
-      const threads = await IndexedDBStorage.getThreads();
-      const index = threads.findIndex(t => t.id === thread.id);
-      
-      if (index >= 0) {
-        threads[index] = thread;
-      } else {
-        threads.push(thread);
-      }
-      
-      await IndexedDBStorage.saveThreads(threads);
-      return thread;
-    } else {
-      return await remoteStorage.saveThread(thread);
+    // Write only this record; other threads are left untouched
+    const saved = await IndexedDBStorage.saveThread(thread);
+    if (!saved) {
+      throw new Error(`Thread ${thread.id} could not be saved`);
     }
+    await queueRemoteWrites([thread.id], OUTBOX_WRITE_TYPES.SAVE);
+    return thread;
   } catch (error) {
     console.error('Error saving thread:', error);
     throw error;
@@ -90,75 +201,96 @@ export const saveThread = async (thread) => {
 // Save multiple threads at once
 export const saveThreads = async (threads) => {
   try {
-    if (currentStorage === IndexedDBStorage) {
-      return await IndexedDBStorage.saveThreads(threads);
-    } else {
-      // In case the remote storage doesn't have a bulk save function,
-      // we'll implement it by saving each thread individually
-      const results = [];
-      for (const thread of threads) {
-        const result = await remoteStorage.saveThread(thread);
-        results.push(result);
-      }
-      return true;
+    const saved = await IndexedDBStorage.saveThreads(threads);
+    if (saved) {
+      await queueRemoteWrites(threads.map(thread => thread.id), OUTBOX_WRITE_TYPES.SAVE);
     }
+    return saved;
   } catch (error) {
     console.error('Error saving threads:', error);
     return false;
   }
 };
 
-export const updateThread = async (threadId, updates) => {
+// Save only the given threads, a batch at a time, reporting progress after each batch
+export const saveThreadsInBatches = async (threads, { batchSize = 200, onProgress } = {}) => {
   try {
-    if (currentStorage === IndexedDBStorage) {
-      // For IndexedDB, get the thread, update it, then save all threads
-      const thread = await IndexedDBStorage.getThreadById(threadId);
-      if (!thread) {
-        throw new Error(`Thread ${threadId} not found`);
-      }
-      
-      const updatedThread = {
-        ...thread,
-        ...updates
-      };
-      
-      const threads = await IndexedDBStorage.getThreads();
-      const index = threads.findIndex(t => t.id === threadId);
-      
-      if (index >= 0) {
-        threads[index] = updatedThread;
-      } else {
-        threads.push(updatedThread);
+    for (let i = 0; i < threads.length; i += batchSize) {
+      const batch = threads.slice(i, i + batchSize);
+      await IndexedDBStorage.putThreads(batch);
+      await queueRemoteWrites(batch.map(thread => thread.id), OUTBOX_WRITE_TYPES.SAVE);
+      if (onProgress) {
+        onProgress(Math.min(i + batchSize, threads.length), threads.length);
       }
-      
-      await IndexedDBStorage.saveThreads(threads);
-      return true;
-    } else {
-      return await remoteStorage.updateThread(threadId, updates);
     }
+    return true;
+  } catch (error) {
+    console.error('Error saving threads in batches:', error);
+    return false;
+  }
+};
+
+export const updateThread = async (threadId, updates) => {
+  try {
+    // Read the one thread, apply the updates and write it back
+    const thread = await IndexedDBStorage.getThreadById(threadId);
+    if (!thread) {
+      throw new Error(`Thread ${threadId} not found`);
+    }
+    
+    const updatedThread = {
+      ...thread,
+      ...updates
+    };
+    
+    const saved = await IndexedDBStorage.saveThread(updatedThread);
+    if (saved) {
+      await queueRemoteWrites([threadId], OUTBOX_WRITE_TYPES.SAVE);
+    }
+    return saved;
   } catch (error) {
     console.error(`Error updating thread ${threadId}:`, error);
     throw error;
   }
 };
 
+/**
+ * Set who each thread is assigned to, as one outbox batch
+ * @param {Map} assignments - Thread ID -> { uid, email } entries (empty to unassign)
+ * @returns {Promise<Array>} The updated threads, without messages
+ */
+export const assignThreads = async (assignments) => {
+  const updatedThreads = [];
+  for (const [threadId, assignees] of assignments) {
+    const thread = await IndexedDBStorage.getThreadById(threadId);
+    if (!thread) {
+      console.warn(`Skipping assignment of missing thread ${threadId}`);
+      continue;
+    }
+    // Written as a summary, so the stored messages stay as they are
+    const { messages, ...summary } = thread;
+    const updatedThread = { ...summary, assignees };
+    if (await IndexedDBStorage.saveThread(updatedThread)) {
+      updatedThreads.push(updatedThread);
+    }
+  }
+  await queueRemoteWrites(updatedThreads.map(thread => thread.id), OUTBOX_WRITE_TYPES.SAVE);
+  return updatedThreads;
+};
+
 export const deleteThread = async (threadId) => {
   try {
-    if (currentStorage === IndexedDBStorage) {
-      // For IndexedDB, get all threads, remove the one to delete, then save
-      const threads = await IndexedDBStorage.getThreads();
-      const filteredThreads = threads.filter(t => t.id !== threadId);
-      
-      // If no thread was removed, it didn't exist
-      if (filteredThreads.length === threads.length) {
-        return false;
-      }
-      
-      await IndexedDBStorage.saveThreads(filteredThreads);
-      return true;
-    } else {
-      return await remoteStorage.deleteThread(threadId);
+    // If the thread isn't stored there is nothing to delete
+    const thread = await IndexedDBStorage.getThreadById(threadId);
+    if (!thread) {
+      return false;
+    }
+    
+    const deleted = await IndexedDBStorage.deleteThread(threadId);
+    if (deleted) {
+      await queueRemoteWrites([threadId], OUTBOX_WRITE_TYPES.DELETE);
     }
+    return deleted;
   } catch (error) {
     console.error(`Error deleting thread ${threadId}:`, error);
     throw error;
@@ -167,92 +299,78 @@ export const deleteThread = async (threadId) => {
 
 export const importThreads = async (threads) => {
   try {
-    if (currentStorage === IndexedDBStorage) {
-      // For IndexedDB, get all existing threads, add the new ones, then save all
-      const existingThreads = await IndexedDBStorage.getThreads();
-      const combinedThreads = [...existingThreads, ...threads];
-      
-      await IndexedDBStorage.saveThreads(combinedThreads);
-      return threads;
-    } else {
-      return await remoteStorage.importThreads(threads);
-    }
+    // Add the new threads without rewriting the existing ones
+    await IndexedDBStorage.putThreads(threads);
+    await queueRemoteWrites(threads.map(thread => thread.id), OUTBOX_WRITE_TYPES.SAVE);
+    return threads;
   } catch (error) {
     console.error('Error importing threads:', error);
     throw error;
   }
 };
 
-// For annotation-specific operations
-export const updateAnnotation = async (threadId, annotationData) => {
+// Annotation operations: each changes one annotation and is replayed to the remote backend on its own
+/**
+ * Apply one annotation change to the stored thread and log it for replay
+ * @param {string} threadId - ID of the annotated thread
+ * @param {Function} update - Maps the thread's annotations to the new ones
+ * @param {Object} change - { op, annotationId, annotation } replayed to the remote backend
+ * @returns {Promise<boolean>} True once the change is stored
+ */
+const changeAnnotation = async (threadId, update, change) => {
+  const updated = await IndexedDBStorage.updateAnnotations(threadId, update);
+  if (!updated) {
+    throw new Error(`Thread ${threadId} not found`);
+  }
+  await queueRemoteWrites([threadId], OUTBOX_WRITE_TYPES.ANNOTATION, change);
+  return true;
+};
+
+export const addAnnotation = async (threadId, annotation) => {
   try {
-    // Get the thread first
-    const thread = await getThread(threadId);
-    if (!thread) {
-      throw new Error(`Thread ${threadId} not found`);
-    }
-    
-    // Add the new annotation
-    const existingAnnotations = Array.isArray(thread.annotations) 
-      ? thread.annotations 
-      : thread.annotations ? [thread.annotations] : [];
-    
-    // Add the new annotation to the array
-    const updatedThread = {
-      ...thread,
-      isAnnotated: true,
-      annotations: [
-        ...existingAnnotations,
-        {
-          ...annotationData,
-          timestamp: new Date().toISOString()
-        }
-      ]
-    };
-    
-    // Update the thread
-    return await updateThread(threadId, updatedThread);
+    const annotationId = getAnnotationKey(annotation);
+    return await changeAnnotation(
+      threadId,
+      annotations => [...annotations.filter(existing => getAnnotationKey(existing) !== annotationId), annotation],
+      { op: 'add', annotationId, annotation }
+    );
   } catch (error) {
-    console.error(`Error updating annotation for thread ${threadId}:`, error);
+    console.error(`Error adding annotation to thread ${threadId}:`, error);
     throw error;
   }
 };
 
-export const deleteAnnotation = async (threadId, annotationIndex) => {
+export const updateAnnotation = async (threadId, annotationId, changes) => {
   try {
-    // Get the thread first
-    const thread = await getThread(threadId);
-    if (!thread) {
-      throw new Error(`Thread ${threadId} not found`);
-    }
-    
-    // Create a copy of annotations without the deleted one
-    const updatedAnnotations = Array.isArray(thread.annotations) 
-      ? [...thread.annotations] 
-      : thread.annotations ? [thread.annotations] : [];
-    
-    if (updatedAnnotations.length > annotationIndex) {
-      updatedAnnotations.splice(annotationIndex, 1);
-    }
-    
-    // Update the thread
-    const updatedThread = {
-      ...thread,
-      annotations: updatedAnnotations,
-      isAnnotated: updatedAnnotations.length > 0
-    };
-    
-    // Update the thread
-    return await updateThread(threadId, updatedThread);
+    return await changeAnnotation(
+      threadId,
+      annotations => annotations.map(annotation => (
+        getAnnotationKey(annotation) === annotationId ? { ...annotation, ...changes } : annotation
+      )),
+      { op: 'update', annotationId, annotation: changes }
+    );
+  } catch (error) {
+    console.error(`Error updating annotation ${annotationId} of thread ${threadId}:`, error);
+    throw error;
+  }
+};
+
+export const deleteAnnotation = async (threadId, annotationId) => {
+  try {
+    return await changeAnnotation(
+      threadId,
+      annotations => annotations.filter(annotation => getAnnotationKey(annotation) !== annotationId),
+      { op: 'delete', annotationId }
+    );
   } catch (error) {
-    console.error(`Error deleting annotation for thread ${threadId}:`, error);
+    console.error(`Error deleting annotation ${annotationId} of thread ${threadId}:`, error);
     throw error;
   }
 };
 
 // For debugging and testing
 export const getStorageType = () => {
-  return currentStorage === IndexedDBStorage ? 'Local Storage (IndexedDB)' : 'Remote Storage (Firebase)';
+  return isAuthenticated() ? `IndexedDB, replicated to the ${BACKEND_TYPE} backend` : 'Local Storage (IndexedDB)';
 };
 
 export const testStorage = async () => {
@@ -264,34 +382,18 @@ export const testStorage = async () => {
       timestamp: new Date().toISOString()
     };
     
-    if (currentStorage === IndexedDBStorage) {
-      const threads = await IndexedDBStorage.getThreads();
-      threads.push(testData);
-      await IndexedDBStorage.saveThreads(threads);
-      
-      const retrievedThreads = await IndexedDBStorage.getThreads();
-      const retrieved = retrievedThreads.find(t => t.id === testId);
-      
-      // Clean up
-      const cleanedThreads = retrievedThreads.filter(t => t.id !== testId);
-      await IndexedDBStorage.saveThreads(cleanedThreads);
-      
-      return {
-        isAvailable: true,
-        testPassed: retrieved && retrieved.id === testId,
-        isWorking: true
-      };
-    } else {
-      await remoteStorage.saveThread(testData);
-      const retrieved = await remoteStorage.getThread(testId);
-      await remoteStorage.deleteThread(testId);
-      
-      return {
-        isAvailable: true,
-        testPassed: retrieved && retrieved.id === testId,
-        isWorking: true
-      };
-    }
+    // Every read and write goes through IndexedDB; the outbox is not involved
+    await IndexedDBStorage.saveThread(testData);
+    const retrieved = await IndexedDBStorage.getThreadById(testId);
+    
+    // Clean up
+    await IndexedDBStorage.deleteThread(testId);
+    
+    return {
+      isAvailable: true,
+      testPassed: retrieved && retrieved.id === testId,
+      isWorking: true
+    };
   } catch (error) {
     console.error('Storage test failed:', error);
     return {
@@ -303,25 +405,37 @@ export const testStorage = async () => {
   }
 };
 
-// Sync data from local to remote storage
-export const syncToRemote = async () => {
+// Two-way sync between local and remote storage; see syncEngine.js
+export const syncWithRemote = async (options = {}) => {
   if (!isAuthenticated()) {
     throw new Error('User not authenticated');
   }
   
   try {
-    // Get all local threads
-    const localThreads = await IndexedDBStorage.getThreads();
-    
-    // Import them to remote storage
-    if (localThreads.length > 0) {
-      await remoteStorage.importThreads(localThreads);
-      console.log(`Synced ${localThreads.length} threads to remote storage`);
-    }
-    
-    return localThreads.length;
+    const result = await syncThreads(options);
+    console.log(`Sync finished: ${result.pulled} pulled, ${result.pushed} pushed, ${result.merged} merged, ` +
+      `${result.deleted} deleted, ${result.conflicts.length} in conflict`);
+    // The sync covered the queued writes too; this clears them from the outbox
+    await retryFailedWrites();
+    return result;
   } catch (error) {
-    console.error('Error syncing to remote:', error);
+    console.error('Error syncing with remote:', error);
     throw error;
   }
-}; 
\ No newline at end of file
+};
+
+// Write the versions chosen for threads that were edited on both sides
+export const resolveSyncConflicts = async (conflicts, choices, defaultSide) => {
+  if (!isAuthenticated()) {
+    throw new Error('User not authenticated');
+  }
+  
+  try {
+    const result = await resolveConflicts(conflicts, choices, defaultSide);
+    await retryFailedWrites();
+    return result;
+  } catch (error) {
+    console.error('Error resolving sync conflicts:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,551 @@
+/**
+ * Sync Engine
+ *
+ * Two-way sync between IndexedDB and the remote backend. Every stored edit bumps a
+ * thread's `revision`; the `syncState` store keeps, per thread, the revision
+ * both sides agreed on at the last sync and a base snapshot of the thread
+ * at that point. A side whose revision moved past the synced one has changed:
+ * changes on one side are copied to the other, and changes on both sides are
+ * merged against the base. Annotations merge one by one, so two annotators
+ * adding annotations never conflict; only edits that touch the same
+ * annotation or field on both sides are returned as conflicts to resolve.
+ */
+
+import IndexedDBStorage from './indexedDBStorage';
+import remoteStorage from './remoteBackend';
+import { normalizeAnnotations, getAnnotationKey, stableStringify } from './helpers';
+
+export const SYNC_SIDES = {
+  LOCAL: 'local',
+  REMOTE: 'remote'
+};
+
+// Thread fields merged as a whole; other fields follow the side that changed
+const MERGED_FIELDS = ['title', 'metadata', 'messages', 'assignees'];
+
+export const SYNC_FIELD_LABELS = {
+  title: 'Title',
+  metadata: 'Metadata',
+  messages: 'Messages',
+  assignees: 'Assignees'
+};
+
+const localChangeListeners = new Set();
+
+// Syncs run one at a time, so a replay, a live update and a manual sync never race on a thread
+let syncQueue = Promise.resolve();
+
+/**
+ * Run a sync once the ones before it have finished
+ * @param {Function} run - Async function doing the sync
+ * @returns {Promise} Result of run
+ */
+const runExclusive = (run) => {
+  const result = syncQueue.then(run);
+  syncQueue = result.catch(() => {});
+  return result;
+};
+
+/**
+ * Tell listeners about threads a sync wrote to or deleted from IndexedDB
+ * @param {Object} localChanges - { savedThreads, deletedIds }
+ */
+const publishLocalChanges = (localChanges) => {
+  if (localChanges.savedThreads.length > 0 || localChanges.deletedIds.length > 0) {
+    localChangeListeners.forEach(listener => listener(localChanges));
+  }
+};
+
+/**
+ * Listen for threads that any sync (including outbox replays) wrote to or deleted from IndexedDB
+ * @param {Function} listener - Called with { savedThreads, deletedIds }
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeLocalChanges = (listener) => {
+  localChangeListeners.add(listener);
+  return () => localChangeListeners.delete(listener);
+};
+
+/**
+ * Hash a value (32-bit FNV-1a of its stable JSON)
+ * @param {*} value - Any JSON value
+ * @returns {string} Hex hash
+ */
+const hashValue = (value) => {
+  const text = stableStringify(value);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+};
+
+/**
+ * Snapshot of a thread kept as the base of the next merge
+ * @param {Object} thread - Thread object with messages
+ * @returns {Object} { fields, annotations } with each merged field hashed
+ */
+export const toSyncBase = (thread) => ({
+  fields: Object.fromEntries(MERGED_FIELDS.map(field => [field, hashValue(thread[field])])),
+  annotations: normalizeAnnotations(thread)
+});
+
+/**
+ * Sync state record for a thread both sides now hold
+ * @param {Object} thread - Thread as written to both sides
+ * @param {Array} remoteAnnotations - Annotations the backend holds; other users' annotations
+ *   that only this device has (e.g. imported ones) are left out of the base, so merges keep
+ *   them as local additions instead of taking them for remote deletions
+ * @returns {Object} Sync state record
+ */
+const toSyncState = (thread, remoteAnnotations = normalizeAnnotations(thread)) => ({
+  threadId: thread.id,
+  revision: thread.revision || 0,
+  base: toSyncBase({ ...thread, annotations: remoteAnnotations }),
+  syncedAt: new Date().toISOString()
+});
+
+/**
+ * Add the local annotations that never reached the backend to a thread pulled from it
+ * @param {Object} pulled - Remote thread with messages
+ * @param {Object} local - Local thread, or undefined
+ * @param {Object} state - Sync state, or undefined
+ * @returns {Object} Thread to store locally
+ */
+const withUnpushedAnnotations = (pulled, local, state) => {
+  const knownKeys = new Set([...(state?.base.annotations || []), ...normalizeAnnotations(pulled)].map(getAnnotationKey));
+  const unpushed = normalizeAnnotations(local).filter(annotation => !knownKeys.has(getAnnotationKey(annotation)));
+  if (unpushed.length === 0) return pulled;
+  return { ...pulled, annotations: [...normalizeAnnotations(pulled), ...unpushed], isAnnotated: true };
+};
+
+/**
+ * Three-way merge of a thread changed on both sides
+ * @param {Object} base - Base from the sync state, or null if the thread was never synced
+ * @param {Object} local - Local thread with messages
+ * @param {Object} remote - Remote thread with messages
+ * @returns {Object} { thread, conflicts }; conflicting fields and annotations keep the local
+ *   version in `thread` until resolved with applyConflictChoices
+ */
+export const mergeThreadVersions = (base, local, remote) => {
+  const conflicts = [];
+  const merged = { ...remote, ...local };
+
+  MERGED_FIELDS.forEach(field => {
+    const localHash = hashValue(local[field]);
+    const remoteHash = hashValue(remote[field]);
+    // Bases saved before a field was merged count it as unset
+    const baseHash = base ? base.fields?.[field] ?? hashValue(undefined) : undefined;
+    if (localHash === remoteHash || remoteHash === baseHash) {
+      merged[field] = local[field];
+    } else if (localHash === baseHash) {
+      merged[field] = remote[field];
+    } else {
+      conflicts.push({ key: `field:${field}`, field, local: local[field], remote: remote[field] });
+      merged[field] = local[field];
+    }
+  });
+
+  // Annotations merge one by one against the base
+  const baseByKey = new Map((base?.annotations || []).map(annotation => [getAnnotationKey(annotation), annotation]));
+  const localByKey = new Map(normalizeAnnotations(local).map(annotation => [getAnnotationKey(annotation), annotation]));
+  const remoteByKey = new Map(normalizeAnnotations(remote).map(annotation => [getAnnotationKey(annotation), annotation]));
+  // Keep local order, then annotations only the remote side has
+  const keys = [...localByKey.keys(), ...[...remoteByKey.keys()].filter(key => !localByKey.has(key))];
+
+  const annotations = [];
+  keys.forEach(key => {
+    const baseAnnotation = baseByKey.get(key);
+    const localAnnotation = localByKey.get(key);
+    const remoteAnnotation = remoteByKey.get(key);
+    const localHash = localAnnotation ? hashValue(localAnnotation) : null;
+    const remoteHash = remoteAnnotation ? hashValue(remoteAnnotation) : null;
+    const baseHash = baseAnnotation ? hashValue(baseAnnotation) : null;
+
+    let result;
+    if (localHash === remoteHash || remoteHash === baseHash) {
+      // Same on both sides, or only changed (or added, or deleted) locally
+      result = localAnnotation;
+    } else if (localHash === baseHash) {
+      result = remoteAnnotation;
+    } else {
+      // Edited on both sides, or edited on one and deleted on the other
+      conflicts.push({ key: `annotation:${key}`, annotationKey: key, local: localAnnotation || null, remote: remoteAnnotation || null });
+      result = localAnnotation;
+    }
+    if (result) annotations.push(result);
+  });
+
+  merged.annotations = annotations;
+  merged.isAnnotated = annotations.length > 0;
+  return { thread: merged, conflicts };
+};
+
+/**
+ * Apply the side chosen for each conflict to a merged thread
+ * @param {Object} conflict - Thread conflict from syncThreads
+ * @param {Object} choices - Map of conflict item key to SYNC_SIDES value
+ * @param {string} defaultSide - Side for items without an explicit choice
+ * @returns {Object} Resolved thread
+ */
+export const applyConflictChoices = (conflict, choices = {}, defaultSide = SYNC_SIDES.LOCAL) => {
+  const thread = { ...conflict.merged };
+  let annotations = [...thread.annotations];
+
+  conflict.items.forEach(item => {
+    const side = choices[item.key] || defaultSide;
+    const chosen = side === SYNC_SIDES.REMOTE ? item.remote : item.local;
+    if (item.field) {
+      thread[item.field] = chosen;
+      return;
+    }
+    // The merged thread holds the local annotation (if any) in its place
+    const index = annotations.findIndex(annotation => getAnnotationKey(annotation) === item.annotationKey);
+    if (chosen && index !== -1) {
+      annotations[index] = chosen;
+    } else if (chosen) {
+      annotations.push(chosen);
+    } else if (index !== -1) {
+      annotations = annotations.filter((_, i) => i !== index);
+    }
+  });
+
+  thread.annotations = annotations;
+  thread.isAnnotated = annotations.length > 0;
+  return thread;
+};
+
+/**
+ * Write a thread to both sides at one revision past either side's
+ * @param {Object} thread - Thread to write
+ * @param {number} localRevision - Local revision the sync read
+ * @param {number} remoteRevision - Remote revision the sync read (0 if absent)
+ * @returns {Promise<Object|null>} { written, remoteAnnotations } with the thread as written and
+ *   the annotations the backend took, or null if it was edited here meanwhile; that edit is kept
+ *   locally and merged by the next sync
+ */
+const writeBothSides = async (thread, localRevision, remoteRevision) => {
+  const written = {
+    ...thread,
+    revision: Math.max(localRevision, remoteRevision) + 1,
+    updatedAt: new Date().toISOString()
+  };
+  const remoteAnnotations = await remoteStorage.pushSyncedThread(written, remoteRevision);
+  const storedLocally = await IndexedDBStorage.putSyncedThread(written, localRevision);
+  return storedLocally ? { written, remoteAnnotations } : null;
+};
+
+const createSyncResult = () => ({
+  pulled: 0,
+  pushed: 0,
+  merged: 0,
+  deleted: 0,
+  skipped: 0,
+  failures: [],
+  conflicts: [],
+  localChanges: { savedThreads: [], deletedIds: [] }
+});
+
+// A missing thread with a sync state was deleted on that side since the last sync
+const hasChanged = (thread, state) => (
+  thread ? !state || (thread.revision || 0) > state.revision : !!state
+);
+
+/**
+ * Bring one thread up to date on both sides
+ * @param {Object} entry - { threadId, local, remote, state }; remote may be a summary without messages
+ * @param {Object} result - Sync result the outcome is counted in
+ * @param {Object} stateChanges - { saved, removed } sync states to record once the run is over
+ * @returns {Promise<string>} 'unchanged', 'pulled', 'pushed', 'merged', 'deleted' or 'conflict'
+ */
+const syncThread = async ({ threadId, local, remote, state }, result, stateChanges) => {
+  const localRevision = local?.revision || 0;
+  const remoteRevision = remote?.revision || 0;
+  const localChanged = hasChanged(local, state);
+  const remoteChanged = hasChanged(remote, state);
+  const getRemoteThread = async () => (remote.messages ? remote : remoteStorage.getThread(threadId));
+
+  // Without a new sync state, an edit made here meanwhile shows up as a change on both sides
+  const recordWritten = (write) => {
+    if (write) {
+      stateChanges.saved.push(toSyncState(write.written, write.remoteAnnotations));
+      result.localChanges.savedThreads.push(write.written);
+    }
+  };
+
+  const pull = async () => {
+    const pulled = await getRemoteThread();
+    const written = withUnpushedAnnotations(pulled, local, state);
+    const stored = await IndexedDBStorage.putSyncedThread(written, localRevision);
+    recordWritten(stored ? { written, remoteAnnotations: normalizeAnnotations(pulled) } : null);
+    result.pulled++;
+    return 'pulled';
+  };
+
+  if (!localChanged && !remoteChanged) {
+    return 'unchanged';
+  }
+  if (!local && !remote) {
+    // Deleted on both sides
+    stateChanges.removed.push(threadId);
+    return 'deleted';
+  }
+  if (!local) {
+    // Deleted here but edited remotely: the edit wins
+    if (remoteChanged) return pull();
+    await remoteStorage.deleteSyncedThread(threadId, remoteRevision);
+    stateChanges.removed.push(threadId);
+    result.deleted++;
+    return 'deleted';
+  }
+  if (!remote && !localChanged) {
+    // Deleted remotely and untouched here
+    await IndexedDBStorage.deleteThread(threadId);
+    stateChanges.removed.push(threadId);
+    result.localChanges.deletedIds.push(threadId);
+    result.deleted++;
+    return 'deleted';
+  }
+  if (!remote || !remoteChanged) {
+    // Changed only here (or deleted remotely but edited here, which wins)
+    recordWritten(await writeBothSides(local, localRevision, remoteRevision));
+    result.pushed++;
+    return 'pushed';
+  }
+  if (!localChanged) {
+    return pull();
+  }
+
+  const remoteThread = await getRemoteThread();
+  const { thread: merged, conflicts } = mergeThreadVersions(state?.base || null, local, remoteThread);
+  if (conflicts.length > 0) {
+    result.conflicts.push({
+      threadId,
+      title: local.title || remoteThread.title || threadId,
+      local,
+      remote: remoteThread,
+      merged,
+      items: conflicts,
+      localRevision,
+      remoteRevision
+    });
+    return 'conflict';
+  }
+  recordWritten(await writeBothSides(merged, localRevision, remoteRevision));
+  result.merged++;
+  return 'merged';
+};
+
+/**
+ * Sync a list of threads, keeping going past the ones that fail
+ * @param {Array} threadIds - Thread IDs
+ * @param {Function} getEntry - Returns (or resolves to) { threadId, local, remote, state } for a thread ID
+ * @param {Function} onThreadSynced - Called with (threadId, outcome, error) after each thread
+ * @param {string} checkpoint - Sync checkpoint to record if every thread synced; leave out to keep the stored one
+ * @returns {Promise<Object>} Sync result
+ */
+const runSync = async (threadIds, getEntry, onThreadSynced, checkpoint) => {
+  const result = createSyncResult();
+  const stateChanges = { saved: [], removed: [] };
+
+  for (const threadId of threadIds) {
+    try {
+      const outcome = await syncThread(await getEntry(threadId), result, stateChanges);
+      onThreadSynced(threadId, outcome, null);
+    } catch (error) {
+      // e.g. offline, or the thread changed remotely mid-sync; the next sync picks it up again
+      console.error(`Error syncing thread ${threadId}:`, error);
+      result.skipped++;
+      result.failures.push({ threadId, error });
+      onThreadSynced(threadId, null, error);
+    }
+  }
+
+  // A thread that failed may carry a remote change from before the checkpoint, so it stays where it was
+  await IndexedDBStorage.updateSyncStates(
+    stateChanges.saved,
+    stateChanges.removed,
+    result.failures.length === 0 ? checkpoint : undefined
+  );
+  publishLocalChanges(result.localChanges);
+  return result;
+};
+
+/**
+ * Latest remote updatedAt among thread summaries
+ * @param {Array} summaries - Remote thread summaries
+ * @param {string} checkpoint - Current checkpoint, or null
+ * @returns {string|null} New checkpoint
+ */
+const getLatestUpdatedAt = (summaries, checkpoint) => summaries.reduce(
+  (latest, summary) => (typeof summary.updatedAt === 'string' && summary.updatedAt > (latest || '') ? summary.updatedAt : latest),
+  checkpoint
+);
+
+/**
+ * Remote thread summaries a sync has to look at: the ones updated since the checkpoint, or every
+ * one when there is no checkpoint yet or threads were deleted remotely since
+ * @param {string} checkpoint - Sync checkpoint, or null
+ * @param {Array} syncStates - Sync state of every synced thread
+ * @returns {Promise<Object>} { summaries, complete }; complete is false when threads left out are unchanged
+ */
+const getRemoteSummaries = async (checkpoint, syncStates) => {
+  if (!checkpoint) {
+    return { summaries: await remoteStorage.getThreadSummaries(), complete: true };
+  }
+
+  const [summaries, remoteCount] = await Promise.all([
+    remoteStorage.getThreadSummaries({ updatedAfter: checkpoint }),
+    remoteStorage.countThreads()
+  ]);
+  // Deletions don't show up as updates; they do show up as fewer threads than the ones known
+  const knownIds = new Set([...syncStates.map(state => state.threadId), ...summaries.map(summary => summary.id)]);
+  if (remoteCount !== knownIds.size) {
+    return { summaries: await remoteStorage.getThreadSummaries(), complete: true };
+  }
+  return { summaries, complete: false };
+};
+
+/**
+ * Sync IndexedDB and the remote backend in both directions
+ * @param {Object} options - Options
+ * @param {Function} options.onProgress - Called with (done, total) as changed threads are processed
+ * @returns {Promise<Object>} { pulled, pushed, merged, deleted, skipped, failures, conflicts, localChanges }
+ *   where conflicts are { threadId, title, local, remote, merged, items, localRevision, remoteRevision }
+ *   and localChanges are { savedThreads, deletedIds } written to IndexedDB by this sync
+ */
+export const syncThreads = ({ onProgress } = {}) => runExclusive(async () => {
+  // Revisions are compared on summaries, so threads that didn't change are never read in full
+  const [{ threads: localSummaries }, syncStates, checkpoint] = await Promise.all([
+    IndexedDBStorage.getThreadsPage({ limit: Infinity }),
+    IndexedDBStorage.getSyncStates(),
+    IndexedDBStorage.getSyncCheckpoint()
+  ]);
+  const { summaries: remoteSummaries, complete } = await getRemoteSummaries(checkpoint, syncStates);
+
+  const localById = new Map(localSummaries.map(thread => [thread.id, thread]));
+  const remoteById = new Map(remoteSummaries.map(thread => [thread.id, thread]));
+  const stateById = new Map(syncStates.map(state => [state.threadId, state]));
+  const threadIds = new Set([...localById.keys(), ...remoteById.keys(), ...stateById.keys()]);
+
+  const changedIds = [...threadIds].filter(threadId => {
+    const state = stateById.get(threadId);
+    // After an incremental read, a thread left out is unchanged remotely
+    const remoteChanged = complete || remoteById.has(threadId)
+      ? hasChanged(remoteById.get(threadId), state)
+      : false;
+    return hasChanged(localById.get(threadId), state) || remoteChanged;
+  });
+
+  // Each changed thread is read in full when its turn comes, so edits made meanwhile are included
+  const getEntry = async (threadId) => {
+    const local = (await IndexedDBStorage.getThreadById(threadId)) || undefined;
+    const remote = complete || remoteById.has(threadId)
+      ? remoteById.get(threadId)
+      : (await remoteStorage.getThread(threadId)) || undefined;
+    return { threadId, local, remote, state: stateById.get(threadId) };
+  };
+
+  let done = 0;
+  return runSync(changedIds, getEntry, () => {
+    done++;
+    if (onProgress) {
+      onProgress(done, changedIds.length);
+    }
+  }, getLatestUpdatedAt(remoteSummaries, checkpoint));
+});
+
+/**
+ * Sync only the given threads, e.g. the ones with writes waiting in the outbox
+ * @param {Array} threadIds - Thread IDs
+ * @param {Function} onThreadSynced - Called with (threadId, outcome, error) after each thread
+ * @returns {Promise<Object>} Sync result, as from syncThreads
+ */
+export const syncThreadIds = (threadIds, onThreadSynced = () => {}) => runExclusive(async () => {
+  const syncStates = await IndexedDBStorage.getSyncStates();
+  const stateById = new Map(syncStates.map(state => [state.threadId, state]));
+
+  // Each thread is read when its turn comes, so edits made meanwhile are included
+  const getEntry = async (threadId) => {
+    const [local, remote] = await Promise.all([
+      IndexedDBStorage.getThreadById(threadId),
+      remoteStorage.getThread(threadId)
+    ]);
+    return { threadId, local: local || undefined, remote: remote || undefined, state: stateById.get(threadId) };
+  };
+
+  return runSync(threadIds, getEntry, onThreadSynced);
+});
+
+/**
+ * Sync the threads a live listener saw change remotely
+ * @param {Object} changes - { savedThreads, deletedIds }; saved threads may be summaries
+ * @returns {Promise<Object>} Sync result, as from syncThreads
+ */
+export const syncRemoteChanges = ({ savedThreads, deletedIds }) => runExclusive(async () => {
+  const syncStates = await IndexedDBStorage.getSyncStates();
+  const stateById = new Map(syncStates.map(state => [state.threadId, state]));
+  const remoteById = new Map(savedThreads.map(thread => [thread.id, thread]));
+
+  // Changes this device already has, such as its own pushes, are passed over
+  const changedIds = [...remoteById.keys(), ...deletedIds]
+    .filter(threadId => hasChanged(remoteById.get(threadId), stateById.get(threadId)));
+
+  const getEntry = async (threadId) => ({
+    threadId,
+    local: (await IndexedDBStorage.getThreadById(threadId)) || undefined,
+    remote: remoteById.get(threadId),
+    state: stateById.get(threadId)
+  });
+
+  return runSync(changedIds, getEntry, () => {});
+});
+
+/**
+ * Write the chosen versions of conflicting threads to both sides
+ * @param {Array} conflicts - Conflicts from syncThreads
+ * @param {Object} choices - Map of threadId to a map of conflict item key to SYNC_SIDES value
+ * @param {string} defaultSide - Side for items without an explicit choice
+ * @returns {Promise<Object>} { resolved, skipped, localChanges }
+ */
+export const resolveSyncConflicts = (conflicts, choices = {}, defaultSide = SYNC_SIDES.LOCAL) => runExclusive(async () => {
+  const result = { resolved: 0, skipped: 0, localChanges: { savedThreads: [], deletedIds: [] } };
+  const newStates = [];
+
+  for (const conflict of conflicts) {
+    try {
+      const thread = applyConflictChoices(conflict, choices[conflict.threadId], defaultSide);
+      const write = await writeBothSides(thread, conflict.localRevision, conflict.remoteRevision);
+      if (write) {
+        newStates.push(toSyncState(write.written, write.remoteAnnotations));
+        result.localChanges.savedThreads.push(write.written);
+      }
+      result.resolved++;
+    } catch (error) {
+      console.error(`Error resolving sync conflict for thread ${conflict.threadId}:`, error);
+      result.skipped++;
+    }
+  }
+
+  await IndexedDBStorage.updateSyncStates(newStates);
+  publishLocalChanges(result.localChanges);
+  return result;
+});
+
+/**
+ * Human readable summary of a sync
+ * @param {Object} result - Result from syncThreads
+ * @returns {string} Summary such as "3 pulled, 1 pushed, 2 in conflict"
+ */
+export const formatSyncSummary = (result) => {
+  const parts = [
+    result.pulled && `${result.pulled} pulled`,
+    result.pushed && `${result.pushed} pushed`,
+    result.merged && `${result.merged} merged`,
+    result.deleted && `${result.deleted} deleted`,
+    result.conflicts.length && `${result.conflicts.length} in conflict`,
+    result.skipped && `${result.skipped} skipped, will retry next sync`
+  ].filter(Boolean);
+  return parts.length > 0 ? parts.join(', ') : 'everything was up to date';
+};
@@ -0,0 +1,294 @@
+/**
+ * Thread Import Utility
+ *
+ * Converts JSON and JSONL files into the app's thread shape. Accepted inputs:
+ * - Our own thread objects, arrays of them, or a data backup ({ threads: [...] })
+ * - The output of scripts/convert-txt-to-json.js and scripts/export-threads.js
+ * - Raw OpenAI Assistants threads (content parts and runs with tool calls)
+ * - OpenAI chat-completion logs ({ messages }, { request, response } or { messages, choices })
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Map role names from external sources to the roles the UI renders
+ * @param {string} role - Role as found in the source
+ * @returns {string} App role ('human', 'ai', 'system', 'instructions', 'tool', 'error')
+ */
+export const normalizeRole = (role) => {
+  const normalized = (role || '').toLowerCase();
+  if (normalized === 'user') return 'human';
+  if (normalized === 'assistant') return 'ai';
+  if (normalized === 'developer') return 'system';
+  return normalized;
+};
+
+/**
+ * Flatten OpenAI content (string, content parts or Assistants text objects) into text
+ * @param {*} content - Message content
+ * @returns {string} Text content
+ */
+const contentToText = (content) => {
+  if (content === null || content === undefined) return '';
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .map(part => {
+        if (typeof part === 'string') return part;
+        if (typeof part.text === 'string') return part.text;
+        if (part.text && typeof part.text.value === 'string') return part.text.value;
+        return '';
+      })
+      .filter(Boolean)
+      .join('\n');
+  }
+  return JSON.stringify(content);
+};
+
+/**
+ * Parse tool call arguments, which OpenAI sends as a JSON string
+ * @param {*} args - Arguments string or object
+ * @returns {Object} Parameters object
+ */
+const parseToolArguments = (args) => {
+  if (!args) return {};
+  if (typeof args !== 'string') return args;
+  try {
+    return JSON.parse(args);
+  } catch (error) {
+    return { arguments: args };
+  }
+};
+
+/**
+ * Parse a tool response that may hold serialized JSON
+ * @param {*} content - Tool output
+ * @returns {*} Parsed object or the original text
+ */
+const parseToolOutput = (content) => {
+  const text = contentToText(content);
+  try {
+    const parsed = JSON.parse(text);
+    return typeof parsed === 'object' && parsed !== null ? parsed : text;
+  } catch (error) {
+    return text;
+  }
+};
+
+/**
+ * Convert one message from any supported source into app messages.
+ * An OpenAI assistant message with tool_calls becomes a text message
+ * (if it has content) followed by one tool_call message per call.
+ * @param {Object} message - Source message
+ * @param {string} fallbackTimestamp - Timestamp to use when the source has none
+ * @returns {Array} App messages
+ */
+export const convertMessage = (message, fallbackTimestamp) => {
+  const timestamp = message.timestamp || message.created_at || fallbackTimestamp;
+
+  // Already in our shape (tool calls from our own exports or export-threads.js)
+  if (message.type === 'tool_call' || message.type === 'tool_response') {
+    return [{ ...message, id: message.id || `msg_${uuidv4()}`, timestamp }];
+  }
+
+  if ((message.role || '').toLowerCase() === 'tool') {
+    return [{
+      id: message.id || `msg_${uuidv4()}`,
+      role: 'tool',
+      type: 'tool_response',
+      callId: message.tool_call_id,
+      content: parseToolOutput(message.content),
+      timestamp
+    }];
+  }
+
+  const converted = [];
+  const text = contentToText(message.content);
+  if (text || !message.tool_calls) {
+    const convertedMessage = {
+      id: message.id || `msg_${uuidv4()}`,
+      role: normalizeRole(message.role),
+      content: text,
+      timestamp,
+      type: 'message'
+    };
+    if (message.metadata && typeof message.metadata === 'object') {
+      convertedMessage.metadata = message.metadata;
+    }
+    converted.push(convertedMessage);
+  }
+
+  (message.tool_calls || []).forEach(toolCall => {
+    converted.push({
+      id: toolCall.id || `msg_${uuidv4()}`,
+      role: 'ai',
+      type: 'tool_call',
+      callId: toolCall.id,
+      toolName: toolCall.function?.name,
+      parameters: parseToolArguments(toolCall.function?.arguments),
+      timestamp
+    });
+  });
+
+  return converted;
+};
+
+/**
+ * Tool calls and outputs recorded on the runs of a raw OpenAI Assistants thread
+ * @param {Array} runs - Runs as returned by scripts/export-threads.js before transformation
+ * @returns {Array} App tool_call and tool_response messages
+ */
+const convertRuns = (runs = []) => {
+  const messages = [];
+  runs.forEach(run => {
+    (run.tool_calls || []).forEach(toolCall => {
+      messages.push({
+        id: toolCall.id,
+        role: 'ai',
+        type: 'tool_call',
+        callId: toolCall.id,
+        toolName: toolCall.function?.name,
+        parameters: parseToolArguments(toolCall.function?.arguments),
+        timestamp: run.created_at
+      });
+      if (toolCall.output) {
+        messages.push({
+          id: `response-${toolCall.id}`,
+          role: 'tool',
+          type: 'tool_response',
+          callId: toolCall.id,
+          content: parseToolOutput(toolCall.output),
+          timestamp: run.completed_at || run.created_at
+        });
+      }
+    });
+  });
+  return messages;
+};
+
+/**
+ * Find the source messages of a record, whichever supported shape it has
+ * @param {Object} record - Parsed JSON record
+ * @returns {Array|null} Source messages or null if the record is not a conversation
+ */
+const getSourceMessages = (record) => {
+  const messages = record.messages || record.request?.messages || record.input?.messages;
+  if (!Array.isArray(messages)) return null;
+
+  // Chat-completion logs keep the model's reply in the response choices
+  const choices = record.response?.choices || record.choices;
+  const reply = Array.isArray(choices) ? choices[0]?.message : null;
+  return reply ? [...messages, reply] : messages;
+};
+
+/**
+ * Convert a parsed JSON record into a thread
+ * @param {Object} record - Parsed JSON record
+ * @returns {Object|null} Thread object or null if the record has no messages
+ */
+export const convertRecordToThread = (record) => {
+  if (!record || typeof record !== 'object') return null;
+  const sourceMessages = getSourceMessages(record);
+  if (!sourceMessages) return null;
+
+  const now = new Date().toISOString();
+  const createdAt = record.createdAt || record.created_at ||
+    (record.created ? new Date(record.created * 1000).toISOString() : now);
+
+  let messages = sourceMessages.flatMap(message => convertMessage(message, createdAt));
+  // Raw Assistants threads list messages newest first and keep tool calls on runs
+  if (Array.isArray(record.runs)) {
+    messages = [...messages, ...convertRuns(record.runs)].sort(
+      (a, b) => new Date(a.timestamp) - new Date(b.timestamp)
+    );
+  }
+  if (messages.length === 0) return null;
+
+  const annotations = Array.isArray(record.annotations) ? record.annotations : [];
+  const thread = {
+    id: record.id || record.thread_id || record.response?.id || `thread_${uuidv4()}`,
+    createdAt,
+    updatedAt: record.updatedAt || record.updated_at || now,
+    isAnnotated: record.isAnnotated ?? annotations.length > 0,
+    messages,
+    annotations
+  };
+  if (record.title) {
+    thread.title = record.title;
+  }
+
+  // Keep our own metadata, and the model name from chat-completion logs
+  const model = record.model || record.request?.model || record.response?.model;
+  const metadata = {
+    ...(model ? { model } : {}),
+    ...(record.metadata && typeof record.metadata === 'object' ? record.metadata : {})
+  };
+  if (Object.keys(metadata).length > 0) {
+    thread.metadata = metadata;
+  }
+  return thread;
+};
+
+/**
+ * Parse the content of a JSON file into threads
+ * @param {string} text - File content
+ * @returns {Array} Array of thread objects
+ * @throws {Error} If the JSON is invalid or contains no conversations
+ */
+export const parseThreadsJSON = (text) => {
+  const data = JSON.parse(text);
+  const records = Array.isArray(data) ? data : Array.isArray(data?.threads) ? data.threads : [data];
+  const threads = records.map(convertRecordToThread).filter(Boolean);
+  if (threads.length === 0) {
+    throw new Error('No conversations found. Expected objects with a "messages" array.');
+  }
+  return threads;
+};
+
+/**
+ * Parse the content of a JSONL file (one conversation per line) into threads
+ * @param {string} text - File content
+ * @returns {Array} Array of thread objects
+ * @throws {Error} With the line number of the first invalid line
+ */
+export const parseThreadsJSONL = (text) => {
+  const threads = [];
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Line ${index + 1}: ${error.message}`);
+    }
+    const thread = convertRecordToThread(record);
+    if (!thread) {
+      throw new Error(`Line ${index + 1}: no "messages" array found`);
+    }
+    threads.push(thread);
+  });
+  if (threads.length === 0) {
+    throw new Error('No conversations found in the file.');
+  }
+  return threads;
+};
+
+/**
+ * Flatten the first messages of parsed threads into rows for the import preview table
+ * @param {Array} threads - Parsed threads
+ * @param {number} limit - Maximum number of rows
+ * @returns {Array} Rows with the same columns as the CSV format
+ */
+export const getThreadPreviewRows = (threads, limit = 3) => {
+  return threads
+    .flatMap(thread => thread.messages.map(message => ({
+      message_id: message.id,
+      thread_id: thread.id,
+      role: message.type === 'tool_call' ? `${message.role} (tool call)` : message.role,
+      timestamp: message.timestamp,
+      content: message.type === 'tool_call'
+        ? `${message.toolName}(${JSON.stringify(message.parameters)})`
+        : contentToText(message.content)
+    })))
+    .slice(0, limit);
+};
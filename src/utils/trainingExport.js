@@ -0,0 +1,513 @@
+/**
+ * Training Data Export Utility
+ *
+ * Converts annotated threads into the file formats used to train models:
+ * - Pairwise preference data (chosen/rejected) from A/B comparisons
+ * - DPO preference pairs from good/bad rated threads that share a prompt
+ * - Supervised fine-tuning examples in OpenAI and Anthropic chat formats
+ *
+ * A thread rating is "good" when it is the rubric rating criterion's first
+ * option and "bad" when it is another of its options, so rubrics that rate
+ * yes/no or accept/reject export the same way as the default good/bad one.
+ */
+
+import {
+  normalizeAnnotations,
+  getAnnotationLevel,
+  getSharedPrefixLength,
+  getMessageId,
+  getLatestCorrections
+} from './helpers';
+import { DEFAULT_RUBRIC, RATING_CRITERION_ID, getAnnotationValues, isPositiveRating } from './rubric';
+
+// How to combine several annotators' ratings of one thread
+export const DISAGREEMENT_STRATEGIES = {
+  MAJORITY: 'majority',
+  UNANIMOUS: 'unanimous',
+  LATEST: 'latest'
+};
+
+// What a majority vote resolves to when good and bad votes are equal
+export const TIE_STRATEGIES = {
+  SKIP: 'skip',
+  GOOD: 'good',
+  BAD: 'bad'
+};
+
+export const DEFAULT_PREFERENCE_OPTIONS = {
+  disagreement: DISAGREEMENT_STRATEGIES.MAJORITY,
+  ties: TIE_STRATEGIES.SKIP
+};
+
+// Map our stored roles to chat-completion roles (the reverse of the CSV import mapping)
+const ROLE_MAP = {
+  human: 'user',
+  user: 'user',
+  ai: 'assistant',
+  assistant: 'assistant',
+  system: 'system',
+  instructions: 'system',
+  tool: 'tool'
+};
+
+/**
+ * Convert a stored message into a plain { role, content } chat message
+ * @param {Object} message - Message from a thread
+ * @returns {Object} Chat message
+ */
+export const toChatMessage = (message) => {
+  const role = ROLE_MAP[(message.role || '').toLowerCase()] || (message.role || '').toLowerCase();
+
+  if (message.type === 'tool_call') {
+    return {
+      role: 'assistant',
+      content: JSON.stringify({ tool: message.toolName, parameters: message.parameters || {} })
+    };
+  }
+
+  return {
+    role: message.type === 'tool_response' ? 'tool' : role,
+    content: typeof message.content === 'string' ? message.content : JSON.stringify(message.content ?? '')
+  };
+};
+
+/**
+ * Convert A/B comparison annotations into chosen/rejected pairs.
+ * The prompt is the message prefix both threads share; chosen and rejected are
+ * the diverging continuations. Ties and "both bad" verdicts carry no preference
+ * and are skipped.
+ * @param {Array} threads - All threads (compared threads are looked up by id)
+ * @returns {string} JSONL formatted string, one pair per line
+ */
+export const convertComparisonsToJSONL = (threads) => {
+  const threadsById = new Map(threads.map(thread => [thread.id, thread]));
+  const lines = [];
+
+  threads.forEach(threadA => {
+    normalizeAnnotations(threadA)
+      .filter(annotation => getAnnotationLevel(annotation) === 'comparison')
+      .forEach(comparison => {
+        if (comparison.preference !== 'a' && comparison.preference !== 'b') return;
+
+        const threadB = threadsById.get(comparison.comparedThreadId);
+        if (!threadB) return;
+
+        const messagesA = threadA.messages || [];
+        const messagesB = threadB.messages || [];
+        const prefixLength = getSharedPrefixLength(messagesA, messagesB);
+        const [chosen, rejected] = comparison.preference === 'a'
+          ? [messagesA, messagesB]
+          : [messagesB, messagesA];
+
+        lines.push(JSON.stringify({
+          prompt: messagesA.slice(0, prefixLength).map(toChatMessage),
+          chosen: chosen.slice(prefixLength).map(toChatMessage),
+          rejected: rejected.slice(prefixLength).map(toChatMessage),
+          chosen_thread_id: comparison.preference === 'a' ? threadA.id : threadB.id,
+          rejected_thread_id: comparison.preference === 'a' ? threadB.id : threadA.id,
+          reasons: comparison.reasons || [],
+          notes: comparison.notes || '',
+          annotator: comparison.createdBy || null
+        }));
+      });
+  });
+
+  return lines.join('\n');
+};
+
+/**
+ * Read an annotation's rating as 'good' or 'bad' through the rubric's rating options.
+ * Ratings that aren't one of them (e.g. from before the rubric changed) count only if they are good or bad.
+ * @param {Object} rubric - Rubric definition
+ * @param {Object} annotation - Thread-level annotation
+ * @returns {string|null} 'good', 'bad' or null
+ */
+const toVerdict = (rubric, annotation) => {
+  const positive = isPositiveRating(rubric, annotation);
+  if (positive !== null) {
+    return positive ? 'good' : 'bad';
+  }
+  const rating = getAnnotationValues(annotation)[RATING_CRITERION_ID];
+  return rating === 'good' || rating === 'bad' ? rating : null;
+};
+
+/**
+ * Each annotator's latest thread-level rating, so re-annotating a thread doesn't add votes
+ * @param {Object} thread - Thread object
+ * @param {Object} rubric - Rubric whose rating criterion the ratings use
+ * @returns {Array} { rating ('good' or 'bad'), timestamp } per annotator whose latest annotation rates the thread
+ */
+const getLatestRatings = (thread, rubric) => {
+  const latestByAnnotator = new Map();
+  normalizeAnnotations(thread)
+    .filter(annotation => getAnnotationLevel(annotation) === 'thread')
+    .forEach(annotation => {
+      const annotator = annotation.createdByUid || annotation.createdBy || 'anonymous';
+      const current = latestByAnnotator.get(annotator);
+      if (!current || new Date(annotation.timestamp || 0) >= new Date(current.timestamp || 0)) {
+        latestByAnnotator.set(annotator, annotation);
+      }
+    });
+
+  return [...latestByAnnotator.values()]
+    .map(annotation => ({ rating: toVerdict(rubric, annotation), timestamp: annotation.timestamp }))
+    .filter(({ rating }) => rating !== null);
+};
+
+/**
+ * Resolve the overall good/bad verdict for a thread from its annotators' latest thread-level ratings
+ * @param {Object} thread - Thread object
+ * @param {Object} options - { disagreement, ties } (see DEFAULT_PREFERENCE_OPTIONS), and the
+ *   rubric the ratings use (DEFAULT_RUBRIC if not given)
+ * @returns {string|null} 'good', 'bad' or null if unrated or unresolved
+ */
+export const resolveThreadRating = (thread, options = DEFAULT_PREFERENCE_OPTIONS) => {
+  const ratings = getLatestRatings(thread, options.rubric || DEFAULT_RUBRIC);
+
+  if (ratings.length === 0) return null;
+
+  if (options.disagreement === DISAGREEMENT_STRATEGIES.LATEST) {
+    const latest = [...ratings].sort((a, b) =>
+      new Date(b.timestamp || 0).getTime() - new Date(a.timestamp || 0).getTime()
+    )[0];
+    return latest.rating;
+  }
+
+  const goodVotes = ratings.filter(({ rating }) => rating === 'good').length;
+  const badVotes = ratings.length - goodVotes;
+
+  if (options.disagreement === DISAGREEMENT_STRATEGIES.UNANIMOUS) {
+    if (badVotes === 0) return 'good';
+    if (goodVotes === 0) return 'bad';
+    return null;
+  }
+
+  if (goodVotes > badVotes) return 'good';
+  if (badVotes > goodVotes) return 'bad';
+  return options.ties === TIE_STRATEGIES.SKIP ? null : options.ties;
+};
+
+/**
+ * Split a thread into its prompt (everything up to and including the last
+ * user turn) and the completion that follows it
+ * @param {Array} messages - Thread messages
+ * @returns {Object|null} { prompt, completion } or null if there is no completion
+ */
+export const splitPromptAndCompletion = (messages = []) => {
+  let lastUserIndex = -1;
+  messages.forEach((message, index) => {
+    if (toChatMessage(message).role === 'user') {
+      lastUserIndex = index;
+    }
+  });
+
+  if (lastUserIndex === -1 || lastUserIndex === messages.length - 1) return null;
+
+  return {
+    prompt: messages.slice(0, lastUserIndex + 1),
+    completion: messages.slice(lastUserIndex + 1)
+  };
+};
+
+/**
+ * Build DPO preference pairs from rated threads. Threads whose prompts are
+ * identical are grouped, and every good-rated completion in a group is paired
+ * with every bad-rated one.
+ * @param {Array} threads - Array of thread objects
+ * @param {Object} options - { disagreement, ties, rubric } (see resolveThreadRating)
+ * @returns {string} JSONL formatted string of { prompt, chosen, rejected }
+ */
+export const convertRatingsToDPOJSONL = (threads, options = DEFAULT_PREFERENCE_OPTIONS) => {
+  const groups = new Map();
+
+  threads.forEach(thread => {
+    const rating = resolveThreadRating(thread, options);
+    if (!rating) return;
+
+    const split = splitPromptAndCompletion(thread.messages);
+    if (!split) return;
+
+    const prompt = split.prompt.map(toChatMessage);
+    const key = JSON.stringify(prompt);
+    if (!groups.has(key)) {
+      groups.set(key, { prompt, good: [], bad: [] });
+    }
+    groups.get(key)[rating].push({
+      threadId: thread.id,
+      completion: split.completion.map(toChatMessage)
+    });
+  });
+
+  const lines = [];
+  groups.forEach(group => {
+    group.good.forEach(chosen => {
+      group.bad.forEach(rejected => {
+        lines.push(JSON.stringify({
+          prompt: group.prompt,
+          chosen: chosen.completion,
+          rejected: rejected.completion,
+          chosen_thread_id: chosen.threadId,
+          rejected_thread_id: rejected.threadId
+        }));
+      });
+    });
+  });
+
+  return lines.join('\n');
+};
+
+/**
+ * Get the tool call id of a stored tool_call message
+ * @param {Object} message - tool_call message
+ * @param {number} index - Position of the message in the thread
+ * @returns {string} Tool call id
+ */
+const getToolCallId = (message, index) => message.callId || `call_${index}`;
+
+/**
+ * Get the call a tool_response answers: its own callId, or else the oldest unanswered call.
+ * The answered call is taken off the pending list either way.
+ * @param {Array} pendingCallIds - Ids of the calls not yet answered, oldest first
+ * @param {Object} message - tool_response message
+ * @param {number} index - Position of the message in the thread
+ * @returns {string} Tool call id
+ */
+const takeAnsweredCallId = (pendingCallIds, message, index) => {
+  const callId = message.callId || pendingCallIds[0] || `call_${index}`;
+  const pendingIndex = pendingCallIds.indexOf(callId);
+  if (pendingIndex !== -1) {
+    pendingCallIds.splice(pendingIndex, 1);
+  }
+  return callId;
+};
+
+/**
+ * Drop the turns before the first user turn, which the Messages API requires to come first
+ * (e.g. an assistant greeting), along with the results of tool calls made in them
+ * @param {Array} turns - Anthropic messages
+ * @returns {Array} Messages starting with a user turn, or none
+ */
+const dropLeadingAssistantTurns = (turns) => {
+  const droppedCallIds = new Set();
+  let start = 0;
+  while (start < turns.length) {
+    const turn = turns[start];
+    if (turn.role === 'assistant') {
+      turn.content
+        .filter(block => block.type === 'tool_use')
+        .forEach(block => droppedCallIds.add(block.id));
+    } else {
+      turn.content = turn.content.filter(block =>
+        block.type !== 'tool_result' || !droppedCallIds.has(block.tool_use_id)
+      );
+      if (turn.content.length > 0) break;
+    }
+    start += 1;
+  }
+  return turns.slice(start);
+};
+
+/**
+ * Stringify tool output for formats that expect text content
+ * @param {*} content - Tool response content
+ * @returns {string} Text content
+ */
+const toTextContent = (content) => {
+  return typeof content === 'string' ? content : JSON.stringify(content ?? '');
+};
+
+/**
+ * Convert thread messages to OpenAI chat fine-tuning messages.
+ * tool_call messages become assistant `tool_calls` (merged into the preceding
+ * assistant turn), and tool_response messages become `tool` messages answering
+ * the oldest unanswered call. Error and free-text tool log rows are omitted.
+ * @param {Array} messages - Thread messages
+ * @returns {Array} OpenAI `messages` array
+ */
+export const toOpenAIMessages = (messages = []) => {
+  const result = [];
+  const pendingCallIds = [];
+
+  messages.forEach((message, index) => {
+    if (message.type === 'tool_call') {
+      const toolCall = {
+        id: getToolCallId(message, index),
+        type: 'function',
+        function: {
+          name: message.toolName || 'unknown_tool',
+          arguments: JSON.stringify(message.parameters || {})
+        }
+      };
+      pendingCallIds.push(toolCall.id);
+
+      const previous = result[result.length - 1];
+      if (previous && previous.role === 'assistant') {
+        previous.tool_calls = [...(previous.tool_calls || []), toolCall];
+      } else {
+        result.push({ role: 'assistant', content: null, tool_calls: [toolCall] });
+      }
+      return;
+    }
+
+    if (message.type === 'tool_response') {
+      result.push({
+        role: 'tool',
+        tool_call_id: takeAnsweredCallId(pendingCallIds, message, index),
+        content: toTextContent(message.content)
+      });
+      return;
+    }
+
+    const { role, content } = toChatMessage(message);
+    if (role !== 'system' && role !== 'user' && role !== 'assistant') return;
+
+    const previous = result[result.length - 1];
+    if (role === 'system' && previous && previous.role === 'system') {
+      previous.content = `${previous.content}\n\n${content}`;
+      return;
+    }
+    result.push({ role, content });
+  });
+
+  return result;
+};
+
+/**
+ * Convert thread messages to an Anthropic Messages API example.
+ * System and instruction messages are joined into `system`, consecutive turns
+ * from the same role are merged into one message of content blocks, tool calls
+ * become `tool_use` blocks and tool responses `tool_result` blocks in a user turn.
+ * Turns before the first user turn are dropped.
+ * @param {Array} messages - Thread messages
+ * @returns {Object} { system, messages }
+ */
+export const toAnthropicExample = (messages = []) => {
+  const systemParts = [];
+  const result = [];
+  const pendingCallIds = [];
+
+  const pushBlock = (role, block) => {
+    const previous = result[result.length - 1];
+    if (previous && previous.role === role) {
+      previous.content.push(block);
+    } else {
+      result.push({ role, content: [block] });
+    }
+  };
+
+  messages.forEach((message, index) => {
+    if (message.type === 'tool_call') {
+      const id = getToolCallId(message, index);
+      pendingCallIds.push(id);
+      pushBlock('assistant', {
+        type: 'tool_use',
+        id,
+        name: message.toolName || 'unknown_tool',
+        input: message.parameters || {}
+      });
+      return;
+    }
+
+    if (message.type === 'tool_response') {
+      pushBlock('user', {
+        type: 'tool_result',
+        tool_use_id: takeAnsweredCallId(pendingCallIds, message, index),
+        content: toTextContent(message.content)
+      });
+      return;
+    }
+
+    const { role, content } = toChatMessage(message);
+    if (role === 'system') {
+      systemParts.push(content);
+    } else if (role === 'user' || role === 'assistant') {
+      pushBlock(role, { type: 'text', text: content });
+    }
+  });
+
+  const example = { messages: dropLeadingAssistantTurns(result) };
+  if (systemParts.length > 0) {
+    example.system = systemParts.join('\n\n');
+  }
+  return example;
+};
+
+export const SFT_FORMATS = {
+  OPENAI: 'openai',
+  ANTHROPIC: 'anthropic'
+};
+
+export const DEFAULT_SFT_OPTIONS = {
+  format: SFT_FORMATS.OPENAI,
+  rating: 'good',
+  tags: [],
+  applyCorrections: true,
+  ...DEFAULT_PREFERENCE_OPTIONS
+};
+
+/**
+ * Check whether any annotation on a thread carries one of the given tags
+ * @param {Object} thread - Thread object
+ * @param {Array} tags - Tags to look for (empty matches every thread)
+ * @returns {boolean} True if the thread matches
+ */
+const threadHasAnyTag = (thread, tags) => {
+  if (!tags || tags.length === 0) return true;
+  return normalizeAnnotations(thread).some(annotation =>
+    (annotation.tags || []).some(tag => tags.includes(tag))
+  );
+};
+
+/**
+ * Replace assistant messages with their latest proposed correction.
+ * Later turns answered the original reply, so the conversation is cut
+ * after the last corrected message.
+ * @param {Object} thread - Thread object
+ * @returns {Object} { messages, corrected } where corrected is false if nothing changed
+ */
+export const applyCorrections = (thread) => {
+  const messages = thread.messages || [];
+  const corrections = getLatestCorrections(thread);
+  let lastCorrectedIndex = -1;
+
+  const correctedMessages = messages.map((message, index) => {
+    const correction = corrections[getMessageId(message, index)];
+    if (!correction) return message;
+    lastCorrectedIndex = index;
+    return { ...message, content: correction.correctedContent };
+  });
+
+  if (lastCorrectedIndex === -1) {
+    return { messages, corrected: false };
+  }
+  return { messages: correctedMessages.slice(0, lastCorrectedIndex + 1), corrected: true };
+};
+
+/**
+ * Build supervised fine-tuning examples from rated or corrected threads
+ * @param {Array} threads - Array of thread objects
+ * @param {Object} options - { format, rating ('good', 'bad', 'corrected' or 'any'), tags,
+ *   applyCorrections, disagreement, ties, rubric }
+ * @returns {string} JSONL formatted string, one conversation per line
+ */
+export const convertThreadsToSFTJSONL = (threads, options = DEFAULT_SFT_OPTIONS) => {
+  const settings = { ...DEFAULT_SFT_OPTIONS, ...options };
+
+  return threads
+    .filter(thread => threadHasAnyTag(thread, settings.tags))
+    .map(thread => ({ thread, ...applyCorrections(thread) }))
+    .filter(({ thread, corrected }) => {
+      if (settings.rating === 'any') return true;
+      if (settings.rating === 'corrected') return corrected;
+      return resolveThreadRating(thread, settings) === settings.rating;
+    })
+    .map(({ thread, messages }) => {
+      const exampleMessages = settings.applyCorrections ? messages : thread.messages;
+      return settings.format === SFT_FORMATS.ANTHROPIC
+        ? toAnthropicExample(exampleMessages)
+        : { messages: toOpenAIMessages(exampleMessages) };
+    })
+    .filter(example => example.messages.length > 0)
+    .map(example => JSON.stringify(example))
+    .join('\n');
+};
@@ -0,0 +1,107 @@
+/**
+ * CSV Import Worker
+ *
+ * Streams a CSV file (or pasted text) through Papa in chunks and groups the
+ * rows into threads off the main thread, posting threads as soon as they are
+ * finished, then runs the dry-run validation so problems can be reviewed
+ * before anything is stored. Papa reads files with FileReader chunk by chunk;
+ * the dialog cancels by terminating the worker. Messages:
+ * - in:  { type: 'start', source: File | string, mapping }
+ * - out: { type: 'progress', rows, threads, bytes, totalBytes }
+ * - out: { type: 'batch', threads }  (finished threads, after each chunk; a thread continued by
+ *   later rows comes again with the same id and replaces its earlier copy)
+ * - out: { type: 'done', rows, threads, problems }
+ * - out: { type: 'error', message }
+ */
+
+import Papa from 'papaparse';
+import { createThreadGrouper } from '../utils/csvMapping';
+import { VALIDATION_ISSUES, validateThreads } from '../utils/importValidation';
+
+// Threads per 'batch' message, so the main thread never receives one huge payload
+const THREAD_BATCH_SIZE = 500;
+
+// Bytes read per chunk; small enough for smooth progress on large files
+const CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * Row number (1-based, header not counted) of a Papa parse error.
+ * Field count errors carry the overall data row index; quote and delimiter
+ * errors carry the row index within the chunk, which counts the header row
+ * in the first chunk.
+ */
+const getErrorRowNumber = (error, rowOffset, isFirstChunk) => {
+  if (error.row === undefined) return null;
+  if (error.type === 'FieldMismatch') return error.row + 1;
+  return rowOffset + error.row + (isFirstChunk ? 0 : 1);
+};
+
+const postThreads = (threads) => {
+  for (let i = 0; i < threads.length; i += THREAD_BATCH_SIZE) {
+    self.postMessage({ type: 'batch', threads: threads.slice(i, i + THREAD_BATCH_SIZE) });
+  }
+};
+
+const startImport = (source, mapping) => {
+  const grouper = createThreadGrouper(mapping);
+  const totalBytes = typeof source === 'string' ? source.length : source.size;
+  const parseErrors = [];
+  let isFirstChunk = true;
+
+  Papa.parse(source, {
+    header: true,
+    skipEmptyLines: true,
+    chunkSize: CHUNK_SIZE,
+    chunk: (results) => {
+      // Malformed rows are reported for review instead of aborting the import
+      results.errors.forEach(error => {
+        parseErrors.push({ row: getErrorRowNumber(error, grouper.rowCount, isFirstChunk), message: error.message });
+      });
+      isFirstChunk = false;
+
+      grouper.addRows(results.data);
+      postThreads(grouper.takeFinishedThreads());
+      self.postMessage({
+        type: 'progress',
+        rows: grouper.rowCount,
+        threads: grouper.threadCount,
+        bytes: results.meta.cursor,
+        totalBytes
+      });
+    },
+    complete: () => {
+      postThreads(grouper.takeFinishedThreads(true));
+      const threads = grouper.finish();
+      const rowNumbers = grouper.getRowNumbers();
+
+      const locations = new Map();
+      rowNumbers.forEach((rows, threadIndex) => {
+        rows.forEach((row, messageIndex) => locations.set(row, { threadIndex, messageIndex }));
+      });
+      const problems = [
+        ...parseErrors.map(error => ({
+          type: VALIDATION_ISSUES.PARSE_ERROR,
+          threadIndex: null,
+          messageIndex: null,
+          ...locations.get(error.row),
+          row: error.row,
+          value: error.message
+        })),
+        ...validateThreads(threads, (threadIndex, messageIndex) => rowNumbers[threadIndex][messageIndex])
+      ];
+
+      self.postMessage({ type: 'done', rows: grouper.rowCount, threads: threads.length, problems });
+    },
+    error: (error) => {
+      self.postMessage({ type: 'error', message: `Error parsing CSV: ${error.message}` });
+    }
+  });
+};
+
+self.onmessage = (event) => {
+  const { type, source, mapping } = event.data;
+
+  if (type === 'start') {
+    startImport(source, mapping);
+  }
+};
@@ -1,6 +1,13 @@
 const path = require('path');
+const webpack = require('webpack');
 const HtmlWebpackPlugin = require('html-webpack-plugin');
 
+// REACT_APP_* environment variables (Firebase config, storage backend, emulators) are
+// readable in the app as process.env.REACT_APP_*; unset ones read as undefined
+const appEnv = Object.fromEntries(
+  Object.entries(process.env).filter(([key]) => key.startsWith('REACT_APP_'))
+);
+
 module.exports = {
   entry: './src/index.js',
   output: {
@@ -27,6 +34,9 @@ module.exports = {
     ]
   },
   plugins: [
+    new webpack.DefinePlugin({
+      'process.env': JSON.stringify(appEnv)
+    }),
     new HtmlWebpackPlugin({
       template: './src/index.html'
     })